@@ -8,8 +8,10 @@
 const path = require('path');
 const AIChangelogMCPServer = require('../lib/mcp-server');
 
-// Start the MCP server
+// Start the MCP server: stdio by default, or `--http [--port N] [--host H]` for a shared server
 if (require.main === module) {
   const server = new AIChangelogMCPServer();
-  server.run().catch(console.error);
+  Promise.resolve()
+    .then(() => server.run(AIChangelogMCPServer.parseArgs(process.argv.slice(2))))
+    .catch(console.error);
 }
@@ -17,6 +17,19 @@ console.log('  --metrics          Show performance metrics');
 console.log('  --model, -m        Override model selection (e.g., gpt-4.1, o3, o4, gpt-4.1-nano)');
 console.log('  --version, -v      Specify version (default: auto-generated)');
 console.log('  --since, -s        Generate since specific commit/tag');
+console.log('  --bump             Recommend the next semantic version and use it for the changelog');
+console.log('  --prerelease       Pre-release channel for --bump (e.g., alpha, beta, rc)');
+console.log('  --from             Start of a tag/commit range (exclusive)');
+console.log('  --to               End of a tag/commit range (default: HEAD)');
+console.log('  --all-releases     Backfill one changelog section per release tag');
+console.log('  --pr               Write a pull request description for HEAD against a base branch');
+console.log('  --no-cache         Ignore cached commit summaries and call the AI again');
+console.log('  --no-pr-grouping   One entry per commit instead of one per pull request');
+console.log('  --no-contributors  Leave out the Contributors section');
+console.log('  --package          Only the changes of one workspace package, written to its own changelog');
+console.log('  --no-workspaces    Skip per-package changelogs in monorepos');
+console.log('  --type-diff        Compare public TypeScript declarations across the range for breaking changes');
+console.log('  --no-stream        Skip the live output of entries and the release summary');
 console.log('  --help, -h         Show this help');
 console.log('  --branches         Analyze all branches and unmerged commits');
 console.log('  --comprehensive    Comprehensive analysis including dangling commits');
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Advisory Database
+ * Matches dependency changes against a local directory of OSV-format advisories
+ * (https://ossf.github.io/osv-schema/) to report the known vulnerabilities a
+ * change fixes or introduces, without any network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DependencyChanges = require('./dependency-changes');
+
+// DependencyChanges ecosystems -> OSV ecosystem names
+const OSV_ECOSYSTEMS = {
+  npm: 'npm',
+  pip: 'PyPI',
+  go: 'Go',
+  cargo: 'crates.io'
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'moderate', 'medium', 'low', 'unknown'];
+
+class AdvisoryDatabase {
+  constructor(directory) {
+    this.directory = directory;
+    this.index = null;
+  }
+
+  // Database for OSV_ADVISORY_DIR, or null when no advisory directory is configured
+  static fromConfig(configManager) {
+    const directory = configManager.get('OSV_ADVISORY_DIR');
+    return directory ? new AdvisoryDatabase(path.resolve(directory)) : null;
+  }
+
+  // Advisories for one package, indexed on first use; every *.json file below the directory is
+  // read, each holding one OSV record or an array of them
+  advisoriesFor(ecosystem, name) {
+    if (!this.index) {
+      this.index = new Map();
+      if (!fs.existsSync(this.directory)) {
+        console.warn(`⚠️  Advisory directory not found: ${this.directory}`);
+      } else {
+        AdvisoryDatabase.listFiles(this.directory).forEach(file => this.addFile(file));
+      }
+    }
+    return this.index.get(AdvisoryDatabase.packageKey(ecosystem, name)) || [];
+  }
+
+  static listFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) return AdvisoryDatabase.listFiles(entryPath);
+      return entry.isFile() && entry.name.endsWith('.json') ? [entryPath] : [];
+    });
+  }
+
+  addFile(file) {
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable advisory ${path.relative(this.directory, file)}: ${error.message}`);
+      return;
+    }
+
+    (Array.isArray(records) ? records : [records]).forEach(record => {
+      // Withdrawn advisories no longer apply
+      if (!record?.id || record.withdrawn) return;
+
+      const advisory = {
+        id: record.id,
+        aliases: record.aliases || [],
+        summary: record.summary || (record.details || '').split('\n')[0] || '',
+        severity: AdvisoryDatabase.severityOf(record),
+        url: `https://osv.dev/vulnerability/${record.id}`
+      };
+
+      (record.affected || []).forEach(affected => {
+        if (!affected.package?.ecosystem || !affected.package?.name) return;
+        const key = AdvisoryDatabase.packageKey(affected.package.ecosystem.split(':')[0], affected.package.name);
+        if (!this.index.has(key)) this.index.set(key, []);
+        this.index.get(key).push({ ...advisory, affected });
+      });
+    });
+  }
+
+  // "npm:react", with PyPI names normalized as pip does
+  static packageKey(ecosystem, name) {
+    const osvEcosystem = OSV_ECOSYSTEMS[ecosystem] || ecosystem;
+    const normalized = osvEcosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+    return `${osvEcosystem}:${normalized}`;
+  }
+
+  // GitHub-style severity from database_specific or ecosystem_specific, lowercased
+  static severityOf(record) {
+    const candidates = [
+      record.database_specific?.severity,
+      ...(record.affected || []).map(affected => affected.ecosystem_specific?.severity || affected.database_specific?.severity)
+    ];
+    const severity = candidates.find(value => typeof value === 'string');
+    return severity ? severity.toLowerCase() : 'unknown';
+  }
+
+  // Whether a version falls in an affected entry's explicit versions or SEMVER/ECOSYSTEM ranges.
+  // Ranges from package.json are compared by their lowest version.
+  static isAffected(affected, version) {
+    if (version === null || version === undefined) return false;
+
+    const normalize = value => String(value).trim().replace(/^[=v]+/, '');
+    if ((affected.versions || []).some(candidate => normalize(candidate) === normalize(version))) {
+      return true;
+    }
+
+    const parts = DependencyChanges.coerce(version);
+    if (!parts) return false;
+
+    return (affected.ranges || [])
+      .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+      .some(range => {
+        // Events are evaluated in version order, "introduced: 0" first
+        const events = (range.events || [])
+          .map(event => {
+            const [kind, value] = Object.entries(event)[0] || [];
+            return { kind, parts: value === '0' ? [0, 0, 0] : DependencyChanges.coerce(value) };
+          })
+          .filter(event => event.parts)
+          .sort((a, b) => DependencyChanges.compareParts(a.parts, b.parts));
+
+        let vulnerable = false;
+        events.forEach(({ kind, parts: eventParts }) => {
+          const order = DependencyChanges.compareParts(parts, eventParts);
+          if (kind === 'introduced' && order >= 0) vulnerable = true;
+          else if ((kind === 'fixed' || kind === 'limit') && order >= 0) vulnerable = false;
+          else if (kind === 'last_affected' && order > 0) vulnerable = false;
+        });
+        return vulnerable;
+      });
+  }
+
+  // Advisories fixed or introduced by dependency changes: { id, aliases, summary, severity, url,
+  // package, ecosystem, from, to, status: 'fixed' | 'introduced' }, introduced and most severe first
+  match(dependencyChanges) {
+    const matches = [];
+
+    (dependencyChanges || []).forEach(change => {
+      const seen = new Set();
+      this.advisoriesFor(change.ecosystem, change.name).forEach(({ affected, ...advisory }) => {
+        const before = AdvisoryDatabase.isAffected(affected, change.from);
+        const after = AdvisoryDatabase.isAffected(affected, change.to);
+        if (before === after || seen.has(advisory.id)) return;
+
+        seen.add(advisory.id);
+        matches.push({
+          ...advisory,
+          package: change.name,
+          ecosystem: change.ecosystem,
+          from: change.from,
+          to: change.to,
+          status: after ? 'introduced' : 'fixed'
+        });
+      });
+    });
+
+    const severityRank = severity => (SEVERITY_ORDER.includes(severity) ? SEVERITY_ORDER.indexOf(severity) : SEVERITY_ORDER.length);
+    return matches.sort((a, b) =>
+      (a.status === b.status ? 0 : (a.status === 'introduced' ? -1 : 1)) ||
+      severityRank(a.severity) - severityRank(b.severity) ||
+      a.id.localeCompare(b.id));
+  }
+}
+
+module.exports = AdvisoryDatabase;
@@ -3,16 +3,45 @@
 // Load environment variables from .env.local
 require('dotenv').config({ path: '.env.local' });
 
-const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
 // AI Provider (supports OpenAI and Azure OpenAI)
 const ProviderManager = require('./provider-manager');
 const GitManager = require('./git-manager');
+const CommitLoader = require('./commit-loader');
 const ConfigManager = require('./config');
+const ChangelogDocument = require('./changelog-document');
+const ChangelogTemplates = require('./templates');
+const VersionCalculator = require('./version-calculator');
+const SummaryCache = require('./summary-cache');
+const PRGrouper = require('./pr-grouper');
+const PRDescription = require('./pr-description');
+const IssueReferences = require('./issue-references');
+const Contributors = require('./contributors');
+const CommitTrailers = require('./commit-trailers');
+const Workspaces = require('./workspaces');
+const DependencyChanges = require('./dependency-changes');
+const AdvisoryDatabase = require('./advisory-database');
+const ApiSurface = require('./api-surface');
+const TypeDeclarations = require('./type-declarations');
+const StreamRenderer = require('./stream-renderer');
+const ToolProgress = require('./tool-progress');
+const { COMMIT_SUMMARY_SCHEMA, validateSchema } = require('./commit-summary-schema');
 const colors = require('./colors');
 
+// Bump whenever the summary prompt or response parsing changes so cached summaries are regenerated
+const SUMMARY_PROMPT_VERSION = 3;
+const RELEASE_SUMMARY_PROMPT_VERSION = 1;
+
+// What each analysis mode produces (CLI help and MCP prompts)
+const ANALYSIS_MODES = {
+  standard: 'Basic changelog with core information',
+  detailed: 'Comprehensive analysis with business impact',
+  enterprise: 'Enterprise-ready with security and performance analysis'
+};
+
 // Dynamic import for inquirer since it's an ES module
 let inquirer;
 async function getInquirer() {
@@ -22,28 +51,6 @@ async function getInquirer() {
   return inquirer.default;
 }
 
-// Configuration
-const CHANGELOG_FILE = 'AI_CHANGELOG.md';
-const COMMIT_TYPES = {
-  feat: '🚀 Features',
-  fix: '🐛 Bug Fixes',
-  docs: '📚 Documentation',
-  style: '💎 Styling',
-  refactor: '♻️ Code Refactoring',
-  perf: '⚡ Performance Improvements',
-  test: '🧪 Tests',
-  chore: '🔧 Maintenance',
-  ci: '👷 CI/CD',
-  build: '📦 Build System',
-  db: '🗄️ Database',
-  api: '🔌 API Changes',
-  ui: '🎨 UI/UX',
-  auth: '🔐 Authentication',
-  config: '⚙️ Configuration',
-  security: '🔐 Security',
-  deps: '📦 Dependencies'
-};
-
 async function promptForConfig() {
   const inquirer = await getInquirer();
   console.log(colors.header('Welcome to AI Changelog Generator!'));
@@ -420,6 +427,7 @@ async function promptForConfig() {
   // Add common configuration
   configContent += '\n# Common Configuration\n';
   configContent += 'CHANGELOG_FILE=AI_CHANGELOG.md\n';
+  configContent += 'CHANGELOG_FORMAT=standard\n';
   configContent += 'DETAILED_MODE=false\n';
   configContent += 'INCLUDE_ATTRIBUTION=true\n';
   
@@ -471,7 +479,26 @@ class AIChangelogGenerator {
     this.dryRun = options.dryRun || false; // Add dry-run mode
     this.noColor = options.noColor || false; // Add option to disable colors
     this.includeAttribution = options.includeAttribution !== false; // Add attribution option (enabled by default)
+    // Repository to work in; relative CHANGELOG_FILE and SUMMARY_CACHE_DIR paths resolve against it
+    this.cwd = options.cwd ? path.resolve(options.cwd) : process.cwd();
     this.configManager = new ConfigManager();
+    this.templates = new ChangelogTemplates();
+    this.changelogFile = this.configManager.get('CHANGELOG_FILE');
+    this.changelogFormat = options.template || this.configManager.get('CHANGELOG_FORMAT');
+    this.summaryCache = new SummaryCache({
+      enabled: !options.noCache && this.configManager.get('SUMMARY_CACHE_ENABLED'),
+      directory: path.resolve(this.cwd, this.configManager.get('SUMMARY_CACHE_DIR'))
+    });
+    this.groupByPR = !options.noPrGrouping && this.configManager.get('GROUP_BY_PR');
+    this.includeContributors = !options.noContributors && this.configManager.get('INCLUDE_CONTRIBUTORS');
+    this.workspaceChangelogs = !options.noWorkspaces && this.configManager.get('WORKSPACE_CHANGELOGS');
+    this.typeDiff = options.typeDiff || this.configManager.get('TYPE_DIFF');
+    // Live terminal output of entries and the release summary (CLI on a terminal only)
+    this.renderer = options.stream && this.configManager.get('STREAM_OUTPUT') ? new StreamRenderer() : null;
+    // Progress callback and abort signal of an MCP tool call
+    this.onProgress = options.onProgress || null;
+    this.signal = options.signal || null;
+    this.packageName = options.package || null;
     this.metrics = {
       startTime: Date.now(),
       commitsProcessed: 0,
@@ -479,7 +506,10 @@ class AIChangelogGenerator {
       errors: 0,
       batchesProcessed: 0,
       totalTokens: 0,
-      cacheHits: 0
+      cacheHits: 0,
+      cacheMisses: 0,
+      fallbacks: 0,
+      repairs: 0
     };
 
     // Configure colors
@@ -494,9 +524,18 @@ class AIChangelogGenerator {
   initializeComponents() {
     try {
       // Initialize git manager
-      this.gitManager = new GitManager();
+      this.gitManager = new GitManager({ cwd: this.cwd });
       this.gitExists = this.gitManager.isGitRepo;
 
+      // Issue links default to the origin remote's GitHub/GitLab issue tracker
+      this.issueReferences = IssueReferences.fromConfig(this.configManager, this.gitManager.gitConfig?.remoteUrl);
+
+      // Monorepo packages (npm/yarn/pnpm workspaces, Lerna, Nx, Turborepo)
+      this.workspaces = Workspaces.discover(this.gitManager);
+
+      // Local OSV advisories for dependency changes (OSV_ADVISORY_DIR)
+      this.advisoryDatabase = AdvisoryDatabase.fromConfig(this.configManager);
+
       // Initialize AI provider
       this.providerManager = new ProviderManager();
     this.aiProvider = this.providerManager.getProvider();
@@ -538,8 +577,7 @@ class AIChangelogGenerator {
   }
 
   setAnalysisMode(mode) {
-    const validModes = ['standard', 'detailed', 'enterprise'];
-    if (validModes.includes(mode)) {
+    if (Object.keys(ANALYSIS_MODES).includes(mode)) {
       this.analysisMode = mode;
       console.log(colors.metricsMessage(`Analysis mode set to: ${colors.highlight(mode)}`));
     } else {
@@ -606,52 +644,30 @@ class AIChangelogGenerator {
       }
 
       // Get comprehensive commit information
-      const commitInfo = this.gitManager.execGit(`git show --pretty=format:"%H|%s|%an|%ad|%B" --no-patch ${commitHash}`);
+      const commitInfo = this.gitManager.execGit(['show', '--pretty=format:%H|%P|%s|%an|%ae|%ad|%B', '--date=iso-strict', '--no-patch', '--end-of-options', commitHash]);
       const lines = commitInfo.split('\n');
-      const [hash, subject, author, date] = lines[0].split('|');
+      const [hash, parents, subject, author, email, date] = lines[0].split('|');
       const body = lines.slice(1).join('\n').trim();
+      const isMerge = parents.trim().split(' ').length > 1;
+      const trailers = CommitTrailers.parse(body);
 
-      // Get files with detailed analysis
-      const filesCommand = `git show --name-status --pretty=format: ${commitHash}`;
-      const filesOutput = this.gitManager.execGitSafe(filesCommand);
+      // Get files with detailed analysis (merges are diffed against their first parent)
+      const filesOutput = this.gitManager.execGitSafe([
+        'show', '--name-status', '--pretty=format:', ...(isMerge ? ['-m', '--first-parent'] : []), '--end-of-options', commitHash
+      ]);
 
+      const changedFiles = filesOutput.split('\n').filter(Boolean).map(line => CommitLoader.parseRawLine(line)).filter(Boolean);
       const files = await Promise.all(
-        filesOutput.split('\n')
-          .filter(Boolean)
-          .map(async (line) => {
-            const parts = line.split('\t');
-            if (parts.length < 2) return null;
-            const [status, filePath] = parts;
-            return await this.analyzeFileChange(commitHash, status, filePath);
-          })
+        changedFiles.map(file => this.analyzeFileChange(commitHash, file.status, file.filePath, isMerge, file.oldPath))
       );
 
-      // Filter out null entries
-      const validFiles = files.filter(Boolean);
-
       // Get overall diff statistics
-      const diffStats = this.getCommitDiffStats(commitHash);
-
-      const analysis = {
-        hash: hash.substring(0, 7),
-        fullHash: hash,
-        subject,
-        author,
-        date,
-        body,
-        files: validFiles,
-        diffStats,
-        type: this.extractCommitType(subject),
-        scope: this.extractCommitScope(subject),
-        breaking: this.isBreakingChange(subject, body),
-        semanticAnalysis: this.performSemanticAnalysis(validFiles, subject, body),
-        complexity: this.assessOverallComplexity(validFiles, diffStats),
-        riskAssessment: this.assessRisk(validFiles, diffStats, subject, body),
-        messageQuality: this.assessCommitMessageQuality(subject, body)
-      };
+      const diffStats = this.getCommitDiffStats(commitHash, isMerge);
+      const pairs = [{ before: `${hash}^`, after: hash, files: changedFiles }];
+      const [dependencyChanges] = await this.detectDependencyChanges(pairs);
+      const [apiChanges] = await this.detectApiChanges(pairs);
 
-      this.metrics.commitsProcessed++;
-      return analysis;
+      return this.buildCommitAnalysis({ hash, subject, author, email, date, body, isMerge, trailers, dependencyChanges, apiChanges }, files.filter(Boolean), diffStats);
     } catch (error) {
       console.error(colors.errorMessage(`Error analyzing commit ${colors.hash(commitHash)}: ${error.message}`));
       this.metrics.errors++;
@@ -659,6 +675,134 @@ class AIChangelogGenerator {
     }
   }
 
+  // Analyses for many commits, in order. Metadata, diffs and file contents come from one
+  // git log stream and one cat-file process instead of several git processes per commit and file.
+  async getCommitAnalyses(commitHashes) {
+    if (commitHashes.length === 0) return [];
+
+    let commits;
+    let dependencyChanges;
+    let apiChanges;
+    try {
+      commits = await new CommitLoader(this.gitManager).load(commitHashes);
+      const pairs = commits.map(commit => ({ before: `${commit.hash}^`, after: commit.hash, files: commit.files }));
+      // File contents, dependency manifests and sources share one cat-file process
+      const blobReader = this.gitManager.batchBlobReads();
+      [, dependencyChanges, apiChanges] = await Promise.all([
+        new CommitLoader(blobReader).loadContents(commits),
+        this.detectDependencyChanges(pairs, blobReader),
+        this.detectApiChanges(pairs, blobReader)
+      ]);
+    } catch (error) {
+      console.warn(colors.warningMessage(`Bulk commit loading failed (${error.message}), analyzing commits one at a time`));
+      const analyses = [];
+      for (const commitHash of commitHashes) {
+        const analysis = await this.getCommitAnalysis(commitHash);
+        if (analysis) analyses.push(analysis);
+      }
+      return analyses;
+    }
+
+    return commits.map((commit, index) => {
+      try {
+        const files = commit.files.map(file =>
+          this.buildFileAnalysis(file.status, file.filePath, file.diff, file.beforeContent, file.afterContent)
+        );
+        return this.buildCommitAnalysis({ ...commit, dependencyChanges: dependencyChanges[index], apiChanges: apiChanges[index] }, files, commit.diffStats);
+      } catch (error) {
+        console.error(colors.errorMessage(`Error analyzing commit ${colors.hash(commit.hash)}: ${error.message}`));
+        this.metrics.errors++;
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  // Dependency changes for { before, after, files } revision pairs; detection problems never fail the analysis
+  async detectDependencyChanges(pairs, blobReader = this.gitManager) {
+    try {
+      return await new DependencyChanges(blobReader).detect(pairs);
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not detect dependency changes: ${error.message}`));
+      return pairs.map(() => []);
+    }
+  }
+
+  // Exported API changes for { before, after, files } revision pairs; parse problems never fail the analysis
+  async detectApiChanges(pairs, blobReader = this.gitManager) {
+    try {
+      return await new ApiSurface(blobReader).detect(pairs);
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not analyze API changes: ${error.message}`));
+      return pairs.map(() => []);
+    }
+  }
+
+  // Public type declaration changes across a release range (--type-diff). Without a starting ref the
+  // range is compared from the parent of its oldest commit; a range starting at the root has no base.
+  async compareTypeDeclarations(commitHashes, from = null, to = null) {
+    const base = from || `${commitHashes[commitHashes.length - 1]}^`;
+    if (!this.gitManager.validateCommitHash(base)) return [];
+
+    try {
+      return await new TypeDeclarations(this.gitManager).compare(base, to || 'HEAD');
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not compare type declarations: ${error.message}`));
+      this.metrics.errors++;
+      return [];
+    }
+  }
+
+  // Release insights that also list type changes; breaking ones make the release breaking
+  withTypeChanges(releaseInsights, typeChanges) {
+    if (typeChanges.length === 0) return releaseInsights;
+    return { ...releaseInsights, typeChanges, breaking: releaseInsights.breaking || typeChanges.some(change => change.breaking) };
+  }
+
+  // Known vulnerabilities fixed or introduced by dependency changes; empty without an advisory database
+  matchAdvisories(dependencyChanges) {
+    if (!this.advisoryDatabase || !dependencyChanges?.length) return [];
+    try {
+      return this.advisoryDatabase.match(dependencyChanges);
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not match security advisories: ${error.message}`));
+      return [];
+    }
+  }
+
+  // Commit analysis from commit metadata, analyzed files and overall diff statistics
+  buildCommitAnalysis({ hash, subject, author, email, date, body, isMerge, trailers = CommitTrailers.parse(body), dependencyChanges = [], apiChanges = [] }, files, diffStats) {
+    const advisories = this.matchAdvisories(dependencyChanges);
+    const analysis = {
+      hash: hash.substring(0, 7),
+      fullHash: hash,
+      subject,
+      author,
+      email,
+      date,
+      body,
+      isMerge,
+      coAuthors: Contributors.parseCoAuthors(body),
+      files,
+      diffStats,
+      type: this.extractCommitType(subject),
+      scope: this.extractCommitScope(subject, trailers),
+      breaking: this.isBreakingChange(subject, body, apiChanges),
+      trailers,
+      semanticAnalysis: this.performSemanticAnalysis(files, subject, body),
+      complexity: this.assessOverallComplexity(files, diffStats),
+      riskAssessment: this.assessRisk(files, diffStats, subject, body, dependencyChanges, advisories, apiChanges),
+      messageQuality: this.assessCommitMessageQuality(subject, body),
+      references: this.issueReferences ? this.issueReferences.extract(subject, body) : [],
+      packages: this.getPackagesForFiles(files),
+      dependencies: dependencyChanges,
+      advisories,
+      apiChanges
+    };
+
+    this.metrics.commitsProcessed++;
+    return analysis;
+  }
+
   // Assess overall complexity
   assessOverallComplexity(files, diffStats) {
     const filesCount = files.length;
@@ -702,16 +846,21 @@ class AIChangelogGenerator {
   }
 
   // Risk assessment
-  assessRisk(files, diffStats, subject, body) {
+  assessRisk(files, diffStats, subject, body, dependencyChanges = [], advisories = [], apiChanges = []) {
     let riskScore = 0;
     const riskFactors = [];
 
     // Breaking changes
-    if (this.isBreakingChange(subject, body)) {
+    if (this.isBreakingChange(subject, body, apiChanges)) {
       riskScore += 5;
       riskFactors.push('Breaking changes detected');
     }
 
+    const breakingApiChanges = apiChanges.filter(change => change.breaking);
+    if (breakingApiChanges.length > 0) {
+      riskFactors.push(`Breaking API changes: ${breakingApiChanges.map(change => change.name).join(', ')}`);
+    }
+
     // Database changes
     if (files.some(f => f.category === 'database')) {
       riskScore += 3;
@@ -724,6 +873,23 @@ class AIChangelogGenerator {
       riskFactors.push('Configuration changes');
     }
 
+    // Dependency changes; major upgrades can break the code that uses them
+    const majorUpgrades = dependencyChanges.filter(change => change.major);
+    if (majorUpgrades.length > 0) {
+      riskScore += 3;
+      riskFactors.push(`Major dependency upgrades: ${majorUpgrades.map(change => `${change.name} ${change.from} → ${change.to}`).join(', ')}`);
+    } else if (dependencyChanges.length > 0) {
+      riskScore += 1;
+      riskFactors.push('Dependency changes');
+    }
+
+    // Known vulnerabilities introduced by dependency changes
+    const introduced = advisories.filter(advisory => advisory.status === 'introduced');
+    if (introduced.length > 0) {
+      riskScore += introduced.some(advisory => advisory.severity === 'critical' || advisory.severity === 'high') ? 5 : 3;
+      riskFactors.push(`Introduces known vulnerabilities: ${introduced.map(advisory => `${advisory.id} (${advisory.package} ${advisory.to})`).join(', ')}`);
+    }
+
     // Large scale changes
     if (files.length > 50 || (diffStats.insertions + diffStats.deletions) > 2000) {
       riskScore += 2;
@@ -752,25 +918,53 @@ class AIChangelogGenerator {
   }
 
   // Deep file change analysis
-  async analyzeFileChange(commitHash, status, filePath) {
-    try {
-      // Get file diff with context - improved error handling
-      const diffCommand = `git show ${commitHash} --pretty=format: -U5 -- "${filePath}"`;
-      let diff = '';
+  // Renamed files are read from their old path before the commit
+  async analyzeFileChange(commitHash, status, filePath, isMerge = false, oldPath = filePath) {
+    return this.analyzeFileDiff(status, filePath, {
+      diffArgs: ['show', ...(isMerge ? ['-m', '--first-parent'] : []), '--pretty=format:', '-U5', '--end-of-options', commitHash, '--', ...new Set([oldPath, filePath])],
+      beforeRef: `${commitHash}~1`,
+      afterRef: commitHash,
+      beforePath: oldPath
+    });
+  }
 
-      // Use the safer git show method that suppresses stderr
-      diff = this.gitManager.execGitShow(diffCommand);
-      
-      if (diff === null) {
-        // File doesn't exist or other git error occurred
-        if (status === 'D') {
-          diff = 'File deleted in this commit';
-        } else {
-          // For missing files, provide a clean user message without git details
-          console.warn(colors.warningMessage(`⚠️  File ${colors.file(filePath)} not available (renamed, moved, or binary)`));
-          diff = 'File content unavailable (renamed, moved, or binary)';
-        }
-      } else if (!diff || diff.trim() === '') {
+  // Analyze one file's diff; before/after refs supply the surrounding file content
+  async analyzeFileDiff(status, filePath, { diffArgs, beforeRef, afterRef, beforePath = filePath }) {
+    // Use the safer git show method that suppresses stderr
+    let diff = this.gitManager.execGitShow(diffArgs);
+
+    if (diff === null) {
+      // File doesn't exist or other git error occurred
+      if (status === 'D') {
+        diff = 'File deleted in this commit';
+      } else {
+        // For missing files, provide a clean user message without git details
+        console.warn(colors.warningMessage(`⚠️  File ${colors.file(filePath)} not available (renamed, moved, or binary)`));
+        diff = 'File content unavailable (renamed, moved, or binary)';
+      }
+    }
+
+    // Get file content context with better error handling
+    let beforeContent = '';
+    let afterContent = '';
+
+    if (status !== 'A' && !diff.includes('not available')) {
+      const beforeResult = this.gitManager.execGitShow(['show', '--end-of-options', `${beforeRef}:${beforePath}`]);
+      beforeContent = beforeResult ? beforeResult.slice(0, 1000) : '';
+    }
+
+    if (status !== 'D' && !diff.includes('not available')) {
+      const afterResult = this.gitManager.execGitShow(['show', '--end-of-options', `${afterRef}:${filePath}`]);
+      afterContent = afterResult ? afterResult.slice(0, 1000) : '';
+    }
+
+    return this.buildFileAnalysis(status, filePath, diff, beforeContent, afterContent);
+  }
+
+  // File analysis from a file's diff and the start of its content before and after the change
+  buildFileAnalysis(status, filePath, diff, beforeContent = '', afterContent = '') {
+    try {
+      if (!diff || diff.trim() === '') {
         // Empty diff handling
         if (status === 'A') {
           diff = 'New file created';
@@ -779,20 +973,6 @@ class AIChangelogGenerator {
         }
       }
 
-      // Get file content context with better error handling
-      let beforeContent = '';
-      let afterContent = '';
-
-      if (status !== 'A' && !diff.includes('not available')) {
-        const beforeResult = this.gitManager.execGitShow(`git show ${commitHash}~1:"${filePath}"`);
-        beforeContent = beforeResult ? beforeResult.slice(0, 1000) : '';
-      }
-
-      if (status !== 'D' && !diff.includes('not available')) {
-        const afterResult = this.gitManager.execGitShow(`git show ${commitHash}:"${filePath}"`);
-        afterContent = afterResult ? afterResult.slice(0, 1000) : '';
-      }
-
       return {
         status,
         filePath,
@@ -864,22 +1044,24 @@ class AIChangelogGenerator {
   }
 
   // Extract scope from conventional commit format
-  extractCommitScope(subject) {
+  // Scope from the subject, falling back to a "Scope:" trailer
+  extractCommitScope(subject, trailers = null) {
     if (!subject) return null;
 
     const match = subject.match(/^[a-z]+\((.+)\)!?:/i);
-    return match ? match[1] : null;
+    return match ? match[1] : (CommitTrailers.get(trailers, 'scope')[0] || null);
   }
 
-  // Check if commit represents a breaking change
-  isBreakingChange(subject, body) {
+  // Check if commit represents a breaking change: a "type(scope)!:" header or a
+  // BREAKING CHANGE footer; a "BREAKING" subject prefix covers non-conventional histories.
+  // Removed, renamed or incompatibly changed exports are breaking whatever the message says.
+  isBreakingChange(subject, body = '', apiChanges = []) {
     if (!subject) return false;
 
-    return subject.includes('!:') ||
-           subject.toUpperCase().includes('BREAKING') ||
-           body.includes('BREAKING CHANGE:') ||
-           body.includes('BREAKING-CHANGE:') ||
-           body.toUpperCase().includes('BREAKING CHANGE');
+    return /^\w+(\(.+\))?!:/.test(subject) ||
+           /^BREAKING\b/i.test(subject) ||
+           CommitTrailers.parse(body).breakingChange !== null ||
+           apiChanges.some(change => change.breaking);
   }
 
   // Categorize file by type
@@ -888,6 +1070,8 @@ class AIChangelogGenerator {
 
     const pathLower = filePath.toLowerCase();
 
+    const dependencyFile = DependencyChanges.fileType(filePath);
+    if (dependencyFile && !dependencyFile.config) return 'dependencies';
     if (pathLower.match(/\.(ts|tsx|js|jsx)$/)) return 'source';
     if (pathLower.match(/\.(css|scss|sass|less|styl)$/)) return 'style';
     if (pathLower.match(/\.(json|yaml|yml|toml|ini|xml)$/)) return 'config';
@@ -1356,15 +1540,88 @@ class AIChangelogGenerator {
 
     insights.summary = `Release includes ${features} new features, ${fixes} bug fixes${breaking}`;
 
+    // With AI the summary is written from the entries and streamed to the terminal as it
+    // arrives; without a terminal that extra request is only made with AI_RELEASE_SUMMARY.
+    // The rule-based summary is kept when no provider answers
+    this.renderer?.begin(`📋 Release Summary${version ? ` (${version})` : ''}`);
+    const useAI = this.hasAI && (this.renderer || this.configManager.get('AI_RELEASE_SUMMARY'));
+    const releaseSummary = useAI ? await this.generateReleaseSummary(analyzedCommits, insights, version) : null;
+    if (releaseSummary) {
+      insights.summary = releaseSummary.summary;
+      insights.generatedBy = releaseSummary.generatedBy;
+    } else {
+      this.renderer?.write(insights.summary);
+    }
+    this.renderer?.end();
+
     return insights;
   }
 
+  // Release summary written by the AI from the release's entries, cached by its prompt; null when it fails
+  async generateReleaseSummary(analyzedCommits, insights, version) {
+    const entries = analyzedCommits
+      .filter(commit => CommitTrailers.changelogCategory(commit.trailers) !== null)
+      .map(commit => `- ${commit.type || 'other'}${commit.breaking ? ' (breaking)' : ''}: ${commit.aiSummary?.summary || commit.subject}`);
+
+    const prompt = `Summarize ${version ? `release ${version}` : 'this release'} for its changelog in two or three sentences of plain text (no markdown, headings or lists). Lead with what matters most to users${insights.breaking ? ' and call out the breaking changes' : ''}.
+
+<changes>
+${entries.join('\n')}
+</changes>`;
+
+    const cacheKey = {
+      hash: `release:${crypto.createHash('sha256').update(prompt).digest('hex')}`,
+      analysisMode: this.analysisMode,
+      model: this.modelOverride || 'default',
+      promptVersion: RELEASE_SUMMARY_PROMPT_VERSION
+    };
+    const cached = this.summaryCache.get(cacheKey);
+    if (cached) {
+      this.metrics.cacheHits++;
+      this.renderer?.write(cached.summary);
+      return cached;
+    }
+    if (this.summaryCache.enabled) {
+      this.metrics.cacheMisses++;
+    }
+
+    try {
+      const response = await this.providerManager.generateWithFallback([{ role: 'user', content: prompt }], {
+        temperature: 0.3,
+        max_tokens: 300,
+        onText: this.renderer ? text => this.renderer.write(text) : undefined,
+        onRestart: () => this.renderer?.restart(),
+        signal: this.signal
+      });
+      this.metrics.apiCalls++;
+      if (response.fallbacks.length > 0) {
+        this.metrics.fallbacks++;
+      }
+
+      const summary = response.content?.trim();
+      if (!summary) return null;
+
+      const releaseSummary = { summary, generatedBy: { provider: response.provider, model: response.model } };
+      // As with commit summaries, only the primary provider's answer is cached
+      if (response.fallbacks.length === 0) {
+        this.summaryCache.set(cacheKey, releaseSummary);
+      }
+      return releaseSummary;
+    } catch (error) {
+      this.throwIfCancelled();
+      console.warn(colors.warningMessage(`Could not generate the release summary: ${error.message}`));
+      this.metrics.errors++;
+      return null;
+    }
+  }
+
   // Batch processing for large repositories
   async generateChangelogBatch(commitHashes) {
-    const batchSize = 10; // Process in batches to avoid rate limits
+    const batchSize = 50; // Batches report progress; each one is loaded with a single git log stream
     const results = [];
 
     for (let i = 0; i < commitHashes.length; i += batchSize) {
+      this.throwIfCancelled();
       const batch = commitHashes.slice(i, i + batchSize);
       const batchNum = Math.floor(i/batchSize) + 1;
       const totalBatches = Math.ceil(commitHashes.length/batchSize);
@@ -1373,26 +1630,15 @@ class AIChangelogGenerator {
       // Show progress bar
       console.log(colors.progress(batchNum, totalBatches, 'batches processed'));
 
-      const batchPromises = batch.map(hash => this.getCommitAnalysis(hash));
-      const batchResults = await Promise.allSettled(batchPromises);
-
-      const successfulResults = batchResults
-        .filter(r => r.status === 'fulfilled' && r.value)
-        .map(r => r.value);
-
-      results.push(...successfulResults);
+      results.push(...await this.getCommitAnalyses(batch));
       this.metrics.batchesProcessed++;
-
-      // Rate limiting between batches
-      if (i + batchSize < commitHashes.length && this.hasAI) {
-        await this.sleep(1000); // 1 second between batches
-      }
+      this.reportProgress(results.length, commitHashes.length, `Loaded batch ${batchNum}/${totalBatches} (${results.length} of ${commitHashes.length} commits)`);
     }
 
-    return results.filter(Boolean);
+    return results;
   }
 
-  // AI integration with better error handling and retry logic
+  // AI summary for one commit; retries, rate limiting and provider fallback happen in ProviderManager
   async generateAISummary(commitAnalysis) {
     if (!this.hasAI) {
       return this.generateRuleBasedSummary(commitAnalysis);
@@ -1401,14 +1647,24 @@ class AIChangelogGenerator {
     // Select optimal model for this commit
     const selectedModel = await this.selectOptimalModel(commitAnalysis);
 
-    try {
-      // Validate AI provider before generating
-      const modelCheck = await this.aiProvider.validateModelAvailability(selectedModel || this.aiProvider.modelConfig.default);
-      if (!modelCheck.available) {
-        console.warn(colors.warningMessage('Selected model not available, falling back to rule-based analysis'));
-        return this.generateRuleBasedSummary(commitAnalysis);
-      }
+    // Reuse a summary from a previous run for the same commit, mode, model and prompt
+    const cacheKey = {
+      // A PR entry is keyed by every commit in it, so new review commits invalidate its summary
+      hash: [...new Set([commitAnalysis.fullHash || commitAnalysis.hash, ...(commitAnalysis.commits || []).map(commit => commit.fullHash)])].join(','),
+      analysisMode: this.analysisMode,
+      model: selectedModel || 'default',
+      promptVersion: SUMMARY_PROMPT_VERSION
+    };
+    const cachedSummary = this.summaryCache.get(cacheKey);
+    if (cachedSummary) {
+      this.metrics.cacheHits++;
+      return cachedSummary;
+    }
+    if (this.summaryCache.enabled) {
+      this.metrics.cacheMisses++;
+    }
 
+    try {
       const prompt = this.buildEnhancedPrompt(commitAnalysis);
 
       const messages = [
@@ -1429,16 +1685,35 @@ IMPORTANT: Always respond with valid JSON in the exact format requested. Focus o
       const settings = {
         temperature: 0.3,
         max_tokens: 1000,
-        model: selectedModel
+        model: selectedModel,
+        // Providers map this to native JSON mode: response_format, tool_use, responseSchema or format
+        responseSchema: { name: 'commit_summary', schema: COMMIT_SUMMARY_SCHEMA },
+        signal: this.signal
       };
 
+      // Preview the summary on the terminal's status line while its JSON streams in
+      if (this.renderer) {
+        let received = '';
+        settings.onText = text => {
+          received += text;
+          this.renderer.preview(commitAnalysis.hash, StreamRenderer.partialField(received, 'summary') || '');
+        };
+        settings.onRestart = () => {
+          received = '';
+        };
+      }
+
       // Add reasoning effort for reasoning models
       if (selectedModel && (selectedModel.includes('o3') || selectedModel.includes('o4'))) {
         settings.reasoning_effort = this.analysisMode === 'enterprise' ? 'high' : 'medium';
       }
 
-      const response = await this.aiProvider.generateCompletion(messages, settings);
+      // Unavailable models and outages fall through the AI_FALLBACK_CHAIN before rule-based analysis
+      const response = await this.providerManager.generateWithFallback(messages, settings);
       this.metrics.apiCalls++;
+      if (response.fallbacks.length > 0) {
+        this.metrics.fallbacks++;
+      }
 
       if (response.usage) {
         this.metrics.totalTokens += response.usage.total_tokens || 0;
@@ -1448,16 +1723,42 @@ IMPORTANT: Always respond with valid JSON in the exact format requested. Focus o
         throw new Error('Empty response from AI provider');
       }
 
-      return this.parseAIResponse(response.content, commitAnalysis);
+      let result = response;
+      let { parsed, errors } = this.validateAIResponse(response.content);
+
+      // Give the model one chance to fix an invalid response before falling back to rules
+      if (errors.length > 0) {
+        console.warn(colors.warningMessage(`AI response failed schema validation for ${commitAnalysis.hash}: ${errors.slice(0, 3).join('; ')}`));
+        this.metrics.repairs++;
+        ({ response: result, parsed, errors } = await this.repairAIResponse(messages, settings, response, errors));
+        if (errors.length > 0) {
+          console.error(colors.errorMessage(`Repaired AI response is still invalid: ${errors.slice(0, 3).join('; ')}`));
+          this.metrics.errors++;
+          return this.generateRuleBasedSummary(commitAnalysis);
+        }
+      }
+
+      const aiSummary = this.parseAIResponse(parsed, commitAnalysis);
+      aiSummary.generatedBy = { provider: result.provider, model: result.model };
+
+      // Only summaries from the primary provider are cached; fallback and rule-based
+      // summaries are retried on the next run so an outage doesn't stick to a release
+      if (response.fallbacks.length === 0) {
+        this.summaryCache.set(cacheKey, aiSummary);
+      }
+      return aiSummary;
     } catch (error) {
+      // Cancelled requests stop generation instead of falling back to rules
+      this.throwIfCancelled();
       console.error(colors.errorMessage(`AI API error: ${error.message}`));
       this.metrics.errors++;
       return this.generateRuleBasedSummary(commitAnalysis);
     }
   }
 
-  // Build prompt optimized for GPT-4.1 series
-  buildEnhancedPrompt(commitAnalysis) {
+  // Facts about one commit or PR for prompts: summary, PR commits, API changes and per-file analysis.
+  // Shared by the commit summary prompt and the MCP prompts.
+  buildCommitContext(commitAnalysis) {
     const { subject, files, semanticAnalysis, diffStats, complexity, riskAssessment } = commitAnalysis;
 
     // Build comprehensive context
@@ -1473,11 +1774,25 @@ IMPORTANT: Always respond with valid JSON in the exact format requested. Focus o
       keyChanges: this.extractKeyDiffLines(file.diff)
     })).slice(0, 15); // Limit for token efficiency but increased for GPT-4.1
 
-    // prompt leveraging GPT-4.1's improved instruction following
-    return `<task>
-Analyze this git commit for changelog generation using your reasoning capabilities.
-
-<commit_context>
+    // Pull requests are summarized as one entry, with their commits as context
+    const prContext = commitAnalysis.pr ? `
+<pull_request>
+Pull request: #${commitAnalysis.pr}
+Commits (${commitAnalysis.commits.length}):
+${commitAnalysis.commits.map(commit => `- ${commit.hash} ${commit.subject}`).join('\n')}
+Summarize the pull request as a whole; fold review and fix-up commits into the main change.
+</pull_request>
+` : '';
+
+    // Exported API changes found by parsing the code; removals and incompatible signatures need migration notes
+    const apiChanges = commitAnalysis.apiChanges || [];
+    const apiContext = apiChanges.length > 0 ? `
+<api_changes>
+${apiChanges.map(change => `- ${change.change} ${change.kind} \`${change.name}\`${change.previousName ? ` (was \`${change.previousName}\`)` : ''} in ${change.file}${change.from || change.to ? `: ${change.from || '∅'} → ${change.to || '∅'}` : ''}${change.breaking ? ' [breaking]' : ''}`).join('\n')}
+</api_changes>
+` : '';
+
+    return `<commit_context>
 Subject: ${subject}
 Files changed: ${files.length}
 Lines: +${diffStats.insertions} -${diffStats.deletions}
@@ -1487,10 +1802,19 @@ Complexity: ${complexity.level} (score: ${complexity.score})
 Risk Level: ${riskAssessment.level}
 Risk Factors: ${riskAssessment.factors.join(', ')}
 </commit_context>
-
+${prContext}${apiContext}
 <files_analysis>
 ${JSON.stringify(filesContext, null, 2)}
-</files_analysis>
+</files_analysis>`;
+  }
+
+  // Build prompt optimized for GPT-4.1 series
+  buildEnhancedPrompt(commitAnalysis) {
+    // prompt leveraging GPT-4.1's improved instruction following
+    return `<task>
+Analyze this git commit for changelog generation using your reasoning capabilities.
+
+${this.buildCommitContext(commitAnalysis)}
 
 <analysis_requirements>
 1. **Primary Impact**: What does this change do for end users?
@@ -1524,47 +1848,89 @@ Return ONLY valid JSON in this exact structure:
 </task>`;
   }
 
-  parseAIResponse(content, originalCommit) {
+  // Extract the JSON object from a model response, tolerating markdown fences and surrounding prose
+  extractJSON(content) {
+    let jsonStr = (content || '').trim();
+
+    // Remove markdown code blocks
+    if (jsonStr.startsWith('```json')) {
+      jsonStr = jsonStr.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+    } else if (jsonStr.startsWith('```')) {
+      jsonStr = jsonStr.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    }
+
+    if (!jsonStr.startsWith('{')) {
+      const start = jsonStr.indexOf('{');
+      const end = jsonStr.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        jsonStr = jsonStr.slice(start, end + 1);
+      }
+    }
+
+    return jsonStr;
+  }
+
+  // Parse a JSON response and check it against a schema (the commit summary schema by default)
+  validateAIResponse(content, schema = COMMIT_SUMMARY_SCHEMA) {
+    let parsed;
     try {
-      // Clean the response
-      let jsonStr = content.trim();
-
-      // Remove markdown code blocks
-      if (jsonStr.startsWith('```json')) {
-        jsonStr = jsonStr.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (jsonStr.startsWith('```')) {
-        jsonStr = jsonStr.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      const parsed = JSON.parse(jsonStr);
-
-      // Validate and enhance the response
-      const baseResponse = {
-        summary: parsed.summary || originalCommit.subject,
-        technicalSummary: parsed.technicalSummary || '',
-        category: parsed.category || originalCommit.type || 'other',
-        impact: parsed.impact || 'low',
-        scope: parsed.scope || 'patch',
-        userFacing: Boolean(parsed.userFacing),
-        breaking: Boolean(parsed.breaking),
-        businessImpact: parsed.businessImpact || '',
-        technicalImpact: parsed.technicalImpact || '',
-        highlights: Array.isArray(parsed.highlights) ? parsed.highlights : [],
-        migrationNotes: parsed.migrationNotes || null,
-        tags: Array.isArray(parsed.tags) ? parsed.tags : [],
-        relatedAreas: Array.isArray(parsed.relatedAreas) ? parsed.relatedAreas : [],
-        riskLevel: parsed.riskLevel || 'low',
-        confidence: parsed.confidence || 0.8
-      };
+      parsed = JSON.parse(this.extractJSON(content));
+    } catch (error) {
+      return { parsed: null, errors: [`response is not valid JSON (${error.message})`] };
+    }
+    return { parsed, errors: validateSchema(parsed, schema) };
+  }
+
+  // Re-prompt the provider that produced an invalid response with its output and the validation errors
+  async repairAIResponse(messages, settings, response, errors) {
+    const repairMessages = [
+      ...messages,
+      { role: 'assistant', content: response.content || '' },
+      {
+        role: 'user',
+        content: `Your response did not match the required JSON schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object with every required field.`
+      }
+    ];
 
-      return baseResponse;
+    try {
+      const repaired = await this.providerManager.generateWithProvider(response.provider, repairMessages, { ...settings, model: response.model });
+      this.metrics.apiCalls++;
+      if (repaired.usage) {
+        this.metrics.totalTokens += repaired.usage.total_tokens || 0;
+      }
+      return { response: repaired, ...this.validateAIResponse(repaired.content, settings.responseSchema?.schema) };
     } catch (error) {
-      console.error(colors.errorMessage(`Error parsing AI response: ${error.message}`));
-      this.metrics.errors++;
-      return this.generateRuleBasedSummary(originalCommit);
+      return { response, parsed: null, errors: [...errors, `repair request failed (${error.message})`] };
     }
   }
 
+  // Normalize a validated summary into the shape used by the changelog builders
+  parseAIResponse(parsed, originalCommit) {
+    // Validate and enhance the response
+    const baseResponse = {
+      summary: parsed.summary || originalCommit.subject,
+      technicalSummary: parsed.technicalSummary || '',
+      category: parsed.category || originalCommit.type || 'other',
+      impact: parsed.impact || 'low',
+      scope: parsed.scope || 'patch',
+      userFacing: Boolean(parsed.userFacing),
+      breaking: Boolean(parsed.breaking),
+      businessImpact: parsed.businessImpact || '',
+      technicalImpact: parsed.technicalImpact || '',
+      highlights: Array.isArray(parsed.highlights) ? parsed.highlights : [],
+      migrationNotes: parsed.migrationNotes || null,
+      tags: Array.isArray(parsed.tags) ? parsed.tags : [],
+      relatedAreas: Array.isArray(parsed.relatedAreas) ? parsed.relatedAreas : [],
+      riskLevel: parsed.riskLevel || 'low',
+      confidence: parsed.confidence || 0.8
+    };
+
+    return baseResponse;
+  }
+
   // rule-based analysis as fallback
   generateRuleBasedSummary(commitAnalysis) {
     const { subject, files, semanticAnalysis, diffStats, complexity, riskAssessment, messageQuality } = commitAnalysis;
@@ -1680,145 +2046,171 @@ Return ONLY valid JSON in this exact structure:
       businessImpact: userFacing ? 'Affects user experience' : 'Internal improvements',
       technicalImpact: `Changes in ${[...new Set(files.map(f => f.category))].join(', ')}`,
       highlights: highlights.slice(0, 4),
-      migrationNotes: commitAnalysis.breaking ? 'Review breaking changes before deployment' : null,
+      migrationNotes: commitAnalysis.breaking ? (ApiSurface.migrationNotes(commitAnalysis.apiChanges) || 'Review breaking changes before deployment') : null,
       tags: semanticAnalysis.frameworks.concat(semanticAnalysis.patterns.slice(0, 3)),
       relatedAreas: [...new Set(files.map(f => f.category))].slice(0, 3),
       riskLevel: riskAssessment.level,
       confidence: messageQuality ? Math.max(0.3, 0.7 - (8 - messageQuality.score) * 0.05) : 0.7,
-      messageQuality: messageQuality
+      messageQuality: messageQuality,
+      generatedBy: { provider: 'rule-based', model: null }
     };
   }
 
-  // Build comprehensive changelog from analyzed commits
-  buildChangelog(analyzedCommits, releaseInsights, version) {
-    const currentDate = new Date().toISOString().split('T')[0];
-    const versionHeader = version || 'Unreleased';
-
-    let changelog = `# Changelog\n\n## [${versionHeader}] - ${currentDate}\n\n`;
-
-    // Add release summary with business impact
-    if (releaseInsights.summary) {
-      changelog += `### 📋 Release Summary\n${releaseInsights.summary}\n\n`;
-      changelog += `**Business Impact**: ${releaseInsights.businessImpact}\n`;
-      changelog += `**Complexity**: ${releaseInsights.complexity}\n`;
-      if (releaseInsights.deploymentRequirements.length > 0) {
-        changelog += `**Deployment Requirements**: ${releaseInsights.deploymentRequirements.join(', ')}\n`;
-      }
-      changelog += '\n';
-    }
-
-    // Group commits by type
-    const commitsByType = {
-      feat: [],
-      fix: [],
-      security: [],
-      breaking: [],
-      docs: [],
-      style: [],
-      refactor: [],
-      perf: [],
-      test: [],
-      chore: [],
-      deps: [],
-      other: []
-    };
-
-    analyzedCommits.forEach(commit => {
-      const type = commit.breaking ? 'breaking' : (commit.type || 'other');
-      if (commitsByType[type]) {
-        commitsByType[type].push(commit);
-      } else {
-        commitsByType.other.push(commit);
-      }
-    });
-
-    // Add sections for each commit type
-    Object.entries(commitsByType).forEach(([type, commits]) => {
-      if (commits.length > 0) {
-        changelog += `${COMMIT_TYPES[type] || type}\n\n`;
-
-        commits.forEach(commit => {
-          const summary = commit.aiSummary?.summary || commit.subject;
-          const confidence = commit.aiSummary?.confidence ? ` (${Math.round(commit.aiSummary.confidence * 100)}%)` : '';
-
-          changelog += `- **${commit.scope ? `${commit.scope}: ` : ''}${summary}**`;
+  // Build comprehensive changelog from analyzed commits using the configured template
+  buildChangelog(analyzedCommits, releaseInsights, version, date = null) {
+    const templateData = this.buildTemplateData(analyzedCommits, releaseInsights, version, date);
+    return this.templates.render(this.changelogFormat, templateData);
+  }
 
-          if (commit.breaking || commit.aiSummary?.breaking) {
-            changelog += ` ⚠️ BREAKING CHANGE`;
-          }
+  // Convert analyzed commits into the data shape consumed by ChangelogTemplates
+  buildTemplateData(analyzedCommits, releaseInsights, version, date = null) {
+    const repository = this.gitManager?.gitConfig?.repository || null;
+    const changes = {};
+    const breaking = [];
+    const dependencyChanges = [];
 
-          if (commit.aiSummary?.impact === 'critical' || commit.aiSummary?.impact === 'high') {
-            changelog += ` 🔥`;
-          }
+    analyzedCommits.forEach(commit => {
+      // A "Changelog:" trailer overrides the category or drops the commit
+      const override = CommitTrailers.changelogCategory(commit.trailers);
+      if (override === null) return;
+      dependencyChanges.push(commit.dependencies);
 
-          changelog += ` (${commit.hash})${confidence}\n`;
+      const isBreaking = Boolean(commit.breaking || commit.aiSummary?.breaking);
+      const type = override || (commit.breaking ? 'breaking' : (commit.type || 'other'));
+      const details = [];
 
-          if (commit.aiSummary?.technicalSummary) {
-            changelog += `  - ${commit.aiSummary.technicalSummary}\n`;
-          }
+      if (commit.aiSummary?.technicalSummary) {
+        details.push(commit.aiSummary.technicalSummary);
+      }
+      if (commit.aiSummary?.highlights?.length > 0) {
+        details.push(...commit.aiSummary.highlights);
+      }
 
-          if (commit.aiSummary?.highlights?.length > 0) {
-            commit.aiSummary.highlights.forEach(highlight => {
-              changelog += `  - ${highlight}\n`;
-            });
-          }
+      const change = {
+        description: commit.aiSummary?.summary || commit.subject,
+        scope: commit.scope,
+        hash: commit.fullHash || commit.hash,
+        author: commit.author,
+        date: this.formatCommitDate(commit.date),
+        breaking: isBreaking,
+        impact: commit.aiSummary?.impact,
+        confidence: commit.aiSummary?.confidence,
+        details,
+        migration: commit.trailers?.breakingChange || commit.aiSummary?.migrationNotes || ApiSurface.migrationNotes(commit.apiChanges),
+        generatedBy: commit.aiSummary?.generatedBy || null,
+        pr: commit.pr || null,
+        commits: commit.commits ? commit.commits.map(member => member.fullHash || member.hash) : null,
+        references: commit.references || []
+      };
 
-          if (commit.aiSummary?.migrationNotes) {
-            changelog += `  - **Migration**: ${commit.aiSummary.migrationNotes}\n`;
-          }
+      if (!changes[type]) changes[type] = [];
+      changes[type].push(change);
 
-          changelog += '\n';
-        });
+      if (isBreaking) {
+        breaking.push({ description: change.description, migration: change.migration });
       }
     });
 
-    // Add detailed risk assessment if needed
-    if (releaseInsights.riskLevel !== 'low' || releaseInsights.breaking) {
-      changelog += `### ⚠️ Risk Assessment\n`;
-      changelog += `**Risk Level:** ${releaseInsights.riskLevel.toUpperCase()}\n\n`;
-
-      if (releaseInsights.breaking) {
-        changelog += `🚨 **Breaking Changes**: This release contains breaking changes. Please review migration notes above.\n\n`;
-      }
-
-      if (releaseInsights.deploymentRequirements.length > 0) {
-        changelog += `📋 **Deployment Requirements**:\n`;
-        releaseInsights.deploymentRequirements.forEach(req => {
-          changelog += `- ${req}\n`;
-        });
-        changelog += '\n';
-      }
+    // Breaking changes found by comparing type declarations (--type-diff) have no single commit
+    const typeEntries = TypeDeclarations.breakingEntries(releaseInsights.typeChanges);
+    if (typeEntries.length > 0) {
+      changes.breaking = [...(changes.breaking || []), ...typeEntries];
+      breaking.push(...typeEntries.map(entry => ({ description: entry.description, migration: entry.migration })));
     }
 
-    // Add affected areas
-    if (releaseInsights.affectedAreas?.length > 0) {
-      changelog += `### 🎯 Affected Areas\n`;
-      releaseInsights.affectedAreas.forEach(area => {
-        changelog += `- ${area}\n`;
-      });
-      changelog += '\n';
-    }
+    // Commits are newest first; the release's net dependency changes are combined oldest first
+    const dependencies = DependencyChanges.combine(dependencyChanges.reverse());
 
-    // Add performance metrics
-    changelog += `### 📊 Generation Metrics\n`;
-    changelog += `- **Total Commits**: ${analyzedCommits.length}\n`;
-    changelog += `- **Processing Time**: ${this.formatDuration(Date.now() - this.metrics.startTime)}\n`;
-    changelog += `- **AI Calls**: ${this.metrics.apiCalls}\n`;
+    const totalCommits = analyzedCommits.reduce((total, commit) => total + (commit.commits?.length || 1), 0);
+    const generationMetrics = {
+      'Total Commits': totalCommits,
+      'Processing Time': this.formatDuration(Date.now() - this.metrics.startTime),
+      'AI Calls': this.metrics.apiCalls
+    };
     if (this.metrics.totalTokens > 0) {
-      changelog += `- **Tokens Used**: ${this.metrics.totalTokens.toLocaleString()}\n`;
+      generationMetrics['Tokens Used'] = this.metrics.totalTokens.toLocaleString();
     }
-    changelog += `- **Batches Processed**: ${this.metrics.batchesProcessed}\n`;
+    const sources = this.summarizeGeneratedBy(analyzedCommits);
+    if (Object.keys(sources).length > 0) {
+      generationMetrics['Generated By'] = Object.entries(sources).map(([source, count]) => `${source} (${count})`).join(', ');
+    }
+    generationMetrics['Batches Processed'] = this.metrics.batchesProcessed;
     if (this.metrics.errors > 0) {
-      changelog += `- **Errors**: ${this.metrics.errors}\n`;
+      generationMetrics['Errors'] = this.metrics.errors;
     }
-    changelog += '\n';
 
-    // Add attribution footer unless disabled
-    if (this.includeAttribution !== false) {
-      changelog += `---\n\n*Generated using [ai-github-changelog-generator-cli-mcp](https://github.com/entro314-labs/AI-github-changelog-generator-cli-mcp) - AI-powered changelog generation for Git repositories*\n`;
+    return {
+      title: '# Changelog',
+      version,
+      date: date ? this.formatCommitDate(date) : new Date().toISOString().split('T')[0],
+      changes,
+      breaking,
+      summary: releaseInsights.summary,
+      insights: releaseInsights,
+      generationMetrics,
+      repository,
+      dependencies,
+      advisories: this.matchAdvisories(dependencies),
+      contributors: this.includeContributors ? this.collectContributors(analyzedCommits) : null,
+      metadata: {
+        totalCommits,
+        includeCommitHash: this.configManager.get('INCLUDE_COMMIT_HASH'),
+        includeAuthor: this.configManager.get('INCLUDE_AUTHOR'),
+        includeDate: this.configManager.get('INCLUDE_DATE'),
+        groupByType: this.configManager.get('GROUP_BY_TYPE')
+      },
+      includeAttribution: this.includeAttribution
+    };
+  }
+
+  // Contributors across every commit, including the commits folded into PR entries
+  collectContributors(analyzedCommits) {
+    try {
+      const commits = analyzedCommits.flatMap(commit => (commit.commits?.length > 0 ? commit.commits : [commit]));
+      return new Contributors(this.gitManager).collect(commits);
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not collect contributors: ${error.message}`));
+      this.metrics.errors++;
+      return null;
     }
+  }
 
-    return changelog;
+  // Count entries per provider:model that produced their summary
+  summarizeGeneratedBy(analyzedCommits) {
+    const sources = {};
+    analyzedCommits.forEach(commit => {
+      const generatedBy = commit.aiSummary?.generatedBy;
+      if (!generatedBy) return;
+      const source = generatedBy.model ? `${generatedBy.provider}:${generatedBy.model}` : generatedBy.provider;
+      sources[source] = (sources[source] || 0) + 1;
+    });
+    return sources;
+  }
+
+  // Warn when fallback providers or rule-based analysis produced part of the release notes
+  reportSummarySources(analyzedCommits) {
+    if (!this.hasAI) return;
+
+    const ruleBased = analyzedCommits.filter(commit => commit.aiSummary?.generatedBy?.provider === 'rule-based').length;
+    if (this.metrics.fallbacks > 0) {
+      console.log(colors.warningMessage(`${this.metrics.fallbacks} ${this.metrics.fallbacks === 1 ? 'summary was' : 'summaries were'} generated by fallback providers`));
+    }
+    if (ruleBased > 0) {
+      console.log(colors.warningMessage(`${ruleBased} of ${analyzedCommits.length} commits fell back to rule-based analysis`));
+    }
+    if (this.metrics.fallbacks > 0 || ruleBased > 0) {
+      const sources = this.summarizeGeneratedBy(analyzedCommits);
+      console.log(colors.infoMessage(`Generated by: ${Object.entries(sources).map(([source, count]) => `${source} (${count})`).join(', ')}`));
+    }
+  }
+
+  // Normalise git author dates to YYYY-MM-DD for changelog output; ISO dates keep the day in
+  // their own timezone rather than the UTC one
+  formatCommitDate(date) {
+    const day = /^\d{4}-\d{2}-\d{2}/.exec(date);
+    if (day) return day[0];
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? date : parsed.toISOString().split('T')[0];
   }
 
   formatDuration(ms) {
@@ -1871,7 +2263,7 @@ Return ONLY valid JSON in this exact structure:
   }
 
   // Main changelog generation method
-  async generateChangelog(version = null, since = null) {
+  async generateChangelog(version = null, since = null, options = {}) {
     if (!this.gitExists) {
       console.error(colors.errorMessage('Not a git repository'));
       return;
@@ -1890,71 +2282,641 @@ Return ONLY valid JSON in this exact structure:
       configValidation.recommendations.forEach(rec => console.log(`   ${colors.dim('-')} ${rec}`));
     }
 
-    const commitHashes = await this.getCommitsSince(since);
+    // Fail on an unknown --package before any analysis
+    const selectedPackage = this.getSelectedPackage();
+
+    // When recommending a version, default the range to everything since the latest release tag
+    const latestRelease = options.bump ? this.getLatestReleaseTag() : null;
+    if (options.bump && !since && !options.from && latestRelease) {
+      since = latestRelease.tag;
+    }
+
+    // A --from/--to range takes precedence over --since; a release tag as --to also supplies version and date
+    let releaseDate = null;
+    let commitHashes;
+    if (options.from || options.to) {
+      commitHashes = await this.getCommitsInRange(options.from, options.to);
+      const toVersion = VersionCalculator.parse(options.to);
+      if (!version && toVersion) {
+        version = VersionCalculator.format(toVersion);
+      }
+      if (options.to) {
+        releaseDate = this.gitManager.getTagDate(options.to);
+      }
+    } else {
+      commitHashes = await this.getCommitsSince(since);
+    }
+
     if (commitHashes.length === 0) {
       console.log(colors.infoMessage('No commits found.'));
       return;
     }
 
-    console.log(colors.processingMessage(`Analyzing ${colors.number(commitHashes.length)} commits with ${colors.highlight(this.hasAI ? 'AI' : 'rule-based')} analysis...`));
+    const analyzedCommits = await this.analyzeCommitHashes(commitHashes);
+    if (analyzedCommits.length === 0) {
+      console.log(colors.infoMessage(`No commits found${selectedPackage ? ` for ${selectedPackage.name}` : ''}.`));
+      return;
+    }
 
-    // Use batch processing for large commit sets
-    let analyzedCommits;
-    if (commitHashes.length > 20) {
-      console.log(colors.infoMessage('Using batch processing for large commit set...'));
-      analyzedCommits = await this.generateChangelogBatch(commitHashes);
-    } else {
-      // Process smaller sets normally
-      analyzedCommits = [];
-      for (let i = 0; i < commitHashes.length; i++) {
-        const commitHash = commitHashes[i];
-        console.log(colors.processingMessage(`Processing commit ${colors.highlight(`${i + 1}/${commitHashes.length}`)}: ${colors.hash(commitHash.substring(0, 7))}`));
-
-        const commitAnalysis = await this.getCommitAnalysis(commitHash);
-        if (commitAnalysis) {
-          const aiSummary = await this.generateAISummary(commitAnalysis);
-
-          analyzedCommits.push({
-            ...commitAnalysis,
-            aiSummary
-          });
+    // Recommend the next semantic version from the analyzed commits
+    if (options.bump) {
+      const recommendation = this.calculateVersionRecommendation(analyzedCommits, latestRelease, options.prerelease);
+      this.printVersionRecommendation(recommendation);
+      if (!version && recommendation.next) {
+        version = recommendation.next;
+      }
+    }
 
-          // Rate limiting for API calls
-          if (this.hasAI && i < commitHashes.length - 1) {
-            await this.sleep(200);
-          }
-        }
+    // Generate release insights; --type-diff compares the public type declarations across the range
+    const rangeStart = options.from || options.to ? options.from : since;
+    const typeChanges = this.typeDiff
+      ? await this.compareTypeDeclarations(commitHashes, this.gitManager.validateCommitHash(rangeStart) ? rangeStart : null, options.to)
+      : [];
+    const releaseInsights = this.withTypeChanges(await this.generateReleaseInsights(analyzedCommits, version), typeChanges);
+
+    // Monorepos get one changelog per package next to its package.json, and the root changelog
+    // scopes each entry by package; --package writes only that package's changelog
+    const outputs = [];
+    if (this.workspaces?.isMonorepo && (this.workspaceChangelogs || selectedPackage)) {
+      outputs.push(...await this.buildPackageChangelogs(analyzedCommits, version, releaseDate, selectedPackage, typeChanges));
+    }
+    if (!selectedPackage) {
+      outputs.unshift({
+        file: this.changelogFile,
+        changelog: this.buildChangelog(this.scopeByPackage(analyzedCommits), this.describePackages(analyzedCommits, releaseInsights), version, releaseDate)
+      });
+    }
+    const changelog = outputs[0].changelog;
+
+    // Write to file or display for dry-run
+    outputs.forEach(output => {
+      if (this.dryRun) {
+        console.log(colors.header(`\n📋 DRY RUN - Changelog Preview${outputs.length > 1 ? ` (${output.file})` : ''}`));
+        console.log(colors.dim('='.repeat(80)));
+        console.log(output.changelog);
+        console.log(colors.dim('='.repeat(80)));
+        console.log(colors.infoMessage(`Preview generated (${output.file} not modified)`));
+      } else {
+        this.writeChangelogFile(output.changelog, output.file);
+        console.log(colors.successMessage(`AI changelog generated: ${colors.file(output.file)}`));
       }
+    });
+
+    // Show completion summary
+    console.log(colors.aiMessage(`Processed ${colors.number(analyzedCommits.length)} commits with ${colors.highlight(this.hasAI ? this.aiProvider.activeProvider : 'rule-based')} analysis`));
+    console.log(colors.metricsMessage(`Metrics: ${colors.number(this.metrics.apiCalls)} API calls, ${colors.number(this.metrics.totalTokens)} tokens, ${colors.number(this.metrics.cacheHits)} cached, ${colors.number(this.metrics.errors)} errors`));
+    console.log(colors.infoMessage(`Total time: ${colors.value(this.formatDuration(Date.now() - this.metrics.startTime))}`));
+    this.reportSummarySources(analyzedCommits);
+
+    if (releaseInsights.breaking) {
+      console.log(colors.warningMessage('WARNING: This release contains breaking changes!'));
     }
 
-    // Generate release insights
-    const releaseInsights = await this.generateReleaseInsights(analyzedCommits, version);
+    return changelog;
+  }
 
-    // Build comprehensive changelog
-    const changelog = this.buildChangelog(analyzedCommits, releaseInsights, version);
+  // Backfill one changelog section per release tag, dated by the tag, plus unreleased commits
+  async generateAllReleases() {
+    if (!this.gitExists) {
+      console.error(colors.errorMessage('Not a git repository'));
+      return;
+    }
+
+    const tags = this.gitManager.getTags({ sort: 'version:refname', limit: 0 });
+    const releases = tags.filter(tag => VersionCalculator.parse(tag));
+    const skipped = tags.filter(tag => !VersionCalculator.parse(tag));
+    releases.sort(VersionCalculator.compare);
+
+    if (skipped.length > 0) {
+      console.log(colors.infoMessage(`Skipping non-semver tags: ${skipped.join(', ')}`));
+    }
+    if (releases.length === 0) {
+      console.log(colors.infoMessage('No release tags found - use --since or --from/--to instead.'));
+      return;
+    }
+
+    console.log(colors.processingMessage(`Backfilling changelog for ${colors.number(releases.length)} releases${this.dryRun ? ' (DRY RUN)' : ''}...`));
+
+    // Oldest release first; merging puts each release where its version sorts
+    const ranges = releases.map((tag, i) => ({ from: i > 0 ? releases[i - 1] : null, to: tag }));
+    ranges.push({ from: releases[releases.length - 1], to: 'HEAD' });
+
+    // With --package the release history goes to that package's changelog
+    const selectedPackage = this.getSelectedPackage();
+    const changelogFile = selectedPackage ? this.getPackageChangelogFile(selectedPackage) : this.changelogFile;
+    const document = this.dryRun ? new ChangelogDocument() : ChangelogDocument.fromFile(this.resolvePath(changelogFile));
+    const result = { inserted: [], replaced: [] };
+    const allAnalyzedCommits = [];
+
+    for (const range of ranges) {
+      const released = range.to !== 'HEAD';
+      const commitHashes = await this.getCommitsInRange(range.from, range.to);
+      if (commitHashes.length === 0) {
+        if (released) {
+          console.log(colors.infoMessage(`No commits for ${colors.highlight(range.to)}, skipping`));
+        }
+        continue;
+      }
+
+      console.log(colors.header(`\n📦 ${released ? range.to : 'Unreleased'}`));
+      const analyzedCommits = await this.analyzeCommitHashes(commitHashes);
+      if (analyzedCommits.length === 0) continue;
+
+      const version = released ? VersionCalculator.format(VersionCalculator.parse(range.to)) : null;
+      const releaseDate = released ? this.gitManager.getTagDate(range.to) : null;
+      const typeChanges = this.typeDiff ? await this.compareTypeDeclarations(commitHashes, range.from, range.to) : [];
+      const releaseInsights = this.withTypeChanges(await this.generateReleaseInsights(analyzedCommits, version), typeChanges);
+      const changelog = this.buildChangelog(analyzedCommits, releaseInsights, version, releaseDate);
+
+      const outcome = document.merge(ChangelogDocument.parse(changelog));
+      result.inserted.push(...outcome.inserted);
+      result.replaced.push(...outcome.replaced);
+      allAnalyzedCommits.push(...analyzedCommits);
+    }
 
-    // Write to file or display for dry-run
     if (this.dryRun) {
       console.log(colors.header('\n📋 DRY RUN - Changelog Preview'));
       console.log(colors.dim('='.repeat(80)));
-      console.log(changelog);
+      console.log(document.toString());
       console.log(colors.dim('='.repeat(80)));
-      console.log(colors.infoMessage(`Preview generated (${CHANGELOG_FILE} not modified)`));
+      console.log(colors.infoMessage(`Preview generated (${changelogFile} not modified)`));
     } else {
-      fs.writeFileSync(CHANGELOG_FILE, changelog);
-      console.log(colors.successMessage(`AI changelog generated: ${colors.file(CHANGELOG_FILE)}`));
+      document.save(this.resolvePath(changelogFile));
+      result.replaced.forEach(key => {
+        console.log(colors.infoMessage(`Replaced existing section: ${colors.highlight(key)}`));
+      });
+      result.inserted.forEach(key => {
+        console.log(colors.infoMessage(`Added new section: ${colors.highlight(key)}`));
+      });
+      console.log(colors.successMessage(`AI changelog generated: ${colors.file(changelogFile)}`));
     }
 
-    // Show completion summary
-    console.log(colors.aiMessage(`Processed ${colors.number(analyzedCommits.length)} commits with ${colors.highlight(this.hasAI ? this.aiProvider.activeProvider : 'rule-based')} analysis`));
-    console.log(colors.metricsMessage(`Metrics: ${colors.number(this.metrics.apiCalls)} API calls, ${colors.number(this.metrics.totalTokens)} tokens, ${colors.number(this.metrics.errors)} errors`));
+    console.log(colors.aiMessage(`Processed ${colors.number(allAnalyzedCommits.length)} commits across ${colors.number(result.inserted.length + result.replaced.length)} sections`));
     console.log(colors.infoMessage(`Total time: ${colors.value(this.formatDuration(Date.now() - this.metrics.startTime))}`));
+    this.reportSummarySources(allAnalyzedCommits);
 
-    if (releaseInsights.breaking) {
-      console.log(colors.warningMessage('WARNING: This release contains breaking changes!'));
+    return document.toString();
+  }
+
+  // Analyze commits and generate a summary for each (batched for large sets)
+  async analyzeCommitHashes(commitHashes) {
+    this.throwIfCancelled();
+    console.log(colors.processingMessage(`Analyzing ${colors.number(commitHashes.length)} commits with ${colors.highlight(this.hasAI ? 'AI' : 'rule-based')} analysis...`));
+
+    let commitAnalyses = [];
+    if (commitHashes.length > 20) {
+      // Use batch processing for large commit sets
+      console.log(colors.infoMessage('Using batch processing for large commit set...'));
+      commitAnalyses = await this.generateChangelogBatch(commitHashes);
+    } else {
+      // Process smaller sets in one pass
+      commitAnalyses = await this.getCommitAnalyses(commitHashes);
+      this.reportProgress(commitHashes.length, commitHashes.length, `Loaded ${commitHashes.length} commits`);
     }
 
-    return changelog;
+    const selectedPackage = this.getSelectedPackage();
+    if (selectedPackage) {
+      const total = commitAnalyses.length;
+      commitAnalyses = commitAnalyses.filter(analysis => analysis.packages?.includes(selectedPackage.name));
+      console.log(colors.infoMessage(`${colors.number(commitAnalyses.length)} of ${colors.number(total)} commits touch ${colors.highlight(selectedPackage.name)}`));
+    }
+
+    if (this.groupByPR) {
+      commitAnalyses = this.groupCommitsByPR(commitAnalyses);
+    }
+
+    return this.summarizeCommits(commitAnalyses, commitHashes.length);
+  }
+
+  // Progress counts loaded commits, then summarized entries on top of them
+  reportProgress(progress, total, message) {
+    this.onProgress?.(progress, total, message);
+  }
+
+  throwIfCancelled() {
+    if (this.signal?.aborted) {
+      throw ToolProgress.cancellationError(this.signal.reason);
+    }
+  }
+
+  // Collapse the commits of each pull request into a single analysis so the PR becomes one entry
+  groupCommitsByPR(commitAnalyses) {
+    const groups = new PRGrouper(this.gitManager).group(commitAnalyses);
+    const entries = groups.map(group => (group.pr ? this.buildPRAnalysis(group) : group.commits[0]));
+
+    const grouped = groups.filter(group => group.pr && group.commits.length > 1).length;
+    if (grouped > 0) {
+      console.log(colors.infoMessage(`Grouped ${colors.number(commitAnalyses.length)} commits into ${colors.number(entries.length)} changelog entries by pull request`));
+    }
+    return entries;
+  }
+
+  // Combined analysis for one pull request; the constituent commits are kept as metadata
+  buildPRAnalysis({ pr, mergeCommit, commits }) {
+    const primary = mergeCommit || commits[0];
+    const subject = pr.title;
+    const body = commits.length > 1 ? commits.map(commit => `- ${commit.subject}`).join('\n') : primary.body;
+
+    // A merge commit's first-parent diff is the PR's net change; otherwise combine the commits
+    let files = primary.files;
+    let diffStats = primary.diffStats;
+    let dependencies = primary.dependencies || [];
+    let apiChanges = primary.apiChanges || [];
+    if (!mergeCommit && commits.length > 1) {
+      // Commits are newest first; combine oldest first
+      dependencies = DependencyChanges.combine([...commits].reverse().map(commit => commit.dependencies));
+      apiChanges = ApiSurface.combine([...commits].reverse().map(commit => commit.apiChanges));
+      const filesByPath = new Map();
+      commits.forEach(commit => commit.files.forEach(file => {
+        if (!filesByPath.has(file.filePath)) filesByPath.set(file.filePath, file);
+      }));
+      files = [...filesByPath.values()];
+      diffStats = commits.reduce((totals, commit) => ({
+        files: files.length,
+        insertions: totals.insertions + commit.diffStats.insertions,
+        deletions: totals.deletions + commit.diffStats.deletions
+      }), { files: files.length, insertions: 0, deletions: 0 });
+    }
+    const advisories = this.matchAdvisories(dependencies);
+
+    return {
+      ...primary,
+      subject,
+      body,
+      files,
+      diffStats,
+      isMerge: false,
+      type: this.extractCommitType(subject),
+      scope: this.extractCommitScope(subject) || primary.scope,
+      breaking: this.isBreakingChange(subject, '', apiChanges) || commits.some(commit => commit.breaking),
+      semanticAnalysis: this.performSemanticAnalysis(files, subject, body),
+      complexity: this.assessOverallComplexity(files, diffStats),
+      riskAssessment: this.assessRisk(files, diffStats, subject, body, dependencies, advisories, apiChanges),
+      messageQuality: this.assessCommitMessageQuality(subject, body),
+      dependencies,
+      advisories,
+      apiChanges,
+      trailers: CommitTrailers.merge([mergeCommit, ...commits].filter(Boolean).map(commit => commit.trailers)),
+      references: IssueReferences.merge(...[mergeCommit, ...commits].filter(Boolean).map(commit => commit.references || [])),
+      packages: this.getPackagesForFiles(files),
+      pr: pr.number,
+      commits: commits.map(commit => ({
+        hash: commit.hash,
+        fullHash: commit.fullHash,
+        subject: commit.subject,
+        author: commit.author,
+        email: commit.email,
+        coAuthors: commit.coAuthors,
+        date: commit.date
+      }))
+    };
+  }
+
+  // Workspace packages containing any of the files
+  getPackagesForFiles(files) {
+    return this.workspaces ? this.workspaces.packagesForFiles(files.map(file => file.filePath)) : [];
+  }
+
+  // Workspace package selected with --package, or null; an unknown name is an error
+  getSelectedPackage() {
+    if (!this.packageName) return null;
+
+    const pkg = this.workspaces?.find(this.packageName);
+    if (!pkg) {
+      const available = (this.workspaces?.packages || []).map(candidate => candidate.name).sort();
+      throw new Error(`Unknown workspace package: ${this.packageName}${available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no workspaces found)'}`);
+    }
+    return pkg;
+  }
+
+  // Changelog path next to a package's package.json, relative to the repository directory
+  getPackageChangelogFile(pkg) {
+    const file = this.workspaces.resolve(pkg, path.basename(this.changelogFile));
+    return path.relative(this.cwd, file) || file;
+  }
+
+  // Absolute path of a file given relative to the repository directory
+  resolvePath(file) {
+    return path.resolve(this.cwd, file);
+  }
+
+  // One { package, file, changelog } per package with commits in the set
+  async buildPackageChangelogs(analyzedCommits, version, date, selectedPackage = null, typeChanges = []) {
+    const packages = selectedPackage ? [selectedPackage] : [...this.workspaces.packages].sort((a, b) => a.dir.localeCompare(b.dir));
+    const outputs = [];
+
+    for (const pkg of packages) {
+      const commits = analyzedCommits.filter(commit => commit.packages?.includes(pkg.name));
+      if (commits.length === 0) continue;
+
+      const packageTypeChanges = typeChanges.filter(change => this.workspaces.packageForFile(change.file) === pkg);
+      const releaseInsights = this.withTypeChanges(await this.generateReleaseInsights(commits, version), packageTypeChanges);
+      outputs.push({
+        package: pkg.name,
+        file: this.getPackageChangelogFile(pkg),
+        changelog: this.buildChangelog(commits, releaseInsights, version, date)
+      });
+    }
+    return outputs;
+  }
+
+  // Use the touched packages as the scope of root changelog entries
+  scopeByPackage(analyzedCommits) {
+    if (!this.workspaces?.isMonorepo) return analyzedCommits;
+    return analyzedCommits.map(commit => (commit.packages?.length > 0 ? { ...commit, scope: commit.packages.join(', ') } : commit));
+  }
+
+  // Root summary naming the packages changed in the release
+  describePackages(analyzedCommits, releaseInsights) {
+    const counts = {};
+    analyzedCommits.forEach(commit => (commit.packages || []).forEach(name => {
+      counts[name] = (counts[name] || 0) + 1;
+    }));
+
+    const names = Object.keys(counts).sort();
+    if (names.length === 0) return releaseInsights;
+    const list = names.map(name => `${name} (${counts[name]})`).join(', ');
+    // An AI-written summary is prose, so the packages follow as a sentence of their own
+    if (releaseInsights.generatedBy) {
+      return { ...releaseInsights, summary: `${releaseInsights.summary} Changed packages: ${list}.` };
+    }
+    return { ...releaseInsights, summary: `${releaseInsights.summary} across ${names.length} ${names.length === 1 ? 'package' : 'packages'}: ${list}` };
+  }
+
+  // Summaries are requested in parallel; the provider request scheduler paces
+  // them (AI_CONCURRENCY, AI_REQUESTS_PER_MINUTE) and retries rate-limited calls
+  async summarizeCommits(commitAnalyses, loaded = 0) {
+    // Commits marked "Changelog: skip" never reach the changelog, so they aren't summarized
+    const included = new Set(commitAnalyses.filter(commitAnalysis => CommitTrailers.changelogCategory(commitAnalysis.trailers) !== null));
+    let summarized = 0;
+
+    return Promise.all(commitAnalyses.map(async commitAnalysis => {
+      if (!included.has(commitAnalysis)) {
+        return { ...commitAnalysis, aiSummary: null };
+      }
+
+      this.throwIfCancelled();
+      const aiSummary = await this.generateAISummary(commitAnalysis);
+      this.throwIfCancelled();
+      summarized++;
+      this.reportProgress(loaded + summarized, loaded + included.size, `Summarized ${summarized} of ${included.size} changelog entries`);
+      // Entries are shown on the terminal in the order their summaries complete
+      this.renderer?.entry(commitAnalysis.type || 'other', aiSummary.summary || commitAnalysis.subject, commitAnalysis.pr ? `#${commitAnalysis.pr}` : commitAnalysis.hash);
+      return { ...commitAnalysis, aiSummary };
+    }));
+  }
+
+  // Find the highest semver tag in the repository
+  getLatestReleaseTag() {
+    const calculator = new VersionCalculator();
+    return calculator.findLatestTag(this.gitManager.getTags({ limit: 0 }));
+  }
+
+  // Version used as the bump base when the repository has no semver tags yet
+  getPackageVersion() {
+    try {
+      const packagePath = path.join(this.cwd, 'package.json');
+      if (fs.existsSync(packagePath)) {
+        return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version || null;
+      }
+    } catch (error) {
+      console.warn(colors.warningMessage(`Could not read package.json version: ${error.message}`));
+    }
+    return null;
+  }
+
+  calculateVersionRecommendation(analyzedCommits, latestRelease, prerelease = null) {
+    const calculator = new VersionCalculator();
+    return calculator.recommend(analyzedCommits, {
+      currentVersion: latestRelease ? latestRelease.tag : this.getPackageVersion(),
+      currentTag: latestRelease ? latestRelease.tag : null,
+      prerelease
+    });
+  }
+
+  // Recommend the next semantic version from commits since the latest release tag
+  async recommendVersion(options = {}) {
+    if (!this.gitExists) {
+      throw new Error('Not a git repository');
+    }
+
+    const latestRelease = this.getLatestReleaseTag();
+    const since = options.since || (latestRelease ? latestRelease.tag : null);
+    const commitHashes = await this.getCommitsSince(since);
+    const analyzedCommits = commitHashes.length > 0 ? await this.analyzeCommitHashes(commitHashes) : [];
+
+    return this.calculateVersionRecommendation(analyzedCommits, latestRelease, options.prerelease);
+  }
+
+  printVersionRecommendation(recommendation) {
+    console.log(colors.header('\n🔖 Version Recommendation'));
+    console.log(`   ${colors.label('Current')}: ${colors.value(recommendation.currentTag || recommendation.current || 'none')}`);
+
+    if (!recommendation.next) {
+      console.log(colors.infoMessage('No changes since the latest release - no version bump needed'));
+      return;
+    }
+
+    console.log(`   ${colors.label('Next')}: ${colors.highlight(recommendation.next)} (${colors.value(recommendation.effectiveBump)} bump)`);
+    recommendation.notes.forEach(note => console.log(`   ${colors.dim('-')} ${note}`));
+
+    // Patch-level commits are only listed when they are what forced the bump
+    const levels = recommendation.bump === 'patch' ? ['patch'] : ['major', 'minor'];
+    levels.forEach(level => {
+      const commits = recommendation.justification[level];
+      if (commits.length > 0) {
+        console.log(colors.subheader(`   Commits requiring a ${level} bump:`));
+        commits.forEach(commit => {
+          console.log(`     ${colors.hash(commit.hash)} ${commit.subject} ${colors.dim(`(${commit.reason})`)}`);
+        });
+      }
+    });
+  }
+
+  // Pull request description from every commit and the aggregate diff between a base branch and HEAD
+  async generatePRDescription(baseBranch, options = {}) {
+    if (!this.gitExists) {
+      throw new Error('Not a git repository');
+    }
+
+    const head = options.head || 'HEAD';
+    for (const ref of [baseBranch, head]) {
+      if (!ref || ref.includes('..') || !this.gitManager.isValidRevisionRange(ref) || !this.gitManager.validateCommitHash(ref)) {
+        throw new Error(`Unknown branch or commit: ${ref}`);
+      }
+    }
+
+    const branch = head === 'HEAD' ? this.gitManager.getCurrentBranch() : head;
+    const commits = this.gitManager.getCommitsBetweenBranches(baseBranch, head);
+    if (commits.length === 0) {
+      throw new Error(`No commits on ${branch || head} that are not in ${baseBranch}`);
+    }
+
+    console.log(colors.processingMessage(`Analyzing ${colors.number(commits.length)} commits between ${colors.highlight(baseBranch)} and ${colors.highlight(branch || head)}...`));
+
+    // Merges of the base branch into the PR branch aren't part of the change
+    const commitAnalyses = (await this.getCommitAnalyses(commits.map(commit => commit.hash)))
+      .filter(analysis => !analysis.isMerge);
+
+    const { files, diffStats, dependencyChanges, apiChanges } = await this.getBranchDiffAnalysis(baseBranch, head);
+    const advisories = this.matchAdvisories(dependencyChanges);
+    const subjects = commitAnalyses.map(commit => commit.subject).join('\n');
+    const bodies = commitAnalyses.map(commit => commit.body).join('\n');
+    const context = {
+      base: baseBranch,
+      branch,
+      commits: commitAnalyses,
+      files,
+      diffStats,
+      dependencies: dependencyChanges,
+      advisories,
+      apiChanges,
+      riskAssessment: this.assessRisk(files, diffStats, subjects, bodies, dependencyChanges, advisories, apiChanges)
+    };
+
+    let description = PRDescription.fromAnalysis(context);
+    let generatedBy = { provider: 'rule-based', model: null };
+    if (this.hasAI) {
+      try {
+        const result = await this.generateAIPRDescription(context);
+        if (result) {
+          description = result.description;
+          generatedBy = result.generatedBy;
+        }
+      } catch (error) {
+        console.error(colors.errorMessage(`AI API error: ${error.message}`));
+        this.metrics.errors++;
+      }
+    }
+
+    return {
+      ...description,
+      base: baseBranch,
+      branch,
+      commits: commitAnalyses.map(commit => ({ hash: commit.hash, subject: commit.subject, author: commit.author })),
+      diffStats,
+      generatedBy,
+      markdown: PRDescription.render(description, context)
+    };
+  }
+
+  // Files, line counts, dependency and API changes between the merge base and head
+  async getBranchDiffAnalysis(baseBranch, head = 'HEAD') {
+    const mergeBase = this.gitManager.execGitSafe(['merge-base', '--end-of-options', baseBranch, head]).trim() || baseBranch;
+
+    const changedFiles = this.gitManager.execGitSafe(['diff', '--name-status', '--end-of-options', mergeBase, head])
+      .split('\n')
+      .filter(Boolean)
+      .map(line => CommitLoader.parseRawLine(line))
+      .filter(Boolean);
+
+    // Renames and copies list the old and new path; analyze the new one
+    const files = await Promise.all(changedFiles.map(file => this.analyzeFileDiff(file.status.charAt(0), file.filePath, {
+      diffArgs: ['diff', '-U5', '--end-of-options', mergeBase, head, '--', ...new Set([file.oldPath, file.filePath])],
+      beforeRef: mergeBase,
+      afterRef: head,
+      beforePath: file.oldPath
+    })));
+
+    const diffStats = this.parseDiffStatSummary(this.gitManager.execGitSafe(['diff', '--shortstat', '--end-of-options', mergeBase, head]).trim());
+    const pairs = [{ before: mergeBase, after: head, files: changedFiles }];
+    const [dependencyChanges] = await this.detectDependencyChanges(pairs);
+    const [apiChanges] = await this.detectApiChanges(pairs);
+    return { files: files.filter(Boolean), diffStats, dependencyChanges, apiChanges };
+  }
+
+  // The staged changes analyzed like a commit (no subject yet), for writing their commit message; null when nothing is staged
+  async getStagedAnalysis() {
+    const changedFiles = this.gitManager.execGitSafe(['diff', '--cached', '--name-status'])
+      .split('\n')
+      .filter(Boolean)
+      .map(line => CommitLoader.parseRawLine(line))
+      .filter(Boolean);
+    if (changedFiles.length === 0) return null;
+
+    // The staged content of a file is the index blob ":path"
+    const files = await Promise.all(changedFiles.map(file => this.analyzeFileDiff(file.status.charAt(0), file.filePath, {
+      diffArgs: ['diff', '--cached', '-U5', '--', ...new Set([file.oldPath, file.filePath])],
+      beforeRef: 'HEAD',
+      afterRef: '',
+      beforePath: file.oldPath
+    })));
+
+    const diffStats = this.parseDiffStatSummary(this.gitManager.execGitSafe(['diff', '--cached', '--shortstat']).trim());
+    const pairs = [{ before: 'HEAD', after: '', files: changedFiles }];
+    const [dependencyChanges] = await this.detectDependencyChanges(pairs);
+    const [apiChanges] = await this.detectApiChanges(pairs);
+    return this.buildCommitAnalysis({ hash: 'staged', subject: '', body: '', isMerge: false, dependencyChanges, apiChanges }, files.filter(Boolean), diffStats);
+  }
+
+  // AI-written PR description, validated against the PR description schema with one repair pass
+  async generateAIPRDescription({ base, branch, commits, files, diffStats, riskAssessment }) {
+    const filesContext = files.map(file => ({
+      path: file.filePath,
+      status: file.status,
+      category: file.category,
+      keyChanges: this.extractKeyDiffLines(file.diff)
+    })).slice(0, 25);
+
+    const commitsContext = commits.map(commit => `- ${commit.hash} ${commit.subject}${commit.body ? `\n  ${commit.body.split('\n').filter(Boolean).slice(0, 3).join('\n  ')}` : ''}`).join('\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are a senior engineer writing pull request descriptions for code review. Be specific about what changed and why, call out real risks, and write testing notes and checklist items a reviewer can act on. Respond with JSON only.'
+      },
+      {
+        role: 'user',
+        content: `Write a pull request description for merging ${branch || 'HEAD'} into ${base}.
+
+<commits>
+${commitsContext}
+</commits>
+
+<diff_summary>
+Files changed: ${files.length}
+Lines: +${diffStats.insertions} -${diffStats.deletions}
+Risk level: ${riskAssessment.level}
+Risk factors: ${riskAssessment.factors.join(', ') || 'none'}
+</diff_summary>
+
+<files_analysis>
+${JSON.stringify(filesContext, null, 2)}
+</files_analysis>
+
+Return a JSON object with: title, summary, changes (array), risk ({ level: low|medium|high|critical, notes: array }), testing (array) and checklist (array of reviewer checks specific to this change).`
+      }
+    ];
+
+    const settings = {
+      temperature: 0.3,
+      max_tokens: 1500,
+      model: this.modelOverride || undefined,
+      responseSchema: { name: 'pr_description', schema: PRDescription.SCHEMA }
+    };
+
+    const response = await this.providerManager.generateWithFallback(messages, settings);
+    this.metrics.apiCalls++;
+    if (response.fallbacks.length > 0) {
+      this.metrics.fallbacks++;
+    }
+    if (response.usage) {
+      this.metrics.totalTokens += response.usage.total_tokens || 0;
+    }
+
+    let result = response;
+    let { parsed, errors } = this.validateAIResponse(response.content, PRDescription.SCHEMA);
+    if (errors.length > 0) {
+      this.metrics.repairs++;
+      ({ response: result, parsed, errors } = await this.repairAIResponse(messages, settings, response, errors));
+      if (errors.length > 0) {
+        console.warn(colors.warningMessage(`AI PR description failed schema validation (${errors.slice(0, 3).join('; ')}), using rule-based description`));
+        this.metrics.errors++;
+        return null;
+      }
+    }
+
+    return { description: parsed, generatedBy: { provider: result.provider, model: result.model } };
   }
 
   // commit message validation and suggestions
@@ -2014,7 +2976,7 @@ Requirements:
 Return only the improved commit message.`;
 
     try {
-      const response = await this.aiProvider.generateCompletion([{
+      const response = await this.providerManager.generateWithFallback([{
         role: 'user', content: prompt
       }], { max_tokens: 100 });
 
@@ -2028,9 +2990,12 @@ Return only the improved commit message.`;
   // Utility methods
   async getCommitsSince(since) {
     try {
-      const options = { count: 100, format: 'full' }; // Use 'full' format to get hash
+      const options = { count: 100, format: 'full', excludeMerges: !this.groupByPR }; // Use 'full' format to get hash
       if (since) {
-        if (this.gitManager.validateCommitHash(since) || this.gitManager.isValidGitDate(since)) {
+        if (this.gitManager.validateCommitHash(since)) {
+          // Tags and commits select everything after them rather than a date cutoff
+          return this.getCommitsInRange(since, 'HEAD');
+        } else if (this.gitManager.isValidGitDate(since)) {
           options.since = since;
         } else {
           console.warn(`⚠️  Invalid since parameter: ${since}, using default range`);
@@ -2046,31 +3011,66 @@ Return only the improved commit message.`;
     }
   }
 
-  getCommitDiffStats(commitHash) {
-    try {
-      const command = `git show --stat --pretty=format: ${commitHash}`;
-      const output = this.gitManager.execGitSafe(command);
+  // Commits reachable from `to` but not from `from` (all history up to `to` when `from` is omitted)
+  async getCommitsInRange(from = null, to = null) {
+    const target = to || 'HEAD';
 
-      const lines = output.split('\n').filter(Boolean);
-      const summary = lines[lines.length - 1];
-
-      if (summary && summary.includes('changed')) {
-        const match = summary.match(/(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/);
-        if (match) {
-          return {
-            files: parseInt(match[1]),
-            insertions: parseInt(match[2] || 0),
-            deletions: parseInt(match[3] || 0)
-          };
-        }
+    for (const ref of [from, target]) {
+      if (ref && !this.gitManager.validateCommitHash(ref)) {
+        console.error(colors.errorMessage(`Unknown tag or commit: ${ref}`));
+        this.metrics.errors++;
+        return [];
       }
+    }
 
-      return { files: 0, insertions: 0, deletions: 0 };
+    try {
+      // Unbounded ranges can span the whole history, so read the log record by record
+      const hashes = [];
+      for await (const commit of this.gitManager.streamCommits({
+        range: from ? `${from}..${target}` : target,
+        count: 0,
+        format: 'full',
+        excludeMerges: !this.groupByPR
+      })) {
+        if (commit.hash) hashes.push(commit.hash);
+      }
+      return hashes;
+    } catch (error) {
+      console.error(colors.errorMessage(`Error getting commits: ${error.message}`));
+      this.metrics.errors++;
+      return [];
+    }
+  }
+
+  getCommitDiffStats(commitHash, isMerge = false) {
+    try {
+      const output = this.gitManager.execGitSafe([
+        'show', '--stat', '--pretty=format:', ...(isMerge ? ['-m', '--first-parent'] : []), '--end-of-options', commitHash
+      ]);
+
+      const lines = output.split('\n').filter(Boolean);
+      return this.parseDiffStatSummary(lines[lines.length - 1]);
     } catch {
       return { files: 0, insertions: 0, deletions: 0 };
     }
   }
 
+  // Parse a "N files changed, X insertions(+), Y deletions(-)" summary line
+  parseDiffStatSummary(summary) {
+    if (summary && summary.includes('changed')) {
+      const match = summary.match(/(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/);
+      if (match) {
+        return {
+          files: parseInt(match[1]),
+          insertions: parseInt(match[2] || 0),
+          deletions: parseInt(match[3] || 0)
+        };
+      }
+    }
+
+    return { files: 0, insertions: 0, deletions: 0 };
+  }
+
   extractKeyDiffLines(diff) {
     if (!diff || diff === 'Binary file or diff unavailable') {
       return [];
@@ -2180,7 +3180,7 @@ Provide a concise analysis in this format:
 - **Breaking**: yes|no
 - **Recommended commit message**: Suggested commit message`;
 
-      const response = await this.aiProvider.generateCompletion([{
+      const response = await this.providerManager.generateWithFallback([{
         role: 'user',
         content: prompt
       }], { max_tokens: 400 });
@@ -2364,11 +3364,19 @@ Provide a concise analysis in this format:
       type = 'config';
     }
 
+    if (categories.dependencies && categories.dependencies.length === changes.length) {
+      type = 'deps';
+    }
+
     // Determine scope
     if (includeScope && categories.source) {
       const sourcePaths = categories.source.map(c => c.path);
+      const packages = this.workspaces ? this.workspaces.packagesForFiles(sourcePaths) : [];
       const commonPath = this.findCommonPath(sourcePaths);
-      if (commonPath) {
+      if (packages.length === 1) {
+        // Monorepo changes confined to one package take its unscoped name
+        scope = packages[0].replace(/^@[^/]+\//, '');
+      } else if (commonPath) {
         scope = path.basename(commonPath);
       }
     }
@@ -2501,72 +3509,42 @@ Provide a concise analysis in this format:
     }
   }
 
+  // Changelog for hand-picked commits, rendered and merged like a regular run
   async generateChangelogForCommits(commitHashes) {
-    console.log(colors.processingMessage(`Processing ${colors.number(commitHashes.length)} commits with ${colors.highlight(this.hasAI ? 'AI' : 'rule-based')} analysis...`));
-
-    let changelog = `# Changelog\n\n*Generated on ${new Date().toLocaleDateString()}*\n\n`;
-
-    for (let i = 0; i < commitHashes.length; i++) {
-      const commitHash = commitHashes[i];
-      console.log(colors.processingMessage(`Processing commit ${colors.highlight(`${i + 1}/${commitHashes.length}`)}: ${colors.hash(commitHash.substring(0, 7))}`));
-
-      try {
-        const analysis = await this.getCommitAnalysis(commitHash);
-        if (analysis) {
-          const aiSummary = await this.generateAISummary(analysis);
-
-          changelog += `## ${commitHash.substring(0, 7)} - ${analysis.subject}\n\n`;
-          changelog += `**Author:** ${analysis.author}  \n`;
-          changelog += `**Date:** ${analysis.date}  \n`;
-          changelog += `**Type:** ${analysis.type}  \n`;
-          changelog += `**Complexity:** ${analysis.complexity?.level || 'unknown'}  \n`;
-          changelog += `**Risk:** ${analysis.riskAssessment?.level || 'unknown'}  \n\n`;
-
-          if (aiSummary && aiSummary.summary) {
-            changelog += `**Summary:** ${aiSummary.summary}\n\n`;
-
-            if (aiSummary.businessImpact) {
-              changelog += `**Business Impact:** ${aiSummary.businessImpact}\n\n`;
-            }
-
-            if (aiSummary.highlights && aiSummary.highlights.length > 0) {
-              changelog += `**Key Changes:**\n`;
-              aiSummary.highlights.forEach(highlight => {
-                changelog += `- ${highlight}\n`;
-              });
-              changelog += '\n';
-            }
-
-            if (aiSummary.migrationNotes) {
-              changelog += `**Migration Notes:** ${aiSummary.migrationNotes}\n\n`;
-            }
-          } else {
-            changelog += `**Changes:** ${analysis.subject}\n\n`;
-          }
-
-          // Add file statistics
-          changelog += `**Files Changed:** ${analysis.files.length} files (+${analysis.diffStats.insertions}/-${analysis.diffStats.deletions} lines)\n\n`;
+    const analyzedCommits = await this.analyzeCommitHashes(commitHashes);
+    if (analyzedCommits.length === 0) {
+      console.log(colors.infoMessage('No commits found.'));
+      return;
+    }
 
-          changelog += `---\n\n`;
+    const releaseInsights = await this.generateReleaseInsights(analyzedCommits, null);
+    const changelog = this.buildChangelog(this.scopeByPackage(analyzedCommits), this.describePackages(analyzedCommits, releaseInsights), null);
 
-          // Rate limiting for API calls
-          if (this.hasAI && i < commitHashes.length - 1) {
-            await this.sleep(200);
-          }
-        }
-              } catch (error) {
-          console.error(colors.errorMessage(`Error processing commit ${colors.hash(commitHash)}: ${error.message}`));
-          this.metrics.errors++;
-        }
+    if (this.dryRun) {
+      console.log(colors.header('\n📋 DRY RUN - Changelog Preview'));
+      console.log(colors.dim('='.repeat(80)));
+      console.log(changelog);
+      console.log(colors.dim('='.repeat(80)));
+      console.log(colors.infoMessage(`Preview generated (${this.changelogFile} not modified)`));
+      return;
     }
 
-    // Write to file
-    fs.writeFileSync(CHANGELOG_FILE, changelog);
-    console.log(colors.successMessage(`Interactive changelog saved to: ${colors.file(CHANGELOG_FILE)}`));
+    this.writeChangelogFile(changelog);
+    console.log(colors.successMessage(`Interactive changelog saved to: ${colors.file(this.changelogFile)}`));
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Merge generated content into the existing changelog instead of overwriting it
+  writeChangelogFile(changelog, file = this.changelogFile) {
+    const result = ChangelogDocument.mergeIntoFile(this.resolvePath(file), changelog);
+
+    result.replaced.forEach(key => {
+      console.log(colors.infoMessage(`Replaced existing section: ${colors.highlight(key)}`));
+    });
+    result.inserted.forEach(key => {
+      console.log(colors.infoMessage(`Added new section: ${colors.highlight(key)}`));
+    });
+
+    return result;
   }
 
   // Get performance metrics
@@ -2579,7 +3557,10 @@ Provide a concise analysis in this format:
       errorRate: this.metrics.commitsProcessed > 0 ?
         Math.round((this.metrics.errors / this.metrics.commitsProcessed) * 100) : 0,
       successRate: this.metrics.commitsProcessed > 0 ?
-        Math.round(((this.metrics.commitsProcessed - this.metrics.errors) / this.metrics.commitsProcessed) * 100) : 0
+        Math.round(((this.metrics.commitsProcessed - this.metrics.errors) / this.metrics.commitsProcessed) * 100) : 0,
+      cacheHitRate: this.metrics.cacheHits + this.metrics.cacheMisses > 0 ?
+        Math.round((this.metrics.cacheHits / (this.metrics.cacheHits + this.metrics.cacheMisses)) * 100) : 0,
+      scheduler: this.providerManager?.scheduler ? this.providerManager.scheduler.getStats() : null
     };
   }
 
@@ -2592,7 +3573,10 @@ Provide a concise analysis in this format:
       errors: 0,
       batchesProcessed: 0,
       totalTokens: 0,
-      cacheHits: 0
+      cacheHits: 0,
+      cacheMisses: 0,
+      fallbacks: 0,
+      repairs: 0
     };
   }
 
@@ -2681,7 +3665,7 @@ Provide a concise analysis in this format:
       }
 
       console.log(colors.header('\n📊 Repository Overview:'));
-      console.log(`${colors.label('Repository')}: ${colors.highlight(path.basename(process.cwd()))}`);
+      console.log(`${colors.label('Repository')}: ${colors.highlight(path.basename(this.cwd))}`);
       console.log(`${colors.label('Total commits')}: ${colors.number(comprehensiveData.statistics.totalCommits)}`);
       console.log(`${colors.label('Contributors')}: ${colors.number(comprehensiveData.statistics.contributors)}`);
       console.log(`${colors.label('Age')}: ${colors.value(comprehensiveData.statistics.age)}`);
@@ -2716,7 +3700,7 @@ Provide a concise analysis in this format:
 
       // Get untracked files
       try {
-        const untrackedOutput = this.gitManager.execGitSafe('git ls-files --others --exclude-standard');
+        const untrackedOutput = this.gitManager.execGitSafe(['ls-files', '--others', '--exclude-standard']);
         const untrackedFiles = untrackedOutput.trim().split('\n').filter(Boolean);
         
         if (untrackedFiles.length > 0) {
@@ -2753,7 +3737,7 @@ Provide a concise analysis in this format:
     console.log(colors.processingMessage('Analyzing untracked files...'));
 
     try {
-      const untrackedOutput = this.gitManager.execGitSafe('git ls-files --others --exclude-standard');
+      const untrackedOutput = this.gitManager.execGitSafe(['ls-files', '--others', '--exclude-standard']);
       const untrackedFiles = untrackedOutput.trim().split('\n').filter(Boolean);
 
       if (untrackedFiles.length === 0) {
@@ -2867,7 +3851,7 @@ Provide:
 
 Be concise and practical.`;
 
-      const response = await this.aiProvider.generateCompletion([{
+      const response = await this.providerManager.generateWithFallback([{
         role: 'user',
         content: prompt
       }], { model, max_tokens: 300 });
@@ -2929,7 +3913,7 @@ Provide:
 
 Be concise and actionable.`;
 
-      const response = await this.aiProvider.generateCompletion([{
+      const response = await this.providerManager.generateWithFallback([{
         role: 'user',
         content: prompt
       }], { model, max_tokens: 500 });
@@ -3170,7 +4154,16 @@ async function runCLI() {
   const options = {
     dryRun: args.includes('--dry-run') || args.includes('--preview'),
     noColor: args.includes('--no-color') || process.env.NO_COLOR,
-    includeAttribution: !args.includes('--no-attribution')
+    includeAttribution: !args.includes('--no-attribution'),
+    noCache: args.includes('--no-cache'),
+    noPrGrouping: args.includes('--no-pr-grouping'),
+    noContributors: args.includes('--no-contributors'),
+    noWorkspaces: args.includes('--no-workspaces'),
+    typeDiff: args.includes('--type-diff'),
+    // Entries and the release summary stream to the terminal; redirected output stays quiet
+    stream: !args.includes('--no-stream') && Boolean(process.stdout.isTTY),
+    package: args.find(arg => arg.startsWith('--package='))?.split('=')[1] ||
+             (args.includes('--package') ? args[args.indexOf('--package') + 1] : null)
   };
   
   const generator = new AIChangelogGenerator(options);
@@ -3273,6 +4266,19 @@ async function runCLI() {
       console.log(`  ${colors.label('--model, -m')}        Override model selection (e.g., gpt-4.1, o3, gpt-4.1-nano)`);
       console.log(`  ${colors.label('--version, -v')}      Specify version (default: auto-generated)`);
       console.log(`  ${colors.label('--since, -s')}        Generate since specific commit/tag`);
+      console.log(`  ${colors.label('--bump')}             Recommend the next semantic version and use it for the changelog`);
+      console.log(`  ${colors.label('--prerelease')}       Pre-release channel for --bump (e.g., alpha, beta, rc)`);
+      console.log(`  ${colors.label('--from')}             Start of a tag/commit range (exclusive)`);
+      console.log(`  ${colors.label('--to')}               End of a tag/commit range (default: HEAD)`);
+      console.log(`  ${colors.label('--all-releases')}     Backfill one changelog section per release tag`);
+      console.log(`  ${colors.label('--pr')}               Write a pull request description for HEAD against a base branch`);
+      console.log(`  ${colors.label('--no-cache')}         Ignore cached commit summaries and call the AI again`);
+      console.log(`  ${colors.label('--no-pr-grouping')}   One entry per commit instead of one per pull request`);
+      console.log(`  ${colors.label('--no-contributors')}  Leave out the Contributors section`);
+      console.log(`  ${colors.label('--package')}          Only the changes of one workspace package, written to its own changelog`);
+      console.log(`  ${colors.label('--no-workspaces')}    Skip per-package changelogs in monorepos`);
+      console.log(`  ${colors.label('--type-diff')}        Compare public TypeScript declarations across the range for breaking changes`);
+      console.log(`  ${colors.label('--no-stream')}        Skip the live output of entries and the release summary`);
       console.log(`  ${colors.label('--branches')}         Analyze all branches and unmerged commits`);
       console.log(`  ${colors.label('--comprehensive')}    Comprehensive analysis including dangling commits`);
       console.log(`  ${colors.label('--untracked')}        Include untracked files analysis`);
@@ -3283,9 +4289,9 @@ async function runCLI() {
       console.log(`  ${colors.label('--help, -h')}         Show this help\n`);
       
       console.log(colors.subheader('Analysis Modes:'));
-      console.log(`  ${colors.value('standard')}           Basic changelog with core information (default)`);
-      console.log(`  ${colors.value('--detailed')}         Comprehensive analysis with business impact`);
-      console.log(`  ${colors.value('--enterprise')}       Enterprise-ready with security and performance analysis\n`);
+      console.log(`  ${colors.value('standard')}           ${ANALYSIS_MODES.standard} (default)`);
+      console.log(`  ${colors.value('--detailed')}         ${ANALYSIS_MODES.detailed}`);
+      console.log(`  ${colors.value('--enterprise')}       ${ANALYSIS_MODES.enterprise}\n`);
       
       console.log(colors.subheader('Environment Variables:'));
       console.log(`  ${colors.code('OPENAI_API_KEY')}              Required for OpenAI`);
@@ -3313,8 +4319,30 @@ async function runCLI() {
       console.log(`  ${colors.highlight('ai-changelog --interactive')}      # Interactive commit selection`);
       console.log(`  ${colors.highlight('ai-changelog --validate')}         # Check configuration`);
       console.log(`  ${colors.highlight('ai-changelog --model gpt-4.1')}    # Force use of specific model`);
+      console.log(`  ${colors.highlight('ai-changelog --bump --dry-run')}   # Preview the recommended next version`);
+      console.log(`  ${colors.highlight('ai-changelog --from v1.0.0 --to v1.1.0')}  # Changelog for a single release`);
+      console.log(`  ${colors.highlight('ai-changelog --all-releases')}     # Backfill the full release history`);
+      console.log(`  ${colors.highlight('ai-changelog --pr main')}           # PR description for this branch against main`);
+      console.log(`  ${colors.highlight('ai-changelog --package @acme/api')} # Changelog for one monorepo package`);
       console.log(`  ${colors.highlight('ai-changelog --no-color')}         # ${colors.secondary('Disable colors for scripting')}`);
       console.log('');
+    } else if (args.includes('--all-releases')) {
+      await generator.generateAllReleases();
+    } else if (args.includes('--pr') || args.some(arg => arg.startsWith('--pr='))) {
+      const base = args.find(arg => arg.startsWith('--pr='))?.split('=')[1] ||
+                  args[args.indexOf('--pr') + 1];
+
+      if (!base || base.startsWith('--')) {
+        console.error(colors.errorMessage('Usage: ai-changelog --pr <base-branch>'));
+        process.exit(1);
+      }
+
+      const description = await generator.generatePRDescription(base);
+      console.log(colors.header('\n📝 Pull Request Description'));
+      console.log(colors.dim('='.repeat(80)));
+      console.log(description.markdown);
+      console.log(colors.dim('='.repeat(80)));
+      console.log(colors.infoMessage(`Generated by ${description.generatedBy.model ? `${description.generatedBy.provider}:${description.generatedBy.model}` : description.generatedBy.provider}`));
     } else {
       const version = args.find(arg => arg.startsWith('--version='))?.split('=')[1] ||
                      (args.includes('--version') || args.includes('-v') ? args[args.indexOf('--version') + 1] || args[args.indexOf('-v') + 1] : null);
@@ -3322,7 +4350,21 @@ async function runCLI() {
       const since = args.find(arg => arg.startsWith('--since='))?.split('=')[1] ||
                    (args.includes('--since') || args.includes('-s') ? args[args.indexOf('--since') + 1] || args[args.indexOf('-s') + 1] : null);
 
-      await generator.generateChangelog(version, since);
+      const prerelease = args.find(arg => arg.startsWith('--prerelease='))?.split('=')[1] ||
+                        (args.includes('--prerelease') ? args[args.indexOf('--prerelease') + 1] : null);
+
+      const from = args.find(arg => arg.startsWith('--from='))?.split('=')[1] ||
+                  (args.includes('--from') ? args[args.indexOf('--from') + 1] : null);
+
+      const to = args.find(arg => arg.startsWith('--to='))?.split('=')[1] ||
+                (args.includes('--to') ? args[args.indexOf('--to') + 1] : null);
+
+      await generator.generateChangelog(version, since, {
+        bump: args.includes('--bump'),
+        prerelease,
+        from,
+        to
+      });
     }
 
     // Show completion metrics
@@ -3336,6 +4378,18 @@ async function runCLI() {
       console.log(`   ${colors.label('AI calls')}: ${colors.number(metrics.apiCalls)}`);
       console.log(`   ${colors.label('Success rate')}: ${colors.percentage(metrics.successRate + '%')}`);
     }
+    if (metrics.fallbacks > 0) {
+      console.log(`   ${colors.label('Provider fallbacks')}: ${colors.warning(metrics.fallbacks)}`);
+    }
+    if (metrics.repairs > 0) {
+      console.log(`   ${colors.label('Schema repairs')}: ${colors.warning(metrics.repairs)}`);
+    }
+    if (metrics.scheduler && (metrics.scheduler.retries > 0 || metrics.scheduler.throttled > 0)) {
+      console.log(`   ${colors.label('Rate limiting')}: ${colors.number(metrics.scheduler.retries)} retries, ${colors.number(metrics.scheduler.throttled)} throttled requests`);
+    }
+    if (metrics.cacheHits + metrics.cacheMisses > 0) {
+      console.log(`   ${colors.label('Summary cache')}: ${colors.number(metrics.cacheHits)} hits, ${colors.number(metrics.cacheMisses)} misses`);
+    }
     if (metrics.errors > 0) {
       console.log(`   ${colors.label('Errors')}: ${colors.error(metrics.errors)}`);
     }
@@ -3353,6 +4407,9 @@ module.exports = AIChangelogGenerator;
 // Export the CLI function
 module.exports.runCLI = runCLI;
 
+// Analysis mode descriptions, keyed by mode
+module.exports.ANALYSIS_MODES = ANALYSIS_MODES;
+
 // Auto-run CLI if this file is executed directly
 if (require.main === module) {
   runCLI().catch(console.error);
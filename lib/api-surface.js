@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * API Surface
+ * Parses the before and after versions of changed JavaScript and TypeScript files
+ * and reports exported symbols that were added, removed or renamed, and exported
+ * functions and class methods whose signatures changed
+ */
+
+const { parse } = require('@babel/parser');
+
+const SOURCE_FILE_PATTERN = /\.[cm]?[jt]sx?$/;
+const TYPESCRIPT_PATTERN = /\.[cm]?tsx?$/;
+const DECLARATION_FILE_PATTERN = /\.d\.[cm]?ts$/;
+// Tests and mocks export helpers, not public API
+const TEST_FILE_PATTERN = /(^|\/)(test|tests|__tests__|__mocks__)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+
+// Generated bundles can be large; anything beyond this is not parsed
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+// Reported in this order within a file: breaking changes first
+const CHANGE_ORDER = ['removed', 'renamed', 'changed', 'added'];
+
+class ApiSurface {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+  }
+
+  // Whether a path is a JavaScript or TypeScript source file whose exports count as API
+  static isSourceFile(filePath) {
+    return SOURCE_FILE_PATTERN.test(filePath || '') && !TEST_FILE_PATTERN.test(filePath);
+  }
+
+  // API changes for each { before, after, files } revision pair, where before/after are
+  // revisions ("abc123^", "main") and files are { status, filePath, oldPath } entries. All
+  // sources are read through one cat-file process; files that don't parse are skipped.
+  async detect(pairs) {
+    const reads = pairs.map(({ before, after, files }) => files
+      .filter(file => ApiSurface.isSourceFile(file.filePath))
+      .map(file => ({
+        file,
+        before: before && !file.status.startsWith('A') ? `${before}:${file.oldPath || file.filePath}` : null,
+        after: !file.status.startsWith('D') ? `${after}:${file.filePath}` : null
+      })));
+
+    const specs = reads.flat().flatMap(read => [read.before, read.after].filter(Boolean));
+    if (specs.length === 0) return pairs.map(() => []);
+
+    const blobs = await this.gitManager.readBlobs(specs, { maxBytes: MAX_FILE_BYTES });
+
+    return reads.map(fileReads => fileReads.flatMap(({ file, before, after }) => {
+      const beforeExports = before ? ApiSurface.exportsOf(blobs.get(before) || '', file.oldPath || file.filePath) : new Map();
+      const afterExports = after ? ApiSurface.exportsOf(blobs.get(after) || '', file.filePath) : new Map();
+      if (!beforeExports || !afterExports) return [];
+      return ApiSurface.diff(beforeExports, afterExports, file.filePath);
+    }));
+  }
+
+  static parserPlugins(filePath) {
+    if (!TYPESCRIPT_PATTERN.test(filePath)) return ['jsx', 'decorators-legacy'];
+    return [
+      ['typescript', { dts: DECLARATION_FILE_PATTERN.test(filePath) }],
+      'decorators-legacy',
+      ...(filePath.endsWith('x') ? ['jsx'] : [])
+    ];
+  }
+
+  // Exported name -> { kind, signature, required, total, shape, members } for ES module exports
+  // and CommonJS module.exports/exports assignments, or null when the source doesn't parse.
+  // "default" is the default export (or a module.exports value that isn't an object literal).
+  static exportsOf(source, filePath) {
+    let ast;
+    try {
+      ast = parse(source, {
+        sourceType: 'unambiguous',
+        allowReturnOutsideFunction: true,
+        plugins: ApiSurface.parserPlugins(filePath)
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const statements = ast.program.body;
+    const locals = new Map();
+    const exports = new Map();
+
+    // Top-level declarations, so "export { a }" and "module.exports = A" resolve to what they name
+    statements.forEach(statement => {
+      const declaration = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+      if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => locals.set(declarator.id.name, { node: declarator, kind: declaration.kind }));
+      } else if (declaration.id?.type === 'Identifier') {
+        locals.set(declaration.id.name, { node: declaration });
+      }
+    });
+
+    const describeLocal = name => {
+      const local = locals.get(name);
+      return local ? ApiSurface.describe(local.node, source, local.kind) : { kind: 'value', signature: null, shape: `value:${name}`, members: null };
+    };
+
+    statements.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration') {
+        const { declaration } = statement;
+        if (declaration?.type === 'VariableDeclaration') {
+          declaration.declarations
+            .filter(declarator => declarator.id.type === 'Identifier')
+            .forEach(declarator => exports.set(declarator.id.name, ApiSurface.describe(declarator, source, declaration.kind)));
+        } else if (ApiSurface.keyName(declaration?.id)) {
+          exports.set(ApiSurface.keyName(declaration.id), ApiSurface.describe(declaration, source));
+        }
+
+        // "export { a as b }" and "export { a } from './a'"
+        (statement.specifiers || []).forEach(specifier => {
+          const exported = ApiSurface.keyName(specifier.exported);
+          if (!exported) return;
+          exports.set(exported, statement.source
+            ? { kind: 'reexport', signature: null, shape: `reexport:${statement.source.value}:${ApiSurface.keyName(specifier.local) || '*'}`, members: null }
+            : describeLocal(specifier.local.name));
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const { declaration } = statement;
+        exports.set('default', declaration.type === 'Identifier' ? describeLocal(declaration.name) : ApiSurface.describe(declaration, source));
+      } else if (statement.type === 'ExportAllDeclaration') {
+        const name = statement.exported ? ApiSurface.keyName(statement.exported) : `* from '${statement.source.value}'`;
+        exports.set(name, { kind: 'reexport', signature: null, shape: `reexport:${statement.source.value}:*`, members: null });
+      } else if (statement.type === 'TSExportAssignment') {
+        exports.set('default', statement.expression.type === 'Identifier' ? describeLocal(statement.expression.name) : ApiSurface.describe(statement.expression, source));
+      } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+        ApiSurface.addCommonJsExport(exports, statement.expression, source, describeLocal);
+      }
+    });
+
+    return exports;
+  }
+
+  // module.exports = X, module.exports = { a, b }, module.exports.a = X and exports.a = X
+  static addCommonJsExport(exports, { left, right }, source, describeLocal) {
+    const target = ApiSurface.memberPath(left);
+    const value = node => (node.type === 'Identifier' ? describeLocal(node.name) : ApiSurface.describe(node, source));
+
+    if (target === 'module.exports') {
+      if (right.type === 'ObjectExpression') {
+        right.properties
+          .filter(property => property.type === 'ObjectProperty' || property.type === 'ObjectMethod')
+          .forEach(property => {
+            const name = ApiSurface.keyName(property.key);
+            if (name) exports.set(name, property.type === 'ObjectMethod' ? ApiSurface.describe(property, source) : value(property.value));
+          });
+      } else {
+        exports.set('default', value(right));
+      }
+    } else if (target && /^(module\.exports|exports)\.[^.]+$/.test(target)) {
+      exports.set(target.split('.').pop(), value(right));
+    }
+  }
+
+  // "module.exports.a" for a non-computed member expression, or null
+  static memberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type !== 'MemberExpression' || node.computed) return null;
+    const object = ApiSurface.memberPath(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+
+  // Identifier and string literal names; computed keys have none
+  static keyName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'StringLiteral') return node.value;
+    return null;
+  }
+
+  // { kind, signature, required, total, shape, members } for a declaration or exported value.
+  // The shape ignores the declared name so a renamed but otherwise identical export is recognized.
+  static describe(node, source, variableKind = null) {
+    const value = node.type === 'VariableDeclarator' ? node.init : node;
+
+    if (!value) {
+      return { kind: variableKind === 'const' ? 'constant' : 'variable', signature: null, shape: 'variable:', members: null };
+    }
+
+    if (/Function|ObjectMethod|TSDeclareFunction/.test(value.type)) {
+      const signature = ApiSurface.signatureOf(value, source);
+      return {
+        kind: 'function',
+        ...signature,
+        shape: `function:${signature.signature}:${ApiSurface.text(source, value.body)}`,
+        members: null
+      };
+    }
+
+    if (value.type === 'ClassDeclaration' || value.type === 'ClassExpression') {
+      return {
+        kind: 'class',
+        signature: null,
+        shape: `class:${ApiSurface.text(source, value.body)}`,
+        members: ApiSurface.classMembers(value, source),
+        className: value.id?.name || null
+      };
+    }
+
+    const typeKinds = {
+      TSInterfaceDeclaration: 'interface',
+      TSTypeAliasDeclaration: 'type',
+      TSEnumDeclaration: 'enum',
+      TSModuleDeclaration: 'namespace'
+    };
+    if (typeKinds[value.type]) {
+      const body = value.body || value.typeAnnotation;
+      const shape = body ? ApiSurface.text(source, body) : (value.members || []).map(member => ApiSurface.text(source, member)).join(', ');
+      return { kind: typeKinds[value.type], signature: null, shape: `${typeKinds[value.type]}:${shape}`, members: null };
+    }
+
+    const kind = variableKind && variableKind !== 'const' ? 'variable' : (variableKind ? 'constant' : 'value');
+    return { kind, signature: null, shape: `${kind}:${ApiSurface.text(source, value)}`, members: null };
+  }
+
+  // Public methods and properties of a class; private (#name) and TypeScript private/protected members are left out
+  static classMembers(node, source) {
+    const members = new Map();
+    node.body.body.forEach(member => {
+      if (member.type.startsWith('ClassPrivate') || member.accessibility === 'private' || member.accessibility === 'protected' || member.computed) return;
+      const name = ApiSurface.keyName(member.key);
+      if (!name) return;
+
+      if ((member.type === 'ClassMethod' || member.type === 'TSDeclareMethod') && member.kind !== 'get' && member.kind !== 'set') {
+        const signature = ApiSurface.signatureOf(member, source);
+        members.set(name, { kind: 'method', ...signature, shape: `method:${signature.signature}:${ApiSurface.text(source, member.body)}`, members: null });
+      } else if (!members.has(name)) {
+        members.set(name, { kind: 'property', signature: null, shape: `property:${name}`, members: null });
+      }
+    });
+    return members;
+  }
+
+  // "(a, b?, ...rest): Type" with the number of required parameters and the most it accepts
+  static signatureOf(fn, source) {
+    const params = fn.params.map(param => ApiSurface.paramOf(param, source));
+    const returnType = fn.returnType ? `: ${ApiSurface.text(source, fn.returnType.typeAnnotation)}` : '';
+    return {
+      signature: `(${params.map(param => param.text).join(', ')})${returnType}`,
+      required: params.filter(param => param.required).length,
+      total: params.some(param => param.rest) ? Infinity : params.length
+    };
+  }
+
+  // One parameter without its default value; defaults make it optional
+  static paramOf(param, source) {
+    const node = param.type === 'TSParameterProperty' ? param.parameter : param;
+    const target = node.type === 'AssignmentPattern' ? node.left : node;
+    const rest = target.type === 'RestElement';
+    const binding = rest ? target.argument : target;
+    const annotation = target.typeAnnotation || binding.typeAnnotation;
+    const name = ApiSurface.compact(source.slice(binding.start, binding.typeAnnotation ? binding.typeAnnotation.start : binding.end)).replace(/\?$/, '');
+    const optional = node.type === 'AssignmentPattern' || Boolean(binding.optional);
+    const type = annotation ? `: ${ApiSurface.text(source, annotation.typeAnnotation)}` : '';
+
+    return {
+      text: `${rest ? '...' : ''}${name}${optional ? '?' : ''}${type}`,
+      required: !optional && !rest,
+      rest
+    };
+  }
+
+  static text(source, node) {
+    return node ? ApiSurface.compact(source.slice(node.start, node.end)) : '';
+  }
+
+  static compact(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // Callers break when a signature requires more arguments or accepts fewer
+  static isBreakingSignature(before, after) {
+    return after.required > before.required || after.total < before.total;
+  }
+
+  // Changes between two export maps of one file: { file, name, previousName, kind, change, from, to, breaking }
+  // where change is added, removed, renamed or changed and from/to are signatures (or kinds). Class
+  // members are reported as "Class.method", using the class name for a default-exported class.
+  static diff(before, after, file, prefix = '') {
+    const changes = [];
+    const change = (name, entry, fields) => ({ file, name: `${prefix}${name}`, previousName: null, kind: entry.kind, from: null, to: null, ...fields });
+
+    const removed = [...before.keys()].filter(name => !after.has(name));
+    const added = [...after.keys()].filter(name => !before.has(name));
+
+    // A removed export whose declaration reappears under a new name was renamed
+    const renames = new Map();
+    removed.forEach(oldName => {
+      const newName = added.find(name => ![...renames.values()].includes(name) && after.get(name).shape === before.get(oldName).shape);
+      if (newName) renames.set(oldName, newName);
+    });
+
+    removed.filter(name => !renames.has(name)).forEach(name => {
+      changes.push(change(name, before.get(name), { change: 'removed', from: before.get(name).signature || null, breaking: true }));
+    });
+    renames.forEach((newName, oldName) => {
+      changes.push(change(newName, after.get(newName), { change: 'renamed', previousName: `${prefix}${oldName}`, breaking: true }));
+    });
+
+    [...before.keys()].filter(name => after.has(name) || renames.has(name)).forEach(name => {
+      const newName = renames.get(name) || name;
+      const from = before.get(name);
+      const to = after.get(newName);
+
+      if (from.kind !== to.kind) {
+        changes.push(change(newName, to, { change: 'changed', from: from.kind, to: to.kind, breaking: true }));
+      } else if (from.signature !== to.signature) {
+        changes.push(change(newName, to, { change: 'changed', from: from.signature, to: to.signature, breaking: ApiSurface.isBreakingSignature(from, to) }));
+      }
+
+      if (from.members && to.members) {
+        const owner = newName === 'default' && to.className ? to.className : newName;
+        changes.push(...ApiSurface.diff(from.members, to.members, file, `${prefix}${owner}.`));
+      }
+    });
+
+    added.filter(name => ![...renames.values()].includes(name)).forEach(name => {
+      changes.push(change(name, after.get(name), { change: 'added', to: after.get(name).signature || null, breaking: false }));
+    });
+
+    return prefix ? changes : changes.sort((a, b) => CHANGE_ORDER.indexOf(a.change) - CHANGE_ORDER.indexOf(b.change));
+  }
+
+  // Net changes across several change lists, oldest first; an export added and removed again cancels out
+  static combine(changeLists) {
+    const combined = new Map();
+    changeLists.forEach(changes => (changes || []).forEach(change => {
+      const key = `${change.file}\0${change.name}`;
+      const previous = combined.get(key);
+      if (previous?.change === 'added' && change.change === 'removed') {
+        combined.delete(key);
+      } else if (previous?.change === 'added') {
+        combined.set(key, { ...change, change: 'added', from: null, breaking: false });
+      } else {
+        combined.set(key, previous ? { ...change, from: previous.from, breaking: previous.breaking || change.breaking } : change);
+      }
+    }));
+    return [...combined.values()];
+  }
+
+  // One line per breaking API change, suitable for migration notes; null when there are none
+  static migrationNotes(apiChanges) {
+    const breaking = (apiChanges || []).filter(change => change.breaking);
+    if (breaking.length === 0) return null;
+
+    return breaking.map(change => {
+      const where = `in ${change.file}`;
+      if (change.change === 'removed') return `\`${change.name}\` was removed ${where}`;
+      if (change.change === 'renamed') return `\`${change.previousName}\` was renamed to \`${change.name}\` ${where}`;
+      if (change.from && change.from.startsWith('(')) return `\`${change.name}\` ${where} changed from \`${change.from}\` to \`${change.to}\``;
+      return `\`${change.name}\` ${where} changed from a ${change.from} to a ${change.to}`;
+    }).join('; ');
+  }
+}
+
+module.exports = ApiSurface;
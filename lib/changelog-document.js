@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Changelog Document
+ * Parses an existing changelog into release sections so new releases can be
+ * merged in without discarding older entries or hand-written edits
+ */
+
+const fs = require('fs');
+const VersionCalculator = require('./version-calculator');
+
+const VERSION_PATTERN = /\bv?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?)\b/;
+const DATE_PATTERN = /\b\d{4}-\d{2}-\d{2}\b/;
+const UNRELEASED_PATTERN = /^\[?(unreleased|release next|next|latest changes|changes)\]?\b/i;
+const ATTRIBUTION_PATTERN = /^\*Generated using .*\*$/;
+
+class ChangelogDocument {
+  constructor({ preamble = '', sections = [], footer = '', eol = '\n' } = {}) {
+    this.preamble = preamble;
+    this.sections = sections;
+    this.footer = footer;
+    this.eol = eol;
+  }
+
+  // Parse markdown into preamble, release sections and trailing attribution footer
+  static parse(content = '') {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+
+    // Release headings are level-2 headings, or level-1 headings that carry a version/date
+    // (the semantic and simple templates emit "# Release x" / "# Changes - date")
+    let releaseLevel = null;
+    let inFence = false;
+    const headingIndexes = [];
+
+    lines.forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+
+      const match = line.match(/^(#{1,2})\s+(.+?)\s*$/);
+      if (!match) return;
+
+      const level = match[1].length;
+      if (releaseLevel === null) {
+        if (level === 2 || ChangelogDocument.isReleaseHeading(match[2])) {
+          releaseLevel = level;
+        } else {
+          return;
+        }
+      }
+      if (level === releaseLevel) {
+        headingIndexes.push(index);
+      }
+    });
+
+    // Split off the attribution footer so it is emitted once at the end of the merged file
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    let footer = '';
+    if (end > 0 && ATTRIBUTION_PATTERN.test(lines[end - 1].trim())) {
+      let footerStart = end - 1;
+      let probe = footerStart - 1;
+      while (probe >= 0 && lines[probe].trim() === '') probe--;
+      if (probe >= 0 && lines[probe].trim() === '---') {
+        footerStart = probe;
+      }
+      if (headingIndexes.length === 0 || footerStart > headingIndexes[headingIndexes.length - 1]) {
+        footer = lines.slice(footerStart, end).join(eol);
+        end = footerStart;
+      }
+    }
+
+    const firstHeading = headingIndexes.length > 0 ? headingIndexes[0] : end;
+    const preamble = ChangelogDocument.trimBlankLines(lines.slice(0, firstHeading)).join(eol);
+
+    const sections = headingIndexes.map((start, i) => {
+      const stop = i + 1 < headingIndexes.length ? headingIndexes[i + 1] : end;
+      const heading = lines[start];
+      return {
+        heading,
+        key: ChangelogDocument.getSectionKey(heading),
+        body: ChangelogDocument.trimBlankLines(lines.slice(start + 1, stop)).join(eol)
+      };
+    });
+
+    return new ChangelogDocument({ preamble, sections, footer, eol });
+  }
+
+  // Load a changelog from disk; a missing file yields an empty document
+  static fromFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new ChangelogDocument();
+    }
+    return ChangelogDocument.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Merge generated changelog content into the file at filePath and write the result
+  static mergeIntoFile(filePath, content) {
+    const document = ChangelogDocument.fromFile(filePath);
+    const result = document.merge(ChangelogDocument.parse(content));
+    document.save(filePath);
+    return result;
+  }
+
+  static isReleaseHeading(text) {
+    const title = text.replace(/^#+\s*/, '').trim();
+    return VERSION_PATTERN.test(title) || DATE_PATTERN.test(title) || /^release\b/i.test(title);
+  }
+
+  // Sections are matched by version; unversioned generated sections all share the "unreleased" key
+  static getSectionKey(heading) {
+    const title = heading.replace(/^#+\s*/, '').trim();
+    const version = title.match(VERSION_PATTERN);
+    if (version) {
+      return version[1];
+    }
+    if (UNRELEASED_PATTERN.test(title)) {
+      return 'unreleased';
+    }
+    return title.toLowerCase();
+  }
+
+  static trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    return lines.slice(start, end);
+  }
+
+  getSection(key) {
+    return this.sections.find(section => section.key === key) || null;
+  }
+
+  // Replace the section with the same version, otherwise insert it at `position`
+  upsertSection(section, position = 0) {
+    const index = this.sections.findIndex(existing => existing.key === section.key);
+    if (index !== -1) {
+      this.sections[index] = section;
+      return 'replaced';
+    }
+    this.sections.splice(position, 0, section);
+    return 'inserted';
+  }
+
+  // Merge another document's releases into this one, keeping older sections untouched
+  merge(incoming) {
+    const result = { inserted: [], replaced: [] };
+
+    if (!this.preamble && this.sections.length === 0) {
+      this.preamble = incoming.preamble;
+      this.eol = incoming.eol;
+    }
+
+    // Unreleased (and other unversioned) sections go on top in their incoming order; releases
+    // go where their version sorts, newest first
+    let position = 0;
+    incoming.sections.forEach(section => {
+      const versioned = VersionCalculator.parse(section.key) !== null;
+      const outcome = this.upsertSection(section, versioned ? this.getReleasePosition(section.key) : position);
+      if (outcome === 'inserted' && !versioned) {
+        position++;
+      }
+      result[outcome].push(section.key);
+    });
+
+    this.footer = incoming.footer;
+    return result;
+  }
+
+  // Index of the first release older than `version`, or the slot after the last release
+  getReleasePosition(version) {
+    const releases = this.sections
+      .map((section, index) => ({ index, version: VersionCalculator.parse(section.key) }))
+      .filter(release => release.version);
+    const older = releases.find(release => VersionCalculator.compare(release.version, version) < 0);
+    if (older) {
+      return older.index;
+    }
+    return releases.length > 0 ? releases[releases.length - 1].index + 1 : this.sections.length;
+  }
+
+  toString() {
+    const blocks = [];
+    if (this.preamble) {
+      blocks.push(this.preamble);
+    }
+    this.sections.forEach(section => {
+      blocks.push(section.body ? `${section.heading}${this.eol}${this.eol}${section.body}` : section.heading);
+    });
+    if (this.footer) {
+      blocks.push(this.footer);
+    }
+    return blocks.join(`${this.eol}${this.eol}`) + this.eol;
+  }
+
+  save(filePath) {
+    fs.writeFileSync(filePath, this.toString(), 'utf8');
+  }
+}
+
+module.exports = ChangelogDocument;
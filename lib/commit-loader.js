@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Commit Loader
+ * Reads the metadata, file list, per-file diffs and diff stats of many commits
+ * from a single `git log --raw --numstat --patch` stream, and file contents
+ * through one `git cat-file --batch` process, instead of several git
+ * processes per commit and per file
+ */
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const HEADER_FIELDS = ['%H', '%P', '%s', '%an', '%ae', '%ad', '%B'];
+
+// Bytes read per file for before/after context (callers keep 1000 characters)
+const CONTENT_BYTES = 4000;
+
+class CommitLoader {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+  }
+
+  // Commits in the given order: { hash, parents, subject, author, email, date, body, isMerge,
+  // files: [{ status, filePath, oldPath, diff }], diffStats }. Merges are diffed against their
+  // first parent, as in per-commit analysis.
+  async load(hashes) {
+    if (hashes.length === 0) return [];
+
+    const args = [
+      '-c', 'core.quotePath=false',
+      'log', '--no-walk=unsorted', '--stdin',
+      '--diff-merges=first-parent', '--raw', '--numstat', '--patch', '-U5', '--date=iso-strict',
+      `--format=${RECORD_SEPARATOR}${HEADER_FIELDS.join(FIELD_SEPARATOR)}${FIELD_SEPARATOR}`
+    ];
+
+    const commits = [];
+    for await (const record of this.gitManager.streamGit(args, { separator: RECORD_SEPARATOR, input: `${hashes.join('\n')}\n` })) {
+      const commit = CommitLoader.parseRecord(record);
+      if (commit) commits.push(commit);
+    }
+    return commits;
+  }
+
+  // Fill in file.beforeContent / file.afterContent (the first 1000 characters) for loaded commits
+  async loadContents(commits) {
+    const specs = new Map();
+    commits.forEach(commit => {
+      const parent = commit.parents[0];
+      commit.files.forEach(file => {
+        if (parent && !file.status.startsWith('A')) {
+          specs.set(file, { before: `${parent}:${file.oldPath}` });
+        }
+        if (!file.status.startsWith('D')) {
+          specs.set(file, { ...specs.get(file), after: `${commit.hash}:${file.filePath}` });
+        }
+      });
+    });
+
+    const blobs = await this.gitManager.readBlobs(
+      [...specs.values()].flatMap(({ before, after }) => [before, after].filter(Boolean)),
+      { maxBytes: CONTENT_BYTES }
+    );
+
+    commits.forEach(commit => commit.files.forEach(file => {
+      const { before, after } = specs.get(file) || {};
+      file.beforeContent = before ? (blobs.get(before) || '').slice(0, 1000) : '';
+      file.afterContent = after ? (blobs.get(after) || '').slice(0, 1000) : '';
+    }));
+    return commits;
+  }
+
+  // One log record: the header fields, then raw lines, numstat lines and the patch
+  static parseRecord(record) {
+    const fields = record.split(FIELD_SEPARATOR);
+    if (fields.length < HEADER_FIELDS.length + 1) return null;
+
+    const [hash, parents, subject, author, email, date, message] = fields;
+    const output = fields.slice(HEADER_FIELDS.length).join(FIELD_SEPARATOR);
+    const lines = output.split('\n');
+    const patchStart = lines.findIndex(line => line.startsWith('diff --git '));
+    const summary = patchStart === -1 ? lines : lines.slice(0, patchStart);
+
+    const files = summary.filter(line => line.startsWith(':')).map(CommitLoader.parseRawLine).filter(Boolean);
+    const diffStats = { files: 0, insertions: 0, deletions: 0 };
+    summary.forEach(line => {
+      const match = line.match(/^(\d+|-)\t(\d+|-)\t/);
+      if (!match) return;
+      diffStats.files++;
+      diffStats.insertions += parseInt(match[1], 10) || 0;
+      diffStats.deletions += parseInt(match[2], 10) || 0;
+    });
+
+    const sections = patchStart === -1 ? [] : CommitLoader.splitPatch(lines.slice(patchStart));
+    files.forEach((file, index) => {
+      // Raw and patch output list file pairs in the same order; match by path if they ever differ
+      const section = sections.length === files.length
+        ? sections[index]
+        : sections.find(candidate => candidate.split('\n')[0].endsWith(` b/${file.filePath}`));
+      file.diff = section || '';
+    });
+
+    const parentList = parents.trim().split(' ').filter(Boolean);
+    return {
+      hash: hash.trim(),
+      parents: parentList,
+      subject,
+      author,
+      email,
+      date,
+      // %B starts with the subject line
+      body: message.split('\n').slice(1).join('\n').trim(),
+      isMerge: parentList.length > 1,
+      files,
+      diffStats
+    };
+  }
+
+  // ":100644 100644 abc def M\tpath", ":... R100\told\tnew" or --name-status lines -> { status, filePath, oldPath }
+  static parseRawLine(line) {
+    const [meta, ...paths] = line.split('\t');
+    const status = meta.split(' ').pop();
+    if (!status || paths.length === 0) return null;
+
+    const [oldPath, newPath = oldPath] = paths.map(CommitLoader.unquotePath);
+    return { status, filePath: newPath, oldPath };
+  }
+
+  // Paths with quotes, backslashes or control characters are C-quoted even with core.quotePath=false
+  static unquotePath(value) {
+    if (!value.startsWith('"') || !value.endsWith('"')) return value;
+
+    const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\', a: '\x07', b: '\b', f: '\f', r: '\r', v: '\v' };
+    const bytes = [];
+    const inner = value.slice(1, -1);
+    for (let index = 0; index < inner.length; index++) {
+      const char = String.fromCodePoint(inner.codePointAt(index));
+      if (char !== '\\') {
+        bytes.push(...Buffer.from(char, 'utf8'));
+        index += char.length - 1;
+      } else if (/[0-7]{3}/.test(inner.slice(index + 1, index + 4))) {
+        bytes.push(parseInt(inner.slice(index + 1, index + 4), 8));
+        index += 3;
+      } else {
+        const escaped = inner[++index];
+        bytes.push(...Buffer.from(escapes[escaped] ?? escaped, 'utf8'));
+      }
+    }
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  // Patch text split into one section per "diff --git" header
+  static splitPatch(lines) {
+    const sections = [];
+    lines.forEach(line => {
+      if (line.startsWith('diff --git ')) {
+        sections.push([line]);
+      } else if (sections.length > 0) {
+        sections[sections.length - 1].push(line);
+      }
+    });
+    return sections.map(section => section.join('\n').replace(/\n+$/, '\n'));
+  }
+}
+
+module.exports = CommitLoader;
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Commit Summary Schema
+ * JSON Schema for per-commit AI summaries plus a small validator for the
+ * subset of JSON Schema it uses (type, enum, required, properties, items,
+ * additionalProperties, minimum/maximum)
+ */
+
+// Strict-mode compatible: every property is required and nullable fields use type unions
+const COMMIT_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Clear, user-friendly description (1-2 sentences)' },
+    technicalSummary: { type: 'string', description: 'Detailed technical description for developers' },
+    category: { type: 'string', enum: ['feature', 'fix', 'improvement', 'refactor', 'docs', 'chore', 'breaking', 'security'] },
+    impact: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+    scope: { type: 'string', enum: ['major', 'minor', 'patch'] },
+    userFacing: { type: 'boolean' },
+    breaking: { type: 'boolean' },
+    businessImpact: { type: 'string', description: 'How this affects users, business goals, or product value' },
+    technicalImpact: { type: 'string', description: 'How this affects codebase, architecture, or development' },
+    highlights: { type: 'array', items: { type: 'string' } },
+    migrationNotes: { type: ['string', 'null'], description: 'Steps needed for upgrade/deployment, or null' },
+    tags: { type: 'array', items: { type: 'string' } },
+    relatedAreas: { type: 'array', items: { type: 'string' } },
+    riskLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: [
+    'summary', 'technicalSummary', 'category', 'impact', 'scope', 'userFacing', 'breaking',
+    'businessImpact', 'technicalImpact', 'highlights', 'migrationNotes', 'tags', 'relatedAreas',
+    'riskLevel', 'confidence'
+  ],
+  additionalProperties: false
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value against a schema; returns a list of human-readable errors (empty when valid)
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function validateCommitSummary(value) {
+  return validateSchema(value, COMMIT_SUMMARY_SCHEMA);
+}
+
+module.exports = {
+  COMMIT_SUMMARY_SCHEMA,
+  validateSchema,
+  validateCommitSummary
+};
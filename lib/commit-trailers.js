@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Commit Trailers
+ * Conventional Commits 1.0 footer and git trailer parsing: "Token: value" /
+ * "Token #value" lines after the body, including BREAKING CHANGE notes,
+ * Refs, Reviewed-by and the Changelog override
+ */
+
+// Footer tokens use "-" in place of spaces; BREAKING CHANGE is the one exception
+const TOKEN_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?:: | #)(.*)$/;
+const BREAKING_PATTERN = /^BREAKING[ -]CHANGE(?:: | #)/;
+
+// "Changelog:" values mapped to changelog categories; null removes the commit from the changelog
+const CHANGELOG_CATEGORIES = {
+  skip: null,
+  none: null,
+  ignore: null,
+  added: 'feat',
+  fixed: 'fix',
+  changed: 'changed',
+  deprecated: 'deprecated',
+  removed: 'removed',
+  security: 'security',
+  breaking: 'breaking'
+};
+
+// Conventional types are accepted as-is (e.g. "Changelog: perf")
+const KNOWN_CATEGORIES = [
+  'feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore',
+  'revert', 'deps', 'config', 'ui', 'api', 'db', 'other'
+];
+
+class CommitTrailers {
+  // Parse the footers of a commit body (the subject line is not part of it).
+  // Returns { entries: [{ token, value }], breakingChange, refs, reviewedBy, changelog }.
+  static parse(body = '') {
+    const lines = (body || '').replace(/\r\n/g, '\n').split('\n');
+    const start = CommitTrailers.findFooterStart(lines);
+    const entries = [];
+
+    if (start !== -1) {
+      lines.slice(start).forEach(line => {
+        const match = line.match(TOKEN_PATTERN);
+        if (match) {
+          entries.push({ token: match[1], value: match[2].trim() });
+        } else if (entries.length > 0) {
+          // Values continue until the next token; blank lines are kept as paragraph breaks
+          const last = entries[entries.length - 1];
+          last.value = `${last.value}\n${line.trim()}`;
+        }
+      });
+      entries.forEach(entry => {
+        entry.value = entry.value.replace(/\n{3,}/g, '\n\n').trim();
+      });
+    }
+
+    const values = token => entries
+      .filter(entry => entry.token.toLowerCase() === token)
+      .map(entry => entry.value);
+    const breaking = entries.find(entry => BREAKING_PATTERN.test(`${entry.token}: `));
+    const changelog = values('changelog')[0];
+
+    return {
+      entries,
+      breakingChange: breaking ? breaking.value : null,
+      refs: values('refs').flatMap(value => value.split(/[,\s]+/)).filter(Boolean),
+      reviewedBy: values('reviewed-by'),
+      changelog: changelog ? changelog.toLowerCase() : null
+    };
+  }
+
+  // Index of the first footer line, or -1. Footers are the trailing paragraphs that each open with
+  // a token line; a BREAKING CHANGE line starts the footers wherever it appears.
+  static findFooterStart(lines) {
+    const breakingIndex = lines.findIndex(line => BREAKING_PATTERN.test(line));
+
+    let start = -1;
+    for (let index = lines.length - 1; index >= 0; index--) {
+      const isParagraphStart = lines[index].trim() !== '' && (index === 0 || lines[index - 1].trim() === '');
+      if (!isParagraphStart) continue;
+      if (!TOKEN_PATTERN.test(lines[index])) break;
+      start = index;
+    }
+
+    if (breakingIndex === -1) return start;
+    return start === -1 ? breakingIndex : Math.min(start, breakingIndex);
+  }
+
+  // Combine parsed trailers (e.g. every commit in a pull request); the first Changelog override wins
+  static merge(...list) {
+    const sources = list.flat().filter(Boolean);
+    return {
+      entries: sources.flatMap(trailers => trailers.entries),
+      breakingChange: sources.map(trailers => trailers.breakingChange).filter(Boolean).join('\n\n') || null,
+      refs: [...new Set(sources.flatMap(trailers => trailers.refs))],
+      reviewedBy: [...new Set(sources.flatMap(trailers => trailers.reviewedBy))],
+      changelog: sources.map(trailers => trailers.changelog).find(Boolean) || null
+    };
+  }
+
+  // Values of a custom trailer (case-insensitive token)
+  static get(trailers, token) {
+    const key = token.toLowerCase();
+    return (trailers?.entries || [])
+      .filter(entry => entry.token.toLowerCase() === key)
+      .map(entry => entry.value);
+  }
+
+  // Category forced by a "Changelog:" trailer: a category name, null to skip the commit,
+  // or undefined when there is no (recognised) override
+  static changelogCategory(trailers) {
+    const value = trailers?.changelog;
+    if (!value) return undefined;
+    if (Object.prototype.hasOwnProperty.call(CHANGELOG_CATEGORIES, value)) return CHANGELOG_CATEGORIES[value];
+    if (KNOWN_CATEGORIES.includes(value)) return value;
+    return undefined;
+  }
+}
+
+module.exports = CommitTrailers;
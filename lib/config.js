@@ -37,6 +37,13 @@ class ConfigManager {
     const defaults = {
       // AI Provider Settings
       AI_PROVIDER: process.env.AI_PROVIDER || 'auto',
+      AI_FALLBACK_CHAIN: process.env.AI_FALLBACK_CHAIN || '',
+      AI_RETRY_ATTEMPTS: parseInt(process.env.AI_RETRY_ATTEMPTS || '2'),
+      AI_RETRY_DELAY: parseInt(process.env.AI_RETRY_DELAY || '1000'),
+      AI_RETRY_MAX_DELAY: parseInt(process.env.AI_RETRY_MAX_DELAY || '60000'),
+      AI_CONCURRENCY: parseInt(process.env.AI_CONCURRENCY || '4'),
+      AI_REQUESTS_PER_MINUTE: parseInt(process.env.AI_REQUESTS_PER_MINUTE || '60'),
+      AI_RATE_LIMITS: process.env.AI_RATE_LIMITS || '',
       OPENAI_API_KEY: process.env.OPENAI_API_KEY,
       ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
       GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
@@ -76,6 +83,28 @@ class ConfigManager {
       INCLUDE_AUTHOR: process.env.INCLUDE_AUTHOR !== 'false',
       INCLUDE_DATE: process.env.INCLUDE_DATE !== 'false',
       GROUP_BY_TYPE: process.env.GROUP_BY_TYPE !== 'false',
+      GROUP_BY_PR: process.env.GROUP_BY_PR !== 'false',
+      INCLUDE_CONTRIBUTORS: process.env.INCLUDE_CONTRIBUTORS !== 'false',
+      WORKSPACE_CHANGELOGS: process.env.WORKSPACE_CHANGELOGS !== 'false',
+      TYPE_DIFF: process.env.TYPE_DIFF === 'true',
+      STREAM_OUTPUT: process.env.STREAM_OUTPUT !== 'false',
+      AI_RELEASE_SUMMARY: process.env.AI_RELEASE_SUMMARY === 'true',
+
+      // Security Advisories
+      OSV_ADVISORY_DIR: process.env.OSV_ADVISORY_DIR || null,
+
+      // Issue Tracker Links
+      ISSUE_LINKS_ENABLED: process.env.ISSUE_LINKS_ENABLED !== 'false',
+      ISSUE_GITHUB_URL: process.env.ISSUE_GITHUB_URL || null,
+      ISSUE_GITHUB_PATTERN: process.env.ISSUE_GITHUB_PATTERN || null,
+      ISSUE_GITLAB_URL: process.env.ISSUE_GITLAB_URL || null,
+      ISSUE_GITLAB_PATTERN: process.env.ISSUE_GITLAB_PATTERN || null,
+      ISSUE_JIRA_URL: process.env.ISSUE_JIRA_URL || null,
+      ISSUE_JIRA_PATTERN: process.env.ISSUE_JIRA_PATTERN || null,
+      ISSUE_LINEAR_URL: process.env.ISSUE_LINEAR_URL || null,
+      ISSUE_LINEAR_PATTERN: process.env.ISSUE_LINEAR_PATTERN || null,
+      ISSUE_LINEAR_TEAMS: process.env.ISSUE_LINEAR_TEAMS || null,
+      ISSUE_TRACKERS: process.env.ISSUE_TRACKERS || null,
 
       // Git Settings
       EXCLUDE_MERGE_COMMITS: process.env.EXCLUDE_MERGE_COMMITS !== 'false',
@@ -89,9 +118,13 @@ class ConfigManager {
       // Performance Settings
       ENABLE_PROMPT_CACHING: process.env.ENABLE_PROMPT_CACHING !== 'false',
       AI_MODEL_SELECTION_STRATEGY: process.env.AI_MODEL_SELECTION_STRATEGY || 'adaptive',
+      SUMMARY_CACHE_ENABLED: process.env.SUMMARY_CACHE_ENABLED !== 'false',
+      SUMMARY_CACHE_DIR: process.env.SUMMARY_CACHE_DIR || '.ai-changelog/cache',
 
       // MCP Server Settings
       MCP_SERVER_PORT: parseInt(process.env.MCP_SERVER_PORT || '3000'),
+      MCP_SERVER_HOST: process.env.MCP_SERVER_HOST || '127.0.0.1',
+      MCP_SERVER_TOKEN: process.env.MCP_SERVER_TOKEN || null,
       MCP_SERVER_TIMEOUT: parseInt(process.env.MCP_SERVER_TIMEOUT || '30000')
     };
 
@@ -245,6 +278,18 @@ class ConfigManager {
 # AI Provider (auto, openai, azure)
 AI_PROVIDER=auto
 
+# Ordered fallback chain of provider:model hops, tried in turn when a call fails
+# AI_FALLBACK_CHAIN=azure:o4-mini -> openai:gpt-4.1 -> ollama:llama3 -> rule-based
+# Retries per hop for transient errors (rate limits, timeouts, 5xx) and the backoff window in ms
+AI_RETRY_ATTEMPTS=2
+AI_RETRY_DELAY=1000
+AI_RETRY_MAX_DELAY=60000
+
+# Request scheduling: parallel AI requests and requests per minute (per provider overrides, 0 = unlimited)
+AI_CONCURRENCY=4
+AI_REQUESTS_PER_MINUTE=60
+# AI_RATE_LIMITS=openai:500,azure:300,ollama:0
+
 # OpenAI Configuration
 OPENAI_API_KEY=your-openai-api-key-here
 
@@ -283,6 +328,22 @@ INCLUDE_COMMIT_HASH=true
 INCLUDE_AUTHOR=true
 INCLUDE_DATE=true
 GROUP_BY_TYPE=true
+GROUP_BY_PR=true
+INCLUDE_CONTRIBUTORS=true
+WORKSPACE_CHANGELOGS=true
+TYPE_DIFF=false
+STREAM_OUTPUT=true
+AI_RELEASE_SUMMARY=false
+
+# Security Advisories (a local directory of OSV JSON files)
+# OSV_ADVISORY_DIR=.ai-changelog/osv
+
+# Issue Tracker Links (GitHub/GitLab default to the origin remote)
+ISSUE_LINKS_ENABLED=true
+# ISSUE_JIRA_URL=https://acme.atlassian.net/browse/{id}
+# ISSUE_JIRA_PATTERN=\\b((?:ACME|OPS)-\\d+)\\b
+# ISSUE_LINEAR_URL=https://linear.app/acme/issue/{id}
+# ISSUE_LINEAR_TEAMS=ENG,DES
 
 # Git Settings
 EXCLUDE_MERGE_COMMITS=true
@@ -296,9 +357,13 @@ AI_TIMEOUT=30000
 # Performance Settings
 ENABLE_PROMPT_CACHING=true
 AI_MODEL_SELECTION_STRATEGY=adaptive
+SUMMARY_CACHE_ENABLED=true
+SUMMARY_CACHE_DIR=.ai-changelog/cache
 
 # MCP Server Settings
 MCP_SERVER_PORT=3000
+MCP_SERVER_HOST=127.0.0.1
+# MCP_SERVER_TOKEN=shared-secret-for-the-http-transport
 MCP_SERVER_TIMEOUT=30000
 `;
 
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Contributors
+ * Collects the authors and Co-authored-by trailers of a set of commits,
+ * merges identities through .mailmap and flags first-time contributors
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CO_AUTHOR_PATTERN = /^co-authored-by:\s*(.+)$/gim;
+const IDENTITY_PATTERN = /^\s*(.*?)\s*<([^>]*)>\s*$/;
+// "Proper Name <proper@email> Commit Name <commit@email>", every part but the first email optional
+const MAILMAP_PATTERN = /^\s*([^<#]*?)\s*<([^>]*)>(?:\s*([^<#]*?)\s*<([^>]*)>)?/;
+
+class Contributors {
+  constructor(gitManager, options = {}) {
+    this.gitManager = gitManager;
+    this.mailmap = options.mailmap || Contributors.parseMailmap(this.readMailmap());
+  }
+
+  // "Name <email>" -> { name, email }, or null
+  static parseIdentity(value) {
+    const match = (value || '').match(IDENTITY_PATTERN);
+    if (!match) return null;
+    return { name: match[1], email: match[2].trim() };
+  }
+
+  // Identities from Co-authored-by trailers in a commit message
+  static parseCoAuthors(message) {
+    const coAuthors = [];
+    let match;
+    CO_AUTHOR_PATTERN.lastIndex = 0;
+    while ((match = CO_AUTHOR_PATTERN.exec(message || '')) !== null) {
+      const identity = Contributors.parseIdentity(match[1]);
+      if (identity) coAuthors.push(identity);
+    }
+    return coAuthors;
+  }
+
+  // Entries of a .mailmap file: { properName, properEmail, commitName, commitEmail }
+  static parseMailmap(content) {
+    return (content || '').split('\n').map(line => {
+      const match = line.replace(/#.*$/, '').match(MAILMAP_PATTERN);
+      if (!match) return null;
+      const [, firstName, firstEmail, secondName, secondEmail] = match;
+
+      // "Proper Name <commit@email>" only fixes the name
+      if (secondEmail === undefined) {
+        return firstName ? { properName: firstName, properEmail: null, commitName: null, commitEmail: firstEmail.toLowerCase() } : null;
+      }
+      return {
+        properName: firstName || null,
+        properEmail: firstEmail || null,
+        commitName: secondName ? secondName.toLowerCase() : null,
+        commitEmail: secondEmail.toLowerCase()
+      };
+    }).filter(Boolean);
+  }
+
+  // Case-insensitive key that identifies one person after mailmap resolution
+  static key(identity) {
+    return (identity.email || identity.name || '').toLowerCase();
+  }
+
+  readMailmap() {
+    const root = this.gitManager.execGitSafe(['rev-parse', '--show-toplevel']).trim();
+    const mailmapPath = path.join(root || this.gitManager.cwd || process.cwd(), '.mailmap');
+    return fs.existsSync(mailmapPath) ? fs.readFileSync(mailmapPath, 'utf8') : '';
+  }
+
+  // Canonical identity; entries naming the commit author win over email-only entries, as in git
+  resolve(identity) {
+    const email = (identity.email || '').toLowerCase();
+    const name = (identity.name || '').toLowerCase();
+    const candidates = this.mailmap.filter(entry => entry.commitEmail === email);
+    const entry = candidates.find(candidate => candidate.commitName === name) ||
+      candidates.find(candidate => !candidate.commitName);
+
+    if (!entry) return { name: identity.name, email: identity.email };
+    return {
+      name: entry.properName || identity.name,
+      email: entry.properEmail || identity.email
+    };
+  }
+
+  // Parents of the given commits that are outside the set: the tips of the history before it
+  getBoundary(hashes) {
+    if (hashes.length === 0) return [];
+    const output = this.gitManager.execGitSafe(['rev-list', '--no-walk', '--parents', '--end-of-options', ...hashes]);
+    const inRange = new Set();
+    const parents = new Set();
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [hash, ...commitParents] = line.trim().split(' ');
+      inRange.add(hash);
+      commitParents.forEach(parent => parents.add(parent));
+    });
+    return [...parents].filter(parent => !inRange.has(parent));
+  }
+
+  // Keys of everyone who authored or co-authored a commit before the range
+  getPriorContributors(hashes) {
+    const boundary = this.getBoundary(hashes);
+    const known = new Set();
+    if (boundary.length === 0) return known;
+
+    // shortlog applies .mailmap itself; resolving again maps to the same canonical identity
+    const output = this.gitManager.execGitSafe(['shortlog', '-se', '--group=author', '--group=trailer:co-authored-by', ...boundary]);
+    output.split('\n').forEach(line => {
+      const identity = Contributors.parseIdentity(line.replace(/^\s*\d+\t/, ''));
+      if (identity) known.add(Contributors.key(this.resolve(identity)));
+    });
+    return known;
+  }
+
+  // One entry per person: { name, email, commits, coAuthored, firstTime }, most active first.
+  // Accepts commit analyses or GitManager commits ({ hash|fullHash, author, email, coAuthors }).
+  collect(commits) {
+    const contributors = new Map();
+    const credit = (identity, field) => {
+      const resolved = this.resolve(identity);
+      const key = Contributors.key(resolved);
+      if (!key) return;
+      if (!contributors.has(key)) {
+        contributors.set(key, { name: resolved.name || resolved.email, email: resolved.email || null, commits: 0, coAuthored: 0, firstTime: false });
+      }
+      contributors.get(key)[field]++;
+    };
+
+    // Merge commits record who merged, not who contributed
+    const authored = commits.filter(commit => commit && !commit.isMerge);
+    authored.forEach(commit => {
+      credit({ name: commit.author, email: commit.email }, 'commits');
+      const coAuthors = commit.coAuthors || Contributors.parseCoAuthors(commit.body);
+      coAuthors.forEach(coAuthor => credit(coAuthor, 'coAuthored'));
+    });
+
+    const hashes = authored.map(commit => commit.fullHash || commit.hash).filter(hash => /^[a-f0-9]{7,40}$/i.test(hash || ''));
+    const known = this.getPriorContributors(hashes);
+    contributors.forEach((contributor, key) => {
+      contributor.firstTime = !known.has(key);
+    });
+
+    return [...contributors.values()].sort((a, b) =>
+      (b.commits + b.coAuthored) - (a.commits + a.coAuthored) || a.name.localeCompare(b.name)
+    );
+  }
+}
+
+module.exports = Contributors;
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Changes
+ * Diffs dependency manifests and lockfiles (package.json, package-lock.json,
+ * pnpm-lock.yaml, yarn.lock, requirements.txt, go.mod, Cargo.toml) between two
+ * revisions and reports added, removed, upgraded and downgraded dependencies
+ */
+
+const path = require('path');
+
+// Manifests and lockfiles by file name; lockfiles only report the dependencies their package.json
+// declares, and manifests marked "config" also hold project configuration (scripts, build settings)
+const DEPENDENCY_FILES = {
+  'package.json': { ecosystem: 'npm', parser: 'parsePackageJson', config: true },
+  'package-lock.json': { ecosystem: 'npm', parser: 'parsePackageLock', lockfile: true },
+  'npm-shrinkwrap.json': { ecosystem: 'npm', parser: 'parsePackageLock', lockfile: true },
+  'pnpm-lock.yaml': { ecosystem: 'npm', parser: 'parsePnpmLock', lockfile: true },
+  'yarn.lock': { ecosystem: 'npm', parser: 'parseYarnLock', lockfile: true },
+  'go.mod': { ecosystem: 'go', parser: 'parseGoMod' },
+  'Cargo.toml': { ecosystem: 'cargo', parser: 'parseCargoToml', config: true }
+};
+const REQUIREMENTS_PATTERN = /^requirements([-_.][\w.-]+)?\.txt$/;
+
+const PACKAGE_JSON_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Lockfiles can be large; anything beyond this is not parsed
+const MAX_FILE_BYTES = 32 * 1024 * 1024;
+
+class DependencyChanges {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+  }
+
+  // { ecosystem, parser, lockfile, config } for a dependency manifest or lockfile path, or null
+  static fileType(filePath) {
+    const name = path.posix.basename(filePath || '');
+    if (REQUIREMENTS_PATTERN.test(name)) return { ecosystem: 'pip', parser: 'parseRequirements' };
+    return DEPENDENCY_FILES[name] || null;
+  }
+
+  // Dependency changes for each { before, after, files } revision pair, where before/after are
+  // revisions ("abc123^", "main") and files are { status, filePath, oldPath } entries. All
+  // manifests are read through one cat-file process.
+  async detect(pairs) {
+    const reads = pairs.map(({ before, after, files }) => files
+      .filter(file => DependencyChanges.fileType(file.filePath))
+      .map(file => {
+        const type = DependencyChanges.fileType(file.filePath);
+        const oldPath = file.oldPath || file.filePath;
+        const read = {
+          file,
+          type,
+          before: before && !file.status.startsWith('A') ? `${before}:${oldPath}` : null,
+          after: !file.status.startsWith('D') ? `${after}:${file.filePath}` : null
+        };
+        // The package.json next to a lockfile tells direct dependencies from transitive ones
+        if (type.lockfile) {
+          const manifest = path.posix.join(path.posix.dirname(file.filePath), 'package.json');
+          read.manifests = [before && `${before}:${manifest}`, `${after}:${manifest}`].filter(Boolean);
+        }
+        return read;
+      }));
+
+    const specs = reads.flat().flatMap(read => [read.before, read.after, ...(read.manifests || [])].filter(Boolean));
+    if (specs.length === 0) return pairs.map(() => []);
+
+    const blobs = await this.gitManager.readBlobs(specs, { maxBytes: MAX_FILE_BYTES });
+    const parse = (type, spec) => (spec ? DependencyChanges[type.parser](blobs.get(spec) || '') : new Map());
+
+    return reads.map(fileReads => {
+      const declared = new Map();
+      const resolved = new Map();
+
+      fileReads.forEach(read => {
+        let changes = DependencyChanges.diff(parse(read.type, read.before), parse(read.type, read.after), read.type.ecosystem);
+
+        if (read.type.lockfile) {
+          const direct = new Set(read.manifests.flatMap(spec => [...DependencyChanges.parsePackageJson(blobs.get(spec) || '').keys()]));
+          if (direct.size > 0) {
+            changes = changes.filter(change => direct.has(change.name));
+          }
+        }
+
+        const target = read.type.lockfile ? resolved : declared;
+        changes.forEach(change => target.set(`${change.ecosystem}:${change.name}`, change));
+      });
+
+      // Exact lockfile versions win over the ranges in package.json
+      const merged = new Map([...declared, ...resolved]);
+      return [...merged.values()].sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }
+
+  // Changes between two name -> version maps
+  static diff(before, after, ecosystem) {
+    const names = new Set([...before.keys(), ...after.keys()]);
+    const changes = [];
+    names.forEach(name => {
+      const from = before.has(name) ? before.get(name) : null;
+      const to = after.has(name) ? after.get(name) : null;
+      if (from === to) return;
+      changes.push({ name, ecosystem, from, to, ...DependencyChanges.classify(from, to) });
+    });
+    return changes;
+  }
+
+  // Net changes across several change lists, oldest first: the first "from" and the last "to" of each dependency
+  static combine(changeLists) {
+    const combined = new Map();
+    changeLists.forEach(changes => (changes || []).forEach(change => {
+      const key = `${change.ecosystem}:${change.name}`;
+      const previous = combined.get(key);
+      combined.set(key, { ...change, from: previous ? previous.from : change.from });
+    }));
+
+    return [...combined.values()]
+      .filter(change => change.from !== change.to)
+      .map(change => ({ ...change, ...DependencyChanges.classify(change.from, change.to) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // { change, major } for a version delta; null marks an absent dependency. Under semver a
+  // 0.x minor bump is breaking, so it counts as a major upgrade.
+  static classify(from, to) {
+    if (from === null) return { change: 'added', major: false };
+    if (to === null) return { change: 'removed', major: false };
+
+    const before = DependencyChanges.coerce(from);
+    const after = DependencyChanges.coerce(to);
+    if (!before || !after) return { change: 'changed', major: false };
+
+    const order = DependencyChanges.compareParts(after, before);
+    if (order === 0) return { change: 'changed', major: false };
+
+    return {
+      change: order > 0 ? 'upgraded' : 'downgraded',
+      major: order > 0 && (after[0] > before[0] || (before[0] === 0 && after[0] === 0 && after[1] > before[1]))
+    };
+  }
+
+  // [major, minor, patch] of the first version in a range or version string ("^1.2", "v0.3.1", ">=2,<3")
+  static coerce(version) {
+    const match = String(version || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+    return match ? [1, 2, 3].map(index => parseInt(match[index] || '0', 10)) : null;
+  }
+
+  static compareParts(a, b) {
+    for (let index = 0; index < 3; index++) {
+      if (a[index] !== b[index]) return a[index] > b[index] ? 1 : -1;
+    }
+    return 0;
+  }
+
+  // Record a version, keeping the highest when a lockfile resolves a dependency more than once
+  static addVersion(versions, name, version) {
+    const current = versions.get(name);
+    const currentParts = DependencyChanges.coerce(current);
+    const parts = DependencyChanges.coerce(version);
+    if (current === undefined || (parts && currentParts && DependencyChanges.compareParts(parts, currentParts) > 0)) {
+      versions.set(name, version);
+    }
+  }
+
+  static parseJson(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static parsePackageJson(content) {
+    const versions = new Map();
+    const manifest = DependencyChanges.parseJson(content) || {};
+    PACKAGE_JSON_SECTIONS.forEach(section => {
+      Object.entries(manifest[section] || {}).forEach(([name, version]) => {
+        if (!versions.has(name)) versions.set(name, String(version));
+      });
+    });
+    return versions;
+  }
+
+  // lockfileVersion 2/3 "packages" entries, or lockfileVersion 1 "dependencies"; only top-level node_modules
+  static parsePackageLock(content) {
+    const versions = new Map();
+    const lock = DependencyChanges.parseJson(content) || {};
+
+    if (lock.packages) {
+      Object.entries(lock.packages).forEach(([key, entry]) => {
+        const name = key.startsWith('node_modules/') ? key.slice('node_modules/'.length) : null;
+        if (name && !name.includes('/node_modules/') && entry.version) {
+          DependencyChanges.addVersion(versions, entry.name || name, entry.version);
+        }
+      });
+    } else {
+      Object.entries(lock.dependencies || {}).forEach(([name, entry]) => {
+        if (entry.version) DependencyChanges.addVersion(versions, name, entry.version);
+      });
+    }
+    return versions;
+  }
+
+  // Keys of the "packages:" section: "/name/1.0.0_peer" (v5), "/name@1.0.0(peer)" (v6), "name@1.0.0" (v9)
+  static parsePnpmLock(content) {
+    const versions = new Map();
+    let section = null;
+
+    (content || '').split('\n').forEach(line => {
+      const topLevel = line.match(/^(\S[^:]*):/);
+      if (topLevel) {
+        section = topLevel[1];
+        return;
+      }
+
+      const entry = section === 'packages' && line.match(/^ {2}(\S.*?):\s*$/);
+      if (!entry) return;
+
+      const key = entry[1].replace(/^['"]|['"]$/g, '').replace(/^\//, '').replace(/\(.*$/, '');
+      const legacy = key.match(/^(.+)\/(\d[^/]*)$/);
+      if (legacy) {
+        DependencyChanges.addVersion(versions, legacy[1], legacy[2].replace(/_.*$/, ''));
+      } else if (key.lastIndexOf('@') > 0) {
+        const at = key.lastIndexOf('@');
+        DependencyChanges.addVersion(versions, key.slice(0, at), key.slice(at + 1));
+      }
+    });
+    return versions;
+  }
+
+  // Yarn classic ("name@^1.0.0, name@^1.1.0:" then 'version "1.1.2"') and Berry ('"name@npm:^1.0.0":' then "version: 1.1.2")
+  static parseYarnLock(content) {
+    const versions = new Map();
+    let names = [];
+
+    (content || '').split('\n').forEach(line => {
+      if (/^[^\s#].*:\s*$/.test(line)) {
+        const descriptors = line.replace(/:\s*$/, '').split(/,\s*/).map(descriptor => descriptor.replace(/^['"]|['"]$/g, ''));
+        names = [...new Set(descriptors.map(descriptor => {
+          const at = descriptor.indexOf('@', 1);
+          return at === -1 ? descriptor : descriptor.slice(0, at);
+        }))].filter(name => name !== '__metadata');
+        return;
+      }
+
+      const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+      if (version) {
+        names.forEach(name => DependencyChanges.addVersion(versions, name, version[1]));
+        names = [];
+      }
+    });
+    return versions;
+  }
+
+  // "name==1.2.3" keeps the version; other specifiers (">=1.0,<2") are kept whole
+  static parseRequirements(content) {
+    const versions = new Map();
+
+    (content || '').split('\n').forEach(line => {
+      const text = line.replace(/(^|\s)#.*$/, '').trim();
+      if (!text || text.startsWith('-') || text.includes('://')) return;
+
+      const match = text.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+      if (!match) return;
+
+      const name = match[1].toLowerCase().replace(/[-_.]+/g, '-');
+      const specifier = match[2].replace(/\s+/g, '');
+      versions.set(name, /^===?[^,]+$/.test(specifier) ? specifier.replace(/^===?/, '') : specifier);
+    });
+    return versions;
+  }
+
+  // "require" lines and blocks; "// indirect" requirements are left out
+  static parseGoMod(content) {
+    const versions = new Map();
+    let inRequire = false;
+
+    (content || '').split('\n').forEach(line => {
+      const indirect = /\/\/\s*indirect\b/.test(line);
+      const text = line.replace(/\/\/.*$/, '').trim();
+
+      if (/^require\s*\($/.test(text)) {
+        inRequire = true;
+        return;
+      }
+      if (inRequire && text === ')') {
+        inRequire = false;
+        return;
+      }
+
+      const match = inRequire ? text.match(/^(\S+)\s+(\S+)$/) : text.match(/^require\s+(\S+)\s+(\S+)$/);
+      if (match && !indirect) versions.set(match[1], match[2]);
+    });
+    return versions;
+  }
+
+  // [dependencies], [dev-dependencies], [build-dependencies] (including target-specific ones)
+  // with "name = version", inline tables and [dependencies.name] tables
+  static parseCargoToml(content) {
+    const versions = new Map();
+    let inDependencies = false;
+    let table = null;
+
+    (content || '').split('\n').forEach(line => {
+      const text = line.replace(/\s+#.*$/, '').trim();
+
+      const header = text.match(/^\[([^\]]+)\]$/);
+      if (header) {
+        const match = header[1].trim().match(/^(?:target\..+\.)?(?:dev-|build-)?dependencies(?:\.(.+))?$/);
+        inDependencies = Boolean(match);
+        table = match && match[1] ? match[1].replace(/^"|"$/g, '') : null;
+        if (table) versions.set(table, '');
+        return;
+      }
+      if (!inDependencies) return;
+
+      if (table) {
+        const version = text.match(/^version\s*=\s*"([^"]*)"/);
+        if (version) versions.set(table, version[1]);
+        return;
+      }
+
+      const entry = text.match(/^("[^"]+"|[A-Za-z0-9_-]+)\s*=\s*(.+)$/);
+      if (!entry) return;
+      const plain = entry[2].match(/^"([^"]*)"/);
+      const inline = entry[2].match(/\bversion\s*=\s*"([^"]*)"/);
+      versions.set(entry[1].replace(/^"|"$/g, ''), plain ? plain[1] : (inline ? inline[1] : ''));
+    });
+    return versions;
+  }
+}
+
+module.exports = DependencyChanges;
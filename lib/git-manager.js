@@ -4,21 +4,28 @@
  * Git Operations for Changelog Generation
  * Provides robust git integration with error handling and validation
  * Updated with better commit parsing and error recovery
+ *
+ * Git is spawned without a shell: arguments are passed as arrays, so refs, paths
+ * and user-supplied filters are never shell-interpreted, and output has no size ceiling.
  */
 
-const { execSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const Contributors = require('./contributors');
+const CommitTrailers = require('./commit-trailers');
 
 class GitManager {
-  constructor() {
+  // `cwd` is the repository to run git in; without it, git runs in the process working directory
+  constructor(options = {}) {
+    this.cwd = options.cwd ? path.resolve(options.cwd) : null;
     this.validateGitRepository();
     this.gitConfig = this.loadGitConfig();
   }
 
   validateGitRepository() {
     try {
-      execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+      this.execGit(['rev-parse', '--git-dir']);
       this.isGitRepo = true;
     } catch (error) {
       this.isGitRepo = false;
@@ -29,8 +36,8 @@ class GitManager {
   loadGitConfig() {
     try {
       const remoteUrl = this.getRemoteUrl();
-      const userName = this.execGitSafe('git config --get user.name').trim();
-      const userEmail = this.execGitSafe('git config --get user.email').trim();
+      const userName = this.execGitSafe(['config', '--get', 'user.name'], { quiet: true }).trim();
+      const userEmail = this.execGitSafe(['config', '--get', 'user.email'], { quiet: true }).trim();
 
       return {
         remoteUrl: this.parseRemoteUrl(remoteUrl),
@@ -45,15 +52,8 @@ class GitManager {
   }
 
   getRemoteUrl() {
-    try {
-      return execSync('git config --get remote.origin.url', { 
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'ignore'] // Suppress stderr
-      }).trim();
-    } catch (error) {
-      // This is expected if no remote origin is configured
-      return '';
-    }
+    // Missing remote origin is expected, so no warning
+    return this.execGitSafe(['config', '--get', 'remote.origin.url'], { quiet: true }).trim();
   }
 
   parseRemoteUrl(url) {
@@ -104,59 +104,220 @@ class GitManager {
     return null;
   }
 
-  execGit(command, options = {}) {
-    try {
-      return execSync(command, {
-        encoding: 'utf8',
-        maxBuffer: 1024 * 1024, // 1MB buffer
-        timeout: 30000, // 30 second timeout
-        stdio: ['pipe', 'pipe', 'ignore'], // Suppress stderr by default
-        ...options
-      });
-    } catch (error) {
-      throw new Error(`Git command failed: ${command}\nError: ${error.message}\nExit code: ${error.status || 'unknown'}`);
+  // Run git and return stdout. Failures throw an Error carrying args, exitCode and stderr.
+  execGit(args, options = {}) {
+    if (!Array.isArray(args)) {
+      throw new TypeError('Git arguments must be an array');
     }
+
+    const { timeout = 30000, input, cwd = this.cwd } = options;
+    const result = spawnSync('git', args, {
+      cwd: cwd || undefined,
+      input,
+      encoding: 'utf8',
+      maxBuffer: Infinity,
+      timeout,
+      windowsHide: true
+    });
+
+    if (result.error || result.status !== 0) {
+      throw this.createGitError(args, result);
+    }
+    return result.stdout;
+  }
+
+  // Error for a failed git invocation, summarised by the first line of stderr
+  createGitError(args, { status = null, signal = null, stderr = '', error = null }) {
+    const detail = error?.code === 'ETIMEDOUT'
+      ? 'timed out'
+      : error?.code === 'ENOENT'
+        ? 'git executable not found'
+        : (stderr || '').trim().split('\n').find(Boolean) || error?.message || (signal ? `killed by ${signal}` : 'unknown error');
+
+    const gitError = new Error(`git ${args.join(' ')} failed${status !== null ? ` (exit ${status})` : ''}: ${detail}`);
+    gitError.args = args;
+    gitError.exitCode = status;
+    gitError.signal = signal;
+    gitError.stderr = (stderr || '').trim();
+    if (error?.code) gitError.code = error.code;
+    return gitError;
   }
 
-  execGitSafe(command, options = {}) {
+  // Like execGit, but returns '' on failure; pass { quiet: true } for expected failures
+  execGitSafe(args, options = {}) {
     try {
-      return this.execGit(command, options);
+      return this.execGit(args, options);
     } catch (error) {
-      // Don't warn for expected failures like missing remote origin
-      const suppressWarnings = [
-        'git config --get remote.origin.url'
-      ];
-      
-      if (!suppressWarnings.some(suppressCmd => command.includes(suppressCmd))) {
-        console.warn(`⚠️  Git command failed: ${command} - ${error.message}`);
+      if (!options.quiet) {
+        console.warn(`⚠️  ${error.message}`);
       }
       return '';
     }
   }
 
-  // NEW: Execute git show commands that might fail due to missing files  
-  execGitShow(command, options = {}) {
+  // Execute git show commands that might fail due to missing files; returns null on failure
+  execGitShow(args, options = {}) {
     try {
-      return execSync(command, {
-        encoding: 'utf8',
-        maxBuffer: 1024 * 1024,
-        timeout: 30000,
-        stdio: ['pipe', 'pipe', 'ignore'], // Fully suppress stderr
-        ...options
-      });
+      return this.execGit(args, options);
     } catch (error) {
-      // For git show commands, we expect some files to not exist
-      // This is normal in git history (renamed, deleted files)
-      if (command.includes('git show') && error.message.includes('does not exist')) {
-        return null; // Return null to indicate file doesn't exist
+      // Paths missing at one side of a commit are normal in git history (renamed, deleted files)
+      if (/does not exist|exists on disk, but not in/.test(error.stderr)) {
+        return null;
       }
-      
-      // For other errors, still suppress stderr but log a clean warning
-      console.warn(`⚠️  Git operation failed: ${this.sanitizeGitError(error.message)}`);
+
+      console.warn(`⚠️  Git operation failed: ${this.sanitizeGitError(error.stderr || error.message)}`);
       return null;
     }
   }
 
+  // Stream git output as records split on `separator` ('\0' for -z output) without buffering it all.
+  // `input` is written to stdin (e.g. for --stdin). Stopping early kills git; a failed exit throws
+  // once the output is consumed.
+  async *streamGit(args, options = {}) {
+    if (!Array.isArray(args)) {
+      throw new TypeError('Git arguments must be an array');
+    }
+
+    const { separator = '\n', cwd = this.cwd, signal, input } = options;
+    const child = spawn('git', args, { cwd: cwd || undefined, signal, windowsHide: true });
+    child.stdin.on('error', () => {}); // git may exit before reading all of its input
+    child.stdin.end(input);
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const exited = new Promise(resolve => {
+      child.on('error', error => resolve({ error }));
+      child.on('close', (status, exitSignal) => resolve({ status, signal: exitSignal }));
+    });
+
+    let pending = '';
+    try {
+      child.stdout.setEncoding('utf8');
+      for await (const chunk of child.stdout) {
+        const records = (pending + chunk).split(separator);
+        pending = records.pop();
+        for (const record of records) {
+          if (record) yield record;
+        }
+      }
+      if (pending) yield pending;
+    } finally {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+      }
+    }
+
+    const result = await exited;
+    if (result.error || result.status !== 0) {
+      throw this.createGitError(args, { ...result, stderr });
+    }
+  }
+
+  // Read many blobs ("<rev>:<path>") through one `git cat-file --batch` process.
+  // Resolves to a Map of spec -> content (the first `maxBytes` bytes), or null when missing.
+  // `maxBytes` may also be a function giving the limit for each spec.
+  readBlobs(specs, options = {}) {
+    const { maxBytes = Infinity, cwd = this.cwd } = options;
+    const limitFor = typeof maxBytes === 'function' ? maxBytes : () => maxBytes;
+    // cat-file reads one spec per line
+    const requested = [...new Set(specs)].filter(spec => !spec.includes('\n'));
+    const blobs = new Map();
+    if (requested.length === 0) return Promise.resolve(blobs);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', ['cat-file', '--batch'], { cwd: cwd || undefined, windowsHide: true });
+      let buffer = Buffer.alloc(0);
+      let index = 0;
+      let current = null;
+      let stderr = '';
+
+      // Each answer is "<oid> <type> <size>\n<content>\n" or "<spec> missing\n"; content past
+      // maxBytes is skipped rather than buffered
+      const consume = () => {
+        while (index < requested.length && buffer.length > 0) {
+          if (!current) {
+            const newline = buffer.indexOf(10);
+            if (newline === -1) return;
+            const match = buffer.subarray(0, newline).toString('utf8').match(/^[0-9a-f]+ (\w+) (\d+)$/);
+            buffer = buffer.subarray(newline + 1);
+            if (!match) {
+              blobs.set(requested[index++], null);
+            } else {
+              const size = parseInt(match[2], 10);
+              current = { type: match[1], size, keep: Math.min(size, limitFor(requested[index])), received: 0, chunks: [] };
+            }
+            continue;
+          }
+
+          const take = Math.min(current.size + 1 - current.received, buffer.length);
+          const kept = Math.max(0, Math.min(take, current.keep - current.received));
+          if (kept > 0) current.chunks.push(buffer.subarray(0, kept));
+          current.received += take;
+          buffer = buffer.subarray(take);
+
+          if (current.received === current.size + 1) {
+            blobs.set(requested[index++], current.type === 'blob' ? Buffer.concat(current.chunks).toString('utf8') : null);
+            current = null;
+          }
+        }
+      };
+
+      child.stdout.on('data', chunk => {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        consume();
+      });
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.stdin.on('error', () => {});
+      child.on('error', error => reject(this.createGitError(['cat-file', '--batch'], { error })));
+      child.on('close', (status, signal) => {
+        if (status !== 0) {
+          reject(this.createGitError(['cat-file', '--batch'], { status, signal, stderr }));
+          return;
+        }
+        requested.forEach(spec => {
+          if (!blobs.has(spec)) blobs.set(spec, null);
+        });
+        resolve(blobs);
+      });
+
+      child.stdin.end(`${requested.join('\n')}\n`);
+    });
+  }
+
+  // A reader whose readBlobs calls made in the same tick share one cat-file process, so
+  // independent analyses of the same commits don't each spawn their own. Every caller
+  // gets its own specs, cut to its own maxBytes.
+  batchBlobReads() {
+    let pending = [];
+
+    const flush = () => {
+      const requests = pending;
+      pending = [];
+      const limits = new Map();
+      requests.forEach(({ specs, maxBytes }) => specs.forEach(spec => {
+        limits.set(spec, Math.max(limits.get(spec) || 0, maxBytes));
+      }));
+
+      this.readBlobs([...limits.keys()], { maxBytes: spec => limits.get(spec) }).then(blobs => {
+        requests.forEach(({ specs, maxBytes, resolve }) => resolve(new Map(specs.map(spec => {
+          const content = blobs.get(spec);
+          // A UTF-16 code unit takes at most three UTF-8 bytes
+          if (content === null || content === undefined || content.length * 3 <= maxBytes) return [spec, content ?? null];
+          const bytes = Buffer.from(content, 'utf8');
+          return [spec, bytes.length > maxBytes ? bytes.subarray(0, maxBytes).toString('utf8') : content];
+        }))));
+      }, error => requests.forEach(({ reject }) => reject(error)));
+    };
+
+    return {
+      readBlobs: (specs, options = {}) => new Promise((resolve, reject) => {
+        if (pending.length === 0) setImmediate(flush);
+        pending.push({ specs, maxBytes: options.maxBytes ?? Infinity, resolve, reject });
+      })
+    };
+  }
+
   // NEW: Clean up git error messages for user display
   sanitizeGitError(errorMessage) {
     // Remove git command details and just show the essence
@@ -177,6 +338,33 @@ class GitManager {
   }
 
   getCommits(options = {}) {
+    const { args, format } = this.buildLogArgs(options);
+
+    try {
+      const output = this.execGit(args);
+      return this.parseCommitOutput(output, format);
+    } catch (error) {
+      console.error('Error getting commits:', error.message);
+      // Return empty array instead of crashing
+      return [];
+    }
+  }
+
+  // Same options as getCommits, yielding commits as git produces them instead of buffering the whole log
+  async *streamCommits(options = {}) {
+    const { args, format } = this.buildLogArgs(options);
+    const separator = format === 'full' || format === 'detailed' ? '\0' : '\n';
+
+    for await (const record of this.streamGit(args, { separator })) {
+      const [commit] = this.parseCommitOutput(record, format);
+      if (commit) yield commit;
+    }
+  }
+
+  // git log arguments for getCommits/streamCommits. Filters are passed as single
+  // "--option=value" arguments and revisions follow --end-of-options, so no value
+  // can be read as a flag or reach a shell.
+  buildLogArgs(options = {}) {
     const {
       count = 20,
       since = null,
@@ -185,68 +373,65 @@ class GitManager {
       grep = null,
       format = 'full',
       excludeMerges = true,
-      branch = null
+      branch = null,
+      range = null,
+      paths = []
     } = options;
 
-    let command = 'git log';
+    const args = ['log'];
+    const revisions = [];
+
+    // Add revision range (e.g. "v1.2.0..HEAD") if it looks like a valid ref expression
+    if (range) {
+      if (this.isValidRevisionRange(range)) {
+        revisions.push(range);
+      } else {
+        console.warn(`⚠️  Invalid revision range: ${range}`);
+      }
+    }
 
     // Add branch if specified and valid
     if (branch) {
-      try {
-        // Verify branch exists
-        this.execGit(`git rev-parse --verify ${branch}`, { stdio: 'ignore' });
-        command += ` ${branch}`;
-      } catch (error) {
+      if (this.validateCommitHash(branch)) {
+        revisions.push(branch);
+      } else {
         console.warn(`⚠️  Branch ${branch} not found, using current branch`);
       }
     }
 
     // Add count limit
     if (count && count > 0) {
-      command += ` -${Math.min(count, 1000)}`; // Cap at 1000 commits for performance
+      args.push(`--max-count=${Math.min(count, 1000)}`); // Cap at 1000 commits for performance
     }
 
     // Add date range with validation
     if (since) {
-      try {
-        // Validate date format
-        if (this.isValidGitDate(since)) {
-          command += ` --since="${since}"`;
-        } else {
-          console.warn(`⚠️  Invalid since date: ${since}`);
-        }
-      } catch (error) {
-        console.warn(`⚠️  Invalid since parameter: ${since}`);
+      if (this.isValidGitDate(since)) {
+        args.push(`--since=${since}`);
+      } else {
+        console.warn(`⚠️  Invalid since date: ${since}`);
       }
     }
 
     if (until) {
-      try {
-        if (this.isValidGitDate(until)) {
-          command += ` --until="${until}"`;
-        } else {
-          console.warn(`⚠️  Invalid until date: ${until}`);
-        }
-      } catch (error) {
-        console.warn(`⚠️  Invalid until parameter: ${until}`);
+      if (this.isValidGitDate(until)) {
+        args.push(`--until=${until}`);
+      } else {
+        console.warn(`⚠️  Invalid until date: ${until}`);
       }
     }
 
-    // Add author filter with escaping
     if (author) {
-      const escapedAuthor = author.replace(/["\\]/g, '\\$&');
-      command += ` --author="${escapedAuthor}"`;
+      args.push(`--author=${author}`);
     }
 
-    // Add grep filter with escaping
     if (grep) {
-      const escapedGrep = grep.replace(/["\\]/g, '\\$&');
-      command += ` --grep="${escapedGrep}"`;
+      args.push(`--grep=${grep}`);
     }
 
     // Exclude merge commits
     if (excludeMerges) {
-      command += ' --no-merges';
+      args.push('--no-merges');
     }
 
     // Set format based on what we need
@@ -258,21 +443,25 @@ class GitManager {
     };
 
     const formatString = formatStrings[format] || formatStrings.full;
-    command += ` --pretty=format:"${formatString}" --date=iso`;
+    args.push(`--pretty=format:${formatString}`, '--date=iso');
 
     // Use null byte separator for better parsing with multiline messages
     if (format === 'full' || format === 'detailed') {
-      command += ' -z'; // Use null byte as separator
+      args.push('-z');
     }
 
-    try {
-      const output = this.execGit(command);
-      return this.parseCommitOutput(output, format);
-    } catch (error) {
-      console.error('Error getting commits:', error.message);
-      // Return empty array instead of crashing
-      return [];
+    args.push('--end-of-options', ...revisions);
+
+    // Limit to commits touching these pathspecs
+    if (paths.length > 0) {
+      args.push('--', ...paths);
     }
+    return { args, format: formatStrings[format] ? format : 'full' };
+  }
+
+  isValidRevisionRange(range) {
+    const refPattern = /^[\w./@{}~^-]+$/;
+    return typeof range === 'string' && range.split(/\.\.\.?/).every(ref => ref === '' || (refPattern.test(ref) && !ref.startsWith('-')));
   }
 
   isValidGitDate(dateStr) {
@@ -347,6 +536,8 @@ class GitManager {
           }
 
           const [fullHash, shortHash, subject, body, author, email, authorDate, commitDate, parents, refs] = parts;
+          // %B starts with the subject line; footers are parsed from the rest
+          const trailers = CommitTrailers.parse((body || '').split('\n').slice(1).join('\n'));
 
           const commit = {
             hash: fullHash?.trim(),
@@ -359,8 +550,10 @@ class GitManager {
             authorDate: authorDate?.trim(),
             commitDate: commitDate?.trim(),
             type: this.extractCommitType(subject),
-            scope: this.extractCommitScope(subject),
-            breaking: this.isBreakingChange(subject, body)
+            scope: this.extractCommitScope(subject) || CommitTrailers.get(trailers, 'scope')[0] || null,
+            breaking: this.isBreakingChange(subject, body),
+            trailers,
+            coAuthors: Contributors.parseCoAuthors(body)
           };
 
           // Add additional info for detailed format
@@ -422,19 +615,18 @@ class GitManager {
     return match ? match[1].trim() : null;
   }
 
+  // "type(scope)!:" header, a "BREAKING" subject prefix or a BREAKING CHANGE footer
   isBreakingChange(subject, body = '') {
     if (!subject) return false;
 
-    return subject.includes('!:') ||
-           subject.toUpperCase().includes('BREAKING') ||
-           body.includes('BREAKING CHANGE:') ||
-           body.includes('BREAKING-CHANGE:') ||
-           body.toUpperCase().includes('BREAKING CHANGE');
+    return /^\w+(\(.+\))?!:/.test(subject) ||
+           /^BREAKING\b/i.test(subject) ||
+           CommitTrailers.parse(body).breakingChange !== null;
   }
 
   getStagedChanges() {
     try {
-      const output = this.execGit('git diff --cached --name-status');
+      const output = this.execGit(['diff', '--cached', '--name-status']);
       return this.parseDiffOutput(output);
     } catch (error) {
       console.error('Error getting staged changes:', error.message);
@@ -444,7 +636,7 @@ class GitManager {
 
   getUnstagedChanges() {
     try {
-      const output = this.execGit('git diff --name-status');
+      const output = this.execGit(['diff', '--name-status']);
       return this.parseDiffOutput(output);
     } catch (error) {
       console.error('Error getting unstaged changes:', error.message);
@@ -571,9 +763,9 @@ class GitManager {
 
   getBranchInfo() {
     try {
-      const currentBranch = this.execGitSafe('git branch --show-current').trim();
-      const remoteBranch = this.execGitSafe(`git config --get branch.${currentBranch}.remote`).trim();
-      const upstreamBranch = this.execGitSafe(`git config --get branch.${currentBranch}.merge`).trim().replace('refs/heads/', '');
+      const currentBranch = this.execGitSafe(['branch', '--show-current']).trim();
+      const remoteBranch = currentBranch ? this.execGitSafe(['config', '--get', `branch.${currentBranch}.remote`], { quiet: true }).trim() : '';
+      const upstreamBranch = currentBranch ? this.execGitSafe(['config', '--get', `branch.${currentBranch}.merge`], { quiet: true }).trim().replace('refs/heads/', '') : '';
 
       return {
         current: currentBranch || 'unknown',
@@ -589,10 +781,12 @@ class GitManager {
 
   getRepositoryStats() {
     try {
-      const totalCommits = parseInt(this.execGitSafe('git rev-list --count HEAD').trim()) || 0;
-      const contributors = this.execGitSafe('git shortlog -sn --all').trim().split('\n').length || 0;
-      const firstCommitDate = this.execGitSafe('git log --reverse --pretty=format:"%ad" --date=short | head -1').trim();
-      const lastCommitDate = this.execGitSafe('git log -1 --pretty=format:"%ad" --date=short').trim();
+      const totalCommits = parseInt(this.execGitSafe(['rev-list', '--count', 'HEAD']).trim()) || 0;
+      const contributors = this.execGitSafe(['shortlog', '-sn', '--all']).trim().split('\n').length || 0;
+      // Oldest root commit (there can be several in merged histories)
+      const rootDates = this.execGitSafe(['log', '--max-parents=0', '--pretty=format:%ad', '--date=short', 'HEAD']).trim().split('\n').filter(Boolean).sort();
+      const firstCommitDate = rootDates[0] || '';
+      const lastCommitDate = this.execGitSafe(['log', '-1', '--pretty=format:%ad', '--date=short']).trim();
 
       return {
         totalCommits,
@@ -625,10 +819,10 @@ class GitManager {
   }
 
   validateCommitHash(hash) {
-    if (!hash || typeof hash !== 'string') return false;
+    if (!hash || typeof hash !== 'string' || hash.startsWith('-')) return false;
 
     try {
-      this.execGit(`git cat-file -e ${hash}`, { stdio: 'ignore' });
+      this.execGit(['cat-file', '-e', '--end-of-options', hash]);
       return true;
     } catch {
       return false;
@@ -643,17 +837,17 @@ class GitManager {
     try {
       const { nameOnly = false, stat = false, unified = 3 } = options;
 
-      let command = `git show ${hash}`;
+      const args = ['show', '--pretty=format:'];
 
       if (nameOnly) {
-        command += ' --name-only --pretty=format:""';
+        args.push('--name-only');
       } else if (stat) {
-        command += ' --stat --pretty=format:""';
+        args.push('--stat');
       } else {
-        command += ` --name-status --pretty=format:"" -U${unified}`;
+        args.push('--name-status', `-U${parseInt(unified, 10) || 3}`);
       }
 
-      return this.execGit(command).trim();
+      return this.execGit([...args, '--end-of-options', hash]).trim();
     } catch (error) {
       console.error(`Error getting diff for commit ${hash}:`, error.message);
       return '';
@@ -662,7 +856,7 @@ class GitManager {
 
   getCurrentBranch() {
     try {
-      return this.execGit('git rev-parse --abbrev-ref HEAD').trim();
+      return this.execGit(['rev-parse', '--abbrev-ref', 'HEAD']).trim();
     } catch (error) {
       console.warn('Could not get current branch:', error.message);
       return 'unknown';
@@ -671,7 +865,7 @@ class GitManager {
 
   getLastCommit() {
     try {
-      const output = this.execGit('git log -1 --pretty=format:"%H|%an|%ae|%ad|%s" --date=iso');
+      const output = this.execGit(['log', '-1', '--pretty=format:%H|%an|%ae|%ad|%s', '--date=iso']);
       const [hash, author, email, date, message] = output.split('|');
 
       return {
@@ -690,23 +884,35 @@ class GitManager {
   getTags(options = {}) {
     try {
       const { sort = '-version:refname', limit = 50 } = options;
-      let command = `git tag --sort=${sort}`;
+      const output = this.execGit(['tag', `--sort=${sort}`]);
+      const tags = output.trim().split('\n').filter(Boolean);
 
-      if (limit > 0) {
-        command += ` | head -${limit}`;
-      }
-
-      const output = this.execGit(command);
-      return output.trim().split('\n').filter(Boolean);
+      return limit > 0 ? tags.slice(0, limit) : tags;
     } catch (error) {
       console.warn('Could not get tags:', error.message);
       return [];
     }
   }
 
+  // Release date (YYYY-MM-DD, in the tagger's timezone) of a tag: the tagger date for annotated
+  // tags, the commit date for lightweight ones
+  getTagDate(tag) {
+    if (!this.isValidRevisionRange(tag) || tag.includes('..')) {
+      return null;
+    }
+
+    try {
+      const output = this.execGit(['for-each-ref', '--format=%(creatordate:short)', `refs/tags/${tag}`]);
+      return output.trim() || null;
+    } catch (error) {
+      console.warn(`Could not get date for tag ${tag}:`, error.message);
+      return null;
+    }
+  }
+
   getStatus() {
     try {
-      const output = this.execGit('git status --porcelain');
+      const output = this.execGit(['status', '--porcelain']);
       const files = output.trim().split('\n').filter(Boolean);
 
       const status = {
@@ -774,11 +980,11 @@ class GitManager {
   // New method: Get all branches (local and remote)
   getAllBranches() {
     try {
-      const localBranches = this.execGitSafe('git branch').split('\n')
+      const localBranches = this.execGitSafe(['branch']).split('\n')
         .map(line => line.replace(/^\*?\s+/, '').trim())
         .filter(Boolean);
       
-      const remoteBranches = this.execGitSafe('git branch -r').split('\n')
+      const remoteBranches = this.execGitSafe(['branch', '-r']).split('\n')
         .map(line => line.trim().replace(/^origin\//, ''))
         .filter(line => line && !line.includes('HEAD'));
 
@@ -796,9 +1002,15 @@ class GitManager {
   // New method: Compare commits between branches
   getCommitsBetweenBranches(baseBranch, targetBranch) {
     try {
-      // Get commits in targetBranch that are not in baseBranch
-      const command = `git log ${baseBranch}..${targetBranch} --pretty=format:"%H|%h|%s|%b|%an|%ae|%ad|%cd" --date=iso`;
-      const output = this.execGitSafe(command);
+      if (!this.isValidRevisionRange(`${baseBranch}..${targetBranch}`)) {
+        throw new Error('invalid branch name');
+      }
+
+      // Get commits in targetBranch that are not in baseBranch (null-separated like getCommits' full format)
+      const output = this.execGitSafe([
+        'log', '--pretty=format:%H|%h|%s|%B|%an|%ae|%ad|%cd', '--date=iso', '-z',
+        '--end-of-options', `${baseBranch}..${targetBranch}`
+      ]);
       
       if (!output.trim()) return [];
       
@@ -849,7 +1061,7 @@ class GitManager {
   getDanglingCommits() {
     try {
       // Get all unreachable objects
-      const fsckOutput = this.execGitSafe('git fsck --unreachable --no-dangling');
+      const fsckOutput = this.execGitSafe(['fsck', '--unreachable', '--no-dangling']);
       const danglingLines = fsckOutput.split('\n')
         .filter(line => line.includes('unreachable commit'))
         .map(line => line.split(' ')[2])
@@ -859,7 +1071,7 @@ class GitManager {
       
       for (const hash of danglingLines.slice(0, 20)) { // Limit to 20 for performance
         try {
-          const commitInfo = this.execGitSafe(`git show --pretty=format:"%H|%h|%s|%an|%ad" --no-patch ${hash}`);
+          const commitInfo = this.execGitSafe(['show', '--pretty=format:%H|%h|%s|%an|%ad', '--no-patch', hash]);
           const [fullHash, shortHash, subject, author, date] = commitInfo.split('|');
           
           danglingCommits.push({
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Issue References
+ * Extracts issue tracker references (GitHub/GitLab "#123", Jira "PROJ-456",
+ * Linear "ENG-789", custom trackers) from commit messages and links them
+ * using per-tracker URL templates
+ */
+
+// Built-in trackers. GitHub and GitLab link to the origin remote by default;
+// Jira and Linear keys look alike, so they are only matched once a URL is configured.
+// Linear comes before Jira: with both enabled it only matches its own team keys (see fromConfig).
+const DEFAULT_TRACKERS = {
+  github: {
+    pattern: '(?<![\\w/&])#(\\d+)\\b',
+    url: 'https://github.com/{owner}/{repo}/issues/{id}',
+    label: '#{id}'
+  },
+  gitlab: {
+    pattern: '(?<![\\w/&])#(\\d+)\\b',
+    url: 'https://gitlab.com/{owner}/{repo}/-/issues/{id}',
+    label: '#{id}'
+  },
+  linear: {
+    pattern: '\\b([A-Z][A-Z0-9]+-\\d+)\\b',
+    url: null,
+    label: '{id}'
+  },
+  jira: {
+    pattern: '\\b([A-Z][A-Z0-9]+-\\d+)\\b',
+    url: null,
+    label: '{id}'
+  }
+};
+
+// Closing keywords recognised by GitHub, GitLab and Jira smart commits
+const CLOSING_KEYWORD_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s*$/i;
+
+class IssueReferences {
+  constructor(options = {}) {
+    this.remote = options.remote || null;
+    this.trackers = (options.trackers || []).map(tracker => ({
+      ...tracker,
+      regex: new RegExp(tracker.pattern, 'g')
+    }));
+  }
+
+  // Build trackers from ISSUE_<TRACKER>_PATTERN / ISSUE_<TRACKER>_URL settings plus ISSUE_TRACKERS (JSON list of custom trackers)
+  static fromConfig(configManager, remote = null) {
+    if (!configManager.get('ISSUE_LINKS_ENABLED')) {
+      return new IssueReferences({ remote, trackers: [] });
+    }
+
+    const trackers = [];
+    const jiraEnabled = Boolean(configManager.get('ISSUE_JIRA_URL') || configManager.get('ISSUE_JIRA_PATTERN'));
+    Object.entries(DEFAULT_TRACKERS).forEach(([name, defaults]) => {
+      const key = name.toUpperCase();
+      const url = configManager.get(`ISSUE_${key}_URL`);
+      const isRemotePlatform = remote?.platform === name && remote.owner && remote.repo;
+      let pattern = configManager.get(`ISSUE_${key}_PATTERN`);
+      if (name === 'linear' && !pattern) {
+        pattern = IssueReferences.teamPattern(configManager.get('ISSUE_LINEAR_TEAMS'));
+      }
+
+      // GitHub/GitLab are enabled by a matching origin remote; every tracker is enabled by explicit settings
+      if (!url && !pattern && !isRemotePlatform) return;
+
+      // Linear's default pattern would take every Jira key, so with both enabled Linear needs its own
+      if (name === 'linear' && !pattern && jiraEnabled) {
+        console.warn('⚠️  Jira and Linear issue keys look alike: set ISSUE_LINEAR_TEAMS or ISSUE_LINEAR_PATTERN to link Linear issues');
+        return;
+      }
+
+      trackers.push({
+        name,
+        pattern: pattern || defaults.pattern,
+        url: url || (isRemotePlatform ? defaults.url : null),
+        label: defaults.label
+      });
+    });
+
+    IssueReferences.parseCustomTrackers(configManager.get('ISSUE_TRACKERS')).forEach(tracker => trackers.push(tracker));
+
+    return new IssueReferences({ remote, trackers });
+  }
+
+  // Pattern matching the keys of the given teams, e.g. "ENG, OPS" -> \b((?:ENG|OPS)-\d+)\b
+  static teamPattern(teams) {
+    const prefixes = String(teams || '').split(',').map(team => team.trim()).filter(Boolean);
+    if (prefixes.length === 0) return null;
+
+    const escaped = prefixes.map(prefix => prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return `\\b((?:${escaped.join('|')})-\\d+)\\b`;
+  }
+
+  // Parse ISSUE_TRACKERS: [{ "name": "youtrack", "pattern": "\\b(YT-\\d+)\\b", "url": "https://yt.example.com/issue/{id}" }]
+  static parseCustomTrackers(spec) {
+    if (!spec) return [];
+
+    try {
+      const parsed = typeof spec === 'string' ? JSON.parse(spec) : spec;
+      return (Array.isArray(parsed) ? parsed : []).filter(tracker => {
+        if (!tracker?.name || !tracker.pattern) {
+          console.warn('⚠️  Ignoring issue tracker without a name or pattern in ISSUE_TRACKERS');
+          return false;
+        }
+        try {
+          new RegExp(tracker.pattern);
+          return true;
+        } catch (error) {
+          console.warn(`⚠️  Ignoring issue tracker "${tracker.name}": invalid pattern (${error.message})`);
+          return false;
+        }
+      }).map(tracker => ({ name: tracker.name, pattern: tracker.pattern, url: tracker.url || null, label: tracker.label || '{id}' }));
+    } catch (error) {
+      console.warn(`⚠️  Could not parse ISSUE_TRACKERS: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Fill {id}, {owner} and {repo} placeholders
+  expand(template, id) {
+    if (!template) return null;
+    return template
+      .replace(/\{id\}/g, id)
+      .replace(/\{owner\}/g, this.remote?.owner || '')
+      .replace(/\{repo\}/g, this.remote?.repo || '');
+  }
+
+  // References in a commit subject and body, in order of appearance, one per tracker and id
+  extract(subject = '', body = '') {
+    const text = [subject, body].filter(Boolean).join('\n');
+    const references = [];
+    const seen = new Set();
+    // A span claimed by one tracker isn't matched again by a later one (e.g. Linear before Jira)
+    const claimed = [];
+
+    this.trackers.forEach(tracker => {
+      tracker.regex.lastIndex = 0;
+      let match;
+      while ((match = tracker.regex.exec(text)) !== null) {
+        const id = match[1] || match[0];
+        const start = match.index;
+        const end = start + match[0].length;
+        if (match[0].length === 0) {
+          tracker.regex.lastIndex++;
+          continue;
+        }
+        if (claimed.some(span => start < span.end && end > span.start)) continue;
+        claimed.push({ start, end });
+
+        const key = `${tracker.name}:${id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        references.push({
+          tracker: tracker.name,
+          id,
+          label: this.expand(tracker.label, id),
+          url: this.expand(tracker.url, id),
+          closes: CLOSING_KEYWORD_PATTERN.test(text.slice(0, start)),
+          index: start
+        });
+      }
+    });
+
+    return references
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, ...reference }) => reference);
+  }
+
+  // Combine reference lists (e.g. every commit in a pull request), keeping the first occurrence
+  static merge(...lists) {
+    const seen = new Set();
+    return lists.flat().filter(reference => {
+      if (!reference) return false;
+      const key = `${reference.tracker}:${reference.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = IssueReferences;
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * MCP HTTP Server
+ * Serves the MCP server over Streamable HTTP (/mcp) and the legacy HTTP+SSE transport
+ * (/sse and /messages), so one shared server can serve several editors. Every session
+ * gets its own server instance, and an optional bearer token guards every request.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+// Largest JSON-RPC request body accepted, as in the SDK's own transports
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+// Sessions without a request for this long are closed (editors that quit without ending theirs)
+const SESSION_IDLE_TIMEOUT = 60 * 60 * 1000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+class MCPHttpServer {
+  // `createServer` returns a new, unconnected SDK Server for each session
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    this.port = options.port ?? 3000;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || null;
+    this.timeout = options.timeout || 30000;
+    this.sessionIdleTimeout = options.sessionIdleTimeout || SESSION_IDLE_TIMEOUT;
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.sweeper = null;
+  }
+
+  get url() {
+    const address = this.httpServer?.address();
+    if (!address) return null;
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}`;
+  }
+
+  async listen() {
+    if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+      console.warn(`⚠️  MCP server listening on ${this.host} without MCP_SERVER_TOKEN - anyone who can reach it can run its tools`);
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('MCP HTTP Error:', error.message);
+        if (!res.headersSent) {
+          this.sendError(res, 500, -32603, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+    // MCP_SERVER_TIMEOUT bounds receiving a request; responses and SSE streams stay open
+    this.httpServer.requestTimeout = this.timeout;
+    this.httpServer.headersTimeout = Math.min(this.httpServer.headersTimeout, this.timeout);
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.sweeper = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleTimeout, 60000));
+    this.sweeper.unref();
+    return this.url;
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    await Promise.all([...this.sessions.values()].map(session => session.transport.close().catch(() => {})));
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      this.httpServer.closeAllConnections();
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+  }
+
+  async handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (!this.isAllowedHost(req.headers.host)) {
+      return this.sendError(res, 403, -32000, `Host not allowed: ${req.headers.host}`);
+    }
+    if (!this.isAuthorized(req.headers.authorization)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="ai-changelog-mcp"');
+      return this.sendError(res, 401, -32001, 'Unauthorized');
+    }
+
+    switch (pathname) {
+      case '/mcp':
+        return this.handleStreamableRequest(req, res);
+      case '/sse':
+        if (req.method !== 'GET') return this.sendError(res, 405, -32000, 'Method not allowed');
+        return this.openSSESession(res);
+      case '/messages':
+        if (req.method !== 'POST') return this.sendError(res, 405, -32000, 'Method not allowed');
+        return this.handleSSEMessage(req, res, searchParams.get('sessionId'));
+      default:
+        return this.sendError(res, 404, -32000, `Not found: ${pathname}`);
+    }
+  }
+
+  // Streamable HTTP: an initialize request without a session ID starts a session; later
+  // requests carry the Mcp-Session-Id header the server returned
+  async handleStreamableRequest(req, res) {
+    const body = req.method === 'POST' ? await this.readBody(req, res) : undefined;
+    if (body === null) return;
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.type !== 'streamable') {
+        return this.sendError(res, 404, -32001, 'Session not found');
+      }
+      session.lastSeen = Date.now();
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.sendError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => {
+        this.sessions.set(id, { type: 'streamable', transport, lastSeen: Date.now() });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.sessions.delete(transport.sessionId);
+    };
+
+    await this.createServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  // Legacy HTTP+SSE: GET /sse opens the event stream, whose first event names the
+  // /messages URL (with the session ID) the client posts its requests to
+  async openSSESession(res) {
+    const transport = new SSEServerTransport('/messages', res);
+    const sessionId = transport.sessionId;
+    this.sessions.set(sessionId, { type: 'sse', transport, lastSeen: Date.now() });
+    transport.onclose = () => this.sessions.delete(sessionId);
+    res.on('close', () => this.sessions.delete(sessionId));
+
+    await this.createServer().connect(transport);
+  }
+
+  async handleSSEMessage(req, res, sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session || session.type !== 'sse') {
+      return this.sendError(res, 404, -32001, 'Session not found');
+    }
+
+    const body = await this.readBody(req, res);
+    if (body === null) return;
+    session.lastSeen = Date.now();
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleTimeout;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastSeen < cutoff) {
+        this.sessions.delete(sessionId);
+        session.transport.close().catch(() => {});
+      }
+    }
+  }
+
+  // Parsed JSON body, or null once an error response has been sent
+  async readBody(req, res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        this.sendError(res, 413, -32000, 'Request body too large');
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendError(res, 400, -32700, 'Parse error: Invalid JSON');
+      return null;
+    }
+  }
+
+  // Constant-time comparison of the Authorization header against the configured token
+  isAuthorized(authorization) {
+    if (!this.token) return true;
+
+    const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    if (!match) return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(this.token));
+  }
+
+  // A server bound to loopback only answers requests addressed to loopback, so web pages
+  // can't reach it through DNS rebinding
+  isAllowedHost(hostHeader) {
+    if (!LOOPBACK_HOSTS.includes(this.host)) return true;
+    const hostname = (hostHeader || '').replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+    return LOOPBACK_HOSTS.includes(hostname);
+  }
+
+  sendError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+}
+
+module.exports = MCPHttpServer;
@@ -10,15 +10,40 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
 
 // Import our existing modules
 const AIProvider = require('./ai-provider');
 const GitManager = require('./git-manager');
 const ConfigManager = require('./config');
+const ChangelogDocument = require('./changelog-document');
+const ChangelogTemplates = require('./templates');
+const VersionCalculator = require('./version-calculator');
+const IssueReferences = require('./issue-references');
+const Contributors = require('./contributors');
+const CommitTrailers = require('./commit-trailers');
+const Workspaces = require('./workspaces');
+const TypeDeclarations = require('./type-declarations');
+const ToolProgress = require('./tool-progress');
+const RepositoryResources = require('./repository-resources');
+const ReleasePrompts = require('./release-prompts');
+const MCPHttpServer = require('./mcp-http-server');
 const fs = require('fs');
 const path = require('path');
 
+// Draft for uncommitted changes, kept out of the release changelog so it never replaces the
+// Unreleased section there
+const WORKING_CHANGELOG_FILE = 'WORKING_CHANGELOG.md';
+
 class AIChangelogMCPServer {
   constructor() {
     // Read package version dynamically
@@ -39,6 +64,8 @@ class AIChangelogMCPServer {
         capabilities: {
           tools: {},
           resources: {},
+          prompts: {},
+          completions: {},
         },
       }
     );
@@ -66,6 +93,14 @@ class AIChangelogMCPServer {
                   type: 'string',
                   description: 'Generate changelog since this tag/commit/date (e.g., "v1.0.0", "HEAD~10", "2024-01-01")',
                 },
+                from: {
+                  type: 'string',
+                  description: 'Start of a tag/commit range, exclusive (e.g., "v1.0.0"); takes precedence over since',
+                },
+                to: {
+                  type: 'string',
+                  description: 'End of a tag/commit range (defaults to HEAD); a release tag also sets the version and date',
+                },
                 analysisMode: {
                   type: 'string',
                   description: 'Analysis mode for changelog generation',
@@ -96,6 +131,23 @@ class AIChangelogMCPServer {
                   description: 'Include attribution footer (defaults to true)',
                   default: true,
                 },
+                template: {
+                  type: 'string',
+                  description: 'Changelog template (defaults to CHANGELOG_FORMAT)',
+                  enum: ['standard', 'keepachangelog', 'simple', 'semantic', 'github'],
+                },
+                includeContributors: {
+                  type: 'boolean',
+                  description: 'Include the Contributors section (defaults to INCLUDE_CONTRIBUTORS)',
+                },
+                package: {
+                  type: 'string',
+                  description: 'Only include changes to this monorepo workspace package (name or directory)',
+                },
+                typeDiff: {
+                  type: 'boolean',
+                  description: 'Compare public TypeScript declarations across the range and list breaking type changes (defaults to TYPE_DIFF)',
+                },
               },
               required: [],
             },
@@ -121,6 +173,10 @@ class AIChangelogMCPServer {
                   minimum: 1,
                   maximum: 1000,
                 },
+                package: {
+                  type: 'string',
+                  description: 'Only analyze commits touching this monorepo workspace package (name or directory)',
+                },
               },
               required: [],
             },
@@ -260,7 +316,7 @@ class AIChangelogMCPServer {
           },
           {
             name: 'generate_changelog_from_changes',
-            description: 'Generate a full AI changelog from current working directory changes (staged and unstaged)',
+            description: `Generate a full AI changelog from current working directory changes (staged and unstaged), written to ${WORKING_CHANGELOG_FILE}`,
             inputSchema: {
               type: 'object',
               properties: {
@@ -323,39 +379,67 @@ class AIChangelogMCPServer {
               required: [],
             },
           },
+          {
+            name: 'recommend_version',
+            description: 'Recommend the next semantic version from commits since the latest release tag, with the commits that forced the bump',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                repositoryPath: {
+                  type: 'string',
+                  description: 'Path to the git repository (defaults to current directory)',
+                },
+                since: {
+                  type: 'string',
+                  description: 'Tag or commit to compare against (defaults to the latest semver tag)',
+                },
+                prerelease: {
+                  type: 'string',
+                  description: 'Pre-release channel for the next version (e.g., "alpha", "beta", "rc")',
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'generate_pr_description',
+            description: 'Write a pull request description (title, summary, risk, testing notes, reviewer checklist) from the commits and diff between a base branch and HEAD',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                repositoryPath: {
+                  type: 'string',
+                  description: 'Path to the git repository (defaults to current directory)',
+                },
+                baseBranch: {
+                  type: 'string',
+                  description: 'Branch the pull request targets (e.g., "main")',
+                },
+                headBranch: {
+                  type: 'string',
+                  description: 'Branch or commit with the changes (defaults to HEAD)',
+                },
+                format: {
+                  type: 'string',
+                  enum: ['markdown', 'json'],
+                  description: 'Return the rendered markdown or the structured description',
+                  default: 'markdown',
+                },
+              },
+              required: ['baseBranch'],
+            },
+          },
         ],
       };
     });
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    // Handle tool calls; long-running tools report progress and stop when the client cancels
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const progress = new ToolProgress(extra);
 
       try {
-        switch (name) {
-          case 'generate_changelog':
-            return await this.generateChangelog(args);
-          case 'analyze_commits':
-            return await this.analyzeCommits(args);
-          case 'get_git_info':
-            return await this.getGitInfo(args);
-          case 'configure_ai_provider':
-            return await this.configureAIProvider(args);
-          case 'validate_models':
-            return await this.validateModels(args);
-          case 'analyze_current_changes':
-            return await this.analyzeCurrentChanges(args);
-          case 'analyze_branches':
-            return await this.analyzeBranches(args);
-          case 'analyze_comprehensive':
-            return await this.analyzeComprehensive(args);
-          case 'generate_changelog_from_changes':
-            return await this.generateChangelogFromChanges(args);
-          case 'assess_repository_health':
-            return await this.assessRepositoryHealth(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+        return await this.callTool(name, args, progress);
       } catch (error) {
         console.error(`MCP Tool Error [${name}]:`, error.message);
         return {
@@ -369,35 +453,107 @@ class AIChangelogMCPServer {
         };
       }
     });
+
+    // Resources: the changelog, commits, commit analyses and repository health as read-only
+    // context, so clients can use them without triggering a regeneration
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: this.createRepositoryResources().list()
+    }));
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RepositoryResources.templates()
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return this.createRepositoryResources().read(request.params.uri);
+    });
+
+    // Prompts: release-notes workflows that clients offer as slash commands
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: ReleasePrompts.list()
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return this.createReleasePrompts().get(request.params.name, request.params.arguments);
+    });
+
+    // Prompt arguments complete from the repository's tags and recommended version
+    this.server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      const { ref, argument } = request.params;
+      if (ref.type !== 'ref/prompt') {
+        return { completion: { values: [], total: 0, hasMore: false } };
+      }
+      return { completion: await this.createReleasePrompts().complete(ref.name, argument.name, argument.value) };
+    });
   }
 
-  async generateChangelog(args) {
+  async callTool(name, args, progress) {
+    switch (name) {
+      case 'generate_changelog':
+        return await this.generateChangelog(args, progress);
+      case 'analyze_commits':
+        return await this.analyzeCommits(args);
+      case 'get_git_info':
+        return await this.getGitInfo(args);
+      case 'configure_ai_provider':
+        return await this.configureAIProvider(args);
+      case 'validate_models':
+        return await this.validateModels(args);
+      case 'analyze_current_changes':
+        return await this.analyzeCurrentChanges(args);
+      case 'analyze_branches':
+        return await this.analyzeBranches(args);
+      case 'analyze_comprehensive':
+        return await this.analyzeComprehensive(args, progress);
+      case 'generate_changelog_from_changes':
+        return await this.generateChangelogFromChanges(args);
+      case 'assess_repository_health':
+        return await this.assessRepositoryHealth(args);
+      case 'recommend_version':
+        return await this.recommendVersion(args);
+      case 'generate_pr_description':
+        return await this.generatePRDescription(args);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Resources describe the repository the server was started in
+  createRepositoryResources() {
+    const AIChangelogGenerator = require('./ai-changelog-generator');
+    return new RepositoryResources(new AIChangelogGenerator(), this.getChangelogPath(process.cwd()));
+  }
+
+  createReleasePrompts() {
+    const AIChangelogGenerator = require('./ai-changelog-generator');
+    return new ReleasePrompts(new AIChangelogGenerator());
+  }
+
+  async generateChangelog(args, progress = new ToolProgress()) {
     const {
       repositoryPath = process.cwd(),
       since,
+      from,
+      to,
       analysisMode = 'standard',
       outputFormat = 'markdown',
       includeUnreleased = true,
       version,
       model,
-      includeAttribution = true
+      includeAttribution = true,
+      template,
+      includeContributors = this.config.get('INCLUDE_CONTRIBUTORS'),
+      package: packageName,
+      typeDiff = this.config.get('TYPE_DIFF')
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      // Validate and change to repository directory
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
       // Validate git repository
       let gitManager;
       try {
-        gitManager = new GitManager();
+        gitManager = new GitManager({ cwd });
       } catch (error) {
         throw new Error(`Not a git repository: ${error.message}`);
       }
@@ -410,15 +566,31 @@ class AIChangelogMCPServer {
         format: 'full'
       };
 
-      if (since) {
+      if (from || to) {
+        for (const ref of [from, to]) {
+          if (ref && !gitManager.validateCommitHash(ref)) {
+            throw new Error(`Unknown tag or commit: ${ref}`);
+          }
+        }
+        commitOptions.range = from ? `${from}..${to || 'HEAD'}` : to;
+        commitOptions.count = 0;
+      } else if (since) {
         // Validate since parameter
-        if (gitManager.validateCommitHash(since) || gitManager.isValidGitDate(since)) {
+        if (gitManager.validateCommitHash(since)) {
+          commitOptions.range = `${since}..HEAD`;
+          commitOptions.count = 0;
+        } else if (gitManager.isValidGitDate(since)) {
           commitOptions.since = since;
         } else {
           console.warn(`⚠️  Invalid since parameter: ${since}, using default range`);
         }
       }
 
+      const workspacePackage = packageName ? this.findWorkspacePackage(gitManager, packageName) : null;
+      if (workspacePackage) {
+        commitOptions.paths = [`:(top)${workspacePackage.dir}`];
+      }
+
       console.log(`🔍 Retrieving commits with options:`, commitOptions);
       const commits = gitManager.getCommits(commitOptions);
 
@@ -432,6 +604,27 @@ class AIChangelogMCPServer {
       }
 
       console.log(`📝 Found ${commits.length} commits to analyze`);
+      await progress.report(0, commits.length, `Found ${commits.length} commits to analyze`);
+      progress.throwIfCancelled();
+
+      // Public type declaration changes between the start of the range (or the parent of its oldest commit) and its end
+      const rangeStart = from || to ? from : (gitManager.validateCommitHash(since) ? since : null);
+      const typeBase = rangeStart || `${commits[commits.length - 1].hash}^`;
+      const typeChanges = typeDiff && gitManager.validateCommitHash(typeBase)
+        ? await new TypeDeclarations(gitManager).compare(typeBase, to || 'HEAD')
+        : [];
+
+      // A release tag as the end of the range supplies the version and release date
+      const toVersion = VersionCalculator.parse(to);
+      const releaseVersion = version || (toVersion ? VersionCalculator.format(toVersion) : null);
+      const basicOptions = {
+        template,
+        repository: gitManager.gitConfig?.repository,
+        remote: gitManager.gitConfig?.remoteUrl,
+        date: to ? gitManager.getTagDate(to) : null,
+        contributors: includeContributors ? new Contributors(gitManager).collect(commits) : null,
+        typeChanges
+      };
 
       let changelog;
       const metadata = {
@@ -439,7 +632,9 @@ class AIChangelogMCPServer {
         analysisMode: analysisMode,
         generatedAt: new Date().toISOString(),
         aiProvider: aiProvider.isAvailable ? `${aiProvider.activeProvider} (${aiProvider.getProviderInfo()})` : 'rule-based',
-        repository: gitManager.gitConfig?.repository?.name || path.basename(process.cwd())
+        repository: gitManager.gitConfig?.repository?.name || path.basename(cwd),
+        package: workspacePackage ? workspacePackage.name : null,
+        typeChanges
       };
 
       if (aiProvider.isAvailable) {
@@ -448,7 +643,15 @@ class AIChangelogMCPServer {
         try {
           // Use the main generator for full AI analysis
           const AIChangelogGenerator = require('./ai-changelog-generator');
-          const generator = new AIChangelogGenerator({ includeAttribution });
+          const generator = new AIChangelogGenerator({
+            cwd,
+            includeAttribution,
+            template,
+            noContributors: !includeContributors,
+            package: workspacePackage ? workspacePackage.name : null,
+            typeDiff,
+            ...progress.generatorOptions()
+          });
           generator.setAnalysisMode(analysisMode);
           
           // Set model override if provided
@@ -456,40 +659,37 @@ class AIChangelogMCPServer {
             generator.setModelOverride(model);
           }
 
-          // Generate changelog
-          const changelogContent = await generator.generateChangelog(version, since);
-
-          // Try to read the generated file
-          const changelogPath = path.join(process.cwd(), 'AI_CHANGELOG.md');
-
-          if (fs.existsSync(changelogPath)) {
-            const content = fs.readFileSync(changelogPath, 'utf8');
-            changelog = {
-              content: content,
-              filePath: changelogPath,
-              metadata
-            };
-          } else {
-            // Fallback if file generation failed
-            changelog = {
-              content: changelogContent || this.generateBasicChangelog(commits, version),
-              metadata
-            };
-          }
+          // Generate changelog (the generator merges it into the changelog file itself)
+          const changelogContent = await generator.generateChangelog(version, since, { from, to });
+
+          changelog = {
+            content: changelogContent || this.generateBasicChangelog(commits, releaseVersion, includeAttribution, basicOptions),
+            written: Boolean(changelogContent),
+            metadata: {
+              ...metadata,
+              summaryCache: {
+                hits: generator.metrics.cacheHits,
+                misses: generator.metrics.cacheMisses
+              }
+            }
+          };
         } catch (aiError) {
+          if (ToolProgress.isCancellation(aiError)) throw aiError;
           console.warn(`⚠️  AI generation failed: ${aiError.message}, falling back to rule-based analysis`);
           changelog = {
-            content: this.generateBasicChangelog(commits, version, includeAttribution),
+            content: this.generateBasicChangelog(commits, releaseVersion, includeAttribution, basicOptions),
             metadata: { ...metadata, aiProvider: 'rule-based (AI fallback)' }
           };
         }
       } else {
         console.log(`📝 Generating rule-based changelog...`);
         changelog = {
-          content: this.generateBasicChangelog(commits, version, includeAttribution),
+          content: this.generateBasicChangelog(commits, releaseVersion, includeAttribution, basicOptions),
           metadata
         };
+        await progress.report(commits.length, commits.length, `Analyzed ${commits.length} commits`);
       }
+      progress.throwIfCancelled();
 
       // Format output based on requested format
       if (outputFormat === 'json') {
@@ -504,13 +704,15 @@ class AIChangelogMCPServer {
         };
       }
 
-      // Write changelog file to project root (for feature parity with CLI)
-      const changelogPath = path.join(process.cwd(), 'AI_CHANGELOG.md');
-      try {
-        fs.writeFileSync(changelogPath, changelog.content, 'utf8');
-        console.log(`📝 Changelog written to: ${changelogPath}`);
-      } catch (writeError) {
-        console.warn(`⚠️  Could not write changelog file: ${writeError.message}`);
+      // Merge changelog into the file in the project root (for feature parity with CLI)
+      const changelogPath = this.getChangelogPath(cwd);
+      if (!changelog.written) {
+        try {
+          ChangelogDocument.mergeIntoFile(changelogPath, changelog.content);
+          console.log(`📝 Changelog written to: ${changelogPath}`);
+        } catch (writeError) {
+          console.warn(`⚠️  Could not write changelog file: ${writeError.message}`);
+        }
       }
 
       // Return markdown content
@@ -528,29 +730,32 @@ class AIChangelogMCPServer {
     } catch (error) {
       console.error('Changelog generation error:', error);
       throw new Error(`Failed to generate changelog: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
+  // Monorepo workspace package by name or directory; an unknown package is an error
+  findWorkspacePackage(gitManager, packageName) {
+    const workspaces = Workspaces.discover(gitManager);
+    const pkg = workspaces.find(packageName);
+    if (!pkg) {
+      const available = workspaces.packages.map(candidate => candidate.name).sort();
+      throw new Error(`Unknown workspace package: ${packageName}${available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no workspaces found)'}`);
+    }
+    return pkg;
+  }
+
   async analyzeCommits(args) {
     const {
       repositoryPath = process.cwd(),
       since,
-      limit = 50
+      limit = 50,
+      package: packageName
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
-      const gitManager = new GitManager();
+      const gitManager = new GitManager({ cwd });
 
       // Get commits with validation
       const commitOptions = {
@@ -566,11 +771,17 @@ class AIChangelogMCPServer {
         }
       }
 
+      const workspacePackage = packageName ? this.findWorkspacePackage(gitManager, packageName) : null;
+      if (workspacePackage) {
+        commitOptions.paths = [`:(top)${workspacePackage.dir}`];
+      }
+
       const commits = gitManager.getCommitsWithStats(commitOptions);
 
       // Analyze commit patterns
       const analysis = {
         totalCommits: commits.length,
+        package: workspacePackage ? workspacePackage.name : null,
         commitsByType: {},
         commitsByAuthor: {},
         commitsByDay: {},
@@ -617,8 +828,6 @@ class AIChangelogMCPServer {
 
     } catch (error) {
       throw new Error(`Failed to analyze commits: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -628,21 +837,14 @@ class AIChangelogMCPServer {
       includeStats = true
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
-      const gitManager = new GitManager();
+      const gitManager = new GitManager({ cwd });
 
       const info = {
         isGitRepo: gitManager.isGitRepo,
-        path: process.cwd(),
+        path: cwd,
         config: gitManager.gitConfig,
         branch: gitManager.getBranchInfo(),
         status: gitManager.getStatus(),
@@ -675,8 +877,6 @@ class AIChangelogMCPServer {
         };
       }
       throw new Error(`Failed to get git info: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -866,17 +1066,10 @@ class AIChangelogMCPServer {
       includeAttribution = true
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
-      const gitManager = new GitManager();
+      const gitManager = new GitManager({ cwd });
       const aiProvider = new AIProvider();
 
       // Get current changes
@@ -884,7 +1077,7 @@ class AIChangelogMCPServer {
       const unstagedChanges = gitManager.getUnstagedChanges();
 
       const analysis = {
-        repository: path.basename(process.cwd()),
+        repository: path.basename(cwd),
         timestamp: new Date().toISOString(),
         staged: {
           count: stagedChanges.length,
@@ -924,8 +1117,6 @@ class AIChangelogMCPServer {
 
     } catch (error) {
       throw new Error(`Failed to analyze current changes: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -935,24 +1126,17 @@ class AIChangelogMCPServer {
       includeDangling = true
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
-      const gitManager = new GitManager();
+      const gitManager = new GitManager({ cwd });
 
       const branches = gitManager.getAllBranches();
       const unmergedCommits = gitManager.getUnmergedCommits();
       const danglingCommits = includeDangling ? gitManager.getDanglingCommits() : [];
 
       const analysis = {
-        repository: path.basename(process.cwd()),
+        repository: path.basename(cwd),
         timestamp: new Date().toISOString(),
         branches: {
           local: branches.local,
@@ -984,45 +1168,45 @@ class AIChangelogMCPServer {
 
     } catch (error) {
       throw new Error(`Failed to analyze branches: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
-  async analyzeComprehensive(args) {
+  async analyzeComprehensive(args, progress = new ToolProgress()) {
     const {
       repositoryPath = process.cwd(),
       includeUntracked = true
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
-      const gitManager = new GitManager();
+      const gitManager = new GitManager({ cwd });
+
+      // Each git step blocks, so progress is reported and cancellation checked between steps
+      const steps = includeUntracked ? 2 : 1;
+      await progress.report(0, steps, 'Analyzing branches, commits and working directory');
+      progress.throwIfCancelled();
 
       // Get comprehensive analysis using the new method
       const comprehensiveData = gitManager.getComprehensiveAnalysis();
-      
+      await progress.report(1, steps, 'Analyzed branches, commits and working directory');
+      progress.throwIfCancelled();
+
       // Add untracked files analysis if requested
       let untrackedFiles = [];
       if (includeUntracked) {
         try {
-          const untrackedOutput = gitManager.execGitSafe('git ls-files --others --exclude-standard');
+          const untrackedOutput = gitManager.execGitSafe(['ls-files', '--others', '--exclude-standard']);
           untrackedFiles = untrackedOutput.trim().split('\n').filter(Boolean);
         } catch (error) {
           console.warn('Could not get untracked files:', error.message);
         }
+        await progress.report(2, steps, `Found ${untrackedFiles.length} untracked files`);
+        progress.throwIfCancelled();
       }
 
       const analysis = {
-        repository: path.basename(process.cwd()),
+        repository: path.basename(cwd),
         timestamp: new Date().toISOString(),
         ...comprehensiveData,
         untrackedFiles: untrackedFiles.map(file => ({
@@ -1058,8 +1242,6 @@ class AIChangelogMCPServer {
 
     } catch (error) {
       throw new Error(`Failed to analyze comprehensive data: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -1073,21 +1255,13 @@ class AIChangelogMCPServer {
       includeAttribution = true
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      // Validate and change to repository directory
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
       // Validate git repository
       let gitManager;
       try {
-        gitManager = new GitManager();
+        gitManager = new GitManager({ cwd });
       } catch (error) {
         throw new Error(`Not a git repository: ${error.message}`);
       }
@@ -1118,7 +1292,7 @@ class AIChangelogMCPServer {
         analysisMode: analysisMode,
         generatedAt: new Date().toISOString(),
         aiProvider: aiProvider.isAvailable ? `${aiProvider.activeProvider} (${aiProvider.getProviderInfo()})` : 'rule-based',
-        repository: gitManager.gitConfig?.repository?.name || path.basename(process.cwd())
+        repository: gitManager.gitConfig?.repository?.name || path.basename(cwd)
       };
 
       if (aiProvider.isAvailable) {
@@ -1160,8 +1334,8 @@ class AIChangelogMCPServer {
         };
       }
 
-      // Write changelog file to project root (for feature parity with CLI)
-      const changelogPath = path.join(process.cwd(), 'AI_CHANGELOG.md');
+      // A snapshot of the current changes: overwrite the draft, leave the release changelog alone
+      const changelogPath = path.join(cwd, WORKING_CHANGELOG_FILE);
       try {
         fs.writeFileSync(changelogPath, changelog.content, 'utf8');
         console.log(`📝 Working directory changelog written to: ${changelogPath}`);
@@ -1184,8 +1358,6 @@ class AIChangelogMCPServer {
     } catch (error) {
       console.error('Changelog generation error:', error);
       throw new Error(`Failed to generate changelog from changes: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -1197,36 +1369,28 @@ class AIChangelogMCPServer {
       analyzeRecentCommits = 50
     } = args;
 
-    const originalCwd = process.cwd();
-
     try {
-      // Validate and change to repository directory
-      if (repositoryPath !== process.cwd()) {
-        if (!fs.existsSync(repositoryPath)) {
-          throw new Error(`Repository path does not exist: ${repositoryPath}`);
-        }
-        process.chdir(repositoryPath);
-      }
+      const cwd = this.resolveRepositoryPath(repositoryPath);
 
       // Validate git repository
       let gitManager;
       try {
-        gitManager = new GitManager();
+        gitManager = new GitManager({ cwd });
       } catch (error) {
         throw new Error(`Not a git repository: ${error.message}`);
       }
 
       // Use the main generator for comprehensive health assessment
       const AIChangelogGenerator = require('./ai-changelog-generator');
-      const generator = new AIChangelogGenerator();
+      const generator = new AIChangelogGenerator({ cwd });
       
-      console.log(`🏥 Assessing repository health for ${path.basename(process.cwd())}...`);
+      console.log(`🏥 Assessing repository health for ${path.basename(cwd)}...`);
       
       const health = await generator.assessRepositoryHealth();
 
       // Add MCP-specific metadata
       const analysis = {
-        repository: gitManager.gitConfig?.repository?.name || path.basename(process.cwd()),
+        repository: gitManager.gitConfig?.repository?.name || path.basename(cwd),
         timestamp: new Date().toISOString(),
         healthAssessment: health,
         summary: {
@@ -1253,8 +1417,6 @@ class AIChangelogMCPServer {
 
     } catch (error) {
       throw new Error(`Failed to assess repository health: ${error.message}`);
-    } finally {
-      process.chdir(originalCwd);
     }
   }
 
@@ -1274,6 +1436,97 @@ class AIChangelogMCPServer {
     };
   }
 
+  // NEW: Recommend the next semantic version
+  async recommendVersion(args) {
+    const {
+      repositoryPath = process.cwd(),
+      since,
+      prerelease
+    } = args;
+
+    try {
+      const cwd = this.resolveRepositoryPath(repositoryPath);
+
+      // Validate git repository
+      try {
+        new GitManager({ cwd });
+      } catch (error) {
+        throw new Error(`Not a git repository: ${error.message}`);
+      }
+
+      const AIChangelogGenerator = require('./ai-changelog-generator');
+      const generator = new AIChangelogGenerator({ cwd });
+
+      const recommendation = await generator.recommendVersion({ since, prerelease });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            ...recommendation,
+            summaryCache: {
+              hits: generator.metrics.cacheHits,
+              misses: generator.metrics.cacheMisses
+            }
+          }, null, 2)
+        }]
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to recommend version: ${error.message}`);
+    }
+  }
+
+  // NEW: Pull request description from a branch diff
+  async generatePRDescription(args) {
+    const {
+      repositoryPath = process.cwd(),
+      baseBranch,
+      headBranch,
+      format = 'markdown'
+    } = args;
+
+    try {
+      if (!baseBranch) {
+        throw new Error('baseBranch is required');
+      }
+
+      const cwd = this.resolveRepositoryPath(repositoryPath);
+
+      // Validate git repository
+      try {
+        new GitManager({ cwd });
+      } catch (error) {
+        throw new Error(`Not a git repository: ${error.message}`);
+      }
+
+      const AIChangelogGenerator = require('./ai-changelog-generator');
+      const generator = new AIChangelogGenerator({ cwd });
+
+      const description = await generator.generatePRDescription(baseBranch, { head: headBranch });
+
+      if (format === 'json') {
+        const { markdown, ...structured } = description;
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(structured, null, 2)
+          }]
+        };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: description.markdown
+        }]
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to generate PR description: ${error.message}`);
+    }
+  }
+
   async generateAIChangeAnalysis(aiProvider, changesSummary) {
     const prompt = `Analyze these current git changes and provide insights:
 
@@ -1415,71 +1668,85 @@ Respond in JSON format with: analysis, commitSuggestion, impactLevel.`;
     return 'other';
   }
 
-  generateBasicChangelog(commits, version = null, includeAttribution = true) {
-    const COMMIT_TYPES = {
-      feat: '🚀 Features',
-      fix: '🐛 Bug Fixes',
-      docs: '📚 Documentation',
-      style: '💎 Styling',
-      refactor: '♻️ Code Refactoring',
-      perf: '⚡ Performance Improvements',
-      test: '🧪 Tests',
-      chore: '🔧 Maintenance',
-      ci: '👷 CI/CD',
-      build: '📦 Build System',
-      security: '🔐 Security',
-      other: '📝 Other Changes',
-    };
-
-    const grouped = {};
+  generateBasicChangelog(commits, version = null, includeAttribution = true, options = {}) {
+    const changes = {};
+    const breaking = [];
+    const issueReferences = IssueReferences.fromConfig(this.config, options.remote || null);
     commits.forEach(commit => {
-      const type = commit.type || 'other';
-      if (!grouped[type]) grouped[type] = [];
-      grouped[type].push(commit);
+      // A "Changelog:" trailer overrides the category or drops the commit
+      const override = CommitTrailers.changelogCategory(commit.trailers);
+      if (override === null) return;
+
+      const type = override || (commit.breaking ? 'breaking' : (commit.type || 'other'));
+      const change = {
+        description: commit.subject || commit.message,
+        scope: commit.scope,
+        hash: commit.hash || commit.shortHash,
+        author: commit.author,
+        date: commit.authorDate ? commit.authorDate.split(' ')[0] : commit.date,
+        breaking: Boolean(commit.breaking),
+        migration: commit.trailers?.breakingChange || null,
+        references: issueReferences.extract(commit.subject || commit.message, commit.body)
+      };
+      if (!changes[type]) changes[type] = [];
+      changes[type].push(change);
+      if (commit.breaking) {
+        breaking.push({ description: change.description, migration: change.migration });
+      }
     });
 
-    const date = new Date().toISOString().split('T')[0];
-    const versionStr = version || 'Unreleased';
-
-    let changelog = `# Changelog\n\n## [${versionStr}] - ${date}\n\n`;
+    // Breaking type declaration changes (typeDiff) are listed with the breaking commits
+    const typeEntries = TypeDeclarations.breakingEntries(options.typeChanges);
+    if (typeEntries.length > 0) {
+      changes.breaking = [...(changes.breaking || []), ...typeEntries];
+      breaking.push(...typeEntries.map(entry => ({ description: entry.description, migration: entry.migration })));
+    }
 
     // Add summary
     const totalCommits = commits.length;
-    const features = grouped.feat?.length || 0;
-    const fixes = grouped.fix?.length || 0;
-    const breaking = commits.filter(c => c.breaking).length;
-
-    changelog += `### Summary\n`;
-    changelog += `- **${totalCommits}** commits analyzed\n`;
-    if (features > 0) changelog += `- **${features}** new features\n`;
-    if (fixes > 0) changelog += `- **${fixes}** bug fixes\n`;
-    if (breaking > 0) changelog += `- **${breaking}** breaking changes ⚠️\n`;
-    changelog += '\n';
-
-    // Add sections by type
-    Object.entries(grouped).forEach(([type, typeCommits]) => {
-      if (typeCommits.length > 0) {
-        changelog += `### ${COMMIT_TYPES[type] || type}\n\n`;
-        typeCommits.forEach(commit => {
-          const scope = commit.scope ? `**${commit.scope}**: ` : '';
-          const breaking = commit.breaking ? ' ⚠️' : '';
-          changelog += `- ${scope}${commit.subject || commit.message}${breaking} (${commit.shortHash})\n`;
-        });
-        changelog += '\n';
-      }
+    const features = changes.feat?.length || 0;
+    const fixes = changes.fix?.length || 0;
+    let summary = `**${totalCommits}** commits analyzed`;
+    if (features > 0) summary += `, **${features}** new features`;
+    if (fixes > 0) summary += `, **${fixes}** bug fixes`;
+    if (breaking.length > 0) summary += `, **${breaking.length}** breaking changes ⚠️`;
+
+    return new ChangelogTemplates().render(options.template || this.config.get('CHANGELOG_FORMAT'), {
+      title: '# Changelog',
+      version,
+      date: options.date || new Date().toISOString().split('T')[0],
+      changes,
+      breaking,
+      summary,
+      repository: options.repository || null,
+      contributors: options.contributors || null,
+      metadata: {
+        totalCommits,
+        includeCommitHash: this.config.get('INCLUDE_COMMIT_HASH'),
+        includeAuthor: this.config.get('INCLUDE_AUTHOR'),
+        includeDate: this.config.get('INCLUDE_DATE'),
+        groupByType: this.config.get('GROUP_BY_TYPE')
+      },
+      includeAttribution
     });
+  }
 
-    changelog += `---\n\n`;
-    changelog += `*This changelog was generated from ${totalCommits} commits*\n`;
+  // Resolve the changelog output path from CHANGELOG_FILE for a repository
+  getChangelogPath(repositoryPath) {
+    return path.resolve(repositoryPath, this.config.get('CHANGELOG_FILE'));
+  }
 
-    // Add attribution footer unless disabled
-    if (includeAttribution) {
-      changelog += `\n*Generated using [ai-github-changelog-generator-cli-mcp](https://github.com/entro314-labs/AI-github-changelog-generator-cli-mcp) - AI-powered changelog generation for Git repositories*\n`;
+  // Absolute repository directory of a tool call. Tools run git and write files there instead
+  // of changing the process working directory, so concurrent calls don't affect each other.
+  resolveRepositoryPath(repositoryPath) {
+    const cwd = path.resolve(repositoryPath);
+    if (!fs.existsSync(cwd)) {
+      throw new Error(`Repository path does not exist: ${repositoryPath}`);
     }
-
-    return changelog;
+    return cwd;
   }
 
+
   async generateWorkingDirChangelog(aiProvider, changes, version, analysisMode, includeAttribution, modelOverride) {
     const changesSummary = this.summarizeChanges(changes);
     
@@ -1615,17 +1882,68 @@ Make it comprehensive but concise. Focus on user and developer impact.`;
     }
   }
 
-  async run() {
+  // Serve one client over stdio, or with `http` many clients over Streamable HTTP and SSE
+  async run(options = {}) {
+    if (options.http) {
+      return this.runHttp(options);
+    }
+
+    // stdout carries the JSON-RPC stream, so log output from the tools goes to stderr;
+    // clients see tool progress through progress notifications instead
+    console.log = console.info = console.debug = console.error;
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('AI Changelog Generator MCP Server running on stdio');
   }
+
+  // Each HTTP session gets its own server instance, so one session's configuration
+  // doesn't leak into another's
+  async runHttp(options = {}) {
+    const httpServer = new MCPHttpServer(() => new AIChangelogMCPServer().server, {
+      port: options.port ?? this.config.get('MCP_SERVER_PORT'),
+      host: options.host || this.config.get('MCP_SERVER_HOST'),
+      token: this.config.get('MCP_SERVER_TOKEN'),
+      timeout: this.config.get('MCP_SERVER_TIMEOUT')
+    });
+
+    const url = await httpServer.listen();
+    console.error(`AI Changelog Generator MCP Server running on ${url}/mcp (legacy SSE: ${url}/sse)`);
+    if (httpServer.token) {
+      console.error('Clients must send: Authorization: Bearer <MCP_SERVER_TOKEN>');
+    }
+
+    const shutdown = () => httpServer.close().then(() => process.exit(0));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    return httpServer;
+  }
+
+  // Transport options from the command line: --http, --port N and --host H
+  static parseArgs(args) {
+    const port = args.find(arg => arg.startsWith('--port='))?.split('=')[1] ||
+                 (args.includes('--port') ? args[args.indexOf('--port') + 1] : null);
+    const host = args.find(arg => arg.startsWith('--host='))?.split('=')[1] ||
+                 (args.includes('--host') ? args[args.indexOf('--host') + 1] : null);
+
+    if (port !== null && (!/^\d+$/.test(port || '') || parseInt(port) > 65535)) {
+      throw new Error(`Invalid port: ${port}`);
+    }
+
+    return {
+      http: args.includes('--http') || port !== null,
+      port: port !== null ? parseInt(port) : undefined,
+      host: host || undefined
+    };
+  }
 }
 
 // Start the server
 if (require.main === module) {
   const server = new AIChangelogMCPServer();
-  server.run().catch(console.error);
+  Promise.resolve()
+    .then(() => server.run(AIChangelogMCPServer.parseArgs(process.argv.slice(2))))
+    .catch(console.error);
 }
 
 module.exports = AIChangelogMCPServer;
\ No newline at end of file
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * PR Description
+ * Schema, rule-based fallback and markdown rendering for pull request
+ * descriptions generated from the commits and diff between a base branch and HEAD
+ */
+
+const DependencyChanges = require('./dependency-changes');
+
+const PR_DESCRIPTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'Concise PR title; conventional-commit style if the commits use it' },
+    summary: { type: 'string', description: 'What the pull request does and why (2-4 sentences)' },
+    changes: { type: 'array', items: { type: 'string' }, description: 'Notable changes, one per item' },
+    risk: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+        notes: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['level', 'notes'],
+      additionalProperties: false
+    },
+    testing: { type: 'array', items: { type: 'string' }, description: 'How the change was or should be tested' },
+    checklist: { type: 'array', items: { type: 'string' }, description: 'Specific things a reviewer should verify' }
+  },
+  required: ['title', 'summary', 'changes', 'risk', 'testing', 'checklist'],
+  additionalProperties: false
+};
+
+const TEST_FILE_PATTERN = /(^|\/)(test|tests|__tests__|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+
+const TYPE_LABELS = {
+  feat: 'feature',
+  fix: 'fix',
+  docs: 'documentation change',
+  refactor: 'refactor',
+  perf: 'performance improvement',
+  test: 'test change',
+  chore: 'chore'
+};
+
+class PRDescription {
+  // Map the generator's risk levels onto the schema's levels
+  static normalizeRiskLevel(level) {
+    if (level === 'low-medium') return 'medium';
+    return ['low', 'medium', 'high', 'critical'].includes(level) ? level : 'low';
+  }
+
+  // "feature/csv-export" -> "Csv export"
+  static humanizeBranch(branch) {
+    const name = (branch || '').split('/').pop().replace(/[-_]+/g, ' ').trim();
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Update';
+  }
+
+  // Description built from the analysis alone, used without AI or when the AI call fails
+  static fromAnalysis({ base, branch, commits, files, diffStats, riskAssessment }) {
+    const title = commits.length === 1 ? commits[0].subject : PRDescription.humanizeBranch(branch);
+
+    const typeCounts = {};
+    commits.forEach(commit => {
+      typeCounts[commit.type] = (typeCounts[commit.type] || 0) + 1;
+    });
+    const typeSummary = Object.entries(typeCounts)
+      .filter(([type]) => TYPE_LABELS[type])
+      .map(([type, count]) => `${count} ${TYPE_LABELS[type]}${count === 1 ? '' : 's'}`)
+      .join(', ');
+
+    let summary = `${commits.length} commit${commits.length === 1 ? '' : 's'} changing ${files.length} file${files.length === 1 ? '' : 's'} (+${diffStats.insertions}/-${diffStats.deletions}) against \`${base}\`.`;
+    if (typeSummary) {
+      summary += ` Includes ${typeSummary}.`;
+    }
+
+    const breaking = commits.filter(commit => commit.breaking);
+    const riskNotes = [...riskAssessment.factors];
+    breaking.forEach(commit => riskNotes.push(`Breaking: ${commit.subject}`));
+
+    const testFiles = files.filter(file => TEST_FILE_PATTERN.test(file.filePath));
+    const testing = testFiles.length > 0
+      ? [`Tests updated: ${testFiles.map(file => file.filePath).join(', ')}`, 'Run the full test suite']
+      : ['No test files changed; describe how this was tested', 'Run the full test suite'];
+
+    const checklist = ['Commit history is clean and the title describes the change'];
+    if (testFiles.length === 0 && files.some(file => file.category === 'source')) {
+      checklist.push('New or changed behaviour is covered by tests');
+    }
+    if (breaking.length > 0) {
+      checklist.push('Breaking changes are documented with migration notes');
+    }
+    if (files.some(file => file.category === 'database')) {
+      checklist.push('Database migrations are reversible and safe to deploy');
+    }
+    if (files.some(file => DependencyChanges.fileType(file.filePath))) {
+      checklist.push('Dependency changes are intentional and the lockfile is updated');
+    }
+    if (files.some(file => file.category === 'config')) {
+      checklist.push('Configuration changes are documented and have safe defaults');
+    }
+    if (!files.some(file => file.category === 'docs') && commits.some(commit => commit.type === 'feat')) {
+      checklist.push('User-facing changes are documented');
+    }
+
+    return {
+      title,
+      summary,
+      changes: [...new Set(commits.map(commit => commit.subject))],
+      risk: {
+        level: PRDescription.normalizeRiskLevel(riskAssessment.level),
+        notes: riskNotes
+      },
+      testing,
+      checklist
+    };
+  }
+
+  // Markdown body ready to paste into a pull request
+  static render(description, { base, branch, commits = [], diffStats = null } = {}) {
+    let content = `# ${description.title}\n\n`;
+
+    content += `## Summary\n\n${description.summary}\n\n`;
+
+    if (description.changes.length > 0) {
+      content += '## Changes\n\n';
+      description.changes.forEach(change => {
+        content += `- ${change}\n`;
+      });
+      content += '\n';
+    }
+
+    content += `## Risk\n\n**Level:** ${description.risk.level}\n\n`;
+    if (description.risk.notes.length > 0) {
+      description.risk.notes.forEach(note => {
+        content += `- ${note}\n`;
+      });
+      content += '\n';
+    }
+
+    content += '## Testing\n\n';
+    description.testing.forEach(note => {
+      content += `- ${note}\n`;
+    });
+    content += '\n';
+
+    content += '## Reviewer Checklist\n\n';
+    description.checklist.forEach(item => {
+      content += `- [ ] ${item}\n`;
+    });
+    content += '\n';
+
+    if (commits.length > 0) {
+      const stats = diffStats ? `, ${diffStats.files} file${diffStats.files === 1 ? '' : 's'}, +${diffStats.insertions}/-${diffStats.deletions}` : '';
+      content += `<details>\n<summary>${commits.length} commit${commits.length === 1 ? '' : 's'} from ${branch || 'HEAD'} into ${base}${stats}</summary>\n\n`;
+      commits.forEach(commit => {
+        content += `- ${commit.hash} ${commit.subject}\n`;
+      });
+      content += '\n</details>\n';
+    }
+
+    return content;
+  }
+}
+
+PRDescription.SCHEMA = PR_DESCRIPTION_SCHEMA;
+
+module.exports = PRDescription;
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * PR Grouper
+ * Detects pull requests from merge commits and squash-merge "(#123)" suffixes,
+ * and clusters the commits that belong to the same PR
+ */
+
+// GitHub and Bitbucket merge commit subjects
+const GITHUB_MERGE_PATTERN = /^Merge pull request #(\d+) from (\S+)/;
+const BITBUCKET_MERGE_PATTERN = /^Merged in (\S+) \(pull request #(\d+)\)/;
+// GitLab puts the merge request reference in the merge commit body
+const GITLAB_MERGE_PATTERN = /^See merge request \S*!(\d+)\s*$/m;
+// GitHub squash merges append the PR number to the subject
+const SQUASH_SUFFIX_PATTERN = /\s*\(#(\d+)\)\s*$/;
+
+class PRGrouper {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+  }
+
+  // PR referenced by a commit: { number, source: 'merge' | 'squash', title }, or null
+  static parseReference(subject = '', body = '', isMerge = false) {
+    const bodyLines = (body || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const firstBodyLine = bodyLines.find(line => !GITLAB_MERGE_PATTERN.test(line)) || null;
+
+    const github = subject.match(GITHUB_MERGE_PATTERN);
+    if (github) {
+      return { number: parseInt(github[1], 10), source: 'merge', title: firstBodyLine || github[2] };
+    }
+
+    const bitbucket = subject.match(BITBUCKET_MERGE_PATTERN);
+    if (bitbucket) {
+      return { number: parseInt(bitbucket[2], 10), source: 'merge', title: firstBodyLine || bitbucket[1] };
+    }
+
+    const gitlab = isMerge ? (body || '').match(GITLAB_MERGE_PATTERN) : null;
+    if (gitlab) {
+      return { number: parseInt(gitlab[1], 10), source: 'merge', title: firstBodyLine || subject };
+    }
+
+    const squash = !isMerge ? subject.match(SQUASH_SUFFIX_PATTERN) : null;
+    if (squash) {
+      return { number: parseInt(squash[1], 10), source: 'squash', title: subject.replace(SQUASH_SUFFIX_PATTERN, '') };
+    }
+
+    return null;
+  }
+
+  // Commits a merge brought in: reachable from its second parent but not its first
+  getMergedCommits(mergeHash) {
+    const output = this.gitManager.execGitSafe(['rev-list', '--end-of-options', `${mergeHash}^1..${mergeHash}^2`]);
+    return output ? output.split('\n').map(line => line.trim()).filter(Boolean) : [];
+  }
+
+  // Cluster commit analyses by PR, in order of first appearance. Each group is
+  // { pr, mergeCommit, commits }; commits outside any PR form groups with pr = null.
+  // Merge commits that don't reference a PR (e.g. "Merge branch 'main'") are dropped.
+  group(commitAnalyses) {
+    const groups = [];
+    const byNumber = new Map();
+    const mergedInto = new Map();
+
+    const getGroup = reference => {
+      if (!byNumber.has(reference.number)) {
+        const group = { pr: reference, mergeCommit: null, commits: [] };
+        byNumber.set(reference.number, group);
+        groups.push(group);
+      }
+      return byNumber.get(reference.number);
+    };
+
+    // Merge commits claim the commits they brought in, wherever those appear in the log
+    commitAnalyses.forEach(commit => {
+      if (!commit.isMerge) return;
+      const reference = PRGrouper.parseReference(commit.subject, commit.body, true);
+      if (!reference) return;
+      this.getMergedCommits(commit.fullHash).forEach(hash => mergedInto.set(hash, reference));
+    });
+
+    commitAnalyses.forEach(commit => {
+      if (commit.isMerge) {
+        const reference = PRGrouper.parseReference(commit.subject, commit.body, true);
+        if (reference) {
+          const group = getGroup(reference);
+          // The merge commit's title is more descriptive than a squash subject for the same PR
+          group.pr = reference;
+          group.mergeCommit = commit;
+        }
+        return;
+      }
+
+      const reference = mergedInto.get(commit.fullHash) || PRGrouper.parseReference(commit.subject, commit.body);
+      if (reference) {
+        getGroup(reference).commits.push(commit);
+      } else {
+        groups.push({ pr: null, mergeCommit: null, commits: [commit] });
+      }
+    });
+
+    return groups;
+  }
+}
+
+module.exports = PRGrouper;
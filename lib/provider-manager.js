@@ -1,11 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 const ConfigManager = require('./config');
+const RequestScheduler = require('./request-scheduler');
 
 class ProviderManager {
   constructor() {
     this.configManager = new ConfigManager();
     this.providers = this.loadProviders();
+    this.scheduler = RequestScheduler.fromConfig(this.configManager);
+    this.fallbackChain = this.parseFallbackChain(this.configManager.get('AI_FALLBACK_CHAIN'));
     this.activeProvider = this.determineActiveProvider();
     this.isAvailable = !!this.activeProvider;
   }
@@ -33,6 +36,12 @@ class ProviderManager {
   }
 
   determineActiveProvider() {
+    // The first available hop of a configured fallback chain is the primary provider
+    const primaryHop = this.getFallbackChain()[0];
+    if (primaryHop) {
+      return this.providers[primaryHop.provider];
+    }
+
     const preferredProvider = this.configManager.get('AI_PROVIDER');
 
     if (preferredProvider && this.providers[preferredProvider] && this.providers[preferredProvider].isAvailable()) {
@@ -57,6 +66,7 @@ class ProviderManager {
         isAvailable: () => false,
         getName: () => 'none',
         generateCompletion: () => { throw new Error('No AI provider configured.'); },
+        streamCompletion: () => { throw new Error('No AI provider configured.'); },
         getModelRecommendation: () => ({ model: 'rule-based', reason: 'No AI provider configured.' }),
         testConnection: () => ({ success: false, error: 'No AI provider configured.' }),
         getCapabilities: () => ({})
@@ -68,6 +78,118 @@ class ProviderManager {
   getAvailableProviders() {
     return Object.keys(this.providers);
   }
+
+  // Parse "azure:o4-mini -> openai:gpt-4.1 -> ollama:llama3 -> rule-based" (commas also separate hops).
+  // Parsing stops at "rule-based", which is always the implicit last resort.
+  parseFallbackChain(spec) {
+    if (!spec || typeof spec !== 'string') return [];
+
+    const hops = [];
+    for (const entry of spec.split(/\s*(?:->|,)\s*/).filter(Boolean)) {
+      const [provider, ...modelParts] = entry.trim().split(':');
+      const name = provider.toLowerCase();
+      if (name === 'rule-based' || name === 'rules') break;
+      if (!this.providers[name]) {
+        console.warn(`⚠️  Unknown provider in AI_FALLBACK_CHAIN: ${name}`);
+        continue;
+      }
+      hops.push({ provider: name, model: modelParts.join(':') || null });
+    }
+    return hops;
+  }
+
+  // Configured hops whose providers are configured, in order
+  getFallbackChain() {
+    return this.fallbackChain.filter(hop => this.providers[hop.provider].isAvailable());
+  }
+
+  // Call one provider through the shared scheduler (rate limits, concurrency and retries).
+  // With an onText callback the response is streamed and each text chunk is passed to it;
+  // the signal goes to the provider, which aborts the request with it, and to the scheduler.
+  generateWithRetry(provider, messages, options) {
+    const { onText, onRestart, onAttempt, ...completionOptions } = options;
+    return this.scheduler.schedule(provider.getName(), () => {
+      onAttempt?.();
+      return onText
+        ? provider.streamCompletion(messages, completionOptions, onText)
+        : provider.generateCompletion(messages, completionOptions);
+    }, options.signal);
+  }
+
+  // Every attempt (a retry or the next fallback hop) streams the response from the start, so
+  // once text has been passed to onText, the next attempt first calls onRestart to let the
+  // caller discard the text of the failed one
+  trackStreamAttempts(options) {
+    if (!options.onText) return options;
+
+    let streamed = false;
+    return {
+      ...options,
+      onText: text => {
+        streamed = true;
+        options.onText(text);
+      },
+      onAttempt: () => {
+        if (streamed) options.onRestart?.();
+        streamed = false;
+      }
+    };
+  }
+
+  // Generate a completion through the fallback chain. The response records which
+  // provider and model produced it, plus the hops that failed before it.
+  async generateWithFallback(messages, options = {}) {
+    const chain = this.getFallbackChain();
+    const hops = chain.length > 0 ? chain : [{ provider: this.activeProvider?.getName(), model: null }];
+    const failures = [];
+    const attemptOptions = this.trackStreamAttempts(options);
+
+    for (let i = 0; i < hops.length; i++) {
+      const hop = hops[i];
+      const provider = this.providers[hop.provider];
+      if (!provider) continue;
+
+      // An explicit hop model wins; the caller's model only applies to the primary provider
+      const model = hop.model || (i === 0 ? options.model : undefined);
+
+      try {
+        const response = await this.generateWithRetry(provider, messages, { ...attemptOptions, model });
+        return {
+          ...response,
+          provider: hop.provider,
+          model: response.model || model || null,
+          fallbacks: failures
+        };
+      } catch (error) {
+        // A cancelled request is not a provider failure, so it doesn't fall back
+        if (options.signal?.aborted) throw error;
+        failures.push({ provider: hop.provider, model: model || null, error: error.message });
+        if (i < hops.length - 1) {
+          console.warn(`⚠️  ${hop.provider}${model ? `:${model}` : ''} failed (${error.message}), falling back to ${hops[i + 1].provider}`);
+        }
+      }
+    }
+
+    const error = new Error(`All AI providers failed: ${failures.map(f => `${f.provider}${f.model ? `:${f.model}` : ''} (${f.error})`).join('; ') || 'no provider available'}`);
+    error.failures = failures;
+    throw error;
+  }
+
+  // Generate a completion with one specific provider, without walking the fallback chain
+  async generateWithProvider(providerName, messages, options = {}) {
+    const provider = this.providers[providerName];
+    if (!provider || !provider.isAvailable()) {
+      throw new Error(`Provider ${providerName} is not available`);
+    }
+
+    const response = await this.generateWithRetry(provider, messages, this.trackStreamAttempts(options));
+    return {
+      ...response,
+      provider: providerName,
+      model: response.model || options.model || null,
+      fallbacks: []
+    };
+  }
 }
 
 module.exports = ProviderManager;
@@ -71,25 +71,40 @@ class AnthropicProvider extends BaseProvider {
       params.tool_choice = options.tool_choice || 'auto';
     }
 
+    // Structured output: force a single tool call whose input schema is the response schema
+    if (options.responseSchema) {
+      params.tools = [...(params.tools || []), {
+        name: options.responseSchema.name,
+        description: 'Record the structured response',
+        input_schema: options.responseSchema.schema
+      }];
+      params.tool_choice = { type: 'tool', name: options.responseSchema.name };
+    }
+
     // Add streaming if requested
     if (options.stream) {
       params.stream = true;
-      const stream = await this.anthropic.messages.create(params);
+      const stream = await this.anthropic.messages.create(params, { signal: options.signal });
       return { stream, model: params.model };
     }
 
-    const response = await this.anthropic.messages.create(params);
+    const response = await this.anthropic.messages.create(params, { signal: options.signal });
 
     // Check if there are tool calls in the response
     const toolCalls = response.content.some(c => c.type === 'tool_use') 
-      ? response.content.filter(c => c.type === 'tool_use').map(c => c.tool_use)
+      ? response.content.filter(c => c.type === 'tool_use').map(c => ({ id: c.id, name: c.name, input: c.input }))
       : null;
 
-    // Get the text content
-    const textContent = response.content
-      .filter(c => c.type === 'text')
-      .map(c => c.text)
-      .join('\n');
+    // Get the text content; with a response schema the content is the forced tool's input
+    const structuredCall = options.responseSchema && toolCalls
+      ? toolCalls.find(call => call.name === options.responseSchema.name)
+      : null;
+    const textContent = structuredCall
+      ? JSON.stringify(structuredCall.input)
+      : response.content
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('\n');
 
     return {
       content: textContent,
@@ -101,6 +116,37 @@ class AnthropicProvider extends BaseProvider {
     };
   }
 
+  async streamCompletion(messages, options, onText) {
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    const response = { content: '', model, tokens: 0, stop_reason: null };
+    const blocks = [];
+
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        response.model = event.message.model || model;
+        response.tokens += event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_start') {
+        blocks[event.index] = event.content_block;
+      } else if (event.type === 'content_block_delta') {
+        // With a response schema the content streams in as the forced tool's JSON input
+        const block = blocks[event.index];
+        const text = event.delta.type === 'text_delta' && !options.responseSchema
+          ? event.delta.text
+          : event.delta.type === 'input_json_delta' && block?.name === options.responseSchema?.name
+            ? event.delta.partial_json
+            : '';
+        if (text) {
+          response.content += text;
+          onText(text);
+        }
+      } else if (event.type === 'message_delta') {
+        response.stop_reason = event.delta.stop_reason;
+        response.tokens += event.usage?.output_tokens || 0;
+      }
+    }
+    return response;
+  }
+
   getModelRecommendation(commitDetails) {
     if (commitDetails.breaking || commitDetails.complex) {
       return { model: 'claude-4.0-opus', reason: 'Complex or breaking change detected' };
@@ -75,19 +75,32 @@ class AzureOpenAIProvider extends BaseProvider {
       params.tool_choice = options.tool_choice || 'auto';
     }
 
+    // Enforce a JSON schema on the response (structured outputs)
+    if (options.responseSchema) {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.responseSchema.name,
+          schema: options.responseSchema.schema,
+          strict: true
+        }
+      };
+    }
+
     // Add data sources for Azure-specific features like "On Your Data"
     if (options.dataSources) {
       params.data_sources = options.dataSources;
     }
 
-    // Add streaming if requested
+    // Add streaming if requested; the last chunk carries the token usage
     if (options.stream) {
       params.stream = true;
-      const stream = await this.azureClient.chat.completions.create(params);
+      params.stream_options = { include_usage: true };
+      const stream = await this.azureClient.chat.completions.create(params, { signal: options.signal });
       return { stream, model: params.model };
     }
 
-    const completion = await this.azureClient.chat.completions.create(params);
+    const completion = await this.azureClient.chat.completions.create(params, { signal: options.signal });
 
     // Extract Azure-specific content filter results if present
     let contentFilters = null;
@@ -105,6 +118,11 @@ class AzureOpenAIProvider extends BaseProvider {
     };
   }
 
+  async streamCompletion(messages, options, onText) {
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    return this.readChatCompletionStream(stream, model, onText);
+  }
+
   getModelRecommendation(commitDetails) {
     // Note: In Azure, these model names correspond to deployment names.
     if (commitDetails.breaking || commitDetails.complex) {
@@ -29,13 +29,53 @@ class BaseProvider {
   /**
    * Generates a completion from the AI model.
    * @param {Array<object>} messages - The array of messages for the conversation.
-   * @param {object} options - Additional options for the completion (e.g., max_tokens).
+   * @param {object} options - Additional options for the completion (e.g., max_tokens, or a signal that aborts the request).
    * @returns {Promise<object>} The AI's response.
    */
   async generateCompletion(messages, options) {
     throw new Error('Method "generateCompletion()" must be implemented.');
   }
 
+  /**
+   * Generates a completion, passing each chunk of response text to onText as it arrives.
+   * Providers without native streaming deliver the whole response as a single chunk.
+   * @param {Array<object>} messages - The array of messages for the conversation.
+   * @param {object} options - Additional options for the completion (e.g., max_tokens, or a signal that aborts the request).
+   * @param {function(string): void} onText - Called with each chunk of response text.
+   * @returns {Promise<object>} The complete response, in the shape returned by generateCompletion().
+   */
+  async streamCompletion(messages, options, onText) {
+    const response = await this.generateCompletion(messages, options);
+    if (response.content) onText(response.content);
+    return response;
+  }
+
+  /**
+   * Reads an OpenAI-compatible chat completion stream (OpenAI, Azure, LM Studio, Hugging Face).
+   * @param {AsyncIterable<object>} stream - The stream of chat completion chunks.
+   * @param {string} model - The requested model, used when the chunks don't name one.
+   * @param {function(string): void} onText - Called with each chunk of response text.
+   * @returns {Promise<object>} The complete response.
+   */
+  async readChatCompletionStream(stream, model, onText) {
+    let content = '';
+    let tokens = 0;
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        content += choice.delta.content;
+        onText(choice.delta.content);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) tokens = chunk.usage.total_tokens;
+    }
+
+    return { content, model, tokens, finish_reason: finishReason };
+  }
+
   /**
    * Recommends a model based on the commit details.
    * @param {object} commitDetails - Details about the commit (e.g., files changed, lines changed).
@@ -70,6 +110,37 @@ class BaseProvider {
   getCapabilities(modelName) {
     throw new Error('Method "getCapabilities()" must be implemented.');
   }
+
+  /**
+   * Converts a JSON Schema into the OpenAPI subset accepted by Gemini's responseSchema:
+   * type unions with null become `nullable`, and `additionalProperties` is dropped.
+   * @param {object} schema - The JSON Schema to convert.
+   * @returns {object} The equivalent OpenAPI schema.
+   */
+  toOpenAPISchema(schema) {
+    const { additionalProperties, properties, items, type, ...rest } = schema;
+    const converted = { ...rest };
+
+    if (Array.isArray(type)) {
+      converted.type = type.find(t => t !== 'null');
+      if (type.includes('null')) converted.nullable = true;
+    } else if (type) {
+      converted.type = type;
+    }
+
+    if (converted.type === 'string' && converted.enum) {
+      converted.format = 'enum';
+    }
+    if (properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [key, this.toOpenAPISchema(value)])
+      );
+    }
+    if (items) {
+      converted.items = this.toOpenAPISchema(items);
+    }
+    return converted;
+  }
 }
 
 module.exports = BaseProvider;
@@ -104,7 +104,8 @@ class GoogleProvider extends BaseProvider {
       topK: options.top_k || 64,
       candidateCount: options.n || 1,
       stopSequences: options.stop || [],
-      responseMimeType: options.response_format?.type === 'json_object' ? 'application/json' : undefined
+      responseMimeType: options.responseSchema || options.response_format?.type === 'json_object' ? 'application/json' : undefined,
+      responseSchema: options.responseSchema ? this.toOpenAPISchema(options.responseSchema.schema) : undefined
     });
 
     // Configure safety settings
@@ -161,7 +162,7 @@ class GoogleProvider extends BaseProvider {
         
         // Send the last message with streaming
         const lastMessage = contents[contents.length - 1];
-        const stream = await streamingChat.sendMessageStream(lastMessage.parts);
+        const { stream } = await streamingChat.sendMessageStream(lastMessage.parts, { signal: options.signal });
         
         let accumulatedText = '';
         let tokenCount = 0;
@@ -222,7 +223,7 @@ class GoogleProvider extends BaseProvider {
         
         // Generate response with tool calling
         const lastMessage = contents[contents.length - 1];
-        const result = await chat.sendMessage(lastMessage.parts);
+        const result = await chat.sendMessage(lastMessage.parts, { signal: options.signal });
         const response = result.response;
         
         // Process function calls if present
@@ -252,7 +253,7 @@ class GoogleProvider extends BaseProvider {
     try {
       const result = await model.generateContent({
         contents,
-      });
+      }, { signal: options.signal });
 
       const response = result.response;
 
@@ -274,6 +275,16 @@ class GoogleProvider extends BaseProvider {
     }
   }
 
+  async streamCompletion(messages, options, onText) {
+    return this.generateCompletion(messages, {
+      ...options,
+      stream: true,
+      onStreamData: data => {
+        if (!data.done && data.content) onText(data.content);
+      }
+    });
+  }
+
   getModelRecommendation(commitDetails) {
     if (commitDetails.breaking || commitDetails.complex) {
       return { model: 'gemini-2.5-pro', reason: 'Complex or breaking change detected' };
@@ -73,26 +73,26 @@ class HuggingFaceProvider extends BaseProvider {
       user: options.user || this.config.HUGGINGFACE_USER_ID
     };
 
-    // Add streaming if requested
-    if (options.stream) {
-      params.stream = true;
-      const stream = await this.hf.chatCompletionStream(params);
-      return { stream, model: modelId };
-    }
-
     // Add tool calling if provided and the model supports it
     if (options.tools && this.getCapabilities(modelId).tool_use) {
       params.tools = options.tools;
       params.tool_choice = options.tool_choice || 'auto';
     }
 
-    // Add JSON mode if requested and the model supports it
-    if (options.response_format?.type === 'json_object' && this.getCapabilities(modelId).json_mode) {
+    // Add JSON mode if requested and the model supports it; schema conformance is checked by the caller
+    if ((options.responseSchema || options.response_format?.type === 'json_object') && this.getCapabilities(modelId).json_mode) {
       params.response_format = { type: 'json_object' };
     }
 
+    // Add streaming if requested
+    if (options.stream) {
+      params.stream = true;
+      const stream = await this.hf.chatCompletionStream(params, { signal: options.signal });
+      return { stream, model: modelId };
+    }
+
     // Make the API call
-    const response = await this.hf.chatCompletion(params);
+    const response = await this.hf.chatCompletion(params, { signal: options.signal });
 
     return {
       content: response.choices[0].message.content,
@@ -103,6 +103,16 @@ class HuggingFaceProvider extends BaseProvider {
     };
   }
 
+  async streamCompletion(messages, options, onText) {
+    // Hosted endpoints and the MCP client answer in one piece
+    if ((this.hfEndpoint && options.useEndpoint) || (this.mcpClient && options.useMcp)) {
+      return super.streamCompletion(messages, options, onText);
+    }
+
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    return this.readChatCompletionStream(stream, model, onText);
+  }
+
   async generateWithEndpoint(messages, modelId, options) {
     // Hosted endpoints may have a custom API format
     const payload = {
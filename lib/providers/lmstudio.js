@@ -46,27 +46,36 @@ class LMStudioProvider extends BaseProvider {
       user: options.user || this.config.LMSTUDIO_USER_ID
     };
 
-    // Add streaming if requested
-    if (options.stream) {
-      params.stream = true;
-      const stream = await this.client.chat.completions.create(params);
-      return { stream, model: params.model };
-    }
-
     // Add function calling if provided and the model supports it
     if (options.tools && this.getCapabilities(params.model).tool_use) {
       params.tools = options.tools;
       params.tool_choice = options.tool_choice || 'auto';
     }
 
-    // Add JSON mode if requested and the model supports it
-    if (options.response_format?.type === 'json_object' && this.getCapabilities(params.model).json_mode) {
+    // Add structured output (grammar-constrained JSON schema) or JSON mode if requested
+    if (options.responseSchema) {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.responseSchema.name,
+          schema: options.responseSchema.schema,
+          strict: true
+        }
+      };
+    } else if (options.response_format?.type === 'json_object' && this.getCapabilities(params.model).json_mode) {
       params.response_format = { type: 'json_object' };
     }
 
+    // Add streaming if requested
+    if (options.stream) {
+      params.stream = true;
+      const stream = await this.client.chat.completions.create(params, { signal: options.signal });
+      return { stream, model: params.model };
+    }
+
     try {
       // Make the API call
-      const response = await this.client.chat.completions.create(params);
+      const response = await this.client.chat.completions.create(params, { signal: options.signal });
 
       // Extract tool calls if present
       let toolCalls = null;
@@ -88,6 +97,11 @@ class LMStudioProvider extends BaseProvider {
     }
   }
 
+  async streamCompletion(messages, options, onText) {
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    return this.readChatCompletionStream(stream, model, onText);
+  }
+
   getModelRecommendation(commitDetails) {
     // LM Studio uses locally loaded models, so we just return the configured model
     return { 
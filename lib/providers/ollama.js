@@ -59,24 +59,26 @@ class OllamaProvider extends BaseProvider {
       }
     };
 
-    // Add streaming if requested
-    if (options.stream) {
-      params.stream = true;
-      const stream = await this.client.chat(params);
-      return { stream, model: modelName };
-    }
-
     // Add function calling if provided and the model supports it
     if (options.tools && this.getCapabilities(modelName).tool_use) {
       params.tools = options.tools;
       params.tool_choice = options.tool_choice || 'auto';
     }
 
-    // Add format if requested (JSON mode)
-    if (options.response_format?.type === 'json_object' && this.getCapabilities(modelName).json_mode) {
+    // Add format if requested: a JSON schema constrains the output, otherwise plain JSON mode
+    if (options.responseSchema) {
+      params.format = options.responseSchema.schema;
+    } else if (options.response_format?.type === 'json_object' && this.getCapabilities(modelName).json_mode) {
       params.format = 'json';
     }
 
+    // Add streaming if requested
+    if (options.stream) {
+      params.stream = true;
+      const stream = await this.client.chat(params);
+      return { stream, model: modelName };
+    }
+
     // Make the API call
     const response = await this.client.chat(params);
 
@@ -95,6 +97,32 @@ class OllamaProvider extends BaseProvider {
     };
   }
 
+  async streamCompletion(messages, options, onText) {
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    const response = { content: '', model, tokens: 0, finish_reason: null };
+
+    // The client takes no per-request signal, but its streams can be aborted
+    const abort = () => stream.abort();
+    options.signal?.addEventListener('abort', abort, { once: true });
+    try {
+      for await (const part of stream) {
+        if (part.message?.content) {
+          response.content += part.message.content;
+          onText(part.message.content);
+        }
+        // The final part reports the model, token count and why generation stopped
+        if (part.done) {
+          response.model = part.model || model;
+          response.tokens = part.eval_count || 0;
+          response.finish_reason = part.done_reason || 'stop';
+        }
+      }
+    } finally {
+      options.signal?.removeEventListener('abort', abort);
+    }
+    return response;
+  }
+
   async generateEmbedding(text, options = {}) {
     if (!this.isAvailable()) {
       throw new Error('Ollama provider is not configured.');
@@ -42,14 +42,27 @@ class OpenAIProvider extends BaseProvider {
       params.tool_choice = options.tool_choice || 'auto';
     }
 
-    // Add streaming if requested
+    // Enforce a JSON schema on the response (structured outputs)
+    if (options.responseSchema) {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.responseSchema.name,
+          schema: options.responseSchema.schema,
+          strict: true
+        }
+      };
+    }
+
+    // Add streaming if requested; the last chunk carries the token usage
     if (options.stream) {
       params.stream = true;
-      const stream = await this.openai.chat.completions.create(params);
+      params.stream_options = { include_usage: true };
+      const stream = await this.openai.chat.completions.create(params, { signal: options.signal });
       return { stream, model: params.model };
     }
 
-    const completion = await this.openai.chat.completions.create(params);
+    const completion = await this.openai.chat.completions.create(params, { signal: options.signal });
 
     return {
       content: completion.choices[0].message.content,
@@ -60,6 +73,11 @@ class OpenAIProvider extends BaseProvider {
     };
   }
 
+  async streamCompletion(messages, options, onText) {
+    const { stream, model } = await this.generateCompletion(messages, { ...options, stream: true });
+    return this.readChatCompletionStream(stream, model, onText);
+  }
+
   getModelRecommendation(commitDetails) {
     // Updated model selection logic based on 2025 models
     if (commitDetails.breaking || commitDetails.complex || commitDetails.files > 20) {
@@ -89,6 +89,12 @@ class VertexAIProvider extends BaseProvider {
     if (options.stop && options.stop.length > 0) {
       generationConfig.stopSequences = options.stop;
     }
+
+    // Constrain the output to a JSON schema if requested
+    if (options.responseSchema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = this.toOpenAPISchema(options.responseSchema.schema);
+    }
     
     // Create model instance
     const modelInstance = this.client.getGenerativeModel({
@@ -261,6 +267,16 @@ class VertexAIProvider extends BaseProvider {
     }
   }
 
+  async streamCompletion(messages, options, onText) {
+    return this.generateCompletion(messages, {
+      ...options,
+      stream: true,
+      onUpdate: update => {
+        if (!update.done && update.content) onText(update.content);
+      }
+    });
+  }
+
   formatMessages(messages) {
     // Convert messages to Vertex AI format for the new SDK
     const formattedMessages = [];
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Release Prompts
+ * MCP prompt templates for release workflows: draft release notes, explain breaking
+ * changes since a tag and write a commit message for the staged changes. Arguments
+ * default to (and complete from) the repository's tags and recommended version, and
+ * each prompt carries the same per-commit context as the changelog summary prompt.
+ */
+
+const TypeDeclarations = require('./type-declarations');
+const { ANALYSIS_MODES } = require('./ai-changelog-generator');
+
+// Commits described in full in one prompt; the rest of a large release is listed by subject
+const MAX_DETAILED_COMMITS = 25;
+
+const ANALYSIS_MODE_ARGUMENT = {
+  name: 'analysisMode',
+  description: `How much to cover: ${Object.keys(ANALYSIS_MODES).join(', ')} (default: standard)`,
+  required: false
+};
+
+const PROMPTS = [
+  {
+    name: 'draft_release_notes',
+    title: 'Draft release notes',
+    description: 'Draft release notes for a version from the commits since the previous release',
+    arguments: [
+      { name: 'version', description: 'Version being released (default: the recommended next version)', required: false },
+      { name: 'since', description: 'Tag or commit the release starts after (default: the latest release tag)', required: false },
+      ANALYSIS_MODE_ARGUMENT
+    ]
+  },
+  {
+    name: 'explain_breaking_changes',
+    title: 'Explain breaking changes',
+    description: 'Explain the breaking changes since a release tag and how to migrate',
+    arguments: [
+      { name: 'tag', description: 'Release tag to compare against (default: the latest release tag)', required: false }
+    ]
+  },
+  {
+    name: 'write_commit_message',
+    title: 'Write commit message',
+    description: 'Write a conventional commit message for the staged changes',
+    arguments: [ANALYSIS_MODE_ARGUMENT]
+  }
+];
+
+class ReleasePrompts {
+  // `generator` is an AIChangelogGenerator for the repository; its rule-based analysis fills the prompts
+  constructor(generator) {
+    this.generator = generator;
+    this.gitManager = generator.gitManager;
+  }
+
+  static list() {
+    return PROMPTS;
+  }
+
+  // Messages for prompts/get
+  async get(name, args = {}) {
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    if (!this.generator.gitExists) {
+      throw new Error('Not a git repository');
+    }
+
+    const analysisMode = args.analysisMode || 'standard';
+    if (!ANALYSIS_MODES[analysisMode]) {
+      throw new Error(`Unknown analysis mode: ${analysisMode} (expected ${Object.keys(ANALYSIS_MODES).join(', ')})`);
+    }
+
+    switch (name) {
+      case 'draft_release_notes':
+        return this.draftReleaseNotes(args.version, args.since, analysisMode);
+      case 'explain_breaking_changes':
+        return this.explainBreakingChanges(args.tag);
+      default:
+        return this.writeCommitMessage(analysisMode);
+    }
+  }
+
+  // Values for completion/complete: release tags for refs, the recommended version and the analysis modes
+  async complete(name, argument, value = '') {
+    let values = [];
+    if (argument === 'analysisMode') {
+      values = Object.keys(ANALYSIS_MODES);
+    } else if (!this.generator.gitExists) {
+      values = [];
+    } else if (argument === 'since' || argument === 'tag') {
+      values = this.gitManager.getTags({ limit: 0 });
+    } else if (argument === 'version' && name === 'draft_release_notes') {
+      const next = this.recommendVersion();
+      values = next ? [next] : [];
+    }
+
+    const matches = values.filter(candidate => candidate.startsWith(value));
+    return { values: matches.slice(0, 100), total: matches.length, hasMore: matches.length > 100 };
+  }
+
+  async draftReleaseNotes(version, since, analysisMode) {
+    const { base, analyses, recommendation } = await this.loadRelease(since);
+    if (analyses.length === 0) {
+      throw new Error(`No commits found${base ? ` since ${base}` : ''}`);
+    }
+
+    const releaseVersion = version || recommendation.next;
+    const breaking = analyses.filter(analysis => analysis.breaking);
+
+    return this.messages(`Draft release notes for ${releaseVersion ? `version ${releaseVersion}` : 'the next release'} of ${this.repositoryName()}.
+
+<release>
+Changes: ${analyses.length}${base ? ` since ${base}` : ''}
+Breaking changes: ${breaking.length}
+Recommended version bump: ${recommendation.effectiveBump}${recommendation.next ? ` (${recommendation.current || 'unreleased'} → ${recommendation.next})` : ''}
+Analysis mode: ${analysisMode} (${ANALYSIS_MODES[analysisMode]})
+</release>
+
+${this.describeCommits(analyses)}
+
+Write the release notes in markdown: a short overview of what matters most to users, then sections for breaking changes (with migration steps), new features, fixes and other improvements. Leave out internal changes that don't affect users and fold related commits into one entry.`, `Release notes for ${releaseVersion || 'the next release'}`);
+  }
+
+  async explainBreakingChanges(tag) {
+    const { base, analyses } = await this.loadRelease(tag);
+    if (!base) {
+      throw new Error('No release tag found - pass the tag to compare against');
+    }
+
+    const breaking = analyses.filter(analysis => analysis.breaking);
+    // Breaking changes to the public TypeScript declarations (TYPE_DIFF)
+    const typeChanges = this.generator.typeDiff
+      ? (await new TypeDeclarations(this.gitManager).compare(base, 'HEAD')).filter(change => change.breaking)
+      : [];
+    const typeContext = typeChanges.length > 0 ? `
+<type_changes>
+${typeChanges.map(change => `- ${TypeDeclarations.describeChange(change)}`).join('\n')}
+</type_changes>
+` : '';
+
+    const intro = breaking.length > 0 || typeChanges.length > 0
+      ? `Explain the breaking changes in ${this.repositoryName()} since ${base} to someone upgrading from ${base}.`
+      : `No commit in ${this.repositoryName()} since ${base} is marked as breaking. Review the ${analyses.length} changes below for incompatibilities that weren't flagged, and explain any you find to someone upgrading from ${base}.`;
+
+    return this.messages(`${intro}
+${typeContext}
+${this.describeCommits(breaking.length > 0 ? breaking : analyses)}
+
+For each breaking change: what changed, who is affected, and the exact steps to migrate, with before/after code where it helps. If none of the changes break compatibility, say so.`, `Breaking changes since ${base}`);
+  }
+
+  async writeCommitMessage(analysisMode) {
+    const staged = await this.generator.getStagedAnalysis();
+    if (!staged) {
+      throw new Error('No staged changes - stage the changes to commit first');
+    }
+
+    return this.messages(`Write a commit message for these staged changes in ${this.repositoryName()}.
+
+${this.generator.buildCommitContext(staged)}
+
+Use the conventional commit format: \`type(scope): subject\` in the imperative mood and at most 72 characters, then a blank line and a body that explains what changed and why${analysisMode === 'standard' ? '' : ` (${ANALYSIS_MODES[analysisMode].toLowerCase()})`}. Mark breaking changes with \`!\` and a \`BREAKING CHANGE:\` footer. Reply with the commit message only.`, 'Commit message for the staged changes');
+  }
+
+  // Analyzed commits since a ref (default: the latest release tag), grouped by pull request
+  // like the changelog, and the version they call for
+  async loadRelease(since) {
+    if (since && !this.gitManager.validateCommitHash(since)) {
+      throw new Error(`Unknown tag or commit: ${since}`);
+    }
+
+    const latestRelease = this.generator.getLatestReleaseTag();
+    const base = since || latestRelease?.tag || null;
+    const commitHashes = base ? await this.generator.getCommitsInRange(base, 'HEAD') : await this.generator.getCommitsSince(null);
+    let analyses = await this.generator.getCommitAnalyses(commitHashes);
+    if (this.generator.groupByPR) {
+      analyses = this.generator.groupCommitsByPR(analyses);
+    }
+
+    const recommendation = this.generator.calculateVersionRecommendation(analyses, latestRelease);
+    return { base, analyses, recommendation };
+  }
+
+  // The next version from the type and breaking marker of each commit since the latest release
+  // tag: one git log instead of a full analysis, since clients ask for completions per keystroke
+  recommendVersion() {
+    const latestRelease = this.generator.getLatestReleaseTag();
+    const commits = this.gitManager.getCommits(latestRelease
+      ? { range: `${latestRelease.tag}..HEAD`, count: 0, format: 'full', excludeMerges: true }
+      : { count: 100, format: 'full', excludeMerges: true });
+    return this.generator.calculateVersionRecommendation(commits, latestRelease).next;
+  }
+
+  describeCommits(analyses) {
+    const detailed = analyses.slice(0, MAX_DETAILED_COMMITS);
+    const remaining = analyses.slice(MAX_DETAILED_COMMITS);
+
+    return `<commits>
+${detailed.map(analysis => `<commit hash="${analysis.pr ? `#${analysis.pr}` : analysis.hash}">
+${this.generator.buildCommitContext(analysis)}
+</commit>`).join('\n')}${remaining.length > 0 ? `
+<more_commits>
+${remaining.map(analysis => `- ${analysis.hash} ${analysis.subject}${analysis.breaking ? ' [breaking]' : ''}`).join('\n')}
+</more_commits>` : ''}
+</commits>`;
+  }
+
+  repositoryName() {
+    return this.gitManager.gitConfig?.repository?.name || 'this repository';
+  }
+
+  messages(text, description) {
+    return {
+      description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+}
+
+module.exports = ReleasePrompts;
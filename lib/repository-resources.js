@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Repository Resources
+ * Read-only MCP resources for the repository the server runs in: the current changelog,
+ * commits in a range, the analysis of one commit and the repository health assessment.
+ * Reading a resource never generates or writes a changelog.
+ */
+
+const fs = require('fs');
+
+// Commits listed by git://commits/{ref} when the URI names a single ref instead of a range
+const SINGLE_REF_COMMIT_LIMIT = 100;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'git://commits/{range}',
+    name: 'commits',
+    title: 'Commits',
+    description: 'Commits in a revision range such as v1.2.0..HEAD (URL-encoded), or the latest commits of a ref',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'git://commit/{hash}/analysis',
+    name: 'commit-analysis',
+    title: 'Commit analysis',
+    description: 'Rule-based analysis of one commit: type, files, complexity, risk, dependency and API changes',
+    mimeType: 'application/json'
+  }
+];
+
+class RepositoryResources {
+  // `generator` is an AIChangelogGenerator for the repository; `changelogPath` the changelog file
+  constructor(generator, changelogPath) {
+    this.generator = generator;
+    this.gitManager = generator.gitManager;
+    this.changelogPath = changelogPath;
+  }
+
+  // Concrete resources for resources/list; unreleased commits are listed when a release tag exists
+  list() {
+    const resources = [{
+      uri: 'changelog://current',
+      name: 'changelog',
+      title: 'Current changelog',
+      description: `The changelog file (${this.changelogPath})`,
+      mimeType: 'text/markdown'
+    }];
+
+    if (!this.generator.gitExists) return resources;
+
+    const latestRelease = this.generator.getLatestReleaseTag();
+    if (latestRelease) {
+      resources.push({
+        uri: `git://commits/${encodeURIComponent(`${latestRelease.tag}..HEAD`)}`,
+        name: 'unreleased-commits',
+        title: 'Unreleased commits',
+        description: `Commits since ${latestRelease.tag}`,
+        mimeType: 'application/json'
+      });
+    }
+
+    resources.push({
+      uri: 'repo://health',
+      name: 'repository-health',
+      title: 'Repository health',
+      description: 'Commit message quality, working directory state and activity, scored out of 100',
+      mimeType: 'application/json'
+    });
+    return resources;
+  }
+
+  static templates() {
+    return RESOURCE_TEMPLATES;
+  }
+
+  // Contents of a resource for resources/read
+  async read(uri) {
+    const resource = RepositoryResources.parse(uri);
+    if (!resource) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    if (resource.type === 'changelog') {
+      if (!fs.existsSync(this.changelogPath)) {
+        throw new Error(`No changelog found at ${this.changelogPath}`);
+      }
+      return this.contents(uri, 'text/markdown', fs.readFileSync(this.changelogPath, 'utf8'));
+    }
+
+    if (!this.generator.gitExists) {
+      throw new Error('Not a git repository');
+    }
+
+    switch (resource.type) {
+      case 'commits':
+        return this.contents(uri, 'application/json', JSON.stringify(this.readCommits(resource.range), null, 2));
+      case 'commit-analysis':
+        return this.contents(uri, 'application/json', JSON.stringify(await this.readCommitAnalysis(resource.hash), null, 2));
+      default:
+        return this.contents(uri, 'application/json', JSON.stringify(await this.generator.assessRepositoryHealth(), null, 2));
+    }
+  }
+
+  readCommits(range) {
+    const isRange = range.includes('..');
+    const refs = range.split(/\.\.\.?/).filter(Boolean);
+    if (!this.gitManager.isValidRevisionRange(range) || refs.length === 0) {
+      throw new Error(`Invalid revision range: ${range}`);
+    }
+    const unknown = refs.find(ref => !this.gitManager.validateCommitHash(ref));
+    if (unknown) {
+      throw new Error(`Unknown tag or commit: ${unknown}`);
+    }
+
+    const commits = this.gitManager.getCommits({ range, count: isRange ? 0 : SINGLE_REF_COMMIT_LIMIT, format: 'full' });
+    return {
+      range,
+      totalCommits: commits.length,
+      commits: commits.map(commit => ({
+        hash: commit.hash,
+        shortHash: commit.shortHash,
+        subject: commit.subject,
+        author: commit.author,
+        date: commit.authorDate,
+        type: commit.type,
+        scope: commit.scope,
+        breaking: commit.breaking
+      }))
+    };
+  }
+
+  async readCommitAnalysis(hash) {
+    if (!this.gitManager.validateCommitHash(hash)) {
+      throw new Error(`Unknown commit: ${hash}`);
+    }
+    const analysis = await this.generator.getCommitAnalysis(hash);
+    if (!analysis) {
+      throw new Error(`Could not analyze commit: ${hash}`);
+    }
+    return analysis;
+  }
+
+  contents(uri, mimeType, text) {
+    return { contents: [{ uri, mimeType, text }] };
+  }
+
+  // { type, range | hash } for a supported resource URI, or null
+  static parse(uri) {
+    if (uri === 'changelog://current') return { type: 'changelog' };
+    if (uri === 'repo://health') return { type: 'health' };
+
+    const commits = /^git:\/\/commits\/(.+)$/.exec(uri);
+    if (commits) return { type: 'commits', range: RepositoryResources.decode(commits[1]) };
+
+    const analysis = /^git:\/\/commit\/([^/]+)\/analysis$/.exec(uri);
+    if (analysis) return { type: 'commit-analysis', hash: RepositoryResources.decode(analysis[1]) };
+
+    return null;
+  }
+
+  static decode(component) {
+    try {
+      return decodeURIComponent(component);
+    } catch (error) {
+      return component;
+    }
+  }
+}
+
+module.exports = RepositoryResources;
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Request Scheduler
+ * Shared queue for AI provider calls: bounded concurrency, per-provider token
+ * buckets, and retries on 429/5xx with jittered backoff that honours Retry-After
+ */
+
+// HTTP statuses and network error codes worth retrying
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const RETRYABLE_MESSAGE_PATTERN = /rate limit|too many requests|timed? ?out|overloaded|temporarily unavailable|service unavailable|socket hang up/i;
+
+const ToolProgress = require('./tool-progress');
+
+// A numeric option, or the default when it is missing or not a finite number (such as the NaN
+// parseInt makes of a non-numeric config value)
+const numberOption = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, numberOption(options.concurrency, 4));
+    this.requestsPerMinute = Math.max(0, numberOption(options.requestsPerMinute, 60));
+    this.providerLimits = options.providerLimits || {};
+    this.retries = Math.max(0, numberOption(options.retries, 2));
+    this.baseDelay = Math.max(0, numberOption(options.baseDelay, 1000));
+    this.maxDelay = Math.max(0, numberOption(options.maxDelay, 60000));
+    this.random = options.random || Math.random;
+
+    this.active = 0;
+    this.waiting = [];
+    this.buckets = new Map();
+    this.stats = { requests: 0, retries: 0, throttled: 0, rateLimited: 0 };
+  }
+
+  static fromConfig(configManager) {
+    return new RequestScheduler({
+      concurrency: configManager.get('AI_CONCURRENCY'),
+      requestsPerMinute: configManager.get('AI_REQUESTS_PER_MINUTE'),
+      providerLimits: RequestScheduler.parseRateLimits(configManager.get('AI_RATE_LIMITS')),
+      retries: configManager.get('AI_RETRY_ATTEMPTS'),
+      baseDelay: configManager.get('AI_RETRY_DELAY'),
+      maxDelay: configManager.get('AI_RETRY_MAX_DELAY')
+    });
+  }
+
+  // Parse "openai:500,azure:300,ollama:0" into requests-per-minute limits (0 = unlimited)
+  static parseRateLimits(spec) {
+    const limits = {};
+    if (!spec || typeof spec !== 'string') return limits;
+
+    spec.split(',').forEach(entry => {
+      const [provider, limit] = entry.split(':').map(part => part.trim());
+      if (provider && limit !== undefined && !isNaN(parseInt(limit, 10))) {
+        limits[provider.toLowerCase()] = parseInt(limit, 10);
+      }
+    });
+    return limits;
+  }
+
+  // Run a request for the given provider through the rate limiter, retrying retryable failures.
+  // Aborting the signal stops a request waiting for its turn or for a retry; requests already
+  // sent are aborted through the signal passed to the provider.
+  async schedule(key, task, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+      await this.takeToken(key, signal);
+      await this.acquire(signal);
+
+      let delay;
+      try {
+        if (signal?.aborted) {
+          throw ToolProgress.cancellationError(signal.reason);
+        }
+        this.stats.requests++;
+        return await task();
+      } catch (error) {
+        // An aborted request fails with whatever its SDK throws; report it as the cancellation
+        if (signal?.aborted && !ToolProgress.isCancellation(error)) {
+          throw ToolProgress.cancellationError(signal.reason);
+        }
+        if (attempt >= this.retries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null) {
+          // The provider told us when to come back: hold every request to it until then
+          this.stats.rateLimited++;
+          this.getBucket(key).pausedUntil = Date.now() + retryAfter;
+        }
+        delay = retryAfter !== null ? retryAfter : this.getBackoffDelay(attempt);
+        this.stats.retries++;
+        console.warn(`⚠️  ${key} request failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${this.retries})`);
+      } finally {
+        this.release();
+      }
+
+      await this.sleep(delay, signal);
+    }
+  }
+
+  isRetryable(error) {
+    if (!error) return false;
+
+    const status = error.status || error.statusCode || error.response?.status;
+    if (status && RETRYABLE_STATUS_CODES.includes(Number(status))) return true;
+    if (error.code && RETRYABLE_ERROR_CODES.includes(error.code)) return true;
+    if (error.name === 'AbortError' || error.name === 'APIConnectionTimeoutError') return true;
+    return RETRYABLE_MESSAGE_PATTERN.test(error.message || '');
+  }
+
+  // Delay in ms requested by Retry-After / retry-after-ms headers, or null when absent
+  getRetryAfter(error) {
+    const headers = error.headers || error.response?.headers;
+    if (!headers) return null;
+
+    const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const retryAfterMs = parseFloat(read('retry-after-ms'));
+    if (!isNaN(retryAfterMs) && retryAfterMs >= 0) {
+      return Math.min(Math.ceil(retryAfterMs), this.maxDelay);
+    }
+
+    const retryAfter = read('retry-after');
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.min(Math.ceil(seconds * 1000), this.maxDelay);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.min(Math.max(0, date - Date.now()), this.maxDelay);
+    }
+    return null;
+  }
+
+  // Exponential backoff with equal jitter: half the window fixed, half random
+  getBackoffDelay(attempt) {
+    const window = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    return Math.round(window / 2 + this.random() * (window / 2));
+  }
+
+  getRateLimit(key) {
+    const limit = this.providerLimits[key];
+    return limit !== undefined ? limit : this.requestsPerMinute;
+  }
+
+  // Token bucket per provider; bursts are capped at the concurrency so a backlog drains at the configured rate
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const limit = this.getRateLimit(key);
+      const capacity = Math.max(1, Math.min(limit, this.concurrency));
+      this.buckets.set(key, {
+        capacity,
+        tokens: capacity,
+        refillPerMs: limit / 60000,
+        lastRefill: Date.now(),
+        pausedUntil: 0
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  async takeToken(key, signal = null) {
+    const limit = this.getRateLimit(key);
+    const bucket = this.getBucket(key);
+
+    for (;;) {
+      const now = Date.now();
+      if (bucket.pausedUntil > now) {
+        await this.sleep(bucket.pausedUntil - now, signal);
+        continue;
+      }
+      if (!limit || limit <= 0) return;
+
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+      bucket.lastRefill = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      this.stats.throttled++;
+      await this.sleep(Math.ceil((1 - bucket.tokens) / bucket.refillPerMs), signal);
+    }
+  }
+
+  // Wait for a free slot; aborting the signal leaves the queue
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(ToolProgress.cancellationError(signal.reason));
+    }
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(ToolProgress.cancellationError(signal.reason));
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      this.waiting.push(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.waiting.length
+    };
+  }
+
+  // Resolves after ms, or rejects as soon as the signal aborts
+  sleep(ms, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(ToolProgress.cancellationError(signal.reason));
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(ToolProgress.cancellationError(signal.reason));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = RequestScheduler;
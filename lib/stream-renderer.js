@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Stream Renderer
+ * Live terminal output while a changelog is generated: each entry is printed as soon as
+ * its summary is complete, and the release summary is written as its text arrives. On an
+ * interactive terminal a status line previews the commit summary that is streaming in.
+ */
+
+const colors = require('./colors');
+
+const CLEAR_LINE = '\r\x1b[K';
+
+class StreamRenderer {
+  constructor(output = process.stdout) {
+    this.output = output;
+    this.interactive = Boolean(output.isTTY);
+    this.hasStatus = false;
+    this.writing = false;
+    this.block = '';
+  }
+
+  // Rewrite the status line with the latest text of an in-flight summary
+  preview(label, text) {
+    if (!this.interactive || this.writing) return;
+
+    const width = Math.max((this.output.columns || 80) - label.length - 4, 10);
+    const line = text.replace(/\s+/g, ' ').trim();
+    // Long summaries scroll: the tail that is still arriving stays visible
+    const visible = line.length > width ? `…${line.slice(line.length - width + 1)}` : line;
+    this.output.write(`${CLEAR_LINE}${colors.hash(label)} ${colors.dim(visible)}`);
+    this.hasStatus = true;
+  }
+
+  // Print a finished changelog entry above the status line
+  entry(type, description, label) {
+    this.clearStatus();
+    this.output.write(`  ${colors.commitType(type)} ${description} ${colors.dim(`(${label})`)}\n`);
+  }
+
+  // Start a streamed block of text (the release summary) under a heading
+  begin(title) {
+    this.clearStatus();
+    this.output.write(`\n${colors.header(title)}\n`);
+    this.writing = true;
+    this.block = '';
+  }
+
+  // Write streamed text as it arrives; output that isn't a terminal gets the block at end()
+  write(text) {
+    if (!text) return;
+    this.clearStatus();
+    this.block += text;
+    if (this.interactive) this.output.write(text);
+  }
+
+  // Discard the block's text when its response streams again from the start (a retry or
+  // fallback hop): the terminal rows it took up are erased
+  restart() {
+    if (this.interactive && this.block) {
+      const columns = this.output.columns || 80;
+      const rows = this.block.split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / columns)), 0);
+      this.output.write(`${rows > 1 ? `\x1b[${rows - 1}A` : ''}${CLEAR_LINE}\x1b[J`);
+    }
+    this.block = '';
+  }
+
+  // Finish a streamed block so later output starts on its own line
+  end() {
+    if (!this.interactive) this.output.write(this.block);
+    if (this.block && !this.block.endsWith('\n')) this.output.write('\n');
+    this.writing = false;
+    this.block = '';
+  }
+
+  clearStatus() {
+    if (!this.hasStatus) return;
+    this.output.write(CLEAR_LINE);
+    this.hasStatus = false;
+  }
+
+  // The value of a string field in a JSON document that is still streaming in, or null
+  // before the field starts. Escapes that haven't fully arrived yet are left out.
+  static partialField(json, field) {
+    const match = new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`).exec(json);
+    if (!match) return null;
+
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+    return match[1]
+      .replace(/\\(?:u[0-9a-fA-F]{0,3})?$/, '')
+      .replace(/\\(u[0-9a-fA-F]{4}|.)/g, (escape, code) => (code.length === 5
+        ? String.fromCharCode(parseInt(code.slice(1), 16))
+        : escapes[code] || code));
+  }
+}
+
+module.exports = StreamRenderer;
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Summary Cache
+ * Content-addressed on-disk cache of per-commit AI summaries, so repeated runs
+ * only pay for commits that have not been summarized before
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join('.ai-changelog', 'cache');
+
+class SummaryCache {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || DEFAULT_CACHE_DIR);
+    this.enabled = options.enabled !== false;
+  }
+
+  // A summary is only reusable for the same commit, analysis mode, model and prompt
+  static createKey({ hash, analysisMode = 'standard', model = 'default', promptVersion = 1 }) {
+    return crypto
+      .createHash('sha256')
+      .update([hash, analysisMode, model, promptVersion].join('|'))
+      .digest('hex');
+  }
+
+  getEntryPath(key) {
+    return path.join(this.directory, key.substring(0, 2), `${key}.json`);
+  }
+
+  get(keyParts) {
+    if (!this.enabled || !keyParts.hash) return null;
+
+    const entryPath = this.getEntryPath(SummaryCache.createKey(keyParts));
+    try {
+      if (fs.existsSync(entryPath)) {
+        const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+        if (entry && entry.summary) {
+          return entry.summary;
+        }
+      }
+    } catch (error) {
+      // A corrupt entry is treated as a miss and overwritten on the next set()
+      console.warn(`⚠️  Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  set(keyParts, summary) {
+    if (!this.enabled || !keyParts.hash) return false;
+
+    const entryPath = this.getEntryPath(SummaryCache.createKey(keyParts));
+    const entry = {
+      hash: keyParts.hash,
+      analysisMode: keyParts.analysisMode,
+      model: keyParts.model,
+      promptVersion: keyParts.promptVersion,
+      createdAt: new Date().toISOString(),
+      summary
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      // Write to a temp file first so an interrupted run never leaves a truncated entry
+      const tempPath = `${entryPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2), 'utf8');
+      fs.renameSync(tempPath, entryPath);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  Could not write cache entry: ${error.message}`);
+      return false;
+    }
+  }
+
+  clear() {
+    if (fs.existsSync(this.directory)) {
+      fs.rmSync(this.directory, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = SummaryCache;
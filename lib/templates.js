@@ -9,29 +9,36 @@ class ChangelogTemplates {
   constructor() {
     this.templates = {
       standard: this.standardTemplate,
+      keepachangelog: this.keepAChangelogTemplate,
       'keep-a-changelog': this.keepAChangelogTemplate,
       simple: this.simpleTemplate,
       semantic: this.semanticTemplate,
       github: this.githubTemplate
     };
+
+    // Order in which commit categories are rendered; unknown categories follow
+    this.categoryOrder = [
+      'feat', 'fix', 'security', 'breaking', 'changed', 'deprecated', 'removed', 'docs', 'style',
+      'refactor', 'perf', 'test', 'chore', 'ci', 'build', 'deps', 'other'
+    ];
   }
 
   render(template, data) {
     if (typeof template === 'string') {
       template = this.templates[template] || this.templates.standard;
     }
-    let content = template(data);
-    
+    let content = template.call(this, data);
+
     // Add attribution footer unless disabled
     if (data.includeAttribution !== false) {
       content = this.addAttribution(content);
     }
-    
+
     return content;
   }
 
   addAttribution(content) {
-    const attribution = '\n---\n\n*Generated using [@entro314-labs/ai-changelog-generator](https://github.com/entro314-labs/AI-Git-Changelog-Generator) - AI-powered changelog generation for Git repositories*\n';
+    const attribution = '\n---\n\n*Generated using [ai-github-changelog-generator-cli-mcp](https://github.com/entro314-labs/AI-github-changelog-generator-cli-mcp) - AI-powered changelog generation for Git repositories*\n';
     return content + attribution;
   }
 
@@ -43,7 +50,13 @@ class ChangelogTemplates {
       changes = {},
       metadata = {},
       aiProvider,
-      summary
+      summary,
+      insights,
+      generationMetrics,
+      repository,
+      dependencies,
+      advisories,
+      contributors
     } = data;
 
     let content = `${title}\n\n`;
@@ -61,40 +74,80 @@ class ChangelogTemplates {
 
     // Add summary if available
     if (summary) {
-      content += `### Summary\n${summary}\n\n`;
+      content += `### 📋 Release Summary\n${summary}\n\n`;
+      if (insights) {
+        content += `**Business Impact**: ${insights.businessImpact}\n`;
+        content += `**Complexity**: ${insights.complexity}\n`;
+        if (insights.deploymentRequirements?.length > 0) {
+          content += `**Deployment Requirements**: ${insights.deploymentRequirements.join(', ')}\n`;
+        }
+        content += '\n';
+      }
     }
 
-    // Add changes by category
-    const categoryOrder = [
-      'feat', 'fix', 'docs', 'style', 'refactor',
-      'perf', 'test', 'chore', 'ci', 'build'
-    ];
+    // Add changes by category (or as a single list when grouping is disabled)
+    this.groupChanges(changes, metadata).forEach(({ category, entries }) => {
+      if (category) {
+        content += `### ${this.getCategoryName(category)}\n\n`;
+      }
+
+      entries.forEach(change => {
+        content += `- ${this.formatChange(change, metadata, repository, { emphasis: true })}\n`;
+        content += this.formatDetails(change);
+      });
+      content += '\n';
+    });
+
+    // Add detailed risk assessment if needed
+    if (insights && (insights.riskLevel !== 'low' || insights.breaking)) {
+      content += `### ⚠️ Risk Assessment\n`;
+      content += `**Risk Level:** ${insights.riskLevel.toUpperCase()}\n\n`;
 
-    for (const category of categoryOrder) {
-      if (changes[category] && changes[category].length > 0) {
-        const categoryName = this.getCategoryName(category);
-        content += `### ${categoryName}\n\n`;
-
-        changes[category].forEach(change => {
-          content += `- ${change.description}`;
-          if (change.hash && metadata.includeCommitHash) {
-            content += ` ([${change.hash.substring(0, 7)}](${change.commitUrl || '#'}))`;
-          }
-          if (change.author && metadata.includeAuthor) {
-            content += ` - ${change.author}`;
-          }
-          content += '\n';
-
-          if (change.details) {
-            content += `  ${change.details}\n`;
-          }
+      if (insights.breaking) {
+        content += `🚨 **Breaking Changes**: This release contains breaking changes. Please review migration notes above.\n\n`;
+      }
+
+      if (insights.deploymentRequirements?.length > 0) {
+        content += `📋 **Deployment Requirements**:\n`;
+        insights.deploymentRequirements.forEach(req => {
+          content += `- ${req}\n`;
         });
         content += '\n';
       }
     }
 
+    // Add affected areas
+    if (insights?.affectedAreas?.length > 0) {
+      content += `### 🎯 Affected Areas\n`;
+      insights.affectedAreas.forEach(area => {
+        content += `- ${area}\n`;
+      });
+      content += '\n';
+    }
+
+    if (advisories?.length > 0) {
+      content += `### 🛡️ Security\n\n${this.formatAdvisories(advisories)}\n`;
+    }
+
+    if (dependencies?.length > 0) {
+      content += `### 📦 Dependencies\n\n${this.formatDependencies(dependencies)}\n`;
+    }
+
+    if (contributors?.length > 0) {
+      content += `### 👥 Contributors\n\n${this.formatContributors(contributors)}\n`;
+    }
+
+    // Add generation metrics
+    if (generationMetrics) {
+      content += `### 📊 Generation Metrics\n`;
+      Object.entries(generationMetrics).forEach(([label, value]) => {
+        content += `- **${label}**: ${value}\n`;
+      });
+      content += '\n';
+    }
+
     // Add metadata section
-    if (metadata.totalCommits) {
+    if (metadata.totalCommits && !generationMetrics) {
       content += `---\n\n`;
       content += `*This changelog was generated from ${metadata.totalCommits} commits`;
       if (metadata.dateRange) {
@@ -111,7 +164,11 @@ class ChangelogTemplates {
       version = 'Unreleased',
       date = new Date().toISOString().split('T')[0],
       changes = {},
-      metadata = {}
+      metadata = {},
+      repository,
+      dependencies,
+      advisories,
+      contributors
     } = data;
 
     let content = `# Changelog\n\n`;
@@ -119,43 +176,80 @@ class ChangelogTemplates {
     content += `The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/),\n`;
     content += `and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).\n\n`;
 
-    content += `## [${version}] - ${date}\n\n`;
+    content += `## [${version || 'Unreleased'}] - ${date}\n\n`;
 
     // Map our categories to Keep a Changelog format
     const keepAChangelogCategories = {
       'Added': ['feat'],
-      'Changed': ['refactor', 'style'],
-      'Deprecated': [],
-      'Removed': [],
+      'Changed': ['breaking', 'changed', 'refactor', 'style', 'perf', 'deps'],
+      'Deprecated': ['deprecated'],
+      'Removed': ['removed'],
       'Fixed': ['fix'],
-      'Security': []
+      'Security': ['security']
     };
+    // Categories without a section of their own (docs, tests, chores, ...) are changes too
+    const sectioned = Object.values(keepAChangelogCategories).flat();
+    keepAChangelogCategories.Changed.push(...this.groupChanges(changes)
+      .map(({ category }) => category)
+      .filter(category => !sectioned.includes(category)));
 
     for (const [sectionName, categories] of Object.entries(keepAChangelogCategories)) {
       const sectionChanges = categories.flatMap(cat => changes[cat] || []);
+      // Fixed and introduced advisories belong with the security changes
+      const sectionAdvisories = sectionName === 'Security' ? advisories || [] : [];
 
-      if (sectionChanges.length > 0) {
+      if (sectionChanges.length > 0 || sectionAdvisories.length > 0) {
         content += `### ${sectionName}\n\n`;
         sectionChanges.forEach(change => {
-          content += `- ${change.description}\n`;
+          content += `- ${this.formatChange(change, metadata, repository)}\n`;
         });
+        content += sectionAdvisories.length > 0 ? this.formatAdvisories(sectionAdvisories) : '';
         content += '\n';
       }
     }
 
+    if (dependencies?.length > 0) {
+      content += `### Dependencies\n\n${this.formatDependencies(dependencies)}\n`;
+    }
+
+    if (contributors?.length > 0) {
+      content += `### Contributors\n\n${this.formatContributors(contributors)}\n`;
+    }
+
     return content;
   }
 
   simpleTemplate(data) {
-    const { changes = {}, date = new Date().toISOString().split('T')[0] } = data;
+    const {
+      version,
+      changes = {},
+      date = new Date().toISOString().split('T')[0],
+      metadata = {},
+      repository,
+      dependencies,
+      advisories,
+      contributors
+    } = data;
 
-    let content = `# Changes - ${date}\n\n`;
+    let content = `# ${version ? `Version ${version}` : 'Changes'} - ${date}\n\n`;
 
     const allChanges = Object.values(changes).flat();
     allChanges.forEach(change => {
-      content += `- ${change.description}\n`;
+      content += `- ${this.formatChange(change, metadata, repository)}\n`;
     });
 
+    if (advisories?.length > 0) {
+      content += `\nSecurity:\n${this.formatAdvisories(advisories)}`;
+    }
+
+    if (dependencies?.length > 0) {
+      content += `\nDependencies:\n${this.formatDependencies(dependencies)}`;
+    }
+
+    if (contributors?.length > 0) {
+      content += `\nContributors: ${contributors.map(contributor => this.formatContributorName(contributor)).join(', ')}\n`;
+    }
+
     return content;
   }
 
@@ -164,7 +258,12 @@ class ChangelogTemplates {
       version,
       date = new Date().toISOString().split('T')[0],
       changes = {},
-      breaking = []
+      breaking = [],
+      metadata = {},
+      repository,
+      dependencies,
+      advisories,
+      contributors
     } = data;
 
     let content = `# Release ${version || 'Next'} (${date})\n\n`;
@@ -181,22 +280,28 @@ class ChangelogTemplates {
       content += '\n';
     }
 
-    // Features
-    if (changes.feat && changes.feat.length > 0) {
-      content += `## ✨ Features\n\n`;
-      changes.feat.forEach(change => {
-        content += `- ${change.description}\n`;
+    // Features and bug fixes, then every other category; breaking commits are listed above
+    const headings = { feat: '✨ Features', fix: '🐛 Bug Fixes' };
+    this.groupChanges(changes)
+      .filter(({ category }) => category !== 'breaking' || breaking.length === 0)
+      .forEach(({ category, entries }) => {
+        content += `## ${headings[category] || this.getCategoryName(category)}\n\n`;
+        entries.forEach(change => {
+          content += `- ${this.formatChange(change, metadata, repository)}\n`;
+        });
+        content += '\n';
       });
-      content += '\n';
+
+    if (advisories?.length > 0) {
+      content += `## 🛡️ Security\n\n${this.formatAdvisories(advisories)}\n`;
     }
 
-    // Bug fixes
-    if (changes.fix && changes.fix.length > 0) {
-      content += `## 🐛 Bug Fixes\n\n`;
-      changes.fix.forEach(change => {
-        content += `- ${change.description}\n`;
-      });
-      content += '\n';
+    if (dependencies?.length > 0) {
+      content += `## 📦 Dependencies\n\n${this.formatDependencies(dependencies)}\n`;
+    }
+
+    if (contributors?.length > 0) {
+      content += `## 👥 Contributors\n\n${this.formatContributors(contributors)}\n`;
     }
 
     return content;
@@ -207,7 +312,11 @@ class ChangelogTemplates {
       version,
       date = new Date().toISOString().split('T')[0],
       changes = {},
-      repository
+      metadata = {},
+      repository,
+      dependencies,
+      advisories,
+      contributors
     } = data;
 
     let content = `## ${version ? `v${version}` : 'Latest Changes'} - ${date}\n\n`;
@@ -221,27 +330,175 @@ class ChangelogTemplates {
       refactor: '♻️',
       perf: '⚡',
       test: '🧪',
-      chore: '🔧'
+      chore: '🔧',
+      security: '🔐',
+      breaking: '💥',
+      changed: '🔄',
+      deprecated: '🕰️',
+      removed: '🗑️',
+      deps: '📦'
     };
 
-    Object.entries(changes).forEach(([category, categoryChanges]) => {
-      if (categoryChanges.length > 0) {
+    this.groupChanges(changes, metadata).forEach(({ category, entries }) => {
+      if (category) {
         const emoji = categoryEmojis[category] || '📝';
-        content += `### ${emoji} ${this.getCategoryName(category)}\n\n`;
-
-        categoryChanges.forEach(change => {
-          content += `- ${change.description}`;
-          if (change.hash && repository) {
-            content += ` ([${change.hash.substring(0, 7)}](${repository}/commit/${change.hash}))`;
-          }
-          if (change.pr) {
-            content += ` #${change.pr}`;
-          }
-          content += '\n';
-        });
+        content += `### ${emoji} ${this.getCategoryName(category).replace(/^\S+\s/, '')}\n\n`;
+      }
+
+      entries.forEach(change => {
+        content += `- ${this.formatChange(change, metadata, repository)}`;
+        // The PR number is already linked when the commit message references it
+        if (change.pr && !(change.references || []).some(reference => reference.label === `#${change.pr}`)) {
+          content += ` #${change.pr}`;
+        }
         content += '\n';
+      });
+      content += '\n';
+    });
+
+    if (advisories?.length > 0) {
+      content += `### 🛡️ Security\n\n${this.formatAdvisories(advisories)}\n`;
+    }
+
+    if (dependencies?.length > 0) {
+      content += `### 📦 Dependencies\n\n${this.formatDependencies(dependencies)}\n`;
+    }
+
+    if (contributors?.length > 0) {
+      content += `### 👥 Contributors\n\n${this.formatContributors(contributors)}\n`;
+    }
+
+    return content;
+  }
+
+  // Split changes into ordered category groups, or one ungrouped list when GROUP_BY_TYPE is off
+  groupChanges(changes, metadata = {}) {
+    const categories = [
+      ...this.categoryOrder.filter(category => changes[category]?.length > 0),
+      ...Object.keys(changes).filter(category => !this.categoryOrder.includes(category) && changes[category]?.length > 0)
+    ];
+
+    if (metadata.groupByType === false) {
+      const entries = categories.flatMap(category => changes[category]);
+      return entries.length > 0 ? [{ category: null, entries }] : [];
+    }
+
+    return categories.map(category => ({ category, entries: changes[category] }));
+  }
+
+  // Render a single change line, honouring the hash/author/date metadata switches
+  formatChange(change, metadata = {}, repository = null, options = {}) {
+    const scope = change.scope ? `${change.scope}: ` : '';
+    let line = options.emphasis ? `**${scope}${change.description}**` : `${scope}${change.description}`;
+
+    if (change.breaking) {
+      line += ' ⚠️ BREAKING CHANGE';
+    }
+    if (options.emphasis && (change.impact === 'critical' || change.impact === 'high')) {
+      line += ' 🔥';
+    }
+    if (change.references?.length > 0) {
+      line += ` (${this.formatReferences(change.references)})`;
+    }
+    if (change.hash && metadata.includeCommitHash) {
+      const commitUrl = change.commitUrl || (repository ? `${repository}/commit/${change.hash}` : null);
+      const shortHash = change.hash.substring(0, 7);
+      line += commitUrl ? ` ([${shortHash}](${commitUrl}))` : ` (${shortHash})`;
+    }
+    if (change.author && metadata.includeAuthor) {
+      line += ` - ${change.author}`;
+    }
+    if (change.date && metadata.includeDate) {
+      line += ` (${change.date})`;
+    }
+    if (options.emphasis && change.confidence) {
+      line += ` (${Math.round(change.confidence * 100)}%)`;
+    }
+
+    return line;
+  }
+
+  // Issue references as markdown links; trackers without a URL template render the bare label
+  formatReferences(references) {
+    return references
+      .map(reference => (reference.url ? `[${reference.label}](${reference.url})` : reference.label))
+      .join(', ');
+  }
+
+  // Dependency changes with their version deltas, flagging major upgrades; the ecosystem
+  // is named when a release touches more than one
+  formatDependencies(dependencies) {
+    const showEcosystem = new Set(dependencies.map(dependency => dependency.ecosystem)).size > 1;
+    const verbs = { added: 'Added', removed: 'Removed', upgraded: 'Upgraded', downgraded: 'Downgraded', changed: 'Changed' };
+
+    return dependencies.map(dependency => {
+      let line = `- ${verbs[dependency.change] || 'Changed'} \`${dependency.name}\``;
+      if (dependency.change === 'added') {
+        line += dependency.to ? ` ${dependency.to}` : '';
+      } else if (dependency.change === 'removed') {
+        line += dependency.from ? ` ${dependency.from}` : '';
+      } else {
+        line += ` ${dependency.from || '*'} → ${dependency.to || '*'}`;
+      }
+      if (showEcosystem) {
+        line += ` (${dependency.ecosystem})`;
+      }
+      if (dependency.major) {
+        line += ' ⚠️ major';
       }
+      return `${line}\n`;
+    }).join('');
+  }
+
+  // Known vulnerabilities fixed or introduced by dependency changes, linked to osv.dev
+  formatAdvisories(advisories) {
+    return advisories.map(advisory => {
+      const id = advisory.url ? `[${advisory.id}](${advisory.url})` : advisory.id;
+      const aliases = advisory.aliases?.length > 0 ? ` (${advisory.aliases.join(', ')})` : '';
+      const summary = advisory.summary ? `: ${advisory.summary}` : '';
+      const severity = advisory.severity && advisory.severity !== 'unknown' ? ` (${advisory.severity})` : '';
+
+      let change;
+      if (advisory.status === 'introduced') {
+        change = `⚠️ Introduces ${id}${aliases} with \`${advisory.package}\` ${advisory.to}`;
+      } else if (advisory.to === null) {
+        change = `Fixes ${id}${aliases} by removing \`${advisory.package}\` ${advisory.from}`;
+      } else {
+        change = `Fixes ${id}${aliases} by updating \`${advisory.package}\` ${advisory.from} → ${advisory.to}`;
+      }
+      return `- ${change}${summary}${severity}\n`;
+    }).join('');
+  }
+
+  // Contributor list, most active first, marking first-time contributors
+  formatContributors(contributors) {
+    return contributors.map(contributor => {
+      const counts = [];
+      if (contributor.commits > 0) {
+        counts.push(`${contributor.commits} commit${contributor.commits === 1 ? '' : 's'}`);
+      }
+      if (contributor.coAuthored > 0) {
+        counts.push(`${contributor.coAuthored} co-authored`);
+      }
+      const suffix = counts.length > 0 ? ` (${counts.join(', ')})` : '';
+      return `- ${this.formatContributorName(contributor)}${suffix}\n`;
+    }).join('');
+  }
+
+  formatContributorName(contributor) {
+    return contributor.firstTime ? `${contributor.name} 🎉 first contribution` : contributor.name;
+  }
+
+  formatDetails(change) {
+    let content = '';
+    const details = Array.isArray(change.details) ? change.details : (change.details ? [change.details] : []);
+
+    details.forEach(detail => {
+      content += `  - ${detail}\n`;
     });
+    if (change.migration) {
+      content += `  - **Migration**: ${change.migration}\n`;
+    }
 
     return content;
   }
@@ -262,7 +519,14 @@ class ChangelogTemplates {
       api: '🔌 API Changes',
       ui: '🎨 UI/UX',
       auth: '🔐 Authentication',
-      config: '⚙️ Configuration'
+      config: '⚙️ Configuration',
+      security: '🔐 Security',
+      breaking: '⚠️ Breaking Changes',
+      changed: '🔄 Changed',
+      deprecated: '🕰️ Deprecated',
+      removed: '🗑️ Removed',
+      deps: '📦 Dependencies',
+      other: '📝 Other Changes'
     };
 
     return categoryNames[category] || `📝 ${category.charAt(0).toUpperCase() + category.slice(1)}`;
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Tool Progress
+ * Progress and cancellation for one MCP tool call. Progress goes to the client as
+ * `notifications/progress` tied to the request's progress token (only when the client
+ * sent one); a `notifications/cancelled` for the request aborts its signal.
+ */
+
+class ToolProgress {
+  // `extra` is the request context the MCP SDK passes to request handlers
+  constructor(extra = {}) {
+    this.token = extra._meta?.progressToken;
+    this.sendNotification = extra.sendNotification || null;
+    this.signal = extra.signal || null;
+    this.progress = null;
+  }
+
+  get enabled() {
+    return this.token !== undefined && this.sendNotification !== null;
+  }
+
+  get cancelled() {
+    return Boolean(this.signal?.aborted);
+  }
+
+  // Send a progress notification. The protocol requires progress to increase with every
+  // notification, so values that don't are dropped; total and message are optional.
+  async report(progress, total = null, message = null) {
+    if (!this.enabled || (this.progress !== null && progress <= this.progress)) return;
+    this.progress = progress;
+
+    const params = { progressToken: this.token, progress };
+    if (total) params.total = total;
+    if (message) params.message = message;
+
+    try {
+      await this.sendNotification({ method: 'notifications/progress', params });
+    } catch (error) {
+      // A client that went away must not fail the tool call itself
+      console.warn(`⚠️  Could not send progress notification: ${error.message}`);
+    }
+  }
+
+  // Stop work the client has cancelled
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw ToolProgress.cancellationError(this.signal.reason);
+    }
+  }
+
+  // Progress callback and abort signal in the shape AIChangelogGenerator takes as options
+  generatorOptions() {
+    return {
+      onProgress: (progress, total, message) => this.report(progress, total, message),
+      signal: this.signal
+    };
+  }
+
+  static cancellationError(reason = null) {
+    const error = new Error(`Request cancelled${typeof reason === 'string' && reason ? `: ${reason}` : ''}`);
+    error.cancelled = true;
+    return error;
+  }
+
+  static isCancellation(error) {
+    return Boolean(error?.cancelled);
+  }
+}
+
+module.exports = ToolProgress;
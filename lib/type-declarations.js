@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * Type Declarations
+ * Compares the public type declarations of TypeScript sources and .d.ts files
+ * between two refs and classifies each change as compatible or breaking.
+ *
+ * Declared types are treated as inputs (options, arguments, modes): narrowing one
+ * rejects values that used to type-check and is breaking, widening it is compatible.
+ * Return types, exported constants and class properties are checked both ways: a
+ * wider type hands callers values they don't handle, and a narrower one breaks code
+ * that implements or overrides the declaration.
+ */
+
+const { parse } = require('@babel/parser');
+const ApiSurface = require('./api-surface');
+const CommitLoader = require('./commit-loader');
+
+const TYPESCRIPT_FILE_PATTERN = /\.(?:[cm]?tsx?)$/;
+const TOP_TYPES = ['any', 'unknown'];
+
+// Generated declaration bundles can be large; anything beyond this is not compared
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+class TypeDeclarations {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+  }
+
+  // TypeScript sources and declaration files whose exported types count as public
+  static isDeclarationFile(filePath) {
+    return TYPESCRIPT_FILE_PATTERN.test(filePath || '') && ApiSurface.isSourceFile(filePath);
+  }
+
+  // Type changes between two refs: { file, symbol, change, detail, breaking }, breaking first.
+  // Without a base ref (the first release) there is nothing to compare against.
+  async compare(before, after = 'HEAD') {
+    if (!before) return [];
+
+    const files = this.gitManager.execGitSafe(['diff', '--name-status', '--end-of-options', before, after])
+      .split('\n')
+      .filter(Boolean)
+      .map(line => CommitLoader.parseRawLine(line))
+      .filter(file => file && TypeDeclarations.isDeclarationFile(file.filePath));
+    if (files.length === 0) return [];
+
+    const reads = files.map(file => ({
+      file,
+      before: file.status.startsWith('A') ? null : `${before}:${file.oldPath || file.filePath}`,
+      after: file.status.startsWith('D') ? null : `${after}:${file.filePath}`
+    }));
+    const blobs = await this.gitManager.readBlobs(reads.flatMap(read => [read.before, read.after].filter(Boolean)), { maxBytes: MAX_FILE_BYTES });
+
+    const changes = reads.flatMap(({ file, before: beforeSpec, after: afterSpec }) => {
+      const beforeDeclarations = beforeSpec ? TypeDeclarations.declarationsOf(blobs.get(beforeSpec) || '', file.oldPath || file.filePath) : new Map();
+      const afterDeclarations = afterSpec ? TypeDeclarations.declarationsOf(blobs.get(afterSpec) || '', file.filePath) : new Map();
+      if (!beforeDeclarations || !afterDeclarations) return [];
+      return TypeDeclarations.diff(beforeDeclarations, afterDeclarations, file.filePath);
+    });
+
+    return changes.sort((a, b) => Number(b.breaking) - Number(a.breaking));
+  }
+
+  // Exported name -> declaration for a TypeScript source, or null when it doesn't parse. A .d.ts
+  // file without imports or exports declares globals, so all of its declarations are public.
+  static declarationsOf(source, filePath) {
+    let ast;
+    try {
+      ast = parse(source, { sourceType: 'module', plugins: ApiSurface.parserPlugins(filePath) });
+    } catch (error) {
+      return null;
+    }
+
+    const statements = ast.program.body;
+    const isModule = statements.some(statement => /^(Import|Export|TSExportAssignment)/.test(statement.type));
+    return TypeDeclarations.collect(statements, source, !isModule && /\.d\.[cm]?ts$/.test(filePath));
+  }
+
+  // Declarations exported by a list of statements (a module or a namespace body)
+  static collect(statements, source, everythingPublic = false) {
+    const locals = new Map();
+    const exported = new Map();
+
+    const add = (map, name, declaration) => {
+      const existing = map.get(name);
+      // Overload signatures collect into one function; an implementation after them isn't public
+      if (existing?.kind === 'function' && declaration.kind === 'function') {
+        if (!declaration.implementation) {
+          existing.signatures = existing.implementation ? declaration.signatures : [...existing.signatures, ...declaration.signatures];
+          existing.implementation = false;
+        }
+        return;
+      }
+      map.set(name, declaration);
+    };
+
+    const declare = (node, target) => {
+      if (node.type === 'VariableDeclaration') {
+        node.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => add(target, declarator.id.name, TypeDeclarations.describe(declarator, source)));
+        return;
+      }
+      const name = ApiSurface.keyName(node.id);
+      const declaration = name && TypeDeclarations.describe(node, source);
+      if (declaration) add(target, name, declaration);
+    };
+
+    statements.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+        declare(statement.declaration, exported);
+        declare(statement.declaration, locals);
+      } else if (!statement.type.startsWith('Export') && statement.type !== 'TSExportAssignment') {
+        declare(statement, everythingPublic ? exported : locals);
+        if (everythingPublic) declare(statement, locals);
+      }
+    });
+
+    // "export { A }", "export default A" and "export = A" name local declarations
+    statements.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        (statement.specifiers || []).forEach(specifier => {
+          const local = locals.get(specifier.local.name);
+          if (local) exported.set(ApiSurface.keyName(specifier.exported), local);
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration' || statement.type === 'TSExportAssignment') {
+        const node = statement.declaration || statement.expression;
+        const declaration = node.type === 'Identifier' ? locals.get(node.name) : TypeDeclarations.describe(node, source);
+        if (declaration) exported.set('default', declaration);
+      }
+    });
+
+    return exported;
+  }
+
+  // A declaration's comparable shape, or null for statements that declare nothing public
+  static describe(node, source) {
+    const value = node.type === 'VariableDeclarator' ? node.init : node;
+
+    switch (node.type) {
+      case 'TSInterfaceDeclaration':
+        return {
+          kind: 'interface',
+          members: TypeDeclarations.membersOf(node.body.body, source, true),
+          bases: (node.extends || []).map(base => ApiSurface.text(source, base))
+        };
+      case 'TSTypeAliasDeclaration':
+        return node.typeAnnotation.type === 'TSTypeLiteral'
+          ? { kind: 'type', members: TypeDeclarations.membersOf(node.typeAnnotation.members, source, true), bases: [] }
+          : { kind: 'type', type: TypeDeclarations.typeOf(node.typeAnnotation, source) };
+      case 'TSEnumDeclaration':
+        return {
+          kind: 'enum',
+          values: new Map((node.members || node.body?.members || []).map(member => [ApiSurface.keyName(member.id), member.initializer ? ApiSurface.text(source, member.initializer) : null]))
+        };
+      case 'TSModuleDeclaration': {
+        let body = node.body;
+        while (body?.type === 'TSModuleDeclaration') body = body.body;
+        return { kind: 'namespace', declarations: TypeDeclarations.collect(body?.body || [], source, Boolean(node.declare || node.global)) };
+      }
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        return {
+          kind: 'class',
+          members: TypeDeclarations.membersOf(node.body.body, source, false),
+          bases: node.superClass ? [ApiSurface.text(source, node.superClass)] : []
+        };
+      case 'VariableDeclarator': {
+        if (value && /Function/.test(value.type)) {
+          return { kind: 'function', signatures: [TypeDeclarations.signatureOf(value, source)], implementation: true };
+        }
+        const annotation = node.id.typeAnnotation?.typeAnnotation;
+        return { kind: 'constant', type: annotation ? TypeDeclarations.typeOf(annotation, source) : null };
+      }
+      default:
+        if (/Function/.test(node.type)) {
+          return { kind: 'function', signatures: [TypeDeclarations.signatureOf(node, source)], implementation: node.type !== 'TSDeclareFunction' };
+        }
+        return null;
+    }
+  }
+
+  // Members of an interface, type literal or class. Interface and type literal members must be
+  // provided by every object of that type; class members are public API only.
+  static membersOf(nodes, source, structural) {
+    const members = new Map();
+    nodes.forEach(member => {
+      if (member.type.startsWith('ClassPrivate') || member.accessibility === 'private' || member.accessibility === 'protected' || member.computed) return;
+
+      let name = ApiSurface.keyName(member.key);
+      if (member.type === 'TSCallSignatureDeclaration') name = '()';
+      if (member.type === 'TSConstructSignatureDeclaration') name = 'new()';
+      if (member.type === 'TSIndexSignature') name = `[${(member.parameters || []).map(param => ApiSurface.text(source, param)).join(', ')}]`;
+      if (!name) return;
+
+      const isMethod = /Method|CallSignature|ConstructSignature/.test(member.type) && member.kind !== 'get' && member.kind !== 'set';
+      if (isMethod) {
+        const signature = TypeDeclarations.signatureOf(member, source);
+        const existing = members.get(name);
+        if (existing?.kind === 'method') {
+          // Overloads come first in a class; its implementation signature isn't public
+          if (member.type !== 'ClassMethod') existing.signatures.push(signature);
+        } else {
+          members.set(name, { kind: 'method', optional: Boolean(member.optional), structural, signatures: [signature] });
+        }
+        return;
+      }
+
+      // Getters carry their type as a return type; a getter without a setter is read-only
+      const annotation = member.kind === 'get' ? member.returnType || member.typeAnnotation : member.typeAnnotation;
+      members.set(name, {
+        kind: 'property',
+        optional: Boolean(member.optional),
+        readonly: Boolean(member.readonly) || (member.kind === 'get' && !nodes.some(other => other.kind === 'set' && ApiSurface.keyName(other.key) === name)),
+        structural,
+        type: annotation?.typeAnnotation ? TypeDeclarations.typeOf(annotation.typeAnnotation, source) : null
+      });
+    });
+    return members;
+  }
+
+  // { params: [{ name, optional, rest, type }], returns, text } for functions, methods and call signatures
+  static signatureOf(node, source) {
+    const params = (node.params || node.parameters || []).map(param => {
+      const target = param.type === 'TSParameterProperty' ? param.parameter : param;
+      const binding = target.type === 'AssignmentPattern' ? target.left : target;
+      const rest = binding.type === 'RestElement';
+      const annotation = binding.typeAnnotation?.typeAnnotation;
+      const name = rest ? ApiSurface.keyName(binding.argument) : ApiSurface.keyName(binding);
+      return {
+        name: name || '{…}',
+        optional: target.type === 'AssignmentPattern' || Boolean(binding.optional),
+        rest,
+        type: annotation ? TypeDeclarations.typeOf(annotation, source) : null
+      };
+    });
+    const returnNode = (node.returnType || node.typeAnnotation)?.typeAnnotation;
+    const returns = returnNode ? TypeDeclarations.typeOf(returnNode, source) : null;
+
+    return {
+      params,
+      returns,
+      text: `(${params.map(param => `${param.rest ? '...' : ''}${param.name}${param.optional ? '?' : ''}${param.type ? `: ${param.type.text}` : ''}`).join(', ')})${returns ? `: ${returns.text}` : ''}`
+    };
+  }
+
+  // { text, members }: the union members of a type, so "A | B" and "B | A" compare equal. Arrays
+  // and single-argument generics such as Promise<T> also keep their element type.
+  static typeOf(node, source) {
+    const unwrap = type => (type.type === 'TSParenthesizedType' ? unwrap(type.typeAnnotation) : type);
+    const flatten = type => {
+      const inner = unwrap(type);
+      return inner.type === 'TSUnionType' ? inner.types.flatMap(flatten) : [ApiSurface.text(source, inner)];
+    };
+    const type = { text: ApiSurface.text(source, node), members: [...new Set(flatten(node))].sort() };
+
+    const inner = unwrap(node);
+    const typeArguments = (inner.typeParameters || inner.typeArguments)?.params || [];
+    if (inner.type === 'TSArrayType') {
+      return { ...type, wrapper: '[]', element: TypeDeclarations.typeOf(inner.elementType, source) };
+    }
+    if (inner.type === 'TSTypeReference' && typeArguments.length === 1) {
+      return { ...type, wrapper: ApiSurface.text(source, inner.typeName), element: TypeDeclarations.typeOf(typeArguments[0], source) };
+    }
+    return type;
+  }
+
+  // 'same', 'widened', 'narrowed' or 'changed' (neither accepts all values of the other)
+  static relation(before, after) {
+    const same = before.members.length === after.members.length && before.members.every(member => after.members.includes(member));
+    if (same) return 'same';
+    if (before.wrapper && before.wrapper === after.wrapper) return TypeDeclarations.relation(before.element, after.element);
+    if (after.members.some(member => TOP_TYPES.includes(member))) return 'widened';
+    if (before.members.some(member => TOP_TYPES.includes(member))) return 'narrowed';
+    if (before.members.every(member => after.members.includes(member))) return 'widened';
+    if (after.members.every(member => before.members.includes(member))) return 'narrowed';
+    return 'changed';
+  }
+
+  // Changes between two declaration maps of one file: { file, symbol, change, detail, breaking }
+  static diff(before, after, file, prefix = '') {
+    const changes = [];
+    const report = (symbol, change, detail, breaking) => changes.push({ file, symbol: `${prefix}${symbol}`, change, detail, breaking });
+
+    before.forEach((declaration, name) => {
+      if (!after.has(name)) report(name, 'removed', `${declaration.kind} removed`, true);
+    });
+
+    after.forEach((declaration, name) => {
+      const previous = before.get(name);
+      if (!previous) {
+        report(name, 'added', `${declaration.kind} added`, false);
+        return;
+      }
+
+      // An interface and an object type alias are interchangeable; other kind changes are not
+      if (previous.kind !== declaration.kind && !(previous.members && declaration.members && previous.kind !== 'class' && declaration.kind !== 'class')) {
+        report(name, 'changed', `changed from ${previous.kind} to ${declaration.kind}`, true);
+        return;
+      }
+
+      if (declaration.members) {
+        previous.bases.filter(base => !declaration.bases.includes(base)).forEach(base => report(name, 'changed', `no longer extends \`${base}\``, true));
+        declaration.bases.filter(base => !previous.bases.includes(base)).forEach(base => report(name, 'changed', `now extends \`${base}\``, previous.kind !== 'class'));
+        changes.push(...TypeDeclarations.diffMembers(previous.members, declaration.members, file, `${prefix}${name}.`));
+      } else if (declaration.kind === 'type' || declaration.kind === 'constant') {
+        TypeDeclarations.compareTypes(previous.type, declaration.type, declaration.kind === 'constant' ? 'output' : 'input', (detail, breaking) => report(name, 'changed', detail, breaking), 'type');
+      } else if (declaration.kind === 'function') {
+        TypeDeclarations.compareSignatures(previous.signatures, declaration.signatures, (detail, breaking) => report(name, 'changed', detail, breaking));
+      } else if (declaration.kind === 'enum') {
+        previous.values.forEach((value, member) => {
+          if (!declaration.values.has(member)) report(`${name}.${member}`, 'removed', 'enum member removed', true);
+          else if (declaration.values.get(member) !== value) report(`${name}.${member}`, 'changed', `value changed from \`${value}\` to \`${declaration.values.get(member)}\``, true);
+        });
+        declaration.values.forEach((value, member) => {
+          if (!previous.values.has(member)) report(`${name}.${member}`, 'added', 'enum member added', false);
+        });
+      } else if (declaration.kind === 'namespace') {
+        changes.push(...TypeDeclarations.diff(previous.declarations, declaration.declarations, file, `${prefix}${name}.`));
+      }
+    });
+
+    return changes;
+  }
+
+  static diffMembers(before, after, file, prefix) {
+    const changes = [];
+    const report = (name, change, detail, breaking) => changes.push({ file, symbol: `${prefix}${name}`, change, detail, breaking });
+
+    before.forEach((member, name) => {
+      if (!after.has(name)) report(name, 'removed', `${member.kind} removed`, true);
+    });
+
+    after.forEach((member, name) => {
+      const previous = before.get(name);
+      if (!previous) {
+        // Every object of an interface type must now provide a required member
+        const required = member.structural && !member.optional;
+        report(name, 'added', `${required ? 'required ' : ''}${member.kind} added`, required);
+        return;
+      }
+
+      const changed = (detail, breaking) => report(name, 'changed', detail, breaking);
+      if (previous.kind !== member.kind) {
+        changed(`changed from ${previous.kind} to ${member.kind}`, true);
+        return;
+      }
+      if (previous.optional && !member.optional) changed('now required', true);
+      if (!previous.optional && member.optional) changed('now optional', false);
+
+      if (member.kind === 'method') {
+        TypeDeclarations.compareSignatures(previous.signatures, member.signatures, changed);
+      } else {
+        if (!previous.readonly && member.readonly) changed('now readonly', true);
+        TypeDeclarations.compareTypes(previous.type, member.type, member.structural ? 'input' : 'output', changed, 'type');
+      }
+    });
+
+    return changes;
+  }
+
+  // Report a type change; inputs may widen, outputs may not change at all
+  static compareTypes(before, after, position, report, label) {
+    if (!before || !after) return;
+    const relation = TypeDeclarations.relation(before, after);
+    if (relation === 'same') return;
+
+    const breaking = position === 'output' || relation !== 'widened';
+    report(`${label} ${relation} from \`${before.text}\` to \`${after.text}\``, breaking);
+  }
+
+  static compareSignatures(before, after, report) {
+    if (before.length === 1 && after.length === 1) {
+      TypeDeclarations.compareSignature(before[0], after[0], report);
+      return;
+    }
+
+    // Overloads are matched by their full text
+    const afterTexts = after.map(signature => signature.text);
+    const beforeTexts = before.map(signature => signature.text);
+    before.filter(signature => !afterTexts.includes(signature.text)).forEach(signature => report(`overload \`${signature.text}\` removed`, true));
+    after.filter(signature => !beforeTexts.includes(signature.text)).forEach(signature => report(`overload \`${signature.text}\` added`, false));
+  }
+
+  static compareSignature(before, after, report) {
+    const count = Math.max(before.params.length, after.params.length);
+    for (let index = 0; index < count; index++) {
+      const previous = before.params[index];
+      const param = after.params[index];
+
+      if (!previous) {
+        // A new parameter can only be passed where a rest parameter used to collect it
+        if (before.params[before.params.length - 1]?.rest) continue;
+        const required = !param.optional && !param.rest;
+        report(`${required ? 'required' : 'optional'} parameter \`${param.name}\` added`, required);
+      } else if (!param) {
+        if (!previous.rest) report(`parameter \`${previous.name}\` removed`, true);
+      } else {
+        if (previous.optional && !param.optional && !param.rest) report(`parameter \`${param.name}\` is now required`, true);
+        if (!previous.optional && param.optional) report(`parameter \`${param.name}\` is now optional`, false);
+        TypeDeclarations.compareTypes(previous.type, param.type, 'input', report, `parameter \`${param.name}\``);
+      }
+    }
+
+    TypeDeclarations.compareTypes(before.returns, after.returns, 'output', report, 'return type');
+  }
+
+  // "`Options.timeout` in types/index.d.ts: property removed"
+  static describeChange(change) {
+    return `\`${change.symbol}\` in ${change.file}: ${change.detail}`;
+  }
+
+  // Changelog entries for the breaking type changes, listed with the breaking commits
+  static breakingEntries(changes = []) {
+    return changes.filter(change => change.breaking).map(change => ({
+      description: TypeDeclarations.describeChange(change),
+      scope: null,
+      breaking: true,
+      details: [],
+      migration: null,
+      references: []
+    }));
+  }
+}
+
+module.exports = TypeDeclarations;
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic Version Calculator
+ * Recommends the next release version from analyzed commits, including
+ * pre-release channels (-alpha.N, -beta.N, -rc.N) and 0.x semantics
+ */
+
+const SEMVER_PATTERN = /^(v?)(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+([0-9A-Za-z.-]+))?$/;
+const BUMP_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+class VersionCalculator {
+  // Parse "v1.2.3-rc.1" into its components; returns null for non-semver strings
+  static parse(version) {
+    if (!version || typeof version !== 'string') return null;
+
+    const match = version.trim().match(SEMVER_PATTERN);
+    if (!match) return null;
+
+    return {
+      prefix: match[1],
+      major: parseInt(match[2], 10),
+      minor: parseInt(match[3], 10),
+      patch: parseInt(match[4], 10),
+      prerelease: match[5] ? match[5].split('.').map(id => (/^\d+$/.test(id) ? parseInt(id, 10) : id)) : []
+    };
+  }
+
+  static format(version) {
+    const core = `${version.major}.${version.minor}.${version.patch}`;
+    return version.prerelease.length > 0 ? `${core}-${version.prerelease.join('.')}` : core;
+  }
+
+  // Semver precedence comparison (build metadata is ignored)
+  static compare(a, b) {
+    const left = typeof a === 'string' ? VersionCalculator.parse(a) : a;
+    const right = typeof b === 'string' ? VersionCalculator.parse(b) : b;
+
+    for (const field of ['major', 'minor', 'patch']) {
+      if (left[field] !== right[field]) {
+        return left[field] > right[field] ? 1 : -1;
+      }
+    }
+
+    // A version without pre-release identifiers has higher precedence
+    if (left.prerelease.length === 0 && right.prerelease.length === 0) return 0;
+    if (left.prerelease.length === 0) return 1;
+    if (right.prerelease.length === 0) return -1;
+
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+      const l = left.prerelease[i];
+      const r = right.prerelease[i];
+      if (l === undefined) return -1;
+      if (r === undefined) return 1;
+      if (l === r) continue;
+      if (typeof l === 'number' && typeof r === 'number') return l > r ? 1 : -1;
+      if (typeof l === 'number') return -1;
+      if (typeof r === 'number') return 1;
+      return l > r ? 1 : -1;
+    }
+    return 0;
+  }
+
+  // Pick the highest semver tag; non-semver tags are ignored
+  findLatestTag(tags = []) {
+    let latest = null;
+
+    tags.forEach(tag => {
+      const version = VersionCalculator.parse(tag);
+      if (version && (!latest || VersionCalculator.compare(version, latest.version) > 0)) {
+        latest = { tag, version };
+      }
+    });
+
+    return latest;
+  }
+
+  // Decide which bump a single analyzed commit requires and why
+  classifyCommit(commit) {
+    const aiSummary = commit.aiSummary || {};
+
+    if (commit.breaking) {
+      return { level: 'major', reason: 'breaking change marker in commit message' };
+    }
+    if (aiSummary.breaking) {
+      return { level: 'major', reason: 'analysis flagged a breaking change' };
+    }
+    if (aiSummary.scope === 'major') {
+      return { level: 'major', reason: 'analysis scope: major' };
+    }
+    if (commit.type === 'feat') {
+      return { level: 'minor', reason: 'new feature (feat)' };
+    }
+    if (aiSummary.scope === 'minor') {
+      return { level: 'minor', reason: 'analysis scope: minor' };
+    }
+    return { level: 'patch', reason: commit.type && commit.type !== 'other' ? `${commit.type} change` : 'other change' };
+  }
+
+  // Recommend the next version for a set of analyzed commits
+  recommend(commits = [], options = {}) {
+    const { currentVersion = null, currentTag = null, prerelease = null } = options;
+    const current = VersionCalculator.parse(currentVersion) || { prefix: '', major: 0, minor: 0, patch: 0, prerelease: [] };
+
+    const justification = { major: [], minor: [], patch: [] };
+    let bump = 'none';
+
+    commits.forEach(commit => {
+      const { level, reason } = this.classifyCommit(commit);
+      justification[level].push({
+        hash: commit.hash,
+        subject: commit.subject,
+        reason
+      });
+      if (BUMP_LEVELS.indexOf(level) > BUMP_LEVELS.indexOf(bump)) {
+        bump = level;
+      }
+    });
+
+    const notes = [];
+    let effectiveBump = bump;
+
+    // 0.x: anything may change, so breaking changes bump the minor and everything else the patch
+    if (current.major === 0 && bump !== 'none') {
+      effectiveBump = bump === 'major' ? 'minor' : 'patch';
+      if (effectiveBump !== bump) {
+        notes.push(`0.x release line: ${bump} changes are released as a ${effectiveBump} bump`);
+      }
+    }
+
+    let next = bump === 'none' ? null : this.increment(current, effectiveBump, prerelease, notes);
+
+    // A pre-release with nothing new on top can still be promoted to its stable version
+    if (!next && current.prerelease.length > 0 && !prerelease) {
+      next = { ...current, prerelease: [] };
+      notes.push(`Graduating pre-release ${VersionCalculator.format(current)} to a stable release`);
+    }
+
+    return {
+      current: currentVersion ? VersionCalculator.format(current) : null,
+      currentTag,
+      next: next ? VersionCalculator.format(next) : null,
+      nextTag: next ? `${current.prefix || (currentTag ? '' : 'v')}${VersionCalculator.format(next)}` : null,
+      bump,
+      effectiveBump,
+      prerelease,
+      totalCommits: commits.length,
+      justification,
+      notes
+    };
+  }
+
+  increment(current, level, channel, notes) {
+    const base = { major: current.major, minor: current.minor, patch: current.patch, prerelease: [] };
+
+    if (current.prerelease.length > 0 && this.containsBump(current, level)) {
+      // The pre-release already carries this bump: graduate it, or advance/switch the channel
+      if (!channel) {
+        notes.push(`Graduating pre-release ${VersionCalculator.format(current)} to a stable release`);
+        return base;
+      }
+      const [currentChannel, counter] = current.prerelease;
+      if (currentChannel === channel && typeof counter === 'number') {
+        return { ...base, prerelease: [channel, counter + 1] };
+      }
+      notes.push(`Switching pre-release channel to "${channel}"`);
+      return { ...base, prerelease: [channel, 0] };
+    }
+
+    if (level === 'major') {
+      base.major++;
+      base.minor = 0;
+      base.patch = 0;
+    } else if (level === 'minor') {
+      base.minor++;
+      base.patch = 0;
+    } else {
+      base.patch++;
+    }
+
+    if (channel) {
+      base.prerelease = [channel, 0];
+    }
+    return base;
+  }
+
+  // Whether a pre-release version (e.g. 2.0.0-rc.1) already includes a bump of this level
+  containsBump(version, level) {
+    const contained = version.patch === 0 ? (version.minor === 0 ? 'major' : 'minor') : 'patch';
+    return BUMP_LEVELS.indexOf(level) <= BUMP_LEVELS.indexOf(contained);
+  }
+}
+
+module.exports = VersionCalculator;
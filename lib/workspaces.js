@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Workspaces
+ * Discovers the packages of a monorepo (npm, yarn and pnpm workspaces, Lerna,
+ * Nx and Turborepo) and maps changed files to the package that contains them
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Lerna's default when lerna.json lists no packages
+const LERNA_DEFAULT_PATTERNS = ['packages/*'];
+
+class Workspaces {
+  constructor({ root = process.cwd(), tools = [], packages = [] } = {}) {
+    this.root = root;
+    this.tools = tools;
+    // Deepest directories first, so nested packages win over their parents
+    this.packages = [...packages].sort((a, b) => b.dir.length - a.dir.length || a.name.localeCompare(b.name));
+  }
+
+  // Packages of the git manager's repository; an empty Workspaces otherwise
+  static discover(gitManager) {
+    const root = gitManager.execGitSafe(['rev-parse', '--show-toplevel'], { quiet: true }).trim() || gitManager.cwd || process.cwd();
+    const { tools, patterns } = Workspaces.readConfig(root);
+    if (tools.length === 0) return new Workspaces({ root });
+
+    // Only tracked manifests count, which also keeps node_modules and build output out
+    const manifests = gitManager.execGitSafe(
+      ['ls-files', '-z', '--full-name', '--', ':(top,glob)**/package.json', ':(top,glob)**/project.json'],
+      { cwd: root, quiet: true }
+    ).split('\0').filter(Boolean);
+
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(Workspaces.globToRegExp);
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => Workspaces.globToRegExp(pattern.slice(1)));
+    const projectDirs = new Set(manifests.filter(file => path.posix.basename(file) === 'project.json').map(file => path.posix.dirname(file)));
+
+    const packages = new Map();
+    manifests.forEach(manifest => {
+      const dir = path.posix.dirname(manifest);
+      if (dir === '.' || packages.has(dir)) return;
+
+      // Nx projects are any directory with a project.json; everything else must match a workspace pattern
+      const isNxProject = tools.includes('nx') && projectDirs.has(dir);
+      const matches = include.some(pattern => pattern.test(dir)) && !exclude.some(pattern => pattern.test(dir));
+      if (!isNxProject && !matches) return;
+
+      const pkg = Workspaces.readPackage(root, dir);
+      if (pkg) packages.set(dir, pkg);
+    });
+
+    return new Workspaces({ root, tools, packages: [...packages.values()] });
+  }
+
+  // Workspace tools in use and the package directory patterns they declare
+  static readConfig(root) {
+    const readJson = file => {
+      const filePath = path.join(root, file);
+      if (!fs.existsSync(filePath)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Could not parse ${file}: ${error.message}`);
+        return null;
+      }
+    };
+
+    const tools = [];
+    const patterns = [];
+    const rootPackage = readJson('package.json') || {};
+
+    // npm and yarn: "workspaces": [...] or { "packages": [...] }
+    const workspaces = Array.isArray(rootPackage.workspaces) ? rootPackage.workspaces : rootPackage.workspaces?.packages;
+    if (Array.isArray(workspaces)) {
+      tools.push(fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm');
+      patterns.push(...workspaces);
+    }
+
+    const pnpmWorkspace = path.join(root, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspace)) {
+      tools.push('pnpm');
+      patterns.push(...Workspaces.parsePnpmWorkspace(fs.readFileSync(pnpmWorkspace, 'utf8')));
+    }
+
+    const lerna = readJson('lerna.json');
+    if (lerna) {
+      tools.push('lerna');
+      // useWorkspaces defers to the package manager's list
+      if (!lerna.useWorkspaces || !Array.isArray(workspaces)) {
+        patterns.push(...(Array.isArray(lerna.packages) ? lerna.packages : LERNA_DEFAULT_PATTERNS));
+      }
+    }
+
+    const nx = readJson('nx.json');
+    if (nx) {
+      tools.push('nx');
+      const layout = nx.workspaceLayout || {};
+      patterns.push(`${layout.appsDir || 'apps'}/**`, `${layout.libsDir || 'libs'}/**`);
+    }
+
+    // Turborepo runs on top of the package manager's workspaces
+    if (fs.existsSync(path.join(root, 'turbo.json')) && tools.length > 0) {
+      tools.push('turbo');
+    }
+
+    return { tools, patterns: [...new Set(patterns)] };
+  }
+
+  // The "packages:" list of pnpm-workspace.yaml
+  static parsePnpmWorkspace(content) {
+    const patterns = [];
+    let inPackages = false;
+    (content || '').split('\n').forEach(line => {
+      const text = line.replace(/\s+#.*$/, '');
+      if (/^packages:\s*$/.test(text)) {
+        inPackages = true;
+      } else if (/^\S/.test(text)) {
+        inPackages = false;
+      } else if (inPackages) {
+        const match = text.match(/^\s*-\s*(['"]?)(.+?)\1\s*$/);
+        if (match) patterns.push(match[2]);
+      }
+    });
+    return patterns;
+  }
+
+  // Directory glob ("packages/*", "apps/**", "./tools/cli/") as an anchored RegExp
+  static globToRegExp(pattern) {
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+    const source = normalized.split('/').map(segment => {
+      if (segment === '**') return '.*';
+      return segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    }).join('/');
+    return new RegExp(`^${source}$`);
+  }
+
+  // { name, version, dir, private } from the package.json (or Nx project.json) in dir
+  static readPackage(root, dir) {
+    for (const file of ['package.json', 'project.json']) {
+      const manifestPath = path.join(root, dir, file);
+      if (!fs.existsSync(manifestPath)) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return {
+          name: manifest.name || path.posix.basename(dir),
+          version: manifest.version || null,
+          dir,
+          private: Boolean(manifest.private)
+        };
+      } catch (error) {
+        console.warn(`⚠️  Could not parse ${path.posix.join(dir, file)}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  get isMonorepo() {
+    return this.packages.length > 0;
+  }
+
+  // Package by name or directory
+  find(nameOrDir) {
+    const dir = (nameOrDir || '').replace(/^\.\//, '').replace(/\/+$/, '');
+    return this.packages.find(pkg => pkg.name === nameOrDir) || this.packages.find(pkg => pkg.dir === dir) || null;
+  }
+
+  // Innermost package containing a repository-relative file path
+  packageForFile(filePath) {
+    return this.packages.find(pkg => filePath.startsWith(`${pkg.dir}/`)) || null;
+  }
+
+  // Names of the packages touched by a set of files, in order of first appearance
+  packagesForFiles(filePaths) {
+    const names = filePaths.map(filePath => this.packageForFile(filePath)?.name).filter(Boolean);
+    return [...new Set(names)];
+  }
+
+  // Path of a file inside a package directory
+  resolve(pkg, file) {
+    return path.join(this.root, pkg.dir, file);
+  }
+}
+
+module.exports = Workspaces;
@@ -0,0 +1,137 @@
+/**
+ * Shared helpers for the test scripts: checks, a scratch git repository and a
+ * generator with its AI providers stubbed out
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const colors = require('../lib/colors');
+
+let failures = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(colors.successMessage(description));
+  } else {
+    console.log(colors.errorMessage(description));
+    failures++;
+  }
+}
+
+// check() that names both values when they differ
+function checkEqual(description, actual, expected) {
+  check(actual === expected ? description : `${description} (expected ${expected}, got ${actual})`, actual === expected);
+}
+
+// The error a promise rejects with, or null when it resolves
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Prints the summary line and exits non-zero when a check failed
+function finish(name) {
+  if (failures > 0) {
+    console.log('');
+    console.log(colors.errorMessage(`${failures} check(s) failed`));
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(colors.successMessage(`All ${name} checks passed`));
+}
+
+// Runs an async test script, then finish()es it; a thrown error fails the run
+function runChecks(name, run) {
+  run().then(() => finish(name)).catch(error => {
+    console.error(colors.errorMessage(`Test run failed: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+// Git in the working directory; returns trimmed stdout and throws on failure
+const git = (...args) => execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// Commits everything in the working tree; further arguments become body paragraphs
+function commitAll(...message) {
+  git('add', '-A');
+  git('commit', '-q', ...message.flatMap(paragraph => ['-m', paragraph]));
+}
+
+// A new git repository (branch main, test identity) in the temp directory, or in `parent`,
+// made the working directory
+function createTempRepository(name, parent = os.tmpdir()) {
+  const directory = fs.mkdtempSync(path.join(parent, `ai-changelog-${name}-`));
+  process.chdir(directory);
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'Tester');
+  return directory;
+}
+
+// Runs `task(directory)` in a temporary repository, then restores the working directory and removes it
+async function inTempRepository(name, task) {
+  const originalCwd = process.cwd();
+  let directory = null;
+  try {
+    directory = createTempRepository(name);
+    return await task(directory);
+  } finally {
+    process.chdir(originalCwd);
+    if (directory) fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// An AIChangelogGenerator built by its constructor in `fields.cwd` (default: the working directory),
+// with the AI providers stubbed out (rule-based unless `fields` sets hasAI and a provider), the
+// summary cache off and the constructor's console output silenced. Optional features (PR grouping,
+// contributors, workspace changelogs) are off unless `fields` turns them on.
+function createGenerator(fields = {}) {
+  // Loaded here so scripts that don't build a generator don't load it
+  const AIChangelogGenerator = require('../lib/ai-changelog-generator');
+  const ProviderManager = require('../lib/provider-manager');
+
+  const { loadProviders, getProvider } = ProviderManager.prototype;
+  const originalLog = console.log;
+  let generator;
+  try {
+    ProviderManager.prototype.loadProviders = () => ({});
+    ProviderManager.prototype.getProvider = () => ({ isAvailable: false });
+    console.log = () => {};
+    generator = new AIChangelogGenerator({ cwd: fields.cwd, noCache: true, noPrGrouping: true, noContributors: true, noWorkspaces: true });
+  } finally {
+    Object.assign(ProviderManager.prototype, { loadProviders, getProvider });
+    console.log = originalLog;
+  }
+
+  Object.assign(generator, fields);
+  if ('gitManager' in fields && !('gitExists' in fields)) {
+    generator.gitExists = Boolean(fields.gitManager?.isGitRepo);
+  }
+  return generator;
+}
+
+module.exports = {
+  check,
+  checkEqual,
+  rejection,
+  finish,
+  runChecks,
+  git,
+  writeFile,
+  commitAll,
+  createTempRepository,
+  inTempRepository,
+  createGenerator
+};
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Test runner
+ * Runs every test/test-*.js script in its own process and fails when any of them does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const colors = require('../lib/colors');
+
+const scripts = fs.readdirSync(__dirname)
+  .filter(file => /^test-.+\.js$/.test(file))
+  .sort();
+
+const failed = [];
+for (const script of scripts) {
+  console.log(colors.header(`\n▶ ${script}`));
+  const result = spawnSync(process.execPath, [path.join(__dirname, script)], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    failed.push(script);
+  }
+}
+
+console.log('');
+if (failed.length > 0) {
+  console.log(colors.errorMessage(`${failed.length} of ${scripts.length} test scripts failed: ${failed.join(', ')}`));
+  process.exit(1);
+}
+console.log(colors.successMessage(`All ${scripts.length} test scripts passed`));
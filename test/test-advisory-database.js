@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for offline OSV advisory matching
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdvisoryDatabase = require('../lib/advisory-database');
+const ChangelogTemplates = require('../lib/templates');
+const colors = require('../lib/colors');
+const { check, runChecks, git, writeFile, commitAll, createTempRepository, createGenerator } = require('./helpers');
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+const semver = (...events) => [{ type: 'SEMVER', events }];
+
+// OSV records as found in the npm, PyPI and Go exports
+function writeAdvisories(directory) {
+  writeFile(path.join(directory, 'npm', 'GHSA-lodash.json'), json({
+    id: 'GHSA-p6mc-m468-83gw',
+    aliases: ['CVE-2020-8203'],
+    summary: 'Prototype Pollution in lodash',
+    database_specific: { severity: 'HIGH' },
+    affected: [{ package: { ecosystem: 'npm', name: 'lodash' }, ranges: semver({ introduced: '0' }, { fixed: '4.17.21' }) }]
+  }));
+  writeFile(path.join(directory, 'npm', 'GHSA-minimist.json'), json({
+    id: 'GHSA-xvch-5gv4-984h',
+    summary: 'Prototype Pollution in minimist',
+    database_specific: { severity: 'CRITICAL' },
+    affected: [{ package: { ecosystem: 'npm', name: 'minimist' }, versions: ['1.2.5'], ranges: semver({ introduced: '1.0.0' }, { fixed: '1.2.6' }) }]
+  }));
+  writeFile(path.join(directory, 'npm', 'withdrawn.json'), json({
+    id: 'GHSA-withdrawn',
+    withdrawn: '2023-01-01T00:00:00Z',
+    affected: [{ package: { ecosystem: 'npm', name: 'lodash' }, ranges: semver({ introduced: '0' }) }]
+  }));
+  writeFile(path.join(directory, 'pypi', 'PYSEC-django.json'), json([{
+    id: 'PYSEC-2023-100',
+    details: 'SQL injection in Django.\nMore details.',
+    affected: [{ package: { ecosystem: 'PyPI', name: 'Django' }, ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '4.0' }, { last_affected: '4.2.1' }] }] }]
+  }]));
+  writeFile(path.join(directory, 'go', 'GO-2022-0001.json'), json({
+    id: 'GO-2022-0001',
+    summary: 'Path traversal in errors',
+    affected: [{
+      package: { ecosystem: 'Go', name: 'github.com/pkg/errors' },
+      ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }, { type: 'SEMVER', events: [{ fixed: '0.9.0' }, { introduced: '0.8.0' }] }]
+    }]
+  }));
+  writeFile(path.join(directory, 'broken.json'), '{ not json');
+  writeFile(path.join(directory, 'README.md'), '# not an advisory\n');
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Advisory Database\n'));
+
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-changelog-osv-'));
+  const advisoryDirectory = path.join(directory, 'osv');
+
+  try {
+    writeAdvisories(advisoryDirectory);
+
+    // Test 1: Affected versions
+    console.log(colors.subheader('Test 1: Affected versions'));
+    const lodashRange = { ranges: semver({ introduced: '0' }, { fixed: '4.17.21' }) };
+    check('Matches introduced/fixed ranges', AdvisoryDatabase.isAffected(lodashRange, '4.17.20') && !AdvisoryDatabase.isAffected(lodashRange, '4.17.21') &&
+      AdvisoryDatabase.isAffected(lodashRange, '^4.17.0'));
+    const lastAffected = { ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '4.0' }, { last_affected: '4.2.1' }] }] };
+    check('Includes last_affected versions', AdvisoryDatabase.isAffected(lastAffected, '4.2.1') && !AdvisoryDatabase.isAffected(lastAffected, '4.2.2') &&
+      !AdvisoryDatabase.isAffected(lastAffected, '3.2'));
+    check('Matches explicit versions and ignores GIT ranges', AdvisoryDatabase.isAffected({ versions: ['1.2.5'] }, 'v1.2.5') &&
+      !AdvisoryDatabase.isAffected({ ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }] }, '1.0.0'));
+    check('Sorts unordered events', AdvisoryDatabase.isAffected({ ranges: semver({ fixed: '0.9.0' }, { introduced: '0.8.0' }) }, 'v0.8.1') &&
+      !AdvisoryDatabase.isAffected({ ranges: semver({ fixed: '0.9.0' }, { introduced: '0.8.0' }) }, 'v0.9.1'));
+
+    // Test 2: Matching dependency changes
+    console.log(colors.subheader('\nTest 2: Matching dependency changes'));
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    const database = new AdvisoryDatabase(advisoryDirectory);
+    const matches = database.match([
+      { name: 'lodash', ecosystem: 'npm', from: '4.17.20', to: '4.17.21', change: 'upgraded', major: false },
+      { name: 'minimist', ecosystem: 'npm', from: null, to: '1.2.5', change: 'added', major: false },
+      { name: 'django', ecosystem: 'pip', from: '4.2.1', to: null, change: 'removed', major: false },
+      { name: 'github.com/pkg/errors', ecosystem: 'go', from: 'v0.9.1', to: 'v0.9.2', change: 'upgraded', major: false }
+    ]);
+    console.warn = originalWarn;
+
+    check('Reports fixed and introduced advisories', matches.map(match => `${match.status}:${match.id}`).join() ===
+      'introduced:GHSA-xvch-5gv4-984h,fixed:GHSA-p6mc-m468-83gw,fixed:PYSEC-2023-100');
+    check('Keeps advisory details', JSON.stringify(matches[1]) === JSON.stringify({
+      id: 'GHSA-p6mc-m468-83gw', aliases: ['CVE-2020-8203'], summary: 'Prototype Pollution in lodash', severity: 'high',
+      url: 'https://osv.dev/vulnerability/GHSA-p6mc-m468-83gw', package: 'lodash', ecosystem: 'npm', from: '4.17.20', to: '4.17.21', status: 'fixed'
+    }));
+    check('Normalizes PyPI names and falls back to the first details line', matches[2].package === 'django' && matches[2].summary === 'SQL injection in Django.');
+    check('Skips withdrawn advisories and unreadable files', !matches.some(match => match.id === 'GHSA-withdrawn') &&
+      warnings.length === 1 && warnings[0].includes('broken.json'));
+    check('Is disabled without OSV_ADVISORY_DIR', AdvisoryDatabase.fromConfig({ get: () => null }) === null &&
+      AdvisoryDatabase.fromConfig({ get: () => advisoryDirectory }).directory === advisoryDirectory);
+
+    // Test 3: Changelog and risk
+    console.log(colors.subheader('\nTest 3: Changelog and risk'));
+    createTempRepository('repo', directory);
+    writeFile('package.json', json({ name: 'app', dependencies: { lodash: '4.17.20' } }));
+    commitAll('feat: initial app');
+    writeFile('package.json', json({ name: 'app', dependencies: { lodash: '4.17.21', minimist: '1.2.5' } }));
+    commitAll('chore: update dependencies');
+
+    console.warn = () => {};
+    const generator = createGenerator({ groupByPR: true, advisoryDatabase: new AdvisoryDatabase(advisoryDirectory) });
+    const [update] = await generator.getCommitAnalyses([git('rev-parse', 'HEAD')]);
+    console.warn = originalWarn;
+
+    check('Attaches advisories to the commit analysis', update.advisories.map(advisory => advisory.id).join() === 'GHSA-xvch-5gv4-984h,GHSA-p6mc-m468-83gw');
+    check('Introduced vulnerabilities raise the risk assessment', update.riskAssessment.factors.includes('Introduces known vulnerabilities: GHSA-xvch-5gv4-984h (minimist 1.2.5)') &&
+      update.riskAssessment.score >= 6);
+
+    console.log = () => {};
+    const changelog = generator.buildChangelog([update], { summary: 'Release', riskLevel: 'low' }, '1.1.0');
+    console.log = originalLog;
+    check('Renders a Security section', changelog.includes('### 🛡️ Security\n\n') &&
+      changelog.includes('- ⚠️ Introduces [GHSA-xvch-5gv4-984h](https://osv.dev/vulnerability/GHSA-xvch-5gv4-984h) with `minimist` 1.2.5: Prototype Pollution in minimist (critical)\n') &&
+      changelog.includes('- Fixes [GHSA-p6mc-m468-83gw](https://osv.dev/vulnerability/GHSA-p6mc-m468-83gw) (CVE-2020-8203) by updating `lodash` 4.17.20 → 4.17.21: Prototype Pollution in lodash (high)\n'));
+
+    const templates = new ChangelogTemplates();
+    const data = { version: '1.1.0', date: '2025-01-01', changes: { security: [{ description: 'harden session cookies' }] }, breaking: [], metadata: {}, advisories: update.advisories, includeAttribution: false };
+    check('Every template renders advisories', templates.getAvailableTemplates().every(name => templates.render(name, data).includes('Introduces [GHSA-xvch-5gv4-984h]')));
+    const keepAChangelog = templates.render('keepachangelog', data);
+    check('Keep a Changelog lists advisories under Security', keepAChangelog.split('### Security').length === 2 &&
+      /### Security\n\n- harden session cookies\n- ⚠️ Introduces/.test(keepAChangelog));
+
+    const plain = createGenerator({ groupByPR: true });
+    const [withoutDatabase] = await plain.getCommitAnalyses([git('rev-parse', 'HEAD')]);
+    check('Skips matching without an advisory database', withoutDatabase.advisories.length === 0 &&
+      !plain.buildChangelog([withoutDatabase], { summary: 'Release', riskLevel: 'low' }, '1.1.0').includes('Security'));
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    process.chdir(originalCwd);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runChecks('advisory database', run);
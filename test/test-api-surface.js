@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for exported API surface diffing
+ */
+
+const ApiSurface = require('../lib/api-surface');
+const colors = require('../lib/colors');
+const { check, runChecks, git, writeFile, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const diffSources = (before, after, file = 'src/index.js') =>
+  ApiSurface.diff(ApiSurface.exportsOf(before, file), ApiSurface.exportsOf(after, file), file);
+
+const describeChanges = changes => changes.map(change =>
+  `${change.change}:${change.previousName ? `${change.previousName}>` : ''}${change.name}${change.breaking ? '!' : ''}`).join(',');
+
+async function run() {
+  console.log(colors.header('🧪 Testing API Surface\n'));
+
+  // Test 1: Exports
+  console.log(colors.subheader('Test 1: Exports'));
+  const esm = ApiSurface.exportsOf(`
+    export async function load(path, options = {}) {}
+    export const VERSION = '1.0.0', helpers = {};
+    export let counter = 0;
+    const format = (value, ...rest) => value;
+    export { format as formatValue };
+    export { parse } from './parser';
+    export * from './types';
+    export default class Client { constructor(url) {} request(method, path) {} #secret() {} get ready() { return true; } }
+  `, 'src/index.mjs');
+  check('Lists ES module exports', [...esm.keys()].join() === 'load,VERSION,helpers,counter,formatValue,parse,* from \'./types\',default');
+  check('Records kinds', ['load', 'VERSION', 'counter', 'formatValue', 'parse', 'default'].map(name => esm.get(name).kind).join() === 'function,constant,variable,function,reexport,class');
+  check('Records signatures with optional and rest parameters', esm.get('load').signature === '(path, options?)' && esm.get('load').required === 1 &&
+    esm.get('formatValue').signature === '(value, ...rest)' && esm.get('formatValue').total === Infinity);
+  check('Lists public class members', [...esm.get('default').members.keys()].join() === 'constructor,request,ready');
+
+  const commonJs = ApiSurface.exportsOf(`
+    class Generator { run(options) {} }
+    function helper(a, b) {}
+    module.exports = Generator;
+    module.exports.helper = helper;
+    exports.VERSION = '2';
+  `, 'lib/generator.js');
+  check('Lists CommonJS exports', [...commonJs.keys()].join() === 'default,helper,VERSION' &&
+    commonJs.get('default').kind === 'class' && commonJs.get('helper').signature === '(a, b)');
+  const objectExports = ApiSurface.exportsOf('function a(x) {}\nmodule.exports = { a, b() {}, c: 1 };', 'lib/index.cjs');
+  check('Lists module.exports object properties', [...objectExports.keys()].join() === 'a,b,c' && objectExports.get('a').signature === '(x)');
+
+  const typescript = ApiSurface.exportsOf(`
+    export interface Options { url: string }
+    export type Mode = 'fast' | 'safe';
+    export enum Level { Low, High }
+    export function connect(url: string, retries?: number): Promise<void> {}
+    export class Pool { private drain(): void {} protected size = 1; public acquire(timeout: number): void {} }
+  `, 'src/index.ts');
+  check('Parses TypeScript declarations', ['Options', 'Mode', 'Level', 'connect'].map(name => typescript.get(name).kind).join() === 'interface,type,enum,function' &&
+    typescript.get('connect').signature === '(url: string, retries?: number): Promise<void>' &&
+    [...typescript.get('Pool').members.keys()].join() === 'acquire');
+  check('Parses TSX and declaration files', ApiSurface.exportsOf('export const App = () => <div />;', 'src/App.tsx').get('App').kind === 'function' &&
+    ApiSurface.exportsOf('export declare function f(a: string): void;', 'index.d.ts').get('f').signature === '(a: string): void');
+  check('Returns null for sources that do not parse', ApiSurface.exportsOf('export function (', 'src/broken.js') === null);
+  check('Ignores tests and non-source files', ApiSurface.isSourceFile('src/a.ts') && !ApiSurface.isSourceFile('src/a.test.js') &&
+    !ApiSurface.isSourceFile('test/helpers.js') && !ApiSurface.isSourceFile('README.md'));
+
+  // Test 2: Diffs
+  console.log(colors.subheader('\nTest 2: Diffs'));
+  const before = `
+    export function load(path) { return read(path); }
+    export function save(path, data) { return write(path, data); }
+    export function close() {}
+    export const LIMIT = 10;
+    export class Store { get(key) {} put(key, value) {} }
+  `;
+  const after = `
+    export function load(path, options = {}) { return read(path); }
+    export function persist(path, data) { return write(path, data); }
+    export const close = 1;
+    export class Store { get(key, fallback) {} }
+    export function open() {}
+  `;
+  const changes = diffSources(before, after);
+  check('Reports removed, renamed, changed and added exports', describeChanges(changes) ===
+    'removed:LIMIT!,removed:Store.put!,renamed:save>persist!,changed:load,changed:close!,changed:Store.get!,added:open');
+  check('Keeps signatures for changed functions', JSON.stringify(changes.find(change => change.name === 'load')) === JSON.stringify({
+    file: 'src/index.js', name: 'load', previousName: null, kind: 'function', from: '(path)', to: '(path, options?)', change: 'changed', breaking: false
+  }));
+  check('Requiring more arguments or accepting fewer is breaking', describeChanges(diffSources('export function f(a, b) {}', 'export function f(a, b, c) {}')) === 'changed:f!' &&
+    describeChanges(diffSources('export function f(a, b = 1) {}', 'export function f(a) {}')) === 'changed:f!' &&
+    describeChanges(diffSources('export function f(a: string) {}', 'export function f(a: number) {}', 'src/f.ts')) === 'changed:f');
+  check('Ignores private members and unchanged exports', diffSources('export class A { #x() {} run() {} }', 'export class A { #y() {} run() {} }').length === 0);
+
+  const combined = ApiSurface.combine([
+    diffSources('export function a() {}', 'export function a() {}\nexport function tmp() {}'),
+    diffSources('export function a() {}\nexport function tmp() {}', 'export function a(x) {}'),
+    diffSources('export function a(x) {}', 'export function a(x, y) {}')
+  ]);
+  check('Combines a range of commits into net changes', describeChanges(combined) === 'changed:a!' && combined[0].from === '()' && combined[0].to === '(x, y)');
+
+  const notes = ApiSurface.migrationNotes(changes);
+  check('Writes migration notes for breaking changes', notes ===
+    '`LIMIT` was removed in src/index.js; `Store.put` was removed in src/index.js; `save` was renamed to `persist` in src/index.js; ' +
+    '`close` in src/index.js changed from a function to a constant; `Store.get` in src/index.js changed from `(key)` to `(key, fallback)`' && ApiSurface.migrationNotes(changes.filter(change => !change.breaking)) === null);
+
+  // Test 3: Commit analysis
+  console.log(colors.subheader('\nTest 3: Commit analysis'));
+  const originalLog = console.log;
+
+  await inTempRepository('api', async () => {
+    try {
+      writeFile('lib/client.js', 'class Client {\n  connect(url) {}\n  query(sql) {}\n}\n\nmodule.exports = Client;\n');
+      writeFile('test/client.test.js', 'module.exports.fixture = () => {};\n');
+      commitAll('feat: add client');
+      writeFile('lib/client.js', 'class Client {\n  connect(url, options) {}\n}\n\nmodule.exports = Client;\n');
+      writeFile('test/client.test.js', '// fixtures moved\n');
+      commitAll('refactor: simplify client');
+      writeFile('lib/client.js', 'class Client {\n  connect(url, options) {}\n  close() {}\n}\n\nmodule.exports = Client;\n');
+      commitAll('feat: close connections');
+
+      const hashes = git('rev-list', 'HEAD').split('\n');
+      const generator = createGenerator({ groupByPR: true });
+      let readBlobCalls = 0;
+      const readBlobs = generator.gitManager.readBlobs.bind(generator.gitManager);
+      generator.gitManager.readBlobs = (...args) => {
+        readBlobCalls++;
+        return readBlobs(...args);
+      };
+
+      const [addition, refactor] = await generator.getCommitAnalyses(hashes);
+      check('Reads sources through the shared cat-file process', readBlobCalls === 1);
+      check('Marks commits that break the API as breaking', refactor.breaking && !addition.breaking &&
+        describeChanges(refactor.apiChanges) === 'removed:Client.query!,changed:Client.connect!');
+      check('Adds API evidence to the risk assessment', refactor.riskAssessment.factors.includes('Breaking changes detected') &&
+        refactor.riskAssessment.factors.includes('Breaking API changes: Client.query, Client.connect'));
+      check('Matches per-commit analysis', JSON.stringify((await generator.getCommitAnalysis(hashes[1])).apiChanges) === JSON.stringify(refactor.apiChanges));
+
+      const summary = generator.generateRuleBasedSummary(refactor);
+      check('Uses removed APIs as migration notes', summary.migrationNotes ===
+        '`Client.query` was removed in lib/client.js; `Client.connect` in lib/client.js changed from `(url)` to `(url, options)`');
+
+      console.log = () => {};
+      const changelog = generator.buildChangelog([addition, refactor], { summary: 'Release', riskLevel: 'high', breaking: true }, '2.0.0');
+      console.log = originalLog;
+      check('Lists the evidence under breaking changes', changelog.includes('simplify client') &&
+        changelog.includes('**Migration**: `Client.query` was removed in lib/client.js; `Client.connect` in lib/client.js changed from `(url)` to `(url, options)`'));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('API surface', run);
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for incremental changelog merging
+ */
+
+const ChangelogDocument = require('../lib/changelog-document');
+const colors = require('../lib/colors');
+const { check, finish } = require('./helpers');
+
+const attribution = '---\n\n*Generated using [ai-github-changelog-generator-cli-mcp](https://github.com/entro314-labs/AI-github-changelog-generator-cli-mcp) - AI-powered changelog generation for Git repositories*\n';
+
+const existing = `# Changelog
+
+Hand-written intro that must survive.
+
+## [1.1.0] - 2025-05-01
+
+### 🚀 Features
+
+- Generated entry (abc1234)
+- Hand-edited note added after generation
+
+## [1.0.0] - 2025-04-01
+
+\`\`\`md
+## [9.9.9] - not a real heading inside a code block
+\`\`\`
+
+- Initial release
+
+${attribution}`;
+
+console.log(colors.header('🧪 Testing Changelog Document Merging\n'));
+
+// Test 1: Parsing
+console.log(colors.subheader('Test 1: Parsing'));
+const document = ChangelogDocument.parse(existing);
+check('Preamble keeps the hand-written intro', document.preamble.includes('Hand-written intro'));
+check('Finds both release sections', document.sections.length === 2);
+check('Sections are keyed by version', document.sections.map(s => s.key).join(',') === '1.1.0,1.0.0');
+check('Ignores headings inside code blocks', document.sections[1].body.includes('9.9.9'));
+check('Splits the attribution footer off the last section', document.footer.startsWith('---') && !document.sections[1].body.includes('Generated using'));
+
+// Test 2: Inserting a new release
+console.log(colors.subheader('\nTest 2: Inserting a new release'));
+const release = ChangelogDocument.parse(`# Changelog\n\n## [1.2.0] - 2025-06-01\n\n- New entry\n\n${attribution}`);
+const insertResult = document.merge(release);
+const merged = document.toString();
+check('Reports the inserted section', insertResult.inserted.join(',') === '1.2.0');
+check('New release is placed above older releases', merged.indexOf('[1.2.0]') < merged.indexOf('[1.1.0]'));
+check('Older hand edits are preserved', merged.includes('Hand-edited note added after generation'));
+check('Attribution footer appears exactly once', merged.split('*Generated using').length === 2);
+check('Attribution footer stays at the end', merged.trim().endsWith('Git repositories*'));
+
+// Test 3: Replacing an existing release
+console.log(colors.subheader('\nTest 3: Replacing an existing release'));
+const regenerated = ChangelogDocument.parse('# Changelog\n\n## [1.2.0] - 2025-06-02\n\n- Regenerated entry\n');
+const replaceResult = document.merge(regenerated);
+const replaced = document.toString();
+check('Reports the replaced section', replaceResult.replaced.join(',') === '1.2.0');
+check('Same-version section is replaced in place', replaced.includes('Regenerated entry') && !replaced.includes('- New entry'));
+check('No duplicate section is created', replaced.split('## [1.2.0]').length === 2);
+
+// Test 4: Unreleased sections and alternate heading styles
+console.log(colors.subheader('\nTest 4: Unreleased sections and heading styles'));
+check('Unversioned headings share the unreleased key', ChangelogDocument.getSectionKey('## [Unreleased] - 2025-06-01') === 'unreleased' &&
+  ChangelogDocument.getSectionKey('## Changes - 2025-06-01') === 'unreleased');
+check('Version headings from every template resolve to the version', ['## Version 2.0.0 - 2025-06-01', '## v2.0.0 - 2025-06-01', '# Release 2.0.0 (2025-06-01)']
+  .every(heading => ChangelogDocument.getSectionKey(heading) === '2.0.0'));
+const semantic = ChangelogDocument.parse('# Release 2.0.0 (2025-06-01)\n\n## ✨ Features\n\n- Entry\n');
+check('Level-1 release headings keep their subsections', semantic.sections.length === 1 && semantic.sections[0].body.includes('## ✨ Features'));
+
+// Test 5: Backfilling around existing releases
+console.log(colors.subheader('\nTest 5: Backfilling around existing releases'));
+const history = ChangelogDocument.parse('# Changelog\n\n## [Unreleased]\n\n- Pending\n\n## [2.0.0] - 2025-08-01\n\n- Major\n\n## [1.1.0] - 2025-05-01\n\n- Minor\n\n## [0.9.0] - 2025-01-01\n\n- Beta\n');
+// --all-releases merges the oldest release first and the unreleased changes last
+const backfill = ['1.0.0', '1.1.0', '1.2.0-rc.1', '1.2.0', '2.1.0'].map(version => ChangelogDocument.parse(`## [${version}] - 2025-01-01\n\n- Backfilled ${version}\n`));
+const backfillResults = [...backfill, ChangelogDocument.parse('## [Unreleased] - 2025-09-01\n\n- Regenerated\n')].map(incoming => history.merge(incoming));
+check('Places backfilled releases by version, newest first, under Unreleased', history.sections.map(section => section.key).join(',') ===
+  'unreleased,2.1.0,2.0.0,1.2.0,1.2.0-rc.1,1.1.0,1.0.0,0.9.0');
+check('Replaces regenerated sections in place', backfillResults[1].replaced.join() === '1.1.0' && backfillResults[5].replaced.join() === 'unreleased' &&
+  history.toString().includes('- Backfilled 1.1.0') && !history.toString().includes('- Minor') && history.toString().includes('- Major'));
+
+// Test 6: Empty documents
+console.log(colors.subheader('\nTest 6: Empty documents'));
+const empty = new ChangelogDocument();
+empty.merge(release);
+check('Merging into an empty document adopts the incoming preamble', empty.toString().startsWith('# Changelog\n\n## [1.2.0]'));
+
+finish('changelog document');
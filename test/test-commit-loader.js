@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for bulk commit loading
+ */
+
+const fs = require('fs');
+const CommitLoader = require('../lib/commit-loader');
+const colors = require('../lib/colors');
+const { check, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+// Root commit, edits, a rename, binary and oddly named files, a deletion, a large file and a merge
+function createHistory() {
+  fs.writeFileSync('app.js', 'function start() {\n  return 1;\n}\n');
+  fs.writeFileSync('legacy.js', 'module.exports = {};\n');
+  commitAll('feat: initial app');
+
+  fs.writeFileSync('app.js', 'function start() {\n  return 2;\n}\n\nfunction stop() {}\n');
+  fs.renameSync('legacy.js', 'old api.js');
+  fs.writeFileSync('logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+  fs.writeFileSync('say "hi".txt', 'héllo\n');
+  commitAll('feat(app): add stop', 'Adds a stop hook.\n\nRefs: #7');
+
+  fs.unlinkSync('old api.js');
+  fs.writeFileSync('data.json', `${JSON.stringify({ rows: 'x'.repeat(20000) })}\n`);
+  commitAll('chore: drop legacy api');
+
+  git('checkout', '-q', '-b', 'feature');
+  fs.writeFileSync('feature.js', 'export const feature = true;\n');
+  commitAll('feat: add feature flag');
+  git('checkout', '-q', 'main');
+  fs.appendFileSync('app.js', '// main\n');
+  // Late in the evening west of UTC, so the UTC day is the next one
+  process.env.GIT_AUTHOR_DATE = '2024-03-01T23:30:00-05:00';
+  commitAll('fix: note main');
+  delete process.env.GIT_AUTHOR_DATE;
+  git('merge', '-q', '--no-ff', 'feature', '-m', 'Merge branch feature');
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Commit Loader\n'));
+
+  // Test 1: Parsing
+  console.log(colors.subheader('Test 1: Parsing log output'));
+  check('Reads raw lines', JSON.stringify(CommitLoader.parseRawLine(':100644 100644 abc def R087\tsrc/a.js\tsrc/b.js')) === JSON.stringify({ status: 'R087', filePath: 'src/b.js', oldPath: 'src/a.js' }));
+  check('Unquotes C-quoted paths', CommitLoader.unquotePath('"say \\"hi\\"\\tx.txt"') === 'say "hi"\tx.txt' && CommitLoader.unquotePath('"caf\\303\\251.md"') === 'café.md' &&
+    CommitLoader.unquotePath('"🚀 \\"launch\\".md"') === '🚀 "launch".md');
+  check('Splits patches per file', CommitLoader.splitPatch(['diff --git a/a b/a', '+x', 'diff --git a/b b/b', '-y', '']).length === 2);
+
+  // Test 2: Parity with per-commit analysis
+  console.log(colors.subheader('\nTest 2: Parity with per-commit analysis'));
+  const originalWarn = console.warn;
+
+  await inTempRepository('loader', async () => {
+    try {
+      createHistory();
+      const hashes = git('rev-list', 'HEAD').split('\n');
+      const generator = createGenerator();
+
+      const calls = { execGit: 0, streamGit: 0, readBlobs: 0 };
+      ['execGit', 'streamGit', 'readBlobs'].forEach(method => {
+        const original = generator.gitManager[method].bind(generator.gitManager);
+        generator.gitManager[method] = (...args) => {
+          calls[method]++;
+          return original(...args);
+        };
+      });
+
+      const bulk = await generator.getCommitAnalyses(hashes);
+      check('Loads a range with one log stream and one cat-file process', calls.streamGit === 1 && calls.readBlobs === 1 && calls.execGit === 0);
+      check('Keeps the requested order', bulk.map(analysis => analysis.fullHash).join() === hashes.join());
+
+      console.warn = () => {};
+      const single = [];
+      for (const hash of hashes) {
+        single.push(await generator.getCommitAnalysis(hash));
+      }
+      console.warn = originalWarn;
+
+      const fields = ['subject', 'author', 'email', 'date', 'body', 'isMerge', 'type', 'scope', 'breaking'];
+      check('Matches commit metadata', bulk.every((analysis, index) => fields.every(field => analysis[field] === single[index][field])));
+      check('Matches diff stats', bulk.every((analysis, index) => JSON.stringify(analysis.diffStats) === JSON.stringify(single[index].diffStats)));
+      check('Matches trailers and derived assessments', bulk.every((analysis, index) =>
+        JSON.stringify([analysis.trailers, analysis.complexity, analysis.messageQuality]) ===
+        JSON.stringify([single[index].trailers, single[index].complexity, single[index].messageQuality])));
+
+      const sameFiles = bulk.every((analysis, index) => analysis.files.every(file => {
+        const other = single[index].files.find(candidate => candidate.filePath === file.filePath);
+        return other && file.status === other.status &&
+          file.diff.trim() === other.diff.trim() &&
+          file.beforeContent === other.beforeContent &&
+          file.afterContent === other.afterContent &&
+          file.complexity === other.complexity;
+      }));
+      check('Matches per-file diffs and content', sameFiles);
+
+      const byHash = Object.fromEntries(bulk.map(analysis => [analysis.subject, analysis]));
+      const renamed = byHash['feat(app): add stop'].files.find(file => file.status.startsWith('R'));
+      check('Keeps the new path of renamed files and reads their old content', renamed.filePath === 'old api.js' && renamed.beforeContent === 'module.exports = {};\n');
+      check('Handles quoted and non-ASCII paths', byHash['feat(app): add stop'].files.some(file => file.filePath === 'say "hi".txt' && file.afterContent === 'héllo\n'));
+      check('Reports binary files', byHash['feat(app): add stop'].files.some(file => file.filePath === 'logo.png' && file.diff.includes('Binary files')));
+      check('Truncates file content', byHash['chore: drop legacy api'].files.find(file => file.filePath === 'data.json').afterContent.length === 1000);
+      const lateCommit = byHash['fix: note main'];
+      const entry = generator.buildTemplateData([lateCommit], { summary: 'Release' }, '1.0.0').changes.fix[0];
+      check('Keeps the author\'s day for dates west of UTC', lateCommit.date === '2024-03-01T23:30:00-05:00' && entry.date === '2024-03-01');
+      check('Diffs merges against their first parent', byHash['Merge branch feature'].files.map(file => file.filePath).join() === 'feature.js');
+
+      // Test 3: Fallback
+      console.log(colors.subheader('\nTest 3: Fallback'));
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      const recovered = await generator.getCommitAnalyses(['0000000000000000000000000000000000000000', hashes[0]]);
+      console.warn = originalWarn;
+      check('Falls back to per-commit analysis when the stream fails', recovered.length === 1 && recovered[0].fullHash === hashes[0] && warnings.some(message => message.includes('Bulk commit loading failed')));
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+}
+
+runChecks('commit loader', run);
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for commit trailer and Conventional Commits footer parsing
+ */
+
+const fs = require('fs');
+const CommitTrailers = require('../lib/commit-trailers');
+const ChangelogTemplates = require('../lib/templates');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, runChecks, git, inTempRepository, createGenerator } = require('./helpers');
+
+function commitFile(file, ...message) {
+  fs.appendFileSync(file, `${message[0]}\n`);
+  git('add', file);
+  git('commit', '-q', ...message.flatMap(part => ['-m', part]));
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Commit Trailers\n'));
+
+  // Test 1: Footer parsing
+  console.log(colors.subheader('Test 1: Footer parsing'));
+  let trailers = CommitTrailers.parse([
+    '',
+    'Config files are now read from .app/config.',
+    '',
+    'Reviewed-by: Z <z@example.com>',
+    'Refs: #123, #456',
+    'BREAKING CHANGE: the config directory moved.',
+    'Move config.yml into .app/ before upgrading.',
+    'Acked-by: Ops'
+  ].join('\n'));
+  check('Finds every footer token', trailers.entries.map(entry => entry.token).join(',') === 'Reviewed-by,Refs,BREAKING CHANGE,Acked-by');
+  check('Keeps multi-line BREAKING CHANGE values until the next token', trailers.breakingChange === 'the config directory moved.\nMove config.yml into .app/ before upgrading.');
+  check('Splits Refs values', trailers.refs.join(',') === '#123,#456');
+  check('Collects Reviewed-by', trailers.reviewedBy[0] === 'Z <z@example.com>');
+  check('Reads custom trailers case-insensitively', CommitTrailers.get(trailers, 'acked-by')[0] === 'Ops');
+
+  trailers = CommitTrailers.parse('Fixes the parser #12\n\nNote: this paragraph is body text\nthat wraps.\n\nSee the docs for details.');
+  check('Ignores token-like lines in the body', trailers.entries.length === 0);
+
+  trailers = CommitTrailers.parse('Some context.\n\nBREAKING-CHANGE: drops Node 16\n\nUpgrade to Node 18 first.');
+  check('A BREAKING CHANGE footer can span paragraphs', trailers.breakingChange === 'drops Node 16\n\nUpgrade to Node 18 first.');
+  check('Uses the "Token #value" separator', CommitTrailers.parse('Closes #42').entries[0].value === '42');
+
+  // Test 2: Changelog overrides
+  console.log(colors.subheader('\nTest 2: Changelog overrides'));
+  const category = value => CommitTrailers.changelogCategory(CommitTrailers.parse(`Changelog: ${value}`));
+  check('Maps keep-a-changelog sections', category('added') === 'feat' && category('Fixed') === 'fix' && category('removed') === 'removed');
+  check('Accepts commit types', category('perf') === 'perf');
+  check('"skip" removes the commit', category('skip') === null);
+  check('Ignores unknown values', category('whatever') === undefined && CommitTrailers.changelogCategory(null) === undefined);
+
+  const merged = CommitTrailers.merge([CommitTrailers.parse('Refs: #1'), null, CommitTrailers.parse('Changelog: fixed\nRefs: #1, #2')]);
+  check('Merges trailers for pull requests', merged.refs.join(',') === '#1,#2' && merged.changelog === 'fixed');
+
+  // Test 3: Breaking changes and scope
+  console.log(colors.subheader('\nTest 3: Breaking changes and scope'));
+  const generator = createGenerator({ gitManager: null });
+  check('Detects "!" headers', generator.isBreakingChange('feat(api)!: drop v1', ''));
+  check('Detects BREAKING CHANGE footers', generator.isBreakingChange('feat: new config', '\nBREAKING CHANGE: config moved'));
+  check('Ignores "breaking change" in prose', !generator.isBreakingChange('fix: avoid breaking the build', '\nThis is not a breaking change.'));
+  check('Reads the scope from a Scope trailer', generator.extractCommitScope('fix typo', CommitTrailers.parse('Scope: parser')) === 'parser');
+
+  // Test 4: Commit analysis and changelog
+  console.log(colors.subheader('\nTest 4: Commit analysis and changelog'));
+  const originalLog = console.log;
+
+  await inTempRepository('trailers', async () => {
+    try {
+      commitFile('app.js', 'feat: load config from .app', 'BREAKING CHANGE: move config.yml into .app/');
+      commitFile('app.js', 'chore: bump lockfile', 'Changelog: skip');
+      commitFile('app.js', 'refactor: drop legacy exporter', 'Changelog: removed');
+      commitFile('app.js', 'feat: add dark mode');
+
+      const gitCommits = new GitManager().getCommits({ count: 0 });
+      check('GitManager commits carry trailers', gitCommits.find(commit => commit.subject === 'chore: bump lockfile').trailers.changelog === 'skip' &&
+        gitCommits.find(commit => commit.subject.startsWith('feat: load')).breaking);
+
+      const analyzer = createGenerator();
+      const hashes = await analyzer.getCommitsInRange(null, 'HEAD');
+      const analyses = [];
+      for (const hash of hashes) {
+        analyses.push(await analyzer.getCommitAnalysis(hash));
+      }
+      const breakingCommit = analyses.find(commit => commit.subject === 'feat: load config from .app');
+      check('Commit analyses carry parsed trailers', breakingCommit.trailers.breakingChange === 'move config.yml into .app/' && breakingCommit.breaking);
+
+      console.log = () => {};
+      const summarized = await analyzer.summarizeCommits(analyses);
+      console.log = originalLog;
+      check('Skipped commits are not summarized', summarized.find(commit => commit.subject === 'chore: bump lockfile').aiSummary === null);
+
+      const data = analyzer.buildTemplateData(summarized, { summary: '' }, '2.0.0');
+      const descriptions = Object.values(data.changes).flat().map(change => change.description);
+      check('Drops commits marked "Changelog: skip"', !descriptions.some(description => description.includes('lockfile')) && descriptions.length === 3);
+      check('Uses the Changelog trailer as the category', data.changes.removed?.length === 1);
+      check('Uses the BREAKING CHANGE footer as the migration note', data.changes.breaking[0].migration === 'move config.yml into .app/');
+
+      const keepAChangelog = new ChangelogTemplates().render('keepachangelog', { ...data, includeAttribution: false });
+      check('Renders overridden categories in their section', /### Removed\n\n- .*legacy exporter/.test(keepAChangelog));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('commit trailer', run);
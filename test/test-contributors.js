@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for contributor acknowledgements
+ */
+
+const fs = require('fs');
+const Contributors = require('../lib/contributors');
+const ChangelogTemplates = require('../lib/templates');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, runChecks, git, inTempRepository, createGenerator } = require('./helpers');
+
+function commitAs(name, email, file, ...message) {
+  fs.appendFileSync(file, `${name}\n`);
+  git('add', file);
+  git('-c', `user.name=${name}`, '-c', `user.email=${email}`, 'commit', '-q', ...message.flatMap(part => ['-m', part]));
+}
+
+// Alice and Dan contribute before v1.0.0; the range adds Alice under an old address, Bob and co-author Carol
+function createHistory() {
+  commitAs('Alice', 'alice@example.com', 'app.js', 'feat: initial app');
+  commitAs('Eve', 'eve@example.com', 'app.js', 'fix: typo', 'Co-authored-by: Dan <dan@example.com>');
+  git('tag', 'v1.0.0');
+  commitAs('alice', 'alice@old-laptop.local', 'app.js', 'fix: crash on start');
+  commitAs('Bob', 'bob@example.com', 'cart.js', 'feat: add cart', 'Co-authored-by: Carol <carol@example.com>\nCo-authored-by: Dan <dan@example.com>');
+  commitAs('Bob', 'bob@example.com', 'cart.js', 'test: cover cart');
+  fs.writeFileSync('.mailmap', 'Alice <alice@example.com> <alice@old-laptop.local>\n');
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Contributors\n'));
+
+  // Test 1: Parsing
+  console.log(colors.subheader('Test 1: Trailers and .mailmap'));
+  const coAuthors = Contributors.parseCoAuthors('feat: pairing\n\nCo-authored-by: Carol <carol@example.com>\nco-authored-by:  Dan Smith <dan@example.com>\nCo-authored-by: nobody');
+  check('Parses Co-authored-by trailers case-insensitively', coAuthors.length === 2 && coAuthors[1].name === 'Dan Smith' && coAuthors[1].email === 'dan@example.com');
+
+  const mailmap = Contributors.parseMailmap([
+    '# comment',
+    'Proper Name <commit@example.com>',
+    '<proper@example.com> <old@example.com>',
+    'Jane Doe <jane@example.com> <JANE@work.example.com>',
+    'Joe <joe@example.com> joe <shared@example.com>'
+  ].join('\n'));
+  check('Parses all four .mailmap forms', mailmap.length === 4 && mailmap[3].commitName === 'joe');
+
+  const contributors = new Contributors(null, { mailmap });
+  check('Replaces the name only', contributors.resolve({ name: 'pn', email: 'commit@example.com' }).name === 'Proper Name');
+  check('Replaces the email only', contributors.resolve({ name: 'Old', email: 'old@example.com' }).email === 'proper@example.com');
+  check('Matches commit emails case-insensitively', contributors.resolve({ name: 'J', email: 'jane@WORK.example.com' }).name === 'Jane Doe');
+  check('Matches name-qualified entries on the name', contributors.resolve({ name: 'Joe', email: 'shared@example.com' }).email === 'joe@example.com' &&
+    contributors.resolve({ name: 'Someone', email: 'shared@example.com' }).email === 'shared@example.com');
+
+  // Test 2: Collecting from a repository
+  console.log(colors.subheader('\nTest 2: Collecting contributors'));
+  const originalLog = console.log;
+
+  await inTempRepository('contributors', async () => {
+    try {
+      createHistory();
+      const gitManager = new GitManager();
+      const commits = gitManager.getCommits({ range: 'v1.0.0..HEAD', count: 0 });
+      check('GitManager commits carry co-authors', commits.some(commit => commit.coAuthors.length === 2));
+
+      const collected = new Contributors(gitManager).collect(commits);
+      const byName = name => collected.find(contributor => contributor.name === name);
+      check('Merges identities through .mailmap', collected.filter(contributor => contributor.name.toLowerCase() === 'alice').length === 1 && byName('Alice').email === 'alice@example.com');
+      check('Counts commits and co-authored commits', byName('Bob').commits === 2 && byName('Carol').coAuthored === 1 && byName('Dan').coAuthored === 1);
+      check('Orders by activity', collected[0].name === 'Bob');
+      check('Flags first-time contributors', byName('Bob').firstTime && byName('Carol').firstTime);
+      check('Knows earlier authors and co-authors', !byName('Alice').firstTime && !byName('Dan').firstTime);
+      check('Treats everyone as new when the range starts at the root', new Contributors(gitManager).collect(gitManager.getCommits({ count: 0 })).every(contributor => contributor.firstTime));
+
+      // Test 3: Rendering
+      console.log(colors.subheader('\nTest 3: Rendering'));
+      const templates = new ChangelogTemplates();
+      const data = {
+        version: '1.1.0',
+        date: '2025-01-01',
+        changes: { feat: [{ description: 'add cart' }] },
+        breaking: [],
+        metadata: {},
+        contributors: collected,
+        includeAttribution: false
+      };
+      const rendered = templates.getAvailableTemplates().map(name => templates.render(name, data));
+      check('Every template renders contributors', rendered.every(content => content.includes('Contributors') && content.includes('Carol 🎉 first contribution')));
+      check('Lists commit counts', templates.render('standard', data).includes('- Bob 🎉 first contribution (2 commits)') && templates.render('github', data).includes('- Carol 🎉 first contribution (1 co-authored)'));
+      check('Omits the section without contributors', !templates.render('standard', { ...data, contributors: null }).includes('Contributors'));
+
+      // Test 4: Generator integration
+      console.log(colors.subheader('\nTest 4: Generator integration'));
+      const generator = createGenerator({ gitManager, groupByPR: true });
+
+      const hashes = await generator.getCommitsInRange('v1.0.0', 'HEAD');
+      const analyses = [];
+      for (const hash of hashes) {
+        analyses.push(await generator.getCommitAnalysis(hash));
+      }
+      check('Commit analyses carry the author email and co-authors', analyses.some(analysis => analysis.email === 'bob@example.com' && analysis.coAuthors.length === 2));
+
+      console.log = () => {};
+      const entries = generator.groupCommitsByPR(analyses);
+      console.log = originalLog;
+
+      generator.includeContributors = true;
+      const templateData = generator.buildTemplateData(entries, { summary: '' }, '1.1.0');
+      check('Passes contributors to the templates', templateData.contributors.length === 4);
+
+      generator.includeContributors = false;
+      check('Can be turned off', generator.buildTemplateData(entries, { summary: '' }, '1.1.0').contributors === null);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('contributor', run);
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for dependency change detection
+ */
+
+const DependencyChanges = require('../lib/dependency-changes');
+const ChangelogTemplates = require('../lib/templates');
+const colors = require('../lib/colors');
+const { check, runChecks, git, writeFile, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+const entries = versions => JSON.stringify([...versions.entries()].sort());
+
+function commitFiles(files, message) {
+  Object.entries(files).forEach(([file, content]) => writeFile(file, content));
+  commitAll(message);
+}
+
+function packageLock(versions) {
+  const packages = { '': { name: 'app' } };
+  Object.entries(versions).forEach(([name, version]) => {
+    packages[`node_modules/${name}`] = { version };
+  });
+  return json({ name: 'app', lockfileVersion: 3, packages });
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Dependency Changes\n'));
+
+  // Test 1: Parsers
+  console.log(colors.subheader('Test 1: Manifest and lockfile parsers'));
+  check('Reads package.json dependency sections', entries(DependencyChanges.parsePackageJson(json({
+    dependencies: { react: '^18.2.0' }, devDependencies: { jest: '~29.0.0' }, peerDependencies: { react: '>=17' }
+  }))) === JSON.stringify([['jest', '~29.0.0'], ['react', '^18.2.0']]));
+  check('Reads top-level package-lock.json packages', entries(DependencyChanges.parsePackageLock(json({
+    lockfileVersion: 3,
+    packages: { '': {}, 'node_modules/react': { version: '18.2.0' }, 'node_modules/a/node_modules/react': { version: '16.0.0' }, 'node_modules/@types/node': { version: '20.1.0' } }
+  }))) === JSON.stringify([['@types/node', '20.1.0'], ['react', '18.2.0']]));
+  check('Reads lockfileVersion 1', entries(DependencyChanges.parsePackageLock(json({ lockfileVersion: 1, dependencies: { lodash: { version: '4.17.21' } } }))) === JSON.stringify([['lodash', '4.17.21']]));
+  check('Reads pnpm-lock.yaml v5, v6 and v9 keys', entries(DependencyChanges.parsePnpmLock([
+    "lockfileVersion: '9.0'",
+    'importers:',
+    '  .:',
+    '    dependencies:',
+    'packages:',
+    '  /left-pad/1.3.0_react@18.2.0:',
+    '    resolution: {integrity: sha512-x}',
+    "  '/@babel/core@7.22.0(supports-color@8.1.1)':",
+    '  react@18.2.0:',
+    '  react@17.0.2:',
+    'snapshots:',
+    '  vue@3.0.0:'
+  ].join('\n'))) === JSON.stringify([['@babel/core', '7.22.0'], ['left-pad', '1.3.0'], ['react', '18.2.0']]));
+  check('Reads classic and Berry yarn.lock entries', entries(DependencyChanges.parseYarnLock([
+    '# yarn lockfile v1',
+    '"@babel/core@^7.0.0", "@babel/core@^7.1.0":',
+    '  version "7.22.0"',
+    '  dependencies:',
+    '    debug "^4.1.0"',
+    '__metadata:',
+    '  version: 6',
+    '"lodash@npm:^4.17.0":',
+    '  version: 4.17.21'
+  ].join('\n'))) === JSON.stringify([['@babel/core', '7.22.0'], ['lodash', '4.17.21']]));
+  check('Reads requirements.txt pins and specifiers', entries(DependencyChanges.parseRequirements([
+    '# tools', 'Django==4.2.1', 'requests[socks] >= 2.28, <3 ; python_version > "3.8"', 'typing_extensions', '-r base.txt', 'git+https://example.com/x.git'
+  ].join('\n'))) === JSON.stringify([['django', '4.2.1'], ['requests', '>=2.28,<3'], ['typing-extensions', '']]));
+  check('Reads go.mod requirements and skips indirect ones', entries(DependencyChanges.parseGoMod([
+    'module example.com/app', 'require github.com/pkg/errors v0.9.1', 'require (', '\tgolang.org/x/text v0.14.0', '\tgithub.com/davecgh/go-spew v1.1.1 // indirect', ')'
+  ].join('\n'))) === JSON.stringify([['github.com/pkg/errors', 'v0.9.1'], ['golang.org/x/text', 'v0.14.0']]));
+  check('Reads Cargo.toml dependency tables', entries(DependencyChanges.parseCargoToml([
+    '[package]', 'version = "0.1.0"', '[dependencies]', 'serde = { version = "1.0", features = ["derive"] }', 'rand = "0.8" # rng',
+    '[target.\'cfg(unix)\'.dev-dependencies]', 'nix = "0.27"', '[build-dependencies.cc]', 'version = "1.0.83"', '[dependencies.local]', 'path = "../local"'
+  ].join('\n'))) === JSON.stringify([['cc', '1.0.83'], ['local', ''], ['nix', '0.27'], ['rand', '0.8'], ['serde', '1.0']]));
+  check('Recognizes dependency files by name', DependencyChanges.fileType('services/api/requirements-dev.txt')?.ecosystem === 'pip' &&
+    DependencyChanges.fileType('pnpm-lock.yaml').lockfile === true && DependencyChanges.fileType('src/package.ts') === null);
+
+  // Test 2: Version deltas
+  console.log(colors.subheader('\nTest 2: Version deltas'));
+  check('Flags major upgrades', JSON.stringify(DependencyChanges.classify('^17.0.2', '^18.0.0')) === JSON.stringify({ change: 'upgraded', major: true }));
+  check('Treats 0.x minor bumps as major', DependencyChanges.classify('v0.9.1', 'v0.10.0').major && !DependencyChanges.classify('0.9.1', '0.9.2').major);
+  check('Reports downgrades, range changes, additions and removals', DependencyChanges.classify('2.1.0', '2.0.0').change === 'downgraded' &&
+    DependencyChanges.classify('^1.2.0', '~1.2.0').change === 'changed' && DependencyChanges.classify(null, '1.0.0').change === 'added' &&
+    DependencyChanges.classify('1.0.0', null).change === 'removed');
+  const combined = DependencyChanges.combine([
+    [{ name: 'react', ecosystem: 'npm', from: '17.0.2', to: '18.0.0' }, { name: 'tmp', ecosystem: 'npm', from: null, to: '1.0.0' }],
+    [{ name: 'react', ecosystem: 'npm', from: '18.0.0', to: '18.2.0' }, { name: 'tmp', ecosystem: 'npm', from: '1.0.0', to: null }]
+  ]);
+  check('Combines commits into net changes', combined.length === 1 && combined[0].from === '17.0.2' && combined[0].to === '18.2.0' && combined[0].major);
+
+  // Test 3: Commit analysis
+  console.log(colors.subheader('\nTest 3: Commit analysis'));
+  const originalLog = console.log;
+
+  await inTempRepository('deps', async () => {
+    try {
+      commitFiles({
+        'package.json': json({ name: 'app', dependencies: { react: '^17.0.2', lodash: '^4.17.0' } }),
+        'package-lock.json': packageLock({ react: '17.0.2', lodash: '4.17.20', 'loose-envify': '1.4.0' }),
+        'go.mod': 'module example.com/app\n\nrequire github.com/pkg/errors v0.9.1\n'
+      }, 'feat: initial app');
+      commitFiles({
+        'package.json': json({ name: 'app', dependencies: { react: '^18.2.0', zod: '^3.22.0' } }),
+        'package-lock.json': packageLock({ react: '18.2.0', zod: '3.22.4', 'loose-envify': '1.5.0' }),
+        'src/index.js': 'module.exports = {};\n'
+      }, 'chore: upgrade react');
+      commitFiles({
+        'package-lock.json': packageLock({ react: '18.2.1', zod: '3.22.4', 'loose-envify': '1.5.0' }),
+        'go.mod': 'module example.com/app\n\nrequire github.com/pkg/errors v0.9.2\n'
+      }, 'fix(deps): patch react and errors');
+
+      const generator = createGenerator({ groupByPR: true });
+      const hashes = git('rev-list', 'HEAD').split('\n');
+      const analyses = await generator.getCommitAnalyses(hashes);
+      const [patch, upgrade, initial] = analyses;
+
+      check('Uses exact lockfile versions for declared dependencies', JSON.stringify(upgrade.dependencies.map(change => [change.name, change.change, change.from, change.to])) === JSON.stringify([
+        ['lodash', 'removed', '4.17.20', null], ['react', 'upgraded', '17.0.2', '18.2.0'], ['zod', 'added', null, '3.22.4']
+      ]));
+      check('Leaves transitive lockfile updates out', !upgrade.dependencies.some(change => change.name === 'loose-envify'));
+      check('Reports the first commit\'s dependencies as added', initial.dependencies.map(change => `${change.name}:${change.change}`).join() === 'github.com/pkg/errors:added,lodash:added,react:added');
+      check('Detects lockfile-only and go.mod changes', patch.dependencies.map(change => `${change.ecosystem}:${change.name} ${change.from} → ${change.to}`).join() === 'go:github.com/pkg/errors v0.9.1 → v0.9.2,npm:react 18.2.0 → 18.2.1');
+      check('Categorizes lockfiles as dependencies and keeps package.json as config', upgrade.files.find(file => file.filePath === 'package-lock.json').category === 'dependencies' &&
+        upgrade.files.find(file => file.filePath === 'package.json').category === 'config');
+      check('Major upgrades raise the risk assessment', upgrade.riskAssessment.factors.includes('Major dependency upgrades: react 17.0.2 → 18.2.0') &&
+        patch.riskAssessment.factors.includes('Dependency changes') && upgrade.riskAssessment.score > patch.riskAssessment.score);
+
+      const single = await generator.getCommitAnalysis(hashes[1]);
+      check('Per-commit analysis detects the same changes', JSON.stringify(single.dependencies) === JSON.stringify(upgrade.dependencies));
+
+      // Test 4: Changelog section
+      console.log(colors.subheader('\nTest 4: Changelog section'));
+      console.log = () => {};
+      const changelog = generator.buildChangelog(analyses.slice(0, 2), { summary: 'Release', riskLevel: 'low' }, '2.0.0');
+      console.log = originalLog;
+      check('Renders net changes in a Dependencies section', changelog.includes('### 📦 Dependencies\n\n') &&
+        changelog.includes('- Upgraded `react` 17.0.2 → 18.2.1 (npm) ⚠️ major\n') &&
+        changelog.includes('- Added `zod` 3.22.4 (npm)\n') &&
+        changelog.includes('- Removed `lodash` 4.17.20 (npm)\n') &&
+        changelog.includes('- Upgraded `github.com/pkg/errors` v0.9.1 → v0.9.2 (go)\n'));
+
+      const templates = new ChangelogTemplates();
+      const data = { version: '2.0.0', date: '2025-01-01', changes: { feat: [{ description: 'add cart' }] }, breaking: [], metadata: {}, dependencies: upgrade.dependencies, includeAttribution: false };
+      check('Every template renders dependencies', templates.getAvailableTemplates().every(name => templates.render(name, data).includes('Upgraded `react` 17.0.2 → 18.2.0 ⚠️ major')));
+      check('Omits the section without dependency changes', !templates.render('standard', { ...data, dependencies: [] }).includes('Dependencies'));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('dependency change', run);
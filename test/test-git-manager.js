@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shell-free git invocation layer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+function commitFile(file, content, message) {
+  fs.writeFileSync(file, content);
+  commitAll(message);
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Git Manager\n'));
+
+  const originalWarn = console.warn;
+
+  await inTempRepository('git', async directory => {
+    try {
+      commitFile('app.js', 'start()\n', 'feat: initial app');
+      commitFile('app.js', 'start()\nstop()\n', 'fix: stop cleanly; $(touch grep-pwned)');
+      git('tag', 'v1.0.0');
+      commitFile('big.txt', `${'x'.repeat(99)}\n`.repeat(15000), 'chore: add 1.5MB fixture');
+
+      const gitManager = new GitManager();
+
+      // Test 1: No shell
+      console.log(colors.subheader('Test 1: Arguments never reach a shell'));
+      const warnings = [];
+      console.warn = message => warnings.push(message);
+      gitManager.getCommits({ author: '"; touch author-pwned; echo "', grep: '$(touch grep-pwned)`touch tick-pwned`', count: 0 });
+      gitManager.getCommits({ branch: 'main; touch branch-pwned', count: 0 });
+      gitManager.getCommits({ range: '--output=option-pwned', count: 0 });
+      console.warn = originalWarn;
+      const pwned = fs.readdirSync(directory).filter(file => file.endsWith('-pwned'));
+      check('Shell metacharacters in filters are inert', pwned.length === 0);
+      check('Passes filter values to git unchanged', gitManager.getCommits({ grep: '$(touch grep-pwned)', count: 0 }).length === 1 &&
+        gitManager.getCommits({ author: 'Tester', count: 0 }).length === 3 &&
+        gitManager.getCommits({ author: '"; touch author-pwned; echo "', count: 0 }).length === 0);
+      check('Rejects refs that look like options', !gitManager.validateCommitHash('--output=option-pwned') && warnings.length === 2);
+      check('Requires argument arrays', (() => {
+        try {
+          gitManager.execGit('git status');
+          return false;
+        } catch (error) {
+          return error instanceof TypeError;
+        }
+      })());
+
+      // Test 2: Output size and errors
+      console.log(colors.subheader('\nTest 2: Output size and errors'));
+      const large = gitManager.execGit(['show', 'HEAD:big.txt']);
+      check('Returns output larger than 1MB', large.length === 1500000);
+
+      let failure = null;
+      try {
+        gitManager.execGit(['show', 'HEAD:missing.txt']);
+      } catch (error) {
+        failure = error;
+      }
+      check('Errors carry the exit code and stderr', failure && failure.exitCode === 128 && /missing\.txt/.test(failure.stderr) && failure.args[1] === 'HEAD:missing.txt');
+      check('Error messages name the command and the first stderr line', failure && failure.message.startsWith('git show HEAD:missing.txt failed (exit 128): fatal:'));
+      check('execGitSafe returns an empty string quietly when asked', gitManager.execGitSafe(['rev-parse', 'no-such-ref'], { quiet: true }) === '');
+      check('execGitShow treats missing paths as normal', gitManager.execGitShow(['show', 'v1.0.0:big.txt']) === null);
+
+      // Test 3: Streaming
+      console.log(colors.subheader('\nTest 3: Streaming'));
+      const lines = [];
+      for await (const line of gitManager.streamGit(['show', 'HEAD:big.txt'])) {
+        lines.push(line);
+      }
+      check('Streams records across chunk boundaries', lines.length === 15000 && lines.every(line => line.length === 99));
+
+      const streamed = [];
+      for await (const commit of gitManager.streamCommits({ range: 'v1.0.0..HEAD', count: 0 })) {
+        streamed.push(commit);
+      }
+      check('streamCommits yields parsed commits', streamed.length === 1 && streamed[0].subject === 'chore: add 1.5MB fixture' && streamed[0].type === 'chore');
+
+      const all = [];
+      for await (const commit of gitManager.streamCommits({ count: 0 })) {
+        all.push(commit);
+      }
+      check('streamCommits matches getCommits', all.map(commit => commit.hash).join() === gitManager.getCommits({ count: 0 }).map(commit => commit.hash).join());
+
+      let first = null;
+      for await (const line of gitManager.streamGit(['show', 'HEAD:big.txt'])) {
+        first = line;
+        break;
+      }
+      check('Stops git when the consumer stops early', first !== null);
+
+      let streamFailure = null;
+      try {
+        for await (const line of gitManager.streamGit(['log', 'no-such-ref'])) {
+          void line;
+        }
+      } catch (error) {
+        streamFailure = error;
+      }
+      const blobs = await gitManager.readBlobs(['HEAD:app.js', 'HEAD:missing.txt', 'HEAD:big.txt'], { maxBytes: 10 });
+      check('Reads many blobs through one cat-file process', blobs.get('HEAD:app.js') === 'start()\nst' &&
+        blobs.get('HEAD:missing.txt') === null && blobs.get('HEAD:big.txt') === 'xxxxxxxxxx');
+
+      check('Stream failures throw after git exits', streamFailure && streamFailure.exitCode === 128 && /no-such-ref/.test(streamFailure.stderr));
+
+      // Test 4: Repository directory
+      console.log(colors.subheader('\nTest 4: Repository directory'));
+      process.chdir(os.tmpdir());
+      const elsewhere = new GitManager({ cwd: directory });
+      const subjects = [];
+      for await (const subject of elsewhere.streamGit(['log', '--format=%s'])) {
+        subjects.push(subject);
+      }
+      const blob = (await elsewhere.readBlobs(['HEAD:app.js'])).get('HEAD:app.js');
+      check('Runs git in the given directory instead of the working directory', elsewhere.getCommits({ count: 0 }).length === 3 &&
+        subjects.length === 3 && blob === 'start()\nstop()\n' && process.cwd() === fs.realpathSync(os.tmpdir()));
+      process.chdir(directory);
+
+      // Test 5: Tag dates
+      console.log(colors.subheader('\nTest 5: Tag dates'));
+      process.env.GIT_COMMITTER_DATE = '2024-03-01T23:30:00-05:00';
+      git('tag', '-a', 'v1.1.0', '-m', 'Release 1.1.0');
+      delete process.env.GIT_COMMITTER_DATE;
+      const releaseDate = gitManager.getTagDate('v1.1.0');
+      check('Tag dates are the tagger\'s day, not the UTC one', releaseDate === '2024-03-01');
+
+      const generator = createGenerator({ gitManager });
+      const changelog = generator.buildChangelog([], { summary: 'Release', riskLevel: 'low' }, '1.1.0', releaseDate);
+      check('Changelogs show the tag\'s day', changelog.includes('2024-03-01') && !changelog.includes('2024-03-02') &&
+        generator.formatCommitDate('2024-03-01T23:30:00-05:00') === '2024-03-01');
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+}
+
+runChecks('git manager', run);
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for issue tracker reference extraction and linking
+ */
+
+const fs = require('fs');
+const IssueReferences = require('../lib/issue-references');
+const ChangelogTemplates = require('../lib/templates');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const configWith = settings => ({ get: key => ({ ISSUE_LINKS_ENABLED: true, ...settings })[key] ?? null });
+
+const githubRemote = new GitManager().parseRemoteUrl('git@github.com:acme/shop.git');
+
+async function run() {
+  console.log(colors.header('🧪 Testing Issue References\n'));
+
+  // Test 1: GitHub defaults from the remote
+  console.log(colors.subheader('Test 1: Remote defaults'));
+  let references = IssueReferences.fromConfig(configWith({}), githubRemote);
+  let found = references.extract('fix(cart): keep totals in sync (#12)', 'Fixes #34, see also #12.\nPart of ACME-9');
+  check('Finds each GitHub reference once, in order', found.map(reference => reference.id).join(',') === '12,34');
+  check('Links to the remote repository issues', found[0].url === 'https://github.com/acme/shop/issues/12' && found[0].label === '#12');
+  check('Flags closing keywords', found[1].closes === true && found[0].closes === false);
+  check('Ignores Jira-style keys until Jira is configured', !found.some(reference => reference.tracker === 'jira'));
+  check('Ignores anchors and URL fragments', references.extract('docs: link to README#12 and https://x.dev/a#3').length === 0);
+
+  const gitlabRemote = new GitManager().parseRemoteUrl('https://gitlab.com/acme/shop.git');
+  found = IssueReferences.fromConfig(configWith({}), gitlabRemote).extract('Closes #5');
+  check('Uses GitLab issue URLs for GitLab remotes', found[0].tracker === 'gitlab' && found[0].url === 'https://gitlab.com/acme/shop/-/issues/5');
+  check('Links nothing without a remote or configuration', IssueReferences.fromConfig(configWith({}), null).extract('Fixes #5').length === 0);
+  check('Can be disabled', IssueReferences.fromConfig(configWith({ ISSUE_LINKS_ENABLED: false }), githubRemote).extract('Fixes #5').length === 0);
+
+  // Test 2: Configured trackers
+  console.log(colors.subheader('\nTest 2: Configured trackers'));
+  references = IssueReferences.fromConfig(configWith({
+    ISSUE_GITHUB_URL: 'https://github.example.com/{owner}/{repo}/issues/{id}',
+    ISSUE_JIRA_URL: 'https://acme.atlassian.net/browse/{id}',
+    ISSUE_JIRA_PATTERN: '\\b((?:ACME|OPS)-\\d+)\\b',
+    ISSUE_LINEAR_URL: 'https://linear.app/acme/issue/{id}',
+    ISSUE_LINEAR_TEAMS: 'ENG',
+    ISSUE_TRACKERS: JSON.stringify([{ name: 'zendesk', pattern: 'ZD#(\\d+)', url: 'https://acme.zendesk.com/tickets/{id}', label: 'ZD-{id}' }])
+  }), githubRemote);
+  found = references.extract('feat: bulk pricing [ACME-42]', 'Resolves ENG-7 and OPS-3. Reported in ZD#991.');
+  const byTracker = tracker => found.filter(reference => reference.tracker === tracker);
+  check('Honours URL overrides with placeholders', references.extract('#8')[0].url === 'https://github.example.com/acme/shop/issues/8');
+  check('Links Jira keys matching the configured pattern', byTracker('jira').map(reference => reference.id).join(',') === 'ACME-42,OPS-3' && byTracker('jira')[0].url === 'https://acme.atlassian.net/browse/ACME-42');
+  check('Links Linear keys of the configured teams', byTracker('linear').length === 1 && byTracker('linear')[0].url === 'https://linear.app/acme/issue/ENG-7' && byTracker('linear')[0].closes);
+  check('Supports custom trackers and labels', byTracker('zendesk').length === 1 && byTracker('zendesk')[0].label === 'ZD-991');
+  check('Custom ZD#991 is not also read as a GitHub issue', byTracker('github').length === 0);
+
+  const bothTrackers = settings => IssueReferences.fromConfig(configWith({
+    ISSUE_JIRA_URL: 'https://acme.atlassian.net/browse/{id}',
+    ISSUE_LINEAR_URL: 'https://linear.app/acme/issue/{id}',
+    ...settings
+  }), null);
+  const trackerOf = (references, id) => references.extract(`fix: ${id}`)[0].tracker;
+  references = bothTrackers({ ISSUE_LINEAR_TEAMS: 'ENG, DES' });
+  check('With both trackers, Linear takes its team keys and Jira the rest', trackerOf(references, 'ENG-7') === 'linear' && trackerOf(references, 'DES-2') === 'linear' && trackerOf(references, 'ACME-42') === 'jira');
+  references = bothTrackers({ ISSUE_LINEAR_PATTERN: '\\b(LIN-\\d+)\\b' });
+  check('With both trackers, ISSUE_LINEAR_PATTERN also separates the keys', trackerOf(references, 'LIN-1') === 'linear' && trackerOf(references, 'ENG-7') === 'jira');
+
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  references = bothTrackers({});
+  check('With both trackers, Linear without teams is skipped with a warning', warnings.length === 1 && references.trackers.map(tracker => tracker.name).join(',') === 'jira' && trackerOf(references, 'ENG-7') === 'jira');
+  warnings.length = 0;
+  const custom = IssueReferences.parseCustomTrackers('[{"name":"bad","pattern":"("},{"pattern":"x"}]');
+  IssueReferences.parseCustomTrackers('not json');
+  console.warn = originalWarn;
+  check('Skips invalid custom trackers with a warning', custom.length === 0 && warnings.length === 3);
+
+  check('Merges references without duplicates', IssueReferences.merge(found, found.slice(0, 2)).length === found.length);
+
+  // Test 3: Rendering
+  console.log(colors.subheader('\nTest 3: Rendering'));
+  const templates = new ChangelogTemplates();
+  const change = {
+    description: 'keep totals in sync',
+    hash: 'abcdef1234567',
+    pr: 12,
+    references: [
+      { tracker: 'github', id: '12', label: '#12', url: 'https://github.com/acme/shop/issues/12', closes: false },
+      { tracker: 'jira', id: 'ACME-9', label: 'ACME-9', url: null, closes: false }
+    ]
+  };
+  const data = { version: '1.0.0', date: '2025-01-01', changes: { fix: [change] }, breaking: [], metadata: {}, includeAttribution: false };
+  const rendered = templates.getAvailableTemplates().map(name => templates.render(name, data));
+  check('Every template renders the reference links', rendered.every(content => content.includes('([#12](https://github.com/acme/shop/issues/12), ACME-9)')));
+  check('The GitHub template skips a PR number that is already linked', !templates.render('github', data).includes(' #12\n'));
+
+  // Test 4: Commit analysis
+  console.log(colors.subheader('\nTest 4: Commit analysis'));
+  await inTempRepository('issues', async () => {
+    git('remote', 'add', 'origin', 'https://github.com/acme/shop.git');
+    fs.writeFileSync('cart.js', 'total()\n');
+    commitAll('fix(cart): keep totals in sync', 'Fixes #34');
+
+    // The constructor links issues to the origin remote
+    const generator = createGenerator();
+
+    const analysis = await generator.getCommitAnalysis(git('rev-parse', 'HEAD'));
+    check('Attaches references to analyzed commits', analysis.references.length === 1 && analysis.references[0].url === 'https://github.com/acme/shop/issues/34' && analysis.references[0].closes);
+
+    const templateData = generator.buildTemplateData([analysis], { summary: '' }, '1.0.0');
+    check('Passes references to the templates', templateData.changes.fix[0].references[0].label === '#34');
+  });
+}
+
+runChecks('issue reference', run);
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the MCP HTTP transports
+ */
+
+const http = require('http');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const MCPHttpServer = require('../lib/mcp-http-server');
+const colors = require('../lib/colors');
+const { check, runChecks } = require('./helpers');
+
+const TOKEN = 'team-secret';
+
+// A server whose `count` tool counts the calls made to this instance
+function createServer() {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  let calls = 0;
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'count', description: 'Count calls', inputSchema: { type: 'object', properties: {} } }]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async () => ({
+    content: [{ type: 'text', text: String(++calls) }]
+  }));
+  return server;
+}
+
+async function connect(url, Transport, token = TOKEN) {
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const transport = new Transport(new URL(url), { requestInit: { headers: { Authorization: `Bearer ${token}` } } });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+const count = async client => (await client.callTool({ name: 'count', arguments: {} })).content[0].text;
+
+// Raw request, so the Host header can be set
+function request(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: 'POST', ...options }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end(options.body || '');
+  });
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing MCP HTTP Server\n'));
+
+  const httpServer = new MCPHttpServer(createServer, { port: 0, token: TOKEN });
+  const clients = [];
+
+  try {
+    const url = await httpServer.listen();
+    check('Listens on loopback by default', /^http:\/\/127\.0\.0\.1:\d+$/.test(url));
+
+    // Test 1: Authentication
+    console.log(colors.subheader('\nTest 1: Authentication'));
+    const missing = await request(`${url}/mcp`);
+    const wrong = await request(`${url}/mcp`, { headers: { Authorization: 'Bearer guess' } });
+    check('Rejects requests without the bearer token', missing.status === 401 && wrong.status === 401 &&
+      missing.headers['www-authenticate'].startsWith('Bearer') && missing.body.error.message === 'Unauthorized');
+
+    const rebound = await request(`${url}/mcp`, { headers: { Authorization: `Bearer ${TOKEN}`, Host: 'attacker.example:80' } });
+    check('Rejects other Host headers while bound to loopback', rebound.status === 403);
+
+    let unauthorized = null;
+    try {
+      await connect(url + '/mcp', StreamableHTTPClientTransport, 'guess');
+    } catch (error) {
+      unauthorized = error;
+    }
+    check('Clients with the wrong token cannot connect', unauthorized !== null && httpServer.sessions.size === 0);
+
+    // Test 2: Streamable HTTP sessions
+    console.log(colors.subheader('\nTest 2: Streamable HTTP sessions'));
+    const first = await connect(`${url}/mcp`, StreamableHTTPClientTransport);
+    const second = await connect(`${url}/mcp`, StreamableHTTPClientTransport);
+    clients.push(first, second);
+    const tools = await first.client.listTools();
+    check('Serves tools over Streamable HTTP', tools.tools.map(tool => tool.name).join() === 'count');
+
+    const counts = [await count(first.client), await count(first.client), await count(second.client)];
+    check('Each session gets its own server instance', counts.join() === '1,2,1' && httpServer.sessions.size === 2 &&
+      [...httpServer.sessions.values()].every(session => session.type === 'streamable') &&
+      httpServer.sessions.has(first.transport.sessionId));
+
+    const headers = { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    const listTools = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const noSession = await request(`${url}/mcp`, { headers, body: listTools });
+    const unknownSession = await request(`${url}/mcp`, { headers: { ...headers, 'Mcp-Session-Id': 'unknown' }, body: listTools });
+    const invalid = await request(`${url}/mcp`, { headers, body: '{"jsonrpc":' });
+    check('Rejects requests without a session, unknown sessions and invalid JSON', noSession.status === 400 &&
+      unknownSession.status === 404 && invalid.status === 400 && invalid.body.error.code === -32700);
+
+    await second.transport.terminateSession();
+    check('Ending a session removes it', httpServer.sessions.size === 1 && !httpServer.sessions.has(second.transport.sessionId));
+
+    // Test 3: Legacy SSE
+    console.log(colors.subheader('\nTest 3: Legacy SSE'));
+    const legacy = await connect(`${url}/sse`, SSEClientTransport);
+    clients.push(legacy);
+    check('Serves tools over the legacy SSE transport', (await count(legacy.client)) === '1' &&
+      [...httpServer.sessions.values()].filter(session => session.type === 'sse').length === 1);
+
+    const misrouted = await request(`${url}/messages?sessionId=${first.transport.sessionId}`, { headers, body: listTools });
+    const notFound = await request(`${url}/other`, { headers });
+    check('Keeps the transports\' sessions apart and rejects unknown paths', misrouted.status === 404 && notFound.status === 404);
+
+    // Test 4: Idle sessions
+    console.log(colors.subheader('\nTest 4: Idle sessions'));
+    httpServer.sessionIdleTimeout = 60000;
+    httpServer.sessions.get(first.transport.sessionId).lastSeen -= 120000;
+    httpServer.closeIdleSessions();
+    check('Closes sessions that have been idle too long', !httpServer.sessions.has(first.transport.sessionId) && httpServer.sessions.size === 1);
+  } finally {
+    await Promise.all(clients.map(({ client }) => client.close().catch(() => {})));
+    await httpServer.close();
+  }
+
+  check('Closing the server ends every session', httpServer.sessions.size === 0 && httpServer.url === null);
+}
+
+runChecks('MCP HTTP', run);
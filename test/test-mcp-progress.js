@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MCP progress notifications and cancellation
+ */
+
+const ToolProgress = require('../lib/tool-progress');
+const RequestScheduler = require('../lib/request-scheduler');
+const ProviderManager = require('../lib/provider-manager');
+const OpenAIProvider = require('../lib/providers/openai');
+const colors = require('../lib/colors');
+const { check, rejection, runChecks, createGenerator } = require('./helpers');
+
+// Request context as the MCP SDK passes it to handlers; records the notifications sent
+function createExtra(progressToken, controller = new AbortController()) {
+  const sent = [];
+  return {
+    sent,
+    controller,
+    extra: {
+      signal: controller.signal,
+      _meta: progressToken === undefined ? {} : { progressToken },
+      sendNotification: async notification => { sent.push(notification); }
+    }
+  };
+}
+
+const commit = (hash, subject, extra = {}) => ({ hash, fullHash: hash, subject, type: 'feat', trailers: {}, ...extra });
+
+async function run() {
+  console.log(colors.header('🧪 Testing MCP Progress\n'));
+
+  // Test 1: Progress notifications
+  console.log(colors.subheader('Test 1: Progress notifications'));
+  const tracked = createExtra('token-1');
+  const progress = new ToolProgress(tracked.extra);
+  await progress.report(0, 10, 'Found 10 commits to analyze');
+  await progress.report(4, 10);
+  await progress.report(4, 10, 'Repeated');
+  await progress.report(2, 10, 'Backwards');
+  check('Sends progress tied to the request\'s token', JSON.stringify(tracked.sent) === JSON.stringify([
+    { method: 'notifications/progress', params: { progressToken: 'token-1', progress: 0, total: 10, message: 'Found 10 commits to analyze' } },
+    { method: 'notifications/progress', params: { progressToken: 'token-1', progress: 4, total: 10 } }
+  ]));
+
+  const untracked = createExtra(undefined);
+  const silent = new ToolProgress(untracked.extra);
+  await silent.report(1, 2, 'Ignored');
+  check('Sends nothing without a progress token', !silent.enabled && untracked.sent.length === 0 && !new ToolProgress().enabled);
+
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  await new ToolProgress({ _meta: { progressToken: 7 }, sendNotification: async () => { throw new Error('Not connected'); } }).report(1);
+  console.warn = originalWarn;
+  check('A failed notification does not fail the tool', warnings.length === 1 && warnings[0].includes('Not connected'));
+
+  // Test 2: Cancellation
+  console.log(colors.subheader('\nTest 2: Cancellation'));
+  const cancelled = createExtra('token-2');
+  const cancellable = new ToolProgress(cancelled.extra);
+  cancellable.throwIfCancelled();
+  cancelled.controller.abort('User pressed stop');
+  let error = null;
+  try {
+    cancellable.throwIfCancelled();
+  } catch (caught) {
+    error = caught;
+  }
+  check('Throws once the client cancels, with its reason', cancellable.cancelled && error?.message === 'Request cancelled: User pressed stop' &&
+    ToolProgress.isCancellation(error) && !ToolProgress.isCancellation(new Error('other')));
+
+  const scheduler = new RequestScheduler({ retries: 2, baseDelay: 0, requestsPerMinute: 0 });
+  let sentRequests = 0;
+  const queued = await rejection(scheduler.schedule('openai', async () => { sentRequests++; }, cancelled.controller.signal));
+  check('Queued AI requests are not sent after cancellation', ToolProgress.isCancellation(queued) && sentRequests === 0 && scheduler.active === 0);
+
+  const manager = Object.create(ProviderManager.prototype);
+  const provider = name => ({ getName: () => name, isAvailable: () => true, generateCompletion: async () => { sentRequests++; return { content: 'x' }; } });
+  manager.providers = { openai: provider('openai'), ollama: provider('ollama') };
+  manager.scheduler = scheduler;
+  manager.fallbackChain = [{ provider: 'openai', model: null }, { provider: 'ollama', model: null }];
+  console.warn = message => warnings.push(message);
+  const fallback = await rejection(manager.generateWithFallback([], { signal: cancelled.controller.signal }));
+  console.warn = originalWarn;
+  check('Cancellation does not walk the fallback chain', ToolProgress.isCancellation(fallback) && sentRequests === 0 && warnings.length === 1);
+
+  const backingOff = new AbortController();
+  const slowRetries = new RequestScheduler({ retries: 2, baseDelay: 60000, requestsPerMinute: 0 });
+  let attempts = 0;
+  console.warn = () => {};
+  const retrying = rejection(slowRetries.schedule('openai', async () => {
+    attempts++;
+    throw Object.assign(new Error('Service unavailable'), { status: 503 });
+  }, backingOff.signal));
+  await new Promise(resolve => setImmediate(resolve));
+  backingOff.abort('User pressed stop');
+  const started = Date.now();
+  const backoff = await retrying;
+  console.warn = originalWarn;
+  check('Cancellation cuts a retry backoff short', ToolProgress.isCancellation(backoff) && attempts === 1 && Date.now() - started < 1000);
+
+  const waiting = new AbortController();
+  const single = new RequestScheduler({ concurrency: 1, requestsPerMinute: 0 });
+  let finishFirst = null;
+  const first = single.schedule('openai', () => new Promise(resolve => { finishFirst = resolve; }));
+  const second = rejection(single.schedule('openai', async () => { sentRequests++; }, waiting.signal));
+  await new Promise(resolve => setImmediate(resolve));
+  waiting.abort();
+  const leftQueue = await second;
+  finishFirst();
+  await first;
+  check('Cancellation takes a request off the queue', ToolProgress.isCancellation(leftQueue) && sentRequests === 0 &&
+    single.waiting.length === 0 && single.active === 0);
+
+  const inFlight = new AbortController();
+  let providerSignal = null;
+  manager.providers.openai.generateCompletion = (messages, options) => new Promise((resolve, reject) => {
+    providerSignal = options.signal;
+    options.signal.addEventListener('abort', () => reject(Object.assign(new Error('Request was aborted.'), { name: 'AbortError' })));
+  });
+  const sent = rejection(manager.generateWithFallback([], { signal: inFlight.signal }));
+  await new Promise(resolve => setImmediate(resolve));
+  inFlight.abort();
+  const aborted = await sent;
+  check('Passes the signal to the provider, which aborts the request in flight', providerSignal === inFlight.signal &&
+    ToolProgress.isCancellation(aborted) && scheduler.active === 0);
+
+  const openai = new OpenAIProvider({ OPENAI_API_KEY: 'test' });
+  let requestOptions = null;
+  openai.openai = { chat: { completions: { create: async (params, options) => {
+    requestOptions = options;
+    return { model: 'gpt-test', choices: [{ message: { content: 'x' }, finish_reason: 'stop' }], usage: { total_tokens: 1 } };
+  } } } };
+  await openai.generateCompletion([], { signal: inFlight.signal });
+  check('Providers hand the signal to their SDK', requestOptions.signal === inFlight.signal);
+
+  // Test 3: Changelog generation
+  console.log(colors.subheader('\nTest 3: Changelog generation'));
+  const reports = [];
+  const generator = createGenerator({ gitManager: null, onProgress: (...args) => reports.push(args) });
+  generator.generateAISummary = async analysis => ({ summary: analysis.subject });
+  await generator.summarizeCommits([
+    commit('aaa1111', 'add progress'),
+    commit('bbb2222', 'internal', { trailers: { changelog: 'skip' } }),
+    commit('ccc3333', 'add cancellation')
+  ], 3);
+  check('Counts summarized entries on top of loaded commits', JSON.stringify(reports) === JSON.stringify([
+    [4, 5, 'Summarized 1 of 2 changelog entries'],
+    [5, 5, 'Summarized 2 of 2 changelog entries']
+  ]));
+
+  const batchReports = [];
+  const batched = createGenerator({ gitManager: null, onProgress: (...args) => batchReports.push(args) });
+  batched.getCommitAnalyses = async hashes => hashes.map(hash => commit(hash, hash));
+  const originalLog = console.log;
+  console.log = () => {};
+  await batched.generateChangelogBatch(Array.from({ length: 120 }, (_, i) => `c${i}`));
+  console.log = originalLog;
+  check('Reports each batch of loaded commits', batchReports.map(report => report.join('|')).join(',') ===
+    '50|120|Loaded batch 1/3 (50 of 120 commits),100|120|Loaded batch 2/3 (100 of 120 commits),120|120|Loaded batch 3/3 (120 of 120 commits)');
+
+  const controller = new AbortController();
+  const stopping = createGenerator({ gitManager: null, signal: controller.signal });
+  let summaries = 0;
+  stopping.generateAISummary = async analysis => {
+    summaries++;
+    controller.abort();
+    return { summary: analysis.subject };
+  };
+  const stopped = await rejection(stopping.summarizeCommits([commit('aaa1111', 'first'), commit('ccc3333', 'second')]));
+  check('Stops summarizing once cancelled', ToolProgress.isCancellation(stopped) && summaries === 1);
+
+  const aiController = new AbortController();
+  const aiGenerator = createGenerator({ gitManager: null, hasAI: true, signal: aiController.signal });
+  aiGenerator.selectOptimalModel = async () => null;
+  aiGenerator.buildEnhancedPrompt = () => 'prompt';
+  let signalOption = null;
+  aiGenerator.providerManager = {
+    generateWithFallback: async (messages, options) => {
+      signalOption = options.signal;
+      aiController.abort();
+      throw ToolProgress.cancellationError();
+    }
+  };
+  console.error = () => {};
+  const aiStopped = await rejection(aiGenerator.generateAISummary(commit('aaa1111', 'feat: first')));
+  console.error = originalError;
+  check('Cancelled AI summaries do not fall back to rules', ToolProgress.isCancellation(aiStopped) && signalOption === aiController.signal &&
+    aiGenerator.metrics.errors === 0);
+}
+
+runChecks('MCP progress', run);
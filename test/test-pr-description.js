@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for pull request descriptions generated from a branch diff
+ */
+
+const PRDescription = require('../lib/pr-description');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, rejection, runChecks, git, writeFile, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+function commitFile(file, content, ...message) {
+  writeFile(file, `${content}\n`);
+  commitAll(...message);
+}
+
+// main plus a feature branch with a multi-line commit, a test, a fix-up and a merge of main
+function createHistory() {
+  commitFile('src/app.js', 'app()', 'chore: initial commit');
+
+  git('checkout', '-q', '-b', 'feature/csv-export');
+  commitFile('src/export.js', 'exportCsv()', 'feat(export): add CSV export', 'Streams rows so large reports fit in memory.');
+  commitFile('test/export.test.js', 'test()', 'test: cover CSV export');
+  git('checkout', '-q', 'main');
+  commitFile('README.md', '# Demo', 'docs: add readme');
+  git('checkout', '-q', 'feature/csv-export');
+  git('merge', '-q', '--no-ff', 'main', '-m', 'Merge branch \'main\' into feature/csv-export');
+  commitFile('package.json', '{}', 'fix typo in export');
+}
+
+function createScriptedGenerator(responses = null) {
+  const generator = createGenerator({ hasAI: Boolean(responses) });
+  const calls = [];
+  const respond = (messages, options) => {
+    calls.push({ messages, options });
+    return { content: responses.shift(), provider: 'openai', model: 'gpt-4.1', fallbacks: [] };
+  };
+  generator.providerManager = {
+    generateWithFallback: async (messages, options) => respond(messages, options),
+    generateWithProvider: async (provider, messages, options) => respond(messages, options)
+  };
+  return { generator, calls };
+}
+
+const aiDescription = {
+  title: 'feat(export): CSV export for reports',
+  summary: 'Adds a streaming CSV export.',
+  changes: ['Add exportCsv'],
+  risk: { level: 'low', notes: [] },
+  testing: ['Unit tests for exportCsv'],
+  checklist: ['Large exports stay within memory limits']
+};
+
+async function run() {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+
+  console.log(colors.header('🧪 Testing PR Description Generator\n'));
+
+  await inTempRepository('pr', async () => {
+    try {
+      createHistory();
+
+      // Test 1: Branch comparison
+      console.log(colors.subheader('Test 1: Branch comparison'));
+      const commits = new GitManager().getCommitsBetweenBranches('main', 'HEAD');
+      check('Lists every commit on the branch (including merges)', commits.length === 4);
+      check('Parses multi-line commit bodies', commits.some(commit => commit.subject === 'feat(export): add CSV export'));
+
+      // Test 2: Rule-based description
+      console.log(colors.subheader('\nTest 2: Rule-based description'));
+      let { generator } = createScriptedGenerator();
+      console.log = () => {};
+      const description = await generator.generatePRDescription('main');
+      console.log = originalLog;
+
+      check('Skips merges of the base branch', description.commits.length === 3 && !description.commits.some(commit => commit.subject.startsWith('Merge')));
+      check('Uses the aggregate diff against the merge base', description.diffStats.files === 3 && !description.markdown.includes('README.md'));
+      check('Titles multi-commit PRs after the branch', description.title === 'Csv export');
+      check('Summarizes commit types', description.summary.includes('1 feature') && description.summary.includes('1 fix'));
+      check('Notes updated tests', description.testing[0].includes('test/export.test.js'));
+      check('Adds checklist items for dependency and config changes', description.checklist.some(item => item.includes('Dependency')) && description.checklist.some(item => item.includes('Configuration')));
+      const dependencyChecklist = filePath => PRDescription.fromAnalysis({
+        base: 'main', branch: 'deps', commits: [], files: [{ filePath, category: 'other' }],
+        diffStats: { insertions: 1, deletions: 1 }, riskAssessment: { factors: [] }
+      }).checklist.some(item => item.includes('Dependency'));
+      check('Flags every manifest and lockfile the dependency diff reads', ['npm-shrinkwrap.json', 'requirements-dev.txt', 'packages/api/Cargo.toml'].every(dependencyChecklist) && !dependencyChecklist('docs/package.json.md'));
+      check('Marks the description as rule-based', description.generatedBy.provider === 'rule-based');
+      check('Renders every section', ['## Summary', '## Changes', '## Risk', '## Testing', '## Reviewer Checklist', '- [ ] '].every(section => description.markdown.includes(section)));
+
+      const thrown = await rejection(generator.generatePRDescription('does-not-exist'));
+      check('Rejects unknown base branches', thrown && /Unknown branch or commit/.test(thrown.message));
+
+      // Test 3: AI description
+      console.log(colors.subheader('\nTest 3: AI description'));
+      let calls;
+      ({ generator, calls } = createScriptedGenerator([JSON.stringify(aiDescription)]));
+      console.log = () => {};
+      let result = await generator.generatePRDescription('main');
+      console.log = originalLog;
+      check('Requests the PR description schema', calls[0].options.responseSchema.schema === PRDescription.SCHEMA);
+      check('Sends commits and files to the model', calls[0].messages[1].content.includes('feat(export): add CSV export') && calls[0].messages[1].content.includes('src/export.js'));
+      check('Uses the AI description', result.title === aiDescription.title && result.generatedBy.provider === 'openai');
+
+      ({ generator, calls } = createScriptedGenerator([JSON.stringify({ title: 'Incomplete' }), JSON.stringify(aiDescription)]));
+      console.log = () => {};
+      console.warn = () => {};
+      result = await generator.generatePRDescription('main');
+      console.log = originalLog;
+      check('Repairs invalid responses', calls.length === 2 && result.title === aiDescription.title && generator.metrics.repairs === 1);
+
+      ({ generator, calls } = createScriptedGenerator(['nope', 'still nope']));
+      console.log = () => {};
+      result = await generator.generatePRDescription('main');
+      console.log = originalLog;
+      console.warn = originalWarn;
+      check('Falls back to the rule-based description', result.title === 'Csv export' && result.generatedBy.provider === 'rule-based');
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+    }
+  });
+}
+
+runChecks('PR description', run);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for pull request grouping
+ */
+
+const fs = require('fs');
+const PRGrouper = require('../lib/pr-grouper');
+const colors = require('../lib/colors');
+const { check, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+function commitFile(file, content, message) {
+  fs.appendFileSync(file, `${content}\n`);
+  commitAll(message);
+}
+
+// Repository with a merged PR, a squash-merged PR, a plain commit and a non-PR merge
+function createHistory() {
+  commitFile('README.md', '# Demo', 'chore: initial commit');
+
+  git('checkout', '-q', '-b', 'feature/export');
+  commitFile('export.js', 'module.exports = {};', 'feat: add CSV export');
+  commitFile('export.js', '// fix typo', 'fix typo');
+  commitFile('export.js', '// review', 'address review comments');
+  git('checkout', '-q', 'main');
+  git('merge', '-q', '--no-ff', 'feature/export', '-m', 'Merge pull request #42 from acme/feature/export', '-m', 'feat(export): export reports as CSV');
+
+  commitFile('auth.js', 'login()', 'fix(auth): handle expired sessions (#43)');
+  commitFile('docs.md', 'docs', 'docs: describe configuration');
+
+  git('checkout', '-q', '-b', 'sync');
+  commitFile('sync.js', 'sync()', 'refactor: tidy sync job');
+  git('checkout', '-q', 'main');
+  git('merge', '-q', '--no-ff', 'sync', '-m', 'Merge branch \'sync\'');
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing PR Grouping\n'));
+
+  // Test 1: Reference detection
+  console.log(colors.subheader('Test 1: Reference detection'));
+  let reference = PRGrouper.parseReference('Merge pull request #42 from acme/feature/export', 'feat(export): export reports as CSV', true);
+  check('Detects GitHub merge commits and uses the PR title', reference.number === 42 && reference.source === 'merge' && reference.title === 'feat(export): export reports as CSV');
+  reference = PRGrouper.parseReference('Merged in feature/login (pull request #7)', '', true);
+  check('Detects Bitbucket merge commits', reference.number === 7 && reference.title === 'feature/login');
+  reference = PRGrouper.parseReference("Merge branch 'feature' into 'main'", 'Add billing page\n\nSee merge request acme/shop!19', true);
+  check('Detects GitLab merge requests', reference.number === 19 && reference.title === 'Add billing page');
+  reference = PRGrouper.parseReference('fix(auth): handle expired sessions (#43)');
+  check('Detects squash-merge suffixes', reference.number === 43 && reference.source === 'squash' && reference.title === 'fix(auth): handle expired sessions');
+  check('Ignores plain commits', PRGrouper.parseReference('fix: issue #43 in parser') === null);
+  check('Ignores merges without a PR reference', PRGrouper.parseReference("Merge branch 'sync'", '', true) === null);
+
+  // Test 2: Grouping a real history
+  console.log(colors.subheader('\nTest 2: Grouping commits'));
+  const originalLog = console.log;
+
+  await inTempRepository('prs', async () => {
+    try {
+      createHistory();
+      const generator = createGenerator({ groupByPR: true });
+      const hashes = await generator.getCommitsInRange(null, 'HEAD');
+      check('Includes merge commits when grouping', hashes.length === 9);
+
+      const analyses = [];
+      for (const hash of hashes) {
+        analyses.push(await generator.getCommitAnalysis(hash));
+      }
+      const merge = analyses.find(commit => commit.subject.startsWith('Merge pull request'));
+      check('Diffs merge commits against their first parent', merge.isMerge && merge.files.map(file => file.filePath).join(',') === 'export.js' && merge.diffStats.insertions === 3);
+
+      console.log = () => {};
+      const entries = generator.groupCommitsByPR(analyses);
+      console.log = originalLog;
+
+      const pr42 = entries.find(entry => entry.pr === 42);
+      const pr43 = entries.find(entry => entry.pr === 43);
+      check('Collapses a merged PR into one entry', Boolean(pr42) && entries.filter(entry => entry.pr === 42).length === 1);
+      check('Uses the PR title and its conventional type', pr42.subject === 'feat(export): export reports as CSV' && pr42.type === 'feat' && pr42.scope === 'export');
+      check('Keeps the constituent commit hashes', pr42.commits.length === 3 && pr42.commits.every(commit => /^[a-f0-9]{40}$/.test(commit.fullHash)));
+      check('Uses the merge diff for the PR entry', pr42.files.length === 1 && pr42.diffStats.insertions === 3);
+      check('Squash merges keep their PR number without the suffix', pr43.subject === 'fix(auth): handle expired sessions' && pr43.commits.length === 1);
+      check('Plain commits stay separate', entries.some(entry => entry.subject === 'docs: describe configuration' && !entry.pr));
+      check('Commits merged without a PR stay separate', entries.some(entry => entry.subject === 'refactor: tidy sync job'));
+      check('Drops merge commits without a PR reference', !entries.some(entry => entry.subject === "Merge branch 'sync'"));
+      check('Produces one entry per PR or standalone commit', entries.length === 5);
+
+      // Test 3: Template metadata
+      console.log(colors.subheader('\nTest 3: Template metadata'));
+      const data = generator.buildTemplateData(entries, { summary: '' }, '1.0.0');
+      const change = data.changes.feat[0];
+      check('Template entries carry the PR number and commits', change.pr === 42 && change.commits.length === 3);
+      check('Total commits counts the commits inside PRs', data.metadata.totalCommits === 7);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('PR grouping', run);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the provider fallback chain
+ */
+
+const ProviderManager = require('../lib/provider-manager');
+const RequestScheduler = require('../lib/request-scheduler');
+const colors = require('../lib/colors');
+const { check, runChecks } = require('./helpers');
+
+// Stub provider that replays a scripted list of outcomes
+function stubProvider(name, outcomes, available = true) {
+  const calls = [];
+  return {
+    calls,
+    getName: () => name,
+    isAvailable: () => available,
+    generateCompletion: async (messages, options) => {
+      calls.push(options.model);
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      if (outcome instanceof Error) throw outcome;
+      return { content: outcome, model: options.model || `${name}-default` };
+    }
+  };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function createManager(providers, chain) {
+  const manager = Object.create(ProviderManager.prototype);
+  manager.providers = providers;
+  manager.configManager = { get: () => null };
+  manager.scheduler = new RequestScheduler({ retries: 2, baseDelay: 0, requestsPerMinute: 0 });
+  manager.fallbackChain = manager.parseFallbackChain(chain);
+  manager.activeProvider = manager.determineActiveProvider();
+  manager.isAvailable = Boolean(manager.activeProvider);
+  return manager;
+}
+
+async function run() {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+
+  console.log(colors.header('🧪 Testing Provider Fallback Chain\n'));
+
+  // Test 1: Chain parsing
+  console.log(colors.subheader('Test 1: Chain parsing'));
+  const parser = createManager({ azure: stubProvider('azure', ['x']), openai: stubProvider('openai', ['x']), ollama: stubProvider('ollama', ['x']) }, '');
+  const hops = parser.parseFallbackChain('azure:o4-mini -> openai:gpt-4.1 -> ollama:llama3:8b -> rule-based -> openai');
+  check('Parses provider:model hops in order', hops.map(h => h.provider).join(',') === 'azure,openai,ollama');
+  check('Keeps colons inside model names', hops[2].model === 'llama3:8b');
+  check('Stops at rule-based', hops.length === 3);
+  check('Accepts comma separators', parser.parseFallbackChain('openai,ollama').length === 2);
+  check('Skips unknown providers', parser.parseFallbackChain('nope:x -> openai').map(h => h.provider).join(',') === 'openai');
+
+  // Test 2: Retries and fallback
+  console.log(colors.subheader('\nTest 2: Retries and fallback'));
+  const flaky = stubProvider('azure', [httpError(429, 'Rate limit reached'), 'ok from azure']);
+  let manager = createManager({ azure: flaky, openai: stubProvider('openai', ['ok from openai']) }, 'azure:o4-mini -> openai:gpt-4.1');
+  let response = await manager.generateWithFallback([], { model: 'ignored' });
+  check('Retries transient errors on the same provider', flaky.calls.length === 2 && response.provider === 'azure');
+  check('Explicit hop model wins over the requested model', response.model === 'o4-mini');
+  check('No fallbacks recorded when the primary succeeds', response.fallbacks.length === 0);
+
+  const down = stubProvider('azure', [httpError(503, 'Service unavailable')]);
+  const backup = stubProvider('openai', ['ok from openai']);
+  manager = createManager({ azure: down, openai: backup }, 'azure:o4-mini -> openai:gpt-4.1');
+  response = await manager.generateWithFallback([], {});
+  check('Gives up on a hop after the retry budget', down.calls.length === 3);
+  check('Falls back to the next hop', response.provider === 'openai' && response.model === 'gpt-4.1' && response.content === 'ok from openai');
+  check('Records the failed hops', response.fallbacks.length === 1 && response.fallbacks[0].provider === 'azure');
+
+  const badKey = stubProvider('azure', [httpError(401, 'Invalid API key')]);
+  manager = createManager({ azure: badKey, openai: stubProvider('openai', ['ok']) }, 'azure -> openai');
+  await manager.generateWithFallback([], {});
+  check('Does not retry permanent errors', badKey.calls.length === 1);
+
+  // Test 3: Chain resolution
+  console.log(colors.subheader('\nTest 3: Chain resolution'));
+  manager = createManager({ azure: stubProvider('azure', ['x'], false), openai: stubProvider('openai', ['ok']) }, 'azure -> openai');
+  check('Unconfigured providers are skipped', manager.activeProvider.getName() === 'openai');
+  response = await manager.generateWithFallback([], { model: 'gpt-4.1-mini' });
+  check('Requested model applies to the primary hop without an explicit model', response.model === 'gpt-4.1-mini');
+
+  manager = createManager({ azure: stubProvider('azure', [httpError(500, 'boom')]), openai: stubProvider('openai', [new Error('Invalid model')]) }, 'azure -> openai');
+  let thrown = null;
+  try {
+    await manager.generateWithFallback([], {});
+  } catch (error) {
+    thrown = error;
+  }
+  check('Throws when every hop fails', thrown && /All AI providers failed/.test(thrown.message) && thrown.failures.length === 2);
+
+  console.warn = originalWarn;
+}
+
+runChecks('provider fallback', run);
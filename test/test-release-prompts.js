@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the MCP release prompts
+ */
+
+const fs = require('fs');
+const ReleasePrompts = require('../lib/release-prompts');
+const AIChangelogGenerator = require('../lib/ai-changelog-generator');
+const colors = require('../lib/colors');
+const { check, rejection, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const textOf = result => result.messages[0].content.text;
+
+async function run() {
+  console.log(colors.header('🧪 Testing Release Prompts\n'));
+
+  // Test 1: Prompt templates
+  console.log(colors.subheader('Test 1: Prompt templates'));
+  const prompts = ReleasePrompts.list();
+  check('Publishes the release workflow prompts', prompts.map(prompt => prompt.name).join() ===
+    'draft_release_notes,explain_breaking_changes,write_commit_message');
+  check('Declares optional arguments for each prompt', prompts.map(prompt => prompt.arguments.map(argument => argument.name).join('+')).join() ===
+    'version+since+analysisMode,tag,analysisMode' && prompts.every(prompt => prompt.arguments.every(argument => argument.required === false)));
+  check('Describes analysis modes with the generator\'s text', AIChangelogGenerator.ANALYSIS_MODES.detailed === 'Comprehensive analysis with business impact' &&
+    prompts[0].arguments[2].description.includes('standard, detailed, enterprise'));
+
+  // Test 2: Filled prompts
+  console.log(colors.subheader('\nTest 2: Filled prompts'));
+  const originalLog = console.log;
+
+  await inTempRepository('prompts', async () => {
+    try {
+      fs.mkdirSync('types');
+      fs.writeFileSync('types/index.d.ts', 'export interface Options {\n  url: string;\n  timeout?: number;\n}\n');
+      fs.writeFileSync('index.js', 'module.exports = {};\n');
+      commitAll('feat: initial client');
+      git('tag', 'v1.0.0');
+      fs.writeFileSync('index.js', 'module.exports = { retry: true };\n');
+      commitAll('feat(client): retry failed requests');
+      fs.writeFileSync('types/index.d.ts', 'export interface Options {\n  url: string;\n}\n');
+      commitAll('feat!: drop the timeout option');
+
+      const releasePrompts = new ReleasePrompts(createGenerator({ groupByPR: true, typeDiff: true }));
+      console.log = () => {};
+      const notes = await releasePrompts.get('draft_release_notes', { analysisMode: 'detailed' });
+      const explicit = await releasePrompts.get('draft_release_notes', { version: '3.0.0', since: 'v1.0.0' });
+      console.log = originalLog;
+      check('Drafts release notes for the recommended version', notes.description === 'Release notes for 2.0.0' &&
+        textOf(notes).startsWith('Draft release notes for version 2.0.0') && textOf(notes).includes('Changes: 2 since v1.0.0\nBreaking changes: 1') &&
+        textOf(notes).includes('Recommended version bump: major (1.0.0 → 2.0.0)'));
+      check('Includes the analysis mode text and the commit summary context', textOf(notes).includes('Analysis mode: detailed (Comprehensive analysis with business impact)') &&
+        (textOf(notes).match(/<commit_context>/g) || []).length === 2 && textOf(notes).includes('Subject: feat(client): retry failed requests') &&
+        !textOf(notes).includes('<analysis_requirements>'));
+      check('Uses the requested version and range', explicit.description === 'Release notes for 3.0.0' && textOf(explicit).includes('Analysis mode: standard'));
+
+      console.log = () => {};
+      const breaking = await releasePrompts.get('explain_breaking_changes', { tag: 'v1.0.0' });
+      console.log = originalLog;
+      check('Explains only the breaking commits since the tag', breaking.description === 'Breaking changes since v1.0.0' &&
+        textOf(breaking).includes('Subject: feat!: drop the timeout option') && !textOf(breaking).includes('retry failed requests'));
+      check('Lists breaking type declaration changes', textOf(breaking).includes('<type_changes>\n- `Options.timeout` in types/index.d.ts: property removed'));
+
+      fs.writeFileSync('index.js', 'module.exports = { retry: true, backoff: 2 };\n');
+      fs.writeFileSync('unstaged.txt', 'not staged\n');
+      git('add', 'index.js');
+      const message = await releasePrompts.get('write_commit_message');
+      check('Writes a commit message from the staged changes only', message.description === 'Commit message for the staged changes' &&
+        textOf(message).includes('"path": "index.js"') && textOf(message).includes('Lines: +1 -1') && !textOf(message).includes('unstaged.txt') &&
+        textOf(message).includes('conventional commit format'));
+
+      git('commit', '-q', '-m', 'feat: add backoff');
+      check('Asks for staged changes when nothing is staged', (await rejection(releasePrompts.get('write_commit_message')))?.message ===
+        'No staged changes - stage the changes to commit first');
+      check('Rejects unknown prompts, modes and tags', (await rejection(releasePrompts.get('deploy')))?.message === 'Unknown prompt: deploy' &&
+        (await rejection(releasePrompts.get('draft_release_notes', { analysisMode: 'verbose' })))?.message.startsWith('Unknown analysis mode: verbose') &&
+        (await rejection(releasePrompts.get('explain_breaking_changes', { tag: 'v9.0.0' })))?.message === 'Unknown tag or commit: v9.0.0');
+
+      // Test 3: Argument completion
+      console.log(colors.subheader('\nTest 3: Argument completion'));
+      const analyzed = [];
+      const generator = releasePrompts.generator;
+      const getCommitAnalyses = generator.getCommitAnalyses;
+      generator.getCommitAnalyses = hashes => {
+        analyzed.push(hashes);
+        return getCommitAnalyses.call(generator, hashes);
+      };
+      const version = await releasePrompts.complete('draft_release_notes', 'version', '');
+      generator.getCommitAnalyses = getCommitAnalyses;
+      check('Completes the recommended version from commit subjects alone', version.values.join() === '2.0.0' && analyzed.length === 0);
+
+      git('tag', 'v1.1.0-beta.1', 'HEAD~1');
+      check('Completes tags for refs', JSON.stringify(await releasePrompts.complete('explain_breaking_changes', 'tag', 'v1')) ===
+        JSON.stringify({ values: ['v1.1.0-beta.1', 'v1.0.0'], total: 2, hasMore: false }) &&
+        (await releasePrompts.complete('draft_release_notes', 'since', 'v1.1')).values.join() === 'v1.1.0-beta.1');
+      check('Completes analysis modes', (await releasePrompts.complete('write_commit_message', 'analysisMode', 'e')).values.join() === 'enterprise');
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('release prompt', run);
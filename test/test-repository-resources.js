@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the MCP repository resources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RepositoryResources = require('../lib/repository-resources');
+const colors = require('../lib/colors');
+const { check, rejection, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const readJSON = async (resources, uri) => JSON.parse((await resources.read(uri)).contents[0].text);
+
+async function run() {
+  console.log(colors.header('🧪 Testing Repository Resources\n'));
+
+  // Test 1: URIs
+  console.log(colors.subheader('Test 1: URIs'));
+  check('Parses every resource URI', JSON.stringify([
+    'changelog://current', 'repo://health', 'git://commits/v1.0.0..HEAD', 'git://commits/v1.0.0%2E%2EHEAD', 'git://commit/abc1234/analysis'
+  ].map(uri => RepositoryResources.parse(uri))) === JSON.stringify([
+    { type: 'changelog' }, { type: 'health' }, { type: 'commits', range: 'v1.0.0..HEAD' }, { type: 'commits', range: 'v1.0.0..HEAD' },
+    { type: 'commit-analysis', hash: 'abc1234' }
+  ]));
+  check('Rejects unknown URIs', RepositoryResources.parse('file:///etc/passwd') === null && RepositoryResources.parse('git://commit/abc1234') === null);
+  check('Publishes templates for commits and commit analyses', RepositoryResources.templates().map(template => template.uriTemplate).join() ===
+    'git://commits/{range},git://commit/{hash}/analysis');
+
+  // Test 2: Reading resources
+  console.log(colors.subheader('\nTest 2: Reading resources'));
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+
+  await inTempRepository('resources', async directory => {
+    try {
+      fs.writeFileSync('index.js', 'module.exports = {};\n');
+      commitAll('feat: initial client');
+      git('tag', 'v1.0.0');
+      fs.writeFileSync('index.js', 'module.exports = { retry: true };\n');
+      commitAll('feat(client): retry failed requests');
+      fs.writeFileSync('README.md', '# Client\n');
+      commitAll('docs: add readme');
+
+      const changelogPath = path.join(directory, 'CHANGELOG.md');
+      const resources = new RepositoryResources(createGenerator(), changelogPath);
+      check('Lists the changelog, unreleased commits and repository health', resources.list().map(resource => resource.uri).join() ===
+        'changelog://current,git://commits/v1.0.0..HEAD,repo://health');
+
+      const missing = await rejection(resources.read('changelog://current'));
+      fs.writeFileSync(changelogPath, '# Changelog\n\n## 1.0.0\n');
+      const changelog = (await resources.read('changelog://current')).contents[0];
+      check('Reads the changelog file as it is', missing?.message === `No changelog found at ${changelogPath}` &&
+        changelog.mimeType === 'text/markdown' && changelog.text === '# Changelog\n\n## 1.0.0\n' && changelog.uri === 'changelog://current');
+
+      const unreleased = await readJSON(resources, 'git://commits/v1.0.0..HEAD');
+      check('Reads the commits in a range', unreleased.totalCommits === 2 && unreleased.commits.map(commit => commit.subject).join('|') ===
+        'docs: add readme|feat(client): retry failed requests' && unreleased.commits[1].scope === 'client');
+      check('Reads the latest commits of a single ref', (await readJSON(resources, 'git://commits/HEAD')).totalCommits === 3);
+
+      console.warn = () => {};
+      const unknownRef = await rejection(resources.read('git://commits/v9.9.9..HEAD'));
+      const invalidRange = await rejection(resources.read('git://commits/%24(rm)..HEAD'));
+      console.warn = originalWarn;
+      check('Rejects unknown refs and invalid ranges', unknownRef?.message === 'Unknown tag or commit: v9.9.9' &&
+        invalidRange?.message === 'Invalid revision range: $(rm)..HEAD');
+
+      const hash = git('rev-parse', 'HEAD~1');
+      const analysis = await readJSON(resources, `git://commit/${hash}/analysis`);
+      check('Reads the analysis of one commit', analysis.fullHash === hash && analysis.type === 'feat' && analysis.files[0].filePath === 'index.js' &&
+        typeof analysis.riskAssessment?.score === 'number');
+      check('Rejects unknown commits', (await rejection(resources.read('git://commit/0000000/analysis')))?.message === 'Unknown commit: 0000000');
+
+      console.log = () => {};
+      const health = await readJSON(resources, 'repo://health');
+      console.log = originalLog;
+      check('Reads the repository health assessment', health.maxScore === 100 && typeof health.score === 'number' && Array.isArray(health.recommendations));
+
+      check('Rejects unsupported resources', (await rejection(resources.read('repo://secrets')))?.message === 'Unknown resource: repo://secrets');
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+    }
+  });
+}
+
+runChecks('repository resource', run);
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the AI request scheduler
+ */
+
+const RequestScheduler = require('../lib/request-scheduler');
+const colors = require('../lib/colors');
+const { check, runChecks } = require('./helpers');
+
+function httpError(status, headers = null) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (headers) error.headers = headers;
+  return error;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+
+  console.log(colors.header('🧪 Testing Request Scheduler\n'));
+
+  // Test 1: Concurrency
+  console.log(colors.subheader('Test 1: Concurrency'));
+  let scheduler = new RequestScheduler({ concurrency: 2, requestsPerMinute: 0 });
+  let running = 0;
+  let peak = 0;
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.schedule('openai', async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await wait(10);
+    running--;
+    return n;
+  })));
+  check('Never runs more requests than the concurrency limit', peak === 2);
+  check('Returns results in call order', results.join(',') === '1,2,3,4,5');
+  check('Releases every slot', scheduler.getStats().active === 0 && scheduler.getStats().queued === 0);
+
+  // Test 2: Token buckets
+  console.log(colors.subheader('\nTest 2: Token buckets'));
+  scheduler = new RequestScheduler({ concurrency: 1, requestsPerMinute: 0, providerLimits: RequestScheduler.parseRateLimits('azure:1200, ollama:0') });
+  check('Parses per-provider limits', scheduler.getRateLimit('azure') === 1200 && scheduler.getRateLimit('ollama') === 0 && scheduler.getRateLimit('openai') === 0);
+  const start = Date.now();
+  await Promise.all([1, 2, 3].map(() => scheduler.schedule('azure', async () => true)));
+  const elapsed = Date.now() - start;
+  check('Throttles requests beyond the bucket (1200/min = one per 50ms)', elapsed >= 90 && scheduler.getStats().throttled > 0);
+  const unlimitedStart = Date.now();
+  await Promise.all([1, 2, 3].map(() => scheduler.schedule('ollama', async () => true)));
+  check('Unlimited providers are not throttled', Date.now() - unlimitedStart < 50);
+
+  // Test 3: Retries
+  console.log(colors.subheader('\nTest 3: Retries'));
+  scheduler = new RequestScheduler({ requestsPerMinute: 0, retries: 2, baseDelay: 5 });
+  let attempts = 0;
+  const value = await scheduler.schedule('openai', async () => {
+    attempts++;
+    if (attempts < 3) throw httpError(attempts === 1 ? 429 : 503);
+    return 'ok';
+  });
+  check('Retries 429 and 5xx responses', value === 'ok' && attempts === 3 && scheduler.getStats().retries === 2);
+
+  attempts = 0;
+  let thrown = null;
+  try {
+    await scheduler.schedule('openai', async () => {
+      attempts++;
+      throw httpError(400);
+    });
+  } catch (error) {
+    thrown = error;
+  }
+  check('Does not retry client errors', thrown && attempts === 1);
+
+  attempts = 0;
+  thrown = null;
+  try {
+    await scheduler.schedule('openai', async () => {
+      attempts++;
+      throw httpError(500);
+    });
+  } catch (error) {
+    thrown = error;
+  }
+  check('Gives up after the retry budget', thrown && attempts === 3);
+
+  const config = { AI_RETRY_ATTEMPTS: parseInt('three'), AI_RETRY_DELAY: parseInt('slow'), AI_RETRY_MAX_DELAY: NaN, AI_CONCURRENCY: parseInt('many'), AI_REQUESTS_PER_MINUTE: Infinity };
+  const misconfigured = RequestScheduler.fromConfig({ get: key => config[key] });
+  check('Falls back to the defaults for non-numeric settings', misconfigured.retries === 2 && misconfigured.baseDelay === 1000 &&
+    misconfigured.maxDelay === 60000 && misconfigured.concurrency === 4 && misconfigured.requestsPerMinute === 60);
+
+  // Test 4: Backoff and Retry-After
+  console.log(colors.subheader('\nTest 4: Backoff and Retry-After'));
+  scheduler = new RequestScheduler({ baseDelay: 1000, maxDelay: 8000, random: () => 0 });
+  check('Backoff doubles per attempt (lower jitter bound)', scheduler.getBackoffDelay(0) === 500 && scheduler.getBackoffDelay(2) === 2000);
+  scheduler.random = () => 1;
+  check('Backoff is capped by maxDelay', scheduler.getBackoffDelay(10) === 8000);
+  check('Reads Retry-After seconds', scheduler.getRetryAfter(httpError(429, { 'retry-after': '2' })) === 2000);
+  check('Prefers retry-after-ms', scheduler.getRetryAfter(httpError(429, { 'retry-after-ms': '150', 'retry-after': '9' })) === 150);
+  check('Supports Headers-style objects', scheduler.getRetryAfter(httpError(429, new Map([['retry-after', '1']]))) === 1000);
+  const dateDelay = scheduler.getRetryAfter(httpError(429, { 'retry-after': new Date(Date.now() + 3000).toUTCString() }));
+  check('Reads Retry-After HTTP dates', dateDelay > 1000 && dateDelay <= 3000);
+  check('Caps Retry-After at maxDelay', scheduler.getRetryAfter(httpError(429, { 'retry-after': '600' })) === 8000);
+  check('Returns null without headers', scheduler.getRetryAfter(httpError(429)) === null);
+
+  scheduler = new RequestScheduler({ requestsPerMinute: 0, retries: 1, baseDelay: 1000 });
+  attempts = 0;
+  const retryStart = Date.now();
+  await scheduler.schedule('openai', async () => {
+    attempts++;
+    if (attempts === 1) throw httpError(429, { 'retry-after-ms': '40' });
+    return 'ok';
+  });
+  const retryElapsed = Date.now() - retryStart;
+  check('Waits for Retry-After instead of the backoff window', retryElapsed >= 35 && retryElapsed < 500 && scheduler.getStats().rateLimited === 1);
+
+  console.warn = originalWarn;
+}
+
+runChecks('request scheduler', run);
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for streamed completions and live terminal rendering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProvider = require('../lib/providers/base-provider');
+const OpenAIProvider = require('../lib/providers/openai');
+const LMStudioProvider = require('../lib/providers/lmstudio');
+const AnthropicProvider = require('../lib/providers/anthropic');
+const OllamaProvider = require('../lib/providers/ollama');
+const ProviderManager = require('../lib/provider-manager');
+const RequestScheduler = require('../lib/request-scheduler');
+const StreamRenderer = require('../lib/stream-renderer');
+const SummaryCache = require('../lib/summary-cache');
+const colors = require('../lib/colors');
+const { check, runChecks, createGenerator } = require('./helpers');
+
+async function* replay(items) {
+  for (const item of items) yield item;
+}
+
+// Output stream that records everything written to it
+function createOutput(isTTY) {
+  return { isTTY, columns: 40, written: '', write(text) { this.written += text; } };
+}
+
+// Receives streamed text; returns the chunks and the response
+async function collect(provider, messages, options = {}) {
+  const chunks = [];
+  const response = await provider.streamCompletion(messages, options, text => chunks.push(text));
+  return { chunks, response };
+}
+
+const chatChunks = (...texts) => [
+  ...texts.map((text, i) => ({ model: 'gpt-test', choices: [{ delta: { content: text }, finish_reason: i === texts.length - 1 ? 'stop' : null }] })),
+  { model: 'gpt-test', choices: [], usage: { total_tokens: 42 } }
+];
+
+const commit = (hash, subject, type, extra = {}) => ({
+  hash, fullHash: hash, subject, type, breaking: false, files: [{ category: 'source' }], trailers: {}, ...extra
+});
+
+async function run() {
+  console.log(colors.header('🧪 Testing Streaming\n'));
+
+  // Test 1: Provider streams
+  console.log(colors.subheader('Test 1: Provider streams'));
+  class SingleShotProvider extends BaseProvider {
+    async generateCompletion() { return { content: 'whole response', model: 'm' }; }
+  }
+  const singleShot = await collect(new SingleShotProvider({}), []);
+  check('Providers without native streaming deliver one chunk', singleShot.chunks.join('|') === 'whole response' && singleShot.response.model === 'm');
+
+  const openai = new OpenAIProvider({ OPENAI_API_KEY: 'test' });
+  let openaiParams = null;
+  openai.openai = { chat: { completions: { create: async params => { openaiParams = params; return replay(chatChunks('Hello', ', world')); } } } };
+  const openaiStream = await collect(openai, [{ role: 'user', content: 'Hi' }], { model: 'gpt-test', responseSchema: { name: 's', schema: {} } });
+  check('OpenAI streams chat completion chunks', openaiStream.chunks.join('|') === 'Hello|, world' &&
+    JSON.stringify(openaiStream.response) === JSON.stringify({ content: 'Hello, world', model: 'gpt-test', tokens: 42, finish_reason: 'stop' }));
+  check('OpenAI requests usage and keeps the response schema', openaiParams.stream && openaiParams.stream_options.include_usage &&
+    openaiParams.response_format.json_schema.name === 's');
+
+  const lmstudio = new LMStudioProvider({ LMSTUDIO_API_BASE: 'http://localhost:1234/v1' });
+  let lmstudioParams = null;
+  lmstudio.client = { chat: { completions: { create: async params => { lmstudioParams = params; return replay(chatChunks('{"a"', ':1}')); } } } };
+  const lmstudioStream = await collect(lmstudio, [], { responseSchema: { name: 's', schema: {} } });
+  check('LM Studio streams with the response schema applied', lmstudioStream.response.content === '{"a":1}' && lmstudioParams.response_format?.type === 'json_schema');
+
+  const anthropic = new AnthropicProvider({ ANTHROPIC_API_KEY: 'test' });
+  anthropic.anthropic = { messages: { create: async () => replay([
+    { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 10 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', name: 'commit_summary' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"summary":' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"Adds X"}' } },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 5 } }
+  ]) } };
+  const anthropicStream = await collect(anthropic, [{ role: 'user', content: 'Hi' }], { responseSchema: { name: 'commit_summary', schema: {} } });
+  check('Anthropic streams the structured tool input', anthropicStream.chunks.join('') === '{"summary":"Adds X"}' &&
+    anthropicStream.response.model === 'claude-test' && anthropicStream.response.tokens === 15 && anthropicStream.response.stop_reason === 'tool_use');
+
+  const ollama = new OllamaProvider({ OLLAMA_HOST: 'http://localhost:11434' });
+  let ollamaParams = null;
+  ollama.client = { chat: async params => { ollamaParams = params; return replay([
+    { message: { content: 'Local' }, done: false },
+    { message: { content: ' model' }, done: false },
+    { message: { content: '' }, done: true, model: 'llama3', eval_count: 7, done_reason: 'stop' }
+  ]); } };
+  const ollamaStream = await collect(ollama, [], { responseSchema: { name: 's', schema: { type: 'object' } } });
+  check('Ollama streams message parts with the format applied', ollamaStream.chunks.join('|') === 'Local| model' &&
+    ollamaStream.response.tokens === 7 && ollamaParams.format.type === 'object');
+
+  // Test 2: Provider manager
+  console.log(colors.subheader('\nTest 2: Provider manager'));
+  const calls = [];
+  const stub = {
+    getName: () => 'openai',
+    isAvailable: () => true,
+    generateCompletion: async (messages, options) => { calls.push(['generate', options]); return { content: 'done' }; },
+    streamCompletion: async (messages, options, onText) => { calls.push(['stream', options]); onText('do'); onText('ne'); return { content: 'done' }; }
+  };
+  const manager = Object.create(ProviderManager.prototype);
+  manager.providers = { openai: stub };
+  manager.scheduler = new RequestScheduler({ retries: 0, baseDelay: 0, requestsPerMinute: 0 });
+  manager.fallbackChain = [];
+  manager.activeProvider = stub;
+
+  const streamed = [];
+  const response = await manager.generateWithFallback([], { max_tokens: 5, onText: text => streamed.push(text) });
+  await manager.generateWithFallback([], { max_tokens: 5 });
+  check('Streams when an onText callback is given', calls[0][0] === 'stream' && streamed.join('|') === 'do|ne' && response.provider === 'openai');
+  check('Passes the remaining options through', !('onText' in calls[0][1]) && calls[0][1].max_tokens === 5 && calls[1][0] === 'generate');
+
+  let attempts = 0;
+  const flaky = {
+    ...stub,
+    streamCompletion: async (messages, options, onText) => {
+      onText(attempts === 0 ? 'Half a' : 'Whole answer');
+      if (attempts++ === 0) throw Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+      return { content: 'Whole answer' };
+    }
+  };
+  manager.providers = { openai: flaky };
+  manager.activeProvider = flaky;
+  manager.scheduler = new RequestScheduler({ retries: 1, baseDelay: 0, requestsPerMinute: 0 });
+  const retried = [];
+  await manager.generateWithFallback([], { onText: text => retried.push(text), onRestart: () => retried.push('<restart>') });
+  check('Tells the caller to discard streamed text before a retry streams again', retried.join('|') === 'Half a|<restart>|Whole answer');
+
+  // Test 3: Terminal rendering
+  console.log(colors.subheader('\nTest 3: Terminal rendering'));
+  check('Reads string fields from partial JSON', StreamRenderer.partialField('{"title": "x", "summary": "Adds \\"quoted\\" te', 'summary') === 'Adds "quoted" te' &&
+    StreamRenderer.partialField('{"summary": "line\\nbreak \\u00e9\\u00', 'summary') === 'line\nbreak é' &&
+    StreamRenderer.partialField('{"summary": "ends with \\', 'summary') === 'ends with ' &&
+    StreamRenderer.partialField('{"summ', 'summary') === null);
+
+  const terminal = createOutput(true);
+  const renderer = new StreamRenderer(terminal);
+  renderer.preview('abc1234', 'Adds a very long streaming summary that does not fit on the line');
+  check('Previews the tail of long summaries on the status line', terminal.written.startsWith('\r\x1b[K') && terminal.written.includes('…') &&
+    terminal.written.endsWith(colors.dim('not fit on the line')));
+  terminal.written = '';
+  renderer.entry('feat', 'Add streaming', 'abc1234');
+  check('Clears the status line before printing an entry', terminal.written.startsWith('\r\x1b[K') && terminal.written.endsWith('(abc1234)\n'));
+  terminal.written = '';
+  renderer.begin('Release Summary');
+  renderer.preview('abc1234', 'ignored while text streams');
+  renderer.write('Streams ');
+  renderer.write('the summary.');
+  renderer.end();
+  check('Writes streamed text in place and ends its line', terminal.written === `\n${colors.header('Release Summary')}\nStreams the summary.\n`);
+  terminal.written = '';
+  renderer.begin('Release Summary');
+  renderer.write('A first attempt that wraps past the forty column width\nand');
+  renderer.restart();
+  renderer.write('Retried.');
+  renderer.end();
+  check('Erases the rows of a restarted block', terminal.written.endsWith('and\x1b[2A\r\x1b[K\x1b[JRetried.\n'));
+
+  const redirected = createOutput(false);
+  const quiet = new StreamRenderer(redirected);
+  quiet.preview('abc1234', 'partial');
+  quiet.entry('fix', 'Fix it', 'def5678');
+  check('Skips the status line when output is not a terminal', !redirected.written.includes('\r') && redirected.written.includes('Fix it'));
+  redirected.written = '';
+  quiet.begin('Release Summary');
+  quiet.write('First attempt');
+  quiet.restart();
+  quiet.write('Retried.');
+  quiet.end();
+  check('Writes blocks in one piece when output is not a terminal', redirected.written === `\n${colors.header('Release Summary')}\nRetried.\n`);
+
+  // Test 4: Changelog generation
+  console.log(colors.subheader('\nTest 4: Changelog generation'));
+  const output = createOutput(false);
+  const generator = createGenerator({ gitManager: null, renderer: new StreamRenderer(output) });
+  generator.generateAISummary = async analysis => ({ summary: analysis.subject.split(': ')[1] });
+  const analyzed = await generator.summarizeCommits([
+    commit('aaa1111', 'feat: add streaming', 'feat'),
+    commit('bbb2222', 'chore: internal', 'chore', { trailers: { changelog: 'skip' } }),
+    commit('ccc3333', 'fix: handle errors', 'fix', { pr: 12 })
+  ]);
+  check('Prints each entry as its summary completes', output.written.includes('add streaming') && output.written.includes('(aaa1111)') &&
+    output.written.includes('(#12)') && !output.written.includes('internal') && analyzed[1].aiSummary === null);
+
+  output.written = '';
+  const insights = await generator.generateReleaseInsights(analyzed, '1.2.0');
+  check('Prints the rule-based release summary without AI', output.written.includes('Release Summary (1.2.0)') &&
+    output.written.includes(insights.summary) && !insights.generatedBy);
+
+  const prompts = [];
+  const aiManager = {
+    generateWithFallback: async (messages, options) => {
+      prompts.push(messages[0].content);
+      ['Faster releases', ' with streaming.'].forEach(text => options.onText(text));
+      return { content: 'Faster releases with streaming.', provider: 'openai', model: 'gpt-test', fallbacks: [] };
+    }
+  };
+  output.written = '';
+  const aiGenerator = createGenerator({ gitManager: null, hasAI: true, providerManager: aiManager, renderer: new StreamRenderer(output) });
+  const aiInsights = await aiGenerator.generateReleaseInsights(analyzed, '1.2.0');
+  check('Streams an AI-written release summary', output.written.endsWith('Faster releases with streaming.\n') &&
+    aiInsights.summary === 'Faster releases with streaming.' && aiInsights.generatedBy.provider === 'openai');
+  check('Writes the summary from the release entries', prompts[0].includes('release 1.2.0') && prompts[0].includes('- feat: add streaming\n- fix: handle errors') &&
+    !prompts[0].includes('internal'));
+
+  const nonInteractive = createGenerator({
+    gitManager: null,
+    hasAI: true,
+    providerManager: aiManager,
+    configManager: { get: key => key !== 'AI_RELEASE_SUMMARY' }
+  });
+  const nonInteractiveInsights = await nonInteractive.generateReleaseInsights(analyzed, '1.2.0');
+  check('Skips the AI release summary without live output unless AI_RELEASE_SUMMARY is set', prompts.length === 1 &&
+    nonInteractiveInsights.summary.startsWith('Release includes') && nonInteractive.metrics.apiCalls === 0);
+
+  const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-changelog-release-summary-'));
+  try {
+    const cachedRuns = [];
+    for (let i = 0; i < 2; i++) {
+      output.written = '';
+      const cachedGenerator = createGenerator({
+        gitManager: null,
+        hasAI: true,
+        providerManager: aiManager,
+        renderer: new StreamRenderer(output),
+        summaryCache: new SummaryCache({ directory: cacheDirectory })
+      });
+      cachedRuns.push({ insights: await cachedGenerator.generateReleaseInsights(analyzed, '1.2.0'), metrics: cachedGenerator.metrics });
+    }
+    check('Caches the AI release summary', prompts.length === 2 && cachedRuns[1].metrics.cacheHits === 1 &&
+      cachedRuns[1].insights.summary === 'Faster releases with streaming.' && cachedRuns[1].insights.generatedBy.provider === 'openai' &&
+      output.written.endsWith('Faster releases with streaming.\n'));
+  } finally {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  }
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const failing = createGenerator({
+    gitManager: null,
+    hasAI: true,
+    providerManager: { generateWithFallback: async () => { throw new Error('All AI providers failed'); } },
+    renderer: new StreamRenderer(output)
+  });
+  const fallbackInsights = await failing.generateReleaseInsights(analyzed, '1.2.0');
+  console.warn = originalWarn;
+  check('Keeps the rule-based summary when the provider fails', fallbackInsights.summary.startsWith('Release includes 1 new features, 1 bug fixes') &&
+    failing.metrics.errors === 1);
+}
+
+runChecks('streaming', run);
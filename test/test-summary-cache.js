@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the on-disk commit summary cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SummaryCache = require('../lib/summary-cache');
+const colors = require('../lib/colors');
+const { check, finish } = require('./helpers');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-changelog-cache-'));
+const key = { hash: 'a1b2c3d4e5f6', analysisMode: 'standard', model: 'gpt-4.1', promptVersion: 1 };
+const summary = { summary: 'Adds export command', scope: 'minor', highlights: ['CSV export'] };
+
+console.log(colors.header('🧪 Testing Summary Cache\n'));
+
+try {
+  // Test 1: Round trip
+  console.log(colors.subheader('Test 1: Round trip'));
+  const cache = new SummaryCache({ directory });
+  check('Misses before anything is stored', cache.get(key) === null);
+  check('Stores a summary', cache.set(key, summary) === true);
+  check('Returns the stored summary', JSON.stringify(cache.get(key)) === JSON.stringify(summary));
+  check('Entries survive a new cache instance', new SummaryCache({ directory }).get(key)?.summary === summary.summary);
+
+  // Test 2: Key components
+  console.log(colors.subheader('\nTest 2: Key components'));
+  check('Different analysis mode misses', cache.get({ ...key, analysisMode: 'detailed' }) === null);
+  check('Different model misses', cache.get({ ...key, model: 'gpt-4.1-mini' }) === null);
+  check('Different prompt version misses', cache.get({ ...key, promptVersion: 2 }) === null);
+  check('Keys are stable sha256 digests', SummaryCache.createKey(key) === SummaryCache.createKey({ ...key }) && /^[a-f0-9]{64}$/.test(SummaryCache.createKey(key)));
+
+  // Test 3: Robustness
+  console.log(colors.subheader('\nTest 3: Robustness'));
+  const entryPath = cache.getEntryPath(SummaryCache.createKey(key));
+  fs.writeFileSync(entryPath, '{ truncated', 'utf8');
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  check('Corrupt entries are treated as misses', cache.get(key) === null);
+  console.warn = originalWarn;
+
+  const disabled = new SummaryCache({ directory, enabled: false });
+  check('Disabled cache never stores', disabled.set(key, summary) === false);
+  check('Disabled cache never returns entries', disabled.get(key) === null);
+
+  cache.clear();
+  check('clear() removes the cache directory', !fs.existsSync(directory));
+} finally {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+finish('summary cache');
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for schema-validated commit summaries and the repair pass
+ */
+
+const BaseProvider = require('../lib/providers/base-provider');
+const { COMMIT_SUMMARY_SCHEMA, validateCommitSummary } = require('../lib/commit-summary-schema');
+const colors = require('../lib/colors');
+const { check, runChecks, createGenerator } = require('./helpers');
+
+const validSummary = {
+  summary: 'Adds CSV export to the reports page',
+  technicalSummary: 'New ExportService streams report rows as CSV',
+  category: 'feature',
+  impact: 'medium',
+  scope: 'minor',
+  userFacing: true,
+  breaking: false,
+  businessImpact: 'Users can share reports with spreadsheet tools',
+  technicalImpact: 'Adds a streaming export path',
+  highlights: ['CSV export'],
+  migrationNotes: null,
+  tags: ['reports'],
+  relatedAreas: ['export'],
+  riskLevel: 'low',
+  confidence: 0.9
+};
+
+// Generator wired to a provider manager that replays scripted responses
+function createScriptedGenerator(responses) {
+  const calls = [];
+  const generator = createGenerator({ gitManager: null, hasAI: true });
+  generator.selectOptimalModel = async () => 'gpt-4.1';
+  generator.buildEnhancedPrompt = () => 'prompt';
+  generator.generateRuleBasedSummary = () => ({ summary: 'rule-based' });
+
+  const respond = (kind, messages, options) => {
+    calls.push({ kind, messages, options });
+    return { content: responses.shift(), provider: 'openai', model: options.model, fallbacks: [] };
+  };
+  generator.providerManager = {
+    generateWithFallback: async (messages, options) => respond('fallback', messages, options),
+    generateWithProvider: async (provider, messages, options) => respond(`provider:${provider}`, messages, options)
+  };
+  return { generator, calls };
+}
+
+class SchemaProvider extends BaseProvider {}
+
+async function run() {
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+
+  console.log(colors.header('🧪 Testing Commit Summary Schema\n'));
+
+  // Test 1: Validation
+  console.log(colors.subheader('Test 1: Validation'));
+  check('Accepts a complete summary', validateCommitSummary(validSummary).length === 0);
+  check('Accepts string migration notes', validateCommitSummary({ ...validSummary, migrationNotes: 'Run migrations' }).length === 0);
+  const { summary, ...missingSummary } = validSummary;
+  check('Reports missing required fields', validateCommitSummary(missingSummary).includes('$.summary is required'));
+  check('Reports enum violations', validateCommitSummary({ ...validSummary, category: 'misc' }).some(e => e.startsWith('$.category must be one of')));
+  check('Reports wrong types in arrays', validateCommitSummary({ ...validSummary, tags: ['ok', 3] }).includes('$.tags[1] must be string (got integer)'));
+  check('Reports out-of-range numbers', validateCommitSummary({ ...validSummary, confidence: 1.5 }).includes('$.confidence must be <= 1'));
+  check('Rejects unknown properties', validateCommitSummary({ ...validSummary, extra: true }).includes('$.extra is not allowed'));
+
+  // Test 2: Provider schema conversion
+  console.log(colors.subheader('\nTest 2: Provider schema conversion'));
+  const openApi = new SchemaProvider({}).toOpenAPISchema(COMMIT_SUMMARY_SCHEMA);
+  check('Drops additionalProperties', !('additionalProperties' in openApi));
+  check('Turns null unions into nullable', openApi.properties.migrationNotes.type === 'string' && openApi.properties.migrationNotes.nullable === true);
+  check('Marks string enums', openApi.properties.category.format === 'enum');
+  check('Converts array items', openApi.properties.highlights.items.type === 'string');
+
+  // Test 3: Structured output and repair
+  console.log(colors.subheader('\nTest 3: Structured output and repair'));
+  let { generator, calls } = createScriptedGenerator([JSON.stringify(validSummary)]);
+  let result = await generator.generateAISummary({ hash: 'abc1234' });
+  check('Requests the commit summary schema', calls[0].options.responseSchema.schema === COMMIT_SUMMARY_SCHEMA);
+  check('Uses a valid response without repair', result.summary === validSummary.summary && calls.length === 1 && generator.metrics.repairs === 0);
+
+  ({ generator, calls } = createScriptedGenerator([`Here you go:\n${JSON.stringify(validSummary)}`]));
+  result = await generator.generateAISummary({ hash: 'abc1234' });
+  check('Extracts JSON surrounded by prose', result.summary === validSummary.summary && calls.length === 1);
+
+  ({ generator, calls } = createScriptedGenerator([JSON.stringify({ ...validSummary, impact: 'huge' }), JSON.stringify(validSummary)]));
+  result = await generator.generateAISummary({ hash: 'abc1234' });
+  const repairPrompt = calls[1]?.messages[calls[1].messages.length - 1].content || '';
+  check('Re-prompts the same provider and model', calls.length === 2 && calls[1].kind === 'provider:openai' && calls[1].options.model === 'gpt-4.1');
+  check('Repair prompt lists the validation errors', repairPrompt.includes('$.impact must be one of'));
+  check('Repair prompt includes the invalid response', calls[1]?.messages.some(m => m.role === 'assistant' && m.content.includes('huge')));
+  check('Uses the repaired summary', result.summary === validSummary.summary && result.generatedBy.provider === 'openai' && generator.metrics.repairs === 1);
+
+  ({ generator, calls } = createScriptedGenerator(['not json', '{"summary": "still incomplete"}']));
+  result = await generator.generateAISummary({ hash: 'abc1234' });
+  check('Falls back to rule-based analysis when the repair fails', result.summary === 'rule-based' && calls.length === 2 && generator.metrics.errors === 1);
+
+  console.warn = originalWarn;
+  console.error = originalError;
+}
+
+runChecks('summary schema', run);
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the changelog templates
+ */
+
+const fs = require('fs');
+const ChangelogTemplates = require('../lib/templates');
+const colors = require('../lib/colors');
+const { check, runChecks, git, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+// Commit types the templates know, plus one they don't
+const CATEGORIES = [
+  'feat', 'fix', 'security', 'breaking', 'changed', 'deprecated', 'removed', 'docs', 'style', 'refactor',
+  'perf', 'test', 'chore', 'ci', 'build', 'deps', 'config', 'db', 'api', 'ui', 'revert', 'other', 'wip'
+];
+
+async function run() {
+  console.log(colors.header('🧪 Testing Changelog Templates\n'));
+
+  // Test 1: Every category
+  console.log(colors.subheader('Test 1: Every category'));
+  const templates = new ChangelogTemplates();
+  const changes = Object.fromEntries(CATEGORIES.map(category => [category, [{ description: `${category} entry` }]]));
+  const data = { version: '1.0.0', date: '2025-01-01', changes, breaking: [], metadata: {}, includeAttribution: false };
+
+  templates.getAvailableTemplates().forEach(name => {
+    const content = templates.render(name, data);
+    const missing = CATEGORIES.filter(category => content.split(`${category} entry`).length !== 2);
+    check(`${name} renders every category once${missing.length > 0 ? ` (missing or repeated: ${missing.join(', ')})` : ''}`, missing.length === 0);
+  });
+
+  // Test 2: Sections
+  console.log(colors.subheader('\nTest 2: Sections'));
+  const keepAChangelog = templates.render('keepachangelog', data);
+  const changed = keepAChangelog.split('### Changed\n\n')[1].split('\n\n')[0];
+  check('Keep a Changelog lists types without a section of their own under Changed', ['docs', 'test', 'chore', 'ci', 'build', 'config', 'other', 'wip']
+    .every(category => changed.includes(`- ${category} entry`)) && !changed.includes('- feat entry'));
+
+  const semantic = templates.render('semantic', { ...data, breaking: [{ description: 'breaking entry' }] });
+  check('Semantic keeps features and fixes first and names the other categories', semantic.indexOf('## ✨ Features') < semantic.indexOf('## 🐛 Bug Fixes') &&
+    semantic.indexOf('## 🐛 Bug Fixes') < semantic.indexOf('## 📚 Documentation') && semantic.includes('## 🔧 Maintenance\n\n- chore entry\n'));
+  check('Semantic lists breaking changes only in their own section', semantic.split('- breaking entry\n').length === 2 &&
+    semantic.startsWith('# Release 1.0.0 (2025-01-01)\n\n## 💥 BREAKING CHANGES\n\n- breaking entry\n'));
+
+  // Test 3: Interactive mode
+  console.log(colors.subheader('\nTest 3: Interactive mode'));
+  const originalLog = console.log;
+  await inTempRepository('templates', async () => {
+    try {
+      fs.writeFileSync('app.js', 'start()\n');
+      commitAll('feat: add start');
+      fs.writeFileSync('app.js', 'start()\nstop()\n');
+      commitAll('fix: stop cleanly');
+      fs.writeFileSync('HISTORY.md', '# Changelog\n\n## [1.0.0] - 2025-01-01\n\n- First release\n');
+
+      const generator = createGenerator({ changelogFile: 'HISTORY.md', changelogFormat: 'keepachangelog' });
+      console.log = () => {};
+      await generator.generateChangelogForCommits(git('log', '--format=%h').split('\n'));
+      console.log = originalLog;
+      const history = fs.readFileSync('HISTORY.md', 'utf8');
+      check('Renders selected commits through the configured template into CHANGELOG_FILE', history.includes('### Added\n\n- feat: add start') &&
+        history.includes('### Fixed\n\n- fix: stop cleanly') && history.includes('- First release') && !/^## [0-9a-f]{7} - /m.test(history));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('template', run);
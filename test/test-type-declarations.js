@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for public type declaration diffing
+ */
+
+const TypeDeclarations = require('../lib/type-declarations');
+const GitManager = require('../lib/git-manager');
+const ChangelogTemplates = require('../lib/templates');
+const colors = require('../lib/colors');
+const { check, runChecks, git, writeFile, commitAll, inTempRepository, createGenerator } = require('./helpers');
+
+const diffSources = (before, after, file = 'src/index.ts') =>
+  TypeDeclarations.diff(TypeDeclarations.declarationsOf(before, file), TypeDeclarations.declarationsOf(after, file), file);
+
+const describeChanges = changes => changes.map(change => `${change.change}:${change.symbol}${change.breaking ? '!' : ''}`).join(',');
+
+async function run() {
+  console.log(colors.header('🧪 Testing Type Declarations\n'));
+
+  // Test 1: Declarations
+  console.log(colors.subheader('Test 1: Declarations'));
+  const declarations = TypeDeclarations.declarationsOf(`
+    import { Agent } from 'http';
+    interface Internal { secret: string }
+    export interface Options extends Base { url: string; timeout?: number; readonly agent: Agent; request(path: string): Promise<Response> }
+    export type Mode = 'fast' | 'safe';
+    export enum Level { Low = 1, High = 2 }
+    export declare function load(path: string): string;
+    export declare function load(path: string, encoding: string): Buffer;
+    export class Client { constructor(options: Options); private token: string; get ready(): boolean; send(data: string[]): void }
+    declare const VERSION: string;
+    export { VERSION as version };
+    export namespace Util { export function noop(): void }
+  `, 'types/index.d.ts');
+  check('Lists exported declarations only', [...declarations.keys()].join() === 'Options,Mode,Level,load,Client,Util,version');
+  check('Records declaration kinds', [...declarations.values()].map(declaration => declaration.kind).join() ===
+    'interface,type,enum,function,class,namespace,constant');
+  check('Keeps interface members and bases', [...declarations.get('Options').members.keys()].join() === 'url,timeout,agent,request' &&
+    declarations.get('Options').bases.join() === 'Base' && declarations.get('Options').members.get('timeout').optional &&
+    declarations.get('Options').members.get('agent').readonly);
+  check('Keeps every overload', declarations.get('load').signatures.length === 2);
+  check('Skips private class members and treats getters as readonly', [...declarations.get('Client').members.keys()].join() === 'constructor,ready,send' &&
+    declarations.get('Client').members.get('ready').readonly);
+
+  const globals = TypeDeclarations.declarationsOf('declare function ambient(): void;\ninterface Window { app: string }', 'types/globals.d.ts');
+  check('Treats declaration files without exports as global', [...globals.keys()].join() === 'ambient,Window');
+  check('Returns null for sources that do not parse', TypeDeclarations.declarationsOf('export interface {', 'src/broken.ts') === null);
+  check('Only compares TypeScript sources', TypeDeclarations.isDeclarationFile('types/index.d.ts') && TypeDeclarations.isDeclarationFile('src/a.mts') &&
+    !TypeDeclarations.isDeclarationFile('src/a.js') && !TypeDeclarations.isDeclarationFile('src/a.test.ts'));
+
+  // Test 2: Classification
+  console.log(colors.subheader('\nTest 2: Classification'));
+  check('Removed members are breaking', describeChanges(diffSources(
+    'export interface Options { url: string; timeout?: number }',
+    'export interface Options { url: string }'
+  )) === 'removed:Options.timeout!');
+  check('Required parameters are breaking and optional ones compatible', describeChanges(diffSources(
+    'export function connect(url: string): void;\nexport function close(): void;',
+    'export function connect(url: string, retries: number): void;\nexport function close(force?: boolean): void;'
+  )) === 'changed:connect!,changed:close');
+  check('Narrowed return types are breaking', JSON.stringify(diffSources(
+    'export function load(): Promise<string | null>;',
+    'export function load(): Promise<string>;'
+  )) === JSON.stringify([{
+    file: 'src/index.ts', symbol: 'load', change: 'changed', detail: 'return type narrowed from `Promise<string | null>` to `Promise<string>`', breaking: true
+  }]));
+  check('Widened parameter types are compatible, narrowed ones breaking', describeChanges(diffSources(
+    'export function parse(input: string): void;\nexport function format(value: string | number): void;',
+    'export function parse(input: string | Buffer): void;\nexport function format(value: string): void;'
+  )) === 'changed:parse,changed:format!');
+  check('Required interface properties are breaking, optional ones compatible', describeChanges(diffSources(
+    'export interface Options { url: string }',
+    'export interface Options { url: string; debug: boolean; verbose?: boolean }'
+  )) === 'added:Options.debug!,added:Options.verbose');
+  check('Narrowed type aliases and removed enum members are breaking', describeChanges(diffSources(
+    'export type Mode = \'fast\' | \'safe\';\nexport enum Level { Low, High }',
+    'export type Mode = \'fast\';\nexport enum Level { Low }'
+  )) === 'changed:Mode!,removed:Level.High!');
+  check('Ignores unchanged declarations', diffSources('export interface A { x: string }', 'export interface A { x: string }').length === 0);
+  check('Describes changes with file and symbol', TypeDeclarations.describeChange(diffSources('export interface A { x: string }', 'export interface A {}')[0]) ===
+    '`A.x` in src/index.ts: property removed');
+
+  // Test 3: Release changelog
+  console.log(colors.subheader('\nTest 3: Release changelog'));
+  const originalLog = console.log;
+
+  await inTempRepository('types', async () => {
+    try {
+      writeFile('types/index.d.ts', 'export interface Options {\n  url: string;\n  timeout?: number;\n}\n\nexport declare function connect(options: Options): Promise<void>;\n');
+      writeFile('src/index.js', 'module.exports = {};\n');
+      commitAll('feat: initial client');
+      git('tag', 'v1.0.0');
+      writeFile('types/index.d.ts', 'export interface Options {\n  url: string;\n  timeout?: number;\n}\n\nexport declare function connect(options: Options, retries?: number): Promise<void>;\n');
+      commitAll('feat: retry connections');
+      writeFile('types/index.d.ts', 'export interface Options {\n  url: string;\n}\n\nexport declare function connect(options: Options, retries?: number): Promise<void>;\n');
+      writeFile('src/index.js', 'module.exports = { version: 2 };\n');
+      commitAll('chore: tidy options');
+
+      const changes = await new TypeDeclarations(new GitManager()).compare('v1.0.0', 'HEAD');
+      check('Compares declarations between two refs, breaking first', describeChanges(changes) === 'removed:Options.timeout!,changed:connect');
+      check('Has nothing to compare without a base ref', (await new TypeDeclarations(new GitManager()).compare(null)).length === 0);
+
+      const generator = createGenerator({ groupByPR: true, typeDiff: true });
+      const hashes = git('rev-list', 'v1.0.0..HEAD').split('\n');
+      check('Compares from the parent of the oldest commit without a starting ref',
+        describeChanges(await generator.compareTypeDeclarations(hashes)) === 'removed:Options.timeout!,changed:connect' &&
+        (await generator.compareTypeDeclarations(git('rev-list', 'HEAD').split('\n'))).length === 0);
+
+      const analyzedCommits = await generator.getCommitAnalyses(hashes);
+      const releaseInsights = generator.withTypeChanges({ summary: 'Release', riskLevel: 'low', breaking: false }, changes);
+      check('Marks the release as breaking', releaseInsights.breaking && releaseInsights.typeChanges === changes);
+
+      console.log = () => {};
+      const changelog = generator.buildChangelog(analyzedCommits, releaseInsights, '2.0.0');
+      console.log = originalLog;
+      check('Lists breaking type changes under breaking changes', /### ⚠️ Breaking Changes\n\n- \*\*`Options\.timeout` in types\/index\.d\.ts: property removed/.test(changelog) &&
+        !changelog.includes('optional parameter `retries` added'));
+
+      const templates = new ChangelogTemplates();
+      const data = generator.buildTemplateData(analyzedCommits, releaseInsights, '2.0.0');
+      check('Every template renders breaking type changes', templates.getAvailableTemplates().every(name => templates.render(name, data).includes('`Options.timeout` in types/index.d.ts')));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+}
+
+runChecks('type declaration', run);
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for semantic version bump recommendations
+ */
+
+const VersionCalculator = require('../lib/version-calculator');
+const colors = require('../lib/colors');
+const { checkEqual, finish } = require('./helpers');
+
+const calculator = new VersionCalculator();
+const fix = { hash: 'aaa1111', subject: 'fix: handle empty input', type: 'fix', breaking: false, aiSummary: { scope: 'patch' } };
+const feat = { hash: 'bbb2222', subject: 'feat: add export command', type: 'feat', breaking: false, aiSummary: { scope: 'patch' } };
+const breaking = { hash: 'ccc3333', subject: 'refactor!: drop node 18', type: 'refactor', breaking: true, aiSummary: { scope: 'major' } };
+const aiMinor = { hash: 'ddd4444', subject: 'chore: wire new provider', type: 'chore', breaking: false, aiSummary: { scope: 'minor' } };
+
+console.log(colors.header('🧪 Testing Version Calculator\n'));
+
+// Test 1: Parsing and precedence
+console.log(colors.subheader('Test 1: Parsing and precedence'));
+checkEqual('Parses prefixed versions', VersionCalculator.format(VersionCalculator.parse('v1.2.3-rc.1')), '1.2.3-rc.1');
+checkEqual('Rejects non-semver tags', VersionCalculator.parse('release-2024'), null);
+checkEqual('Pre-releases sort below their release', VersionCalculator.compare('1.0.0-rc.1', '1.0.0'), -1);
+checkEqual('Numeric pre-release identifiers compare numerically', VersionCalculator.compare('1.0.0-rc.10', '1.0.0-rc.2'), 1);
+checkEqual('Finds the highest semver tag', calculator.findLatestTag(['v1.2.0', 'v1.10.0-rc.1', 'v1.10.0', 'nightly']).tag, 'v1.10.0');
+
+// Test 2: Stable bumps
+console.log(colors.subheader('\nTest 2: Stable bumps'));
+checkEqual('Fixes bump the patch version', calculator.recommend([fix], { currentVersion: 'v1.2.3' }).next, '1.2.4');
+checkEqual('Features bump the minor version', calculator.recommend([fix, feat], { currentVersion: 'v1.2.3' }).next, '1.3.0');
+checkEqual('Breaking changes bump the major version', calculator.recommend([feat, breaking], { currentVersion: 'v1.2.3' }).next, '2.0.0');
+checkEqual('AI scope can raise the bump', calculator.recommend([aiMinor], { currentVersion: '1.2.3' }).next, '1.3.0');
+checkEqual('Tag prefix is preserved', calculator.recommend([fix], { currentVersion: 'v1.2.3', currentTag: 'v1.2.3' }).nextTag, 'v1.2.4');
+checkEqual('No commits means no bump', calculator.recommend([], { currentVersion: '1.2.3' }).next, null);
+
+const justified = calculator.recommend([fix, feat, breaking], { currentVersion: '1.2.3' });
+checkEqual('Justification lists the commit forcing the major bump', justified.justification.major.map(c => c.hash).join(','), 'ccc3333');
+checkEqual('Justification lists the commit requiring a minor bump', justified.justification.minor.map(c => c.hash).join(','), 'bbb2222');
+
+// Test 3: 0.x semantics
+console.log(colors.subheader('\nTest 3: 0.x semantics'));
+checkEqual('Breaking changes bump the minor version on 0.x', calculator.recommend([breaking], { currentVersion: '0.3.1' }).next, '0.4.0');
+checkEqual('Features bump the patch version on 0.x', calculator.recommend([feat], { currentVersion: '0.3.1' }).next, '0.3.2');
+
+// Test 4: Pre-release channels
+console.log(colors.subheader('\nTest 4: Pre-release channels'));
+checkEqual('Starts a new pre-release channel', calculator.recommend([feat], { currentVersion: '1.2.3', prerelease: 'rc' }).next, '1.3.0-rc.0');
+checkEqual('Advances the counter on the same channel', calculator.recommend([fix], { currentVersion: '1.3.0-rc.0', prerelease: 'rc' }).next, '1.3.0-rc.1');
+checkEqual('Switches channel without bumping again', calculator.recommend([feat], { currentVersion: '1.3.0-beta.2', prerelease: 'rc' }).next, '1.3.0-rc.0');
+checkEqual('Bumps the base when the pre-release does not cover the change', calculator.recommend([breaking], { currentVersion: '1.3.0-rc.1', prerelease: 'rc' }).next, '2.0.0-rc.0');
+checkEqual('Graduates a pre-release without a channel', calculator.recommend([fix], { currentVersion: '1.3.0-rc.1' }).next, '1.3.0');
+checkEqual('Graduates a pre-release with no new commits', calculator.recommend([], { currentVersion: '1.3.0-rc.1' }).next, '1.3.0');
+
+finish('version calculator');
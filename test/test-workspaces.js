@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for monorepo workspace discovery and per-package changelogs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Workspaces = require('../lib/workspaces');
+const GitManager = require('../lib/git-manager');
+const colors = require('../lib/colors');
+const { check, rejection, runChecks, git, writeFile, commitAll, createTempRepository, createGenerator } = require('./helpers');
+
+// Fresh repository in a scratch directory with the given files committed
+function createRepository(files) {
+  const directory = createTempRepository('workspaces');
+  Object.entries(files).forEach(([file, content]) => {
+    writeFile(file, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+  });
+  commitAll('chore: initial layout');
+  return directory;
+}
+
+function discover() {
+  return Workspaces.discover(new GitManager());
+}
+
+function createWorkspaceGenerator(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const generator = createGenerator({
+    cwd,
+    gitManager: new GitManager({ cwd }),
+    groupByPR: true,
+    workspaceChangelogs: options.workspaceChangelogs !== false,
+    packageName: options.package || null,
+    validateConfiguration: () => ({ recommendations: [] })
+  });
+  generator.workspaces = Workspaces.discover(generator.gitManager);
+  return generator;
+}
+
+async function run() {
+  console.log(colors.header('🧪 Testing Workspaces\n'));
+
+  // Test 1: Configuration parsing
+  console.log(colors.subheader('Test 1: Configuration parsing'));
+  check('Reads pnpm-workspace.yaml package lists', JSON.stringify(Workspaces.parsePnpmWorkspace(
+    "packages:\n  - 'packages/*'\n  - \"apps/**\" # apps\n  - '!**/test/**'\ncatalog:\n  - ignored\n"
+  )) === JSON.stringify(['packages/*', 'apps/**', '!**/test/**']));
+  const single = Workspaces.globToRegExp('packages/*');
+  const deep = Workspaces.globToRegExp('./apps/**/');
+  check('Matches single-level globs', single.test('packages/api') && !single.test('packages/api/nested') && !single.test('packages'));
+  check('Matches recursive globs', deep.test('apps/web') && deep.test('apps/web/admin') && !deep.test('apps'));
+
+  const originalCwd = process.cwd();
+  const originalLog = console.log;
+  const directories = [];
+
+  try {
+    // Test 2: Discovery
+    console.log(colors.subheader('\nTest 2: Discovery'));
+    directories.push(createRepository({
+      'package.json': { name: 'root', private: true, workspaces: ['packages/*', 'tools/cli', '!packages/ignored'] },
+      'yarn.lock': '',
+      'turbo.json': {},
+      'packages/api/package.json': { name: '@acme/api', version: '1.2.0' },
+      'packages/api/plugins/auth/package.json': { name: '@acme/auth' },
+      'packages/web/package.json': { name: '@acme/web', private: true },
+      'packages/ignored/package.json': { name: 'ignored' },
+      'tools/cli/package.json': { name: 'acme-cli' },
+      'examples/demo/package.json': { name: 'demo' }
+    }));
+    let workspaces = discover();
+    check('Detects yarn workspaces and Turborepo', workspaces.tools.join() === 'yarn,turbo');
+    check('Finds packages matching the workspace patterns', workspaces.packages.map(pkg => pkg.name).sort().join() === '@acme/api,@acme/web,acme-cli');
+    check('Reads package metadata', JSON.stringify(workspaces.find('@acme/api')) === JSON.stringify({ name: '@acme/api', version: '1.2.0', dir: 'packages/api', private: false }));
+    check('Finds packages by directory', workspaces.find('./tools/cli/')?.name === 'acme-cli');
+
+    directories.push(createRepository({
+      'pnpm-workspace.yaml': "packages:\n  - 'packages/**'\n",
+      'packages/api/package.json': { name: '@acme/api' },
+      'packages/api/plugins/auth/package.json': { name: '@acme/auth' },
+      'packages/api/node_modules/dep/package.json': { name: 'vendored' }
+    }));
+    fs.writeFileSync('.gitignore', 'node_modules\n');
+    git('rm', '-q', '-r', '--cached', 'packages/api/node_modules');
+    commitAll('chore: ignore node_modules');
+    workspaces = discover();
+    check('Detects pnpm workspaces and skips untracked manifests', workspaces.tools.join() === 'pnpm' && workspaces.packages.map(pkg => pkg.name).sort().join() === '@acme/api,@acme/auth');
+    check('Maps files to the innermost package', workspaces.packageForFile('packages/api/plugins/auth/index.js')?.name === '@acme/auth' &&
+      workspaces.packageForFile('packages/api/src/index.js')?.name === '@acme/api' &&
+      workspaces.packageForFile('packages/apiary/index.js') === null);
+    check('Lists the packages touched by a set of files', JSON.stringify(workspaces.packagesForFiles(['README.md', 'packages/api/a.js', 'packages/api/plugins/auth/b.js', 'packages/api/c.js'])) === JSON.stringify(['@acme/api', '@acme/auth']));
+
+    directories.push(createRepository({
+      'lerna.json': { version: 'independent' },
+      'nx.json': { workspaceLayout: { libsDir: 'modules' } },
+      'packages/core/package.json': { name: '@acme/core' },
+      'modules/shared/project.json': { name: 'shared' },
+      'scripts/package.json': { name: 'scripts' }
+    }));
+    workspaces = discover();
+    check('Detects Lerna defaults and Nx projects', workspaces.tools.join() === 'lerna,nx' && workspaces.packages.map(pkg => pkg.name).sort().join() === '@acme/core,shared');
+
+    directories.push(createRepository({ 'package.json': { name: 'single' }, 'turbo.json': {} }));
+    check('Single-package repositories are not monorepos', !discover().isMonorepo && discover().tools.length === 0);
+
+    // Test 3: Per-package changelogs
+    console.log(colors.subheader('\nTest 3: Per-package changelogs'));
+    directories.push(createRepository({
+      'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+      'packages/api/package.json': { name: '@acme/api', version: '1.0.0' },
+      'packages/web/package.json': { name: '@acme/web', version: '1.0.0' },
+      'packages/docs/package.json': { name: '@acme/docs', version: '1.0.0' }
+    }));
+    git('tag', 'v1.0.0');
+    writeFile('packages/api/index.js', 'module.exports = {};\n');
+    commitAll('feat: add api entry point');
+    writeFile('packages/api/index.js', 'module.exports = { ready: true };\n');
+    writeFile('packages/web/index.js', 'export default {};\n');
+    commitAll('fix: share the ready flag');
+    writeFile('README.md', '# Acme\n');
+    commitAll('docs: add readme');
+
+    console.log = () => {};
+    let changelog = await createWorkspaceGenerator().generateChangelog('1.1.0', null, { from: 'v1.0.0' });
+    console.log = originalLog;
+
+    const rootChangelog = fs.readFileSync('AI_CHANGELOG.md', 'utf8');
+    const apiChangelog = fs.readFileSync('packages/api/AI_CHANGELOG.md', 'utf8');
+    const webChangelog = fs.readFileSync('packages/web/AI_CHANGELOG.md', 'utf8');
+    check('Writes a changelog next to each changed package', apiChangelog.includes('feat: add api entry point') && apiChangelog.includes('fix: share the ready flag') &&
+      webChangelog.includes('fix: share the ready flag') && !webChangelog.includes('add api entry point'));
+    check('Skips packages without changes', !fs.existsSync('packages/docs/AI_CHANGELOG.md'));
+    check('Root changelog summarizes the packages', rootChangelog.includes('across 2 packages: @acme/api (2), @acme/web (1)') && rootChangelog.includes('docs: add readme'));
+    check('Root entries are scoped by package', rootChangelog.includes('@acme/api, @acme/web: fix: share the ready flag'));
+    check('Returns the root changelog', changelog.includes('across 2 packages'));
+
+    fs.rmSync('AI_CHANGELOG.md');
+    fs.rmSync('packages/api/AI_CHANGELOG.md');
+    fs.rmSync('packages/web/AI_CHANGELOG.md');
+    console.log = () => {};
+    await createWorkspaceGenerator({ workspaceChangelogs: false }).generateChangelog('1.1.0', null, { from: 'v1.0.0' });
+    console.log = originalLog;
+    check('--no-workspaces writes only the root changelog', fs.existsSync('AI_CHANGELOG.md') && !fs.existsSync('packages/api/AI_CHANGELOG.md'));
+    fs.rmSync('AI_CHANGELOG.md');
+
+    const repository = process.cwd();
+    process.chdir(os.tmpdir());
+    console.log = () => {};
+    await createWorkspaceGenerator({ cwd: repository }).generateChangelog('1.1.0', null, { from: 'v1.0.0' });
+    console.log = originalLog;
+    process.chdir(repository);
+    check('Writes into the repository given as cwd, not the working directory', fs.existsSync('AI_CHANGELOG.md') &&
+      fs.existsSync('packages/api/AI_CHANGELOG.md') && !fs.existsSync(path.join(os.tmpdir(), 'AI_CHANGELOG.md')));
+    ['AI_CHANGELOG.md', 'packages/api/AI_CHANGELOG.md', 'packages/web/AI_CHANGELOG.md'].forEach(file => fs.rmSync(file));
+
+    // Test 4: Package filter
+    console.log(colors.subheader('\nTest 4: Package filter'));
+    console.log = () => {};
+    changelog = await createWorkspaceGenerator({ package: 'packages/web' }).generateChangelog('1.1.0', null, { from: 'v1.0.0' });
+    console.log = originalLog;
+    check('--package writes only that package\'s changelog', fs.existsSync('packages/web/AI_CHANGELOG.md') && !fs.existsSync('AI_CHANGELOG.md') && !fs.existsSync('packages/api/AI_CHANGELOG.md'));
+    check('--package keeps only commits touching the package', changelog.includes('fix: share the ready flag') && !changelog.includes('add api entry point') && !changelog.includes('add readme'));
+
+    console.log = () => {};
+    const failure = await rejection(createWorkspaceGenerator({ package: '@acme/mobile' }).generateChangelog('1.1.0', null, { from: 'v1.0.0' }));
+    console.log = originalLog;
+    check('Rejects unknown packages and lists the available ones', failure && failure.message === 'Unknown workspace package: @acme/mobile (available: @acme/api, @acme/docs, @acme/web)');
+
+    const logArgs = new GitManager().buildLogArgs({ range: 'v1.0.0..HEAD', paths: [':(top)packages/web'], count: 0 }).args;
+    check('Log queries can be limited to a package directory', logArgs.slice(-4).join(' ') === '--end-of-options v1.0.0..HEAD -- :(top)packages/web');
+  } finally {
+    console.log = originalLog;
+    process.chdir(originalCwd);
+    directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+  }
+}
+
+runChecks('workspace', run);
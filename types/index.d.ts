@@ -19,6 +19,82 @@ export interface CommitInfo {
   body?: string;
   footer?: string;
   breaking?: boolean;
+  references?: IssueReference[];
+  coAuthors?: Array<{ name: string; email: string }>;
+  trailers?: CommitTrailers;
+  packages?: string[];
+  dependencies?: DependencyChange[];
+  advisories?: AdvisoryMatch[];
+  apiChanges?: ApiChange[];
+}
+
+export interface ApiChange {
+  file: string;
+  /** Exported name; class members are "Class.method" */
+  name: string;
+  previousName: string | null;
+  kind: 'function' | 'class' | 'method' | 'property' | 'constant' | 'variable' | 'value' | 'interface' | 'type' | 'enum' | 'namespace' | 'reexport';
+  change: 'added' | 'removed' | 'renamed' | 'changed';
+  /** Signatures ("(a, b?): string") or, when the kind changed, the old and new kinds */
+  from: string | null;
+  to: string | null;
+  breaking: boolean;
+}
+
+export interface TypeChange {
+  file: string;
+  /** Declaration name; members and namespace declarations are "Options.timeout" */
+  symbol: string;
+  change: 'added' | 'removed' | 'changed';
+  /** e.g. "required parameter `retries` added", "return type narrowed from `string | null` to `string`" */
+  detail: string;
+  breaking: boolean;
+}
+
+export interface AdvisoryMatch {
+  id: string;
+  aliases: string[];
+  summary: string;
+  severity: 'critical' | 'high' | 'moderate' | 'medium' | 'low' | 'unknown' | string;
+  url: string;
+  package: string;
+  ecosystem: DependencyChange['ecosystem'];
+  from: string | null;
+  to: string | null;
+  status: 'fixed' | 'introduced';
+}
+
+export interface DependencyChange {
+  name: string;
+  ecosystem: 'npm' | 'pip' | 'go' | 'cargo';
+  from: string | null;
+  to: string | null;
+  change: 'added' | 'removed' | 'upgraded' | 'downgraded' | 'changed';
+  major: boolean;
+}
+
+export interface CommitTrailers {
+  entries: Array<{ token: string; value: string }>;
+  breakingChange: string | null;
+  refs: string[];
+  reviewedBy: string[];
+  changelog: string | null;
+}
+
+export interface Contributor {
+  name: string;
+  email: string | null;
+  commits: number;
+  coAuthored: number;
+  firstTime: boolean;
+}
+
+export interface IssueReference {
+  tracker: 'github' | 'gitlab' | 'jira' | 'linear' | string;
+  id: string;
+  label: string;
+  url: string | null;
+  closes: boolean;
 }
 
 export interface GitInfo {
@@ -127,10 +203,34 @@ export interface AIResponse {
   model: string;
 }
 
+// JSON Schema the response must match; providers map it to their native JSON mode
+export interface ResponseSchema {
+  name: string;
+  schema: Record<string, any>;
+}
+
+export interface CommitSummary {
+  summary: string;
+  technicalSummary: string;
+  category: 'feature' | 'fix' | 'improvement' | 'refactor' | 'docs' | 'chore' | 'breaking' | 'security';
+  impact: 'critical' | 'high' | 'medium' | 'low';
+  scope: 'major' | 'minor' | 'patch';
+  userFacing: boolean;
+  breaking: boolean;
+  businessImpact: string;
+  technicalImpact: string;
+  highlights: string[];
+  migrationNotes: string | null;
+  tags: string[];
+  relatedAreas: string[];
+  riskLevel: 'low' | 'medium' | 'high';
+  confidence: number;
+}
+
 // Analysis Types
 export type AnalysisMode = 'standard' | 'detailed' | 'enterprise';
 export type OutputFormat = 'markdown' | 'json';
-export type TemplateType = 'standard' | 'keep-a-changelog' | 'simple' | 'semantic' | 'github';
+export type TemplateType = 'standard' | 'keepachangelog' | 'keep-a-changelog' | 'simple' | 'semantic' | 'github';
 
 export interface ChangelogOptions {
   repositoryPath?: string;
@@ -145,6 +245,61 @@ export interface ChangelogOptions {
   interactive?: boolean;
   validate?: boolean;
   metrics?: boolean;
+  bump?: boolean;
+  prerelease?: string;
+  from?: string;
+  to?: string;
+  includeContributors?: boolean;
+  package?: string;
+  typeDiff?: boolean;
+}
+
+export type VersionBump = 'none' | 'patch' | 'minor' | 'major';
+
+export interface VersionRecommendation {
+  current: string | null;
+  currentTag: string | null;
+  next: string | null;
+  nextTag: string | null;
+  bump: VersionBump;
+  effectiveBump: VersionBump;
+  prerelease: string | null;
+  totalCommits: number;
+  justification: Record<'major' | 'minor' | 'patch', Array<{
+    hash: string;
+    subject: string;
+    reason: string;
+  }>>;
+  notes: string[];
+}
+
+export interface PRDescription {
+  title: string;
+  summary: string;
+  changes: string[];
+  risk: {
+    level: 'low' | 'medium' | 'high' | 'critical';
+    notes: string[];
+  };
+  testing: string[];
+  checklist: string[];
+  base: string;
+  branch: string | null;
+  commits: Array<{
+    hash: string;
+    subject: string;
+    author: string;
+  }>;
+  diffStats: {
+    files: number;
+    insertions: number;
+    deletions: number;
+  };
+  generatedBy: {
+    provider: string;
+    model: string | null;
+  };
+  markdown: string;
 }
 
 export interface CommitAnalysis {
@@ -264,17 +419,34 @@ export interface TemplateData {
   date?: string;
   changes?: Record<string, Array<{
     description: string;
+    scope?: string;
     hash?: string;
     author?: string;
+    date?: string;
     commitUrl?: string;
-    details?: string;
+    details?: string | string[];
+    breaking?: boolean;
+    migration?: string | null;
+    pr?: string | number | null;
+    commits?: string[] | null;
+    references?: IssueReference[];
+    generatedBy?: {
+      provider: string;
+      model: string | null;
+    } | null;
   }>>;
   metadata?: {
     totalCommits?: number;
     dateRange?: string;
     includeCommitHash?: boolean;
     includeAuthor?: boolean;
+    includeDate?: boolean;
+    groupByType?: boolean;
   };
+  dependencies?: DependencyChange[];
+  advisories?: AdvisoryMatch[];
+  contributors?: Contributor[] | null;
+  includeAttribution?: boolean;
   aiProvider?: string;
   summary?: string;
   breaking?: Array<{
@@ -296,6 +468,10 @@ export class AIChangelogGenerator {
   constructor(options?: {
     repositoryPath?: string;
     configPath?: string;
+    /** Called as commits are loaded and entries summarized; progress counts both */
+    onProgress?: (progress: number, total: number, message: string) => void;
+    /** Aborting it stops generation at the next batch or summary */
+    signal?: AbortSignal;
   });
   
   // Core methods
@@ -346,12 +522,29 @@ export class AIChangelogGenerator {
     includeStats?: boolean;
     repositoryPath?: string;
   }): Promise<GitInfo>;
+
+  // Pull request descriptions
+  generatePRDescription(baseBranch: string, options?: {
+    head?: string;
+  }): Promise<PRDescription>;
+}
+
+export interface MCPTransportOptions {
+  /** Serve Streamable HTTP and legacy SSE instead of stdio */
+  http?: boolean;
+  /** Defaults to MCP_SERVER_PORT */
+  port?: number;
+  /** Defaults to MCP_SERVER_HOST (127.0.0.1) */
+  host?: string;
 }
 
 export class AIChangelogMCPServer {
   constructor(options?: MCPServerOptions);
   
-  run(): Promise<void>;
+  run(options?: MCPTransportOptions): Promise<void | MCPHttpServer>;
+  runHttp(options?: MCPTransportOptions): Promise<MCPHttpServer>;
+  /** --http, --port N and --host H */
+  static parseArgs(args: string[]): MCPTransportOptions;
   
   // MCP Tools
   generateChangelog(params: {
@@ -362,7 +555,7 @@ export class AIChangelogMCPServer {
     version?: string;
     includeUnreleased?: boolean;
     model?: AIModel;
-  }): Promise<string>;
+  }, progress?: ToolProgress): Promise<string>;
   
   analyzeCommits(params: {
     repositoryPath?: string;
@@ -417,7 +610,19 @@ export class AIProvider {
     temperature?: number;
     max_tokens?: number;
     model?: AIModel;
+    responseSchema?: ResponseSchema;
   }): Promise<AIResponse>;
+
+  /** Same as generateCompletion, passing each chunk of response text to onText as it arrives */
+  streamCompletion(messages: Array<{
+    role: 'system' | 'user' | 'assistant';
+    content: string;
+  }>, options: {
+    temperature?: number;
+    max_tokens?: number;
+    model?: AIModel;
+    responseSchema?: ResponseSchema;
+  } | undefined, onText: (text: string) => void): Promise<AIResponse>;
   
   selectModelForCommit(commitInfo: CommitInfo): AIModel;
   getModelCapabilities(modelName: AIModel): ModelCapabilities;
@@ -441,16 +646,52 @@ export class GitManager {
   
   getCommits(options?: {
     since?: string;
+    range?: string;
     limit?: number;
     includeDiff?: boolean;
   }): Promise<CommitInfo[]>;
   
+  streamCommits(options?: {
+    since?: string;
+    range?: string;
+    count?: number;
+    author?: string;
+    grep?: string;
+    paths?: string[];
+  }): AsyncGenerator<CommitInfo>;
+
+  execGit(args: string[], options?: { cwd?: string; input?: string; timeout?: number }): string;
+  execGitSafe(args: string[], options?: { cwd?: string; input?: string; timeout?: number; quiet?: boolean }): string;
+  streamGit(args: string[], options?: { separator?: string; cwd?: string; signal?: AbortSignal }): AsyncGenerator<string>;
+  readBlobs(specs: string[], options?: { maxBytes?: number | ((spec: string) => number); cwd?: string }): Promise<Map<string, string | null>>;
+  batchBlobReads(): { readBlobs(specs: string[], options?: { maxBytes?: number }): Promise<Map<string, string | null>> };
+
   getCurrentStatus(): Promise<GitStatus>;
   getBranches(): Promise<BranchAnalysis>;
   getInfo(): Promise<GitInfo>;
   validateRepository(): Promise<boolean>;
 }
 
+export interface GitError extends Error {
+  args: string[];
+  exitCode: number | null;
+  signal: string | null;
+  stderr: string;
+  code?: string;
+}
+
+export class VersionCalculator {
+  constructor();
+
+  recommend(commits: Array<Partial<CommitInfo> & { type?: string; breaking?: boolean }>, options?: {
+    currentVersion?: string | null;
+    currentTag?: string | null;
+    prerelease?: string | null;
+  }): VersionRecommendation;
+  findLatestTag(tags: string[]): { tag: string; version: object } | null;
+  static compare(a: string, b: string): number;
+}
+
 export class ChangelogTemplates {
   constructor();
   
@@ -460,5 +701,174 @@ export class ChangelogTemplates {
   getCategoryName(category: string): string;
 }
 
+export interface WorkspacePackage {
+  name: string;
+  version: string | null;
+  dir: string;
+  private: boolean;
+}
+
+export type WorkspaceTool = 'npm' | 'yarn' | 'pnpm' | 'lerna' | 'nx' | 'turbo';
+
+export class Workspaces {
+  constructor(options?: { root?: string; tools?: WorkspaceTool[]; packages?: WorkspacePackage[] });
+
+  readonly root: string;
+  readonly tools: WorkspaceTool[];
+  readonly packages: WorkspacePackage[];
+  readonly isMonorepo: boolean;
+
+  static discover(gitManager: GitManager): Workspaces;
+  find(nameOrDir: string): WorkspacePackage | null;
+  packageForFile(filePath: string): WorkspacePackage | null;
+  packagesForFiles(filePaths: string[]): string[];
+  resolve(pkg: WorkspacePackage, file: string): string;
+}
+
+export class DependencyChanges {
+  constructor(gitManager: Pick<GitManager, 'readBlobs'>);
+
+  detect(pairs: Array<{
+    before: string | null;
+    after: string;
+    files: Array<{ status: string; filePath: string; oldPath?: string }>;
+  }>): Promise<DependencyChange[][]>;
+  static fileType(filePath: string): { ecosystem: DependencyChange['ecosystem']; parser: string; lockfile?: boolean; config?: boolean } | null;
+  static diff(before: Map<string, string>, after: Map<string, string>, ecosystem: DependencyChange['ecosystem']): DependencyChange[];
+  static combine(changeLists: Array<DependencyChange[] | undefined>): DependencyChange[];
+  static classify(from: string | null, to: string | null): { change: DependencyChange['change']; major: boolean };
+}
+
+export class AdvisoryDatabase {
+  constructor(directory: string);
+
+  static fromConfig(configManager: ConfigManager): AdvisoryDatabase | null;
+  static isAffected(affected: object, version: string | null): boolean;
+  match(dependencyChanges: DependencyChange[]): AdvisoryMatch[];
+}
+
+export class ApiSurface {
+  constructor(gitManager: Pick<GitManager, 'readBlobs'>);
+
+  detect(pairs: Array<{
+    before: string | null;
+    after: string;
+    files: Array<{ status: string; filePath: string; oldPath?: string }>;
+  }>): Promise<ApiChange[][]>;
+  static isSourceFile(filePath: string): boolean;
+  static diff(before: Map<string, object>, after: Map<string, object>, file: string): ApiChange[];
+  static combine(changeLists: Array<ApiChange[] | undefined>): ApiChange[];
+  static migrationNotes(apiChanges: ApiChange[] | undefined): string | null;
+}
+
+/** Request context the MCP SDK passes to request handlers */
+export interface MCPRequestExtra {
+  signal?: AbortSignal;
+  _meta?: { progressToken?: string | number };
+  sendNotification?(notification: { method: string; params?: object }): Promise<void>;
+}
+
+export class ToolProgress {
+  constructor(extra?: MCPRequestExtra);
+
+  readonly enabled: boolean;
+  readonly cancelled: boolean;
+  /** Sends notifications/progress; values that don't increase are dropped */
+  report(progress: number, total?: number | null, message?: string | null): Promise<void>;
+  throwIfCancelled(): void;
+  generatorOptions(): { onProgress: (progress: number, total: number, message: string) => Promise<void>; signal: AbortSignal | null };
+  static cancellationError(reason?: unknown): Error & { cancelled: true };
+  static isCancellation(error: unknown): boolean;
+}
+
+export interface MCPResource {
+  uri: string;
+  name: string;
+  title?: string;
+  description?: string;
+  mimeType?: string;
+}
+
+export interface MCPResourceTemplate {
+  uriTemplate: string;
+  name: string;
+  title?: string;
+  description?: string;
+  mimeType?: string;
+}
+
+export class RepositoryResources {
+  constructor(generator: AIChangelogGenerator, changelogPath: string);
+
+  /** changelog://current, unreleased commits since the latest release tag and repo://health */
+  list(): MCPResource[];
+  read(uri: string): Promise<{ contents: Array<{ uri: string; mimeType: string; text: string }> }>;
+  /** git://commits/{range} and git://commit/{hash}/analysis */
+  static templates(): MCPResourceTemplate[];
+  static parse(uri: string): { type: 'changelog' | 'health' } | { type: 'commits'; range: string } | { type: 'commit-analysis'; hash: string } | null;
+}
+
+export interface MCPPrompt {
+  name: string;
+  title?: string;
+  description?: string;
+  arguments: Array<{ name: string; description?: string; required?: boolean }>;
+}
+
+export class ReleasePrompts {
+  constructor(generator: AIChangelogGenerator);
+
+  /** draft_release_notes, explain_breaking_changes and write_commit_message */
+  static list(): MCPPrompt[];
+  get(name: string, args?: Record<string, string>): Promise<{
+    description: string;
+    messages: Array<{ role: 'user'; content: { type: 'text'; text: string } }>;
+  }>;
+  /** Completions for a prompt argument: release tags, the recommended version or analysis modes */
+  complete(name: string, argument: string, value?: string): Promise<{ values: string[]; total: number; hasMore: boolean }>;
+}
+
+export class MCPHttpServer {
+  /** `createServer` returns a new, unconnected MCP SDK Server for each session */
+  constructor(createServer: () => { connect(transport: unknown): Promise<void> }, options?: {
+    port?: number;
+    host?: string;
+    /** Bearer token every request must carry */
+    token?: string | null;
+    /** Milliseconds allowed to receive a request */
+    timeout?: number;
+    sessionIdleTimeout?: number;
+  });
+
+  readonly url: string | null;
+  readonly sessions: Map<string, { type: 'streamable' | 'sse'; transport: unknown; lastSeen: number }>;
+  /** Resolves with the server's base URL; /mcp serves Streamable HTTP, /sse and /messages legacy SSE */
+  listen(): Promise<string>;
+  close(): Promise<void>;
+}
+
+export class StreamRenderer {
+  constructor(output?: { write(text: string): unknown; isTTY?: boolean; columns?: number });
+
+  preview(label: string, text: string): void;
+  entry(type: string, description: string, label: string): void;
+  begin(title: string): void;
+  write(text: string): void;
+  end(): void;
+  /** Value of a string field in a JSON document that is still streaming in */
+  static partialField(json: string, field: string): string | null;
+}
+
+export class TypeDeclarations {
+  constructor(gitManager: Pick<GitManager, 'execGitSafe' | 'readBlobs'>);
+
+  compare(before: string | null, after?: string): Promise<TypeChange[]>;
+  static isDeclarationFile(filePath: string): boolean;
+  static declarationsOf(source: string, filePath: string): Map<string, object> | null;
+  static diff(before: Map<string, object>, after: Map<string, object>, file: string): TypeChange[];
+  static describeChange(change: TypeChange): string;
+  static breakingEntries(changes?: TypeChange[]): Array<{ description: string; breaking: true; migration: null }>;
+}
+
 // Export main entry points
 export { AIChangelogGenerator as default };
\ No newline at end of file